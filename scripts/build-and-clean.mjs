@@ -5,18 +5,27 @@ import { parse as jsoncParse, printParseErrorCode } from 'jsonc-parser';
 import { execSync } from 'child_process';
 import * as cheerio from 'cheerio';
 import { generateSpecDocs } from './generate-spec-docs.mjs';
-import { KEYSTONE_VERSION } from '../src/lib/keystone-version.js';
+import { generateDictionary } from './generate-dictionary.mjs';
+import { generateSpecBundle } from './generate-spec-bundle.mjs';
+import { KEYSTONE_VERSION, KEYSTONE_VERSIONS } from '../src/lib/keystone-version.js';
 
 const PROJECT_ROOT = process.cwd();
 const SOURCE_DIR = path.join(PROJECT_ROOT, 'src');
 const BUILD_DIR = path.join(PROJECT_ROOT, 'dist');
 
 const jsonFileExtensions = ['.json', '.jsonld'];
+const VERSIONED_AREAS = ['contexts', 'ontology', 'validation'];
+
+// Files of a versioned directory (e.g. src/contexts/v2/) reference their own version, all others the latest one
+function versionOf(sourcePath) {
+    const segments = path.relative(SOURCE_DIR, sourcePath).split(path.sep);
+    return VERSIONED_AREAS.includes(segments[0]) && KEYSTONE_VERSIONS.includes(segments[1]) ? segments[1] : KEYSTONE_VERSION;
+}
 
 async function cleanAndCopyJsonFile(sourcePath, targetPath) {
     try {
         let content = await fs.readFile(sourcePath, 'utf-8');
-        content = content.replace(/\{\{VERSION\}\}/g, KEYSTONE_VERSION);
+        content = content.replace(/\{\{VERSION\}\}/g, versionOf(sourcePath));
         let errors = [];
         const cleanedContent = jsoncParse(content, errors, {
             allowTrailingComma: true,
@@ -126,6 +135,65 @@ async function createRedirects(targetDir) {
     console.log(`Created redirect: /spec/${KEYSTONE_VERSION}/terms/index.html -> ${redirectTarget}`);
 }
 
+// Resolves the bare imports of the validator's modules to the vendor files the import map of the validator page points to
+async function importMapPlugin(validatorDir) {
+    const html = await fs.readFile(path.join(validatorDir, 'index.html'), 'utf-8');
+    const { imports } = JSON.parse(cheerio.load(html)('script[type="importmap"]').html());
+    return {
+        name: 'import-map',
+        setup(build) {
+            build.onResolve({ filter: /^[^./]/ }, args => imports[args.path]
+                ? { path: path.resolve(validatorDir, imports[args.path]) }
+                : undefined);
+        }
+    };
+}
+
+// Workers cannot use the import map of a page, so the validation worker is bundled with its dependencies.
+async function bundleValidationWorker(validatorDir) {
+    const workerPath = path.join(validatorDir, 'validation-worker.js');
+    if (!await fse.pathExists(workerPath)) return;
+
+    const esbuild = await import('esbuild');
+    await esbuild.build({
+        entryPoints: [workerPath],
+        bundle: true,
+        format: 'esm',
+        outfile: workerPath,
+        allowOverwrite: true,
+        // Only imported (dynamically) when running in Node
+        external: ['fs', 'fs/promises', 'path', 'url'],
+        logLevel: 'warning',
+        plugins: [await importMapPlugin(validatorDir)]
+    });
+    console.log('Bundled the validation worker');
+}
+
+// Browsers do not run module scripts (nor import maps) from file://, so the validator is also bundled into a
+// classic script. `offline.html` loads it after the offline spec bundle, and works when opened from the file system.
+async function bundleOfflineValidator(validatorDir) {
+    const esbuild = await import('esbuild');
+    await esbuild.build({
+        entryPoints: [path.join(validatorDir, 'validator.js')],
+        bundle: true,
+        format: 'iife',
+        outfile: path.join(validatorDir, 'validator.offline.js'),
+        external: ['fs', 'fs/promises', 'path', 'url'],
+        // Only used to start the validation worker, which the page does not start when it has the spec bundle
+        define: { 'import.meta.url': 'document.baseURI' },
+        logLevel: 'warning',
+        plugins: [await importMapPlugin(validatorDir)]
+    });
+
+    const $ = cheerio.load(await fs.readFile(path.join(validatorDir, 'index.html'), 'utf-8'));
+    $('script[type="importmap"]').remove();
+    $('script[type="module"]').replaceWith(
+        `<script src="../spec/keystone-spec-bundle-${KEYSTONE_VERSION}.js"></script>\n    <script src="validator.offline.js"></script>`
+    );
+    await fs.writeFile(path.join(validatorDir, 'offline.html'), $.html(), 'utf-8');
+    console.log('Bundled the offline validator');
+}
+
 async function addCacheBusting(targetDir) {
     console.log('Adding cache-busting...');
     const timestamp = Date.now();
@@ -213,15 +281,14 @@ async function addCacheBusting(targetDir) {
 async function build() {
     console.log('Starting build process: Cleaning and copying files...');
     
-    // Verify versioned directories exist
-    const expectedOntologyDir = path.join(SOURCE_DIR, 'ontology', KEYSTONE_VERSION);
-    const expectedContextsDir = path.join(SOURCE_DIR, 'contexts', KEYSTONE_VERSION);
-    
-    if (!await fse.pathExists(expectedOntologyDir)) {
-        throw new Error(`Noisy Failure: Expected ontology directory not found at ${expectedOntologyDir}`);
-    }
-    if (!await fse.pathExists(expectedContextsDir)) {
-        throw new Error(`Noisy Failure: Expected contexts directory not found at ${expectedContextsDir}`);
+    // Verify versioned directories exist, for archived versions too, so that passports declaring them stay verifiable
+    for (const version of KEYSTONE_VERSIONS) {
+        for (const area of VERSIONED_AREAS) {
+            const expectedDir = path.join(SOURCE_DIR, area, version);
+            if (!await fse.pathExists(expectedDir)) {
+                throw new Error(`Noisy Failure: Expected ${area} directory not found at ${expectedDir}`);
+            }
+        }
     }
     
     // Run vendor bundling first to ensure dependencies are ready
@@ -285,6 +352,8 @@ async function build() {
     if (await fse.pathExists(path.join(SOURCE_DIR, 'validator'))) {
         await processDirectory(path.join(SOURCE_DIR, 'validator'), validatorDir);
         console.log(`Copied validator to dist/validator`);
+        await bundleValidationWorker(validatorDir);
+        await bundleOfflineValidator(validatorDir);
     }
 
     // Process 'explorer' into its own root-level directory in dist
@@ -330,6 +399,14 @@ async function build() {
     console.log('Generating ontology documentation...');
     await generateSpecDocs(); // Call the function directly
 
+    console.log('Precomputing the transformation dictionaries...');
+    await generateDictionary();
+
+    console.log('Bundling the spec for offline use...');
+    for (const version of KEYSTONE_VERSIONS) {
+        await generateSpecBundle({ version });
+    }
+
     console.log('Updating index.html...');
     execSync('node scripts/update-index-html.mjs', { stdio: 'inherit' });
 
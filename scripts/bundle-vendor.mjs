@@ -23,10 +23,20 @@ try {
     console.log('  Bundling strip-json-comments.js...');
     execSync('npx esbuild node_modules/strip-json-comments/index.js --bundle --format=esm --outfile=src/lib/vendor/strip-json-comments.js', { stdio: 'inherit' });
 
+    // Bundle jsonc-parser
+    console.log('  Bundling jsonc-parser.js...');
+    execSync('npx esbuild node_modules/jsonc-parser/lib/esm/main.js --bundle --format=esm --outfile=src/lib/vendor/jsonc-parser.js', { stdio: 'inherit' });
+
     // Bundle PapaParse
     console.log('  Bundling papaparse.js...');
     execSync('npx esbuild node_modules/papaparse/papaparse.min.js --bundle --format=esm --outfile=src/lib/vendor/papaparse.js', { stdio: 'inherit' });
 
+    // Bundle rdf-validate-shacl and the RDF/JS environment it is used with
+    console.log('  Bundling rdf-validate-shacl.js...');
+    execSync('npx esbuild node_modules/rdf-validate-shacl/index.js --bundle --format=esm --outfile=src/lib/vendor/rdf-validate-shacl.js', { stdio: 'inherit' });
+    console.log('  Bundling rdf-validate-shacl-env.js...');
+    execSync('npx esbuild node_modules/rdf-validate-shacl/src/defaultEnv.js --bundle --format=esm --outfile=src/lib/vendor/rdf-validate-shacl-env.js', { stdio: 'inherit' });
+
     console.log('Vendor bundling completed successfully.');
 } catch (error) {
     console.error('Vendor bundling failed:', error);
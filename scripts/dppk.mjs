@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+import { promises as fs, realpathSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as jsoncParse, printParseErrorCode } from 'jsonc-parser';
+import { KEYSTONE_VERSION, KEYSTONE_VERSIONS, resolveKeystoneVersion } from '../src/lib/keystone-version.js';
+import { loadOntology } from '../src/lib/ontology-loader.js';
+import { loadSchemaContext, runValidationPipeline } from '../src/lib/validation-pipeline.js';
+import { createKeystoneDocumentLoader } from '../src/util/js/common/loading/keystone-document-loader.js';
+import { assertSpecBundle, createBundleFetch } from '../src/util/js/common/loading/spec-bundle.js';
+import { createValidationReport, toSarif } from '../src/util/js/common/validation/validation-report.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+export const EXIT_OK = 0;
+export const EXIT_INVALID = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: dppk validate [options] <files...>
+
+Validates DPP JSON/JSONC files against the Keystone JSON Schemas, ontology, JSON-LD contexts, SHACL shapes
+and business rules. Each file is validated against the Keystone version it declares (dppSchemaVersion or
+@context URLs), or the latest one (${KEYSTONE_VERSION}). Available versions: ${KEYSTONE_VERSIONS.join(', ')}.
+File arguments may be glob patterns (e.g. "passports/**/*.json").
+
+Options:
+  -f, --format <format>   Output format: human (default), json, junit or sarif
+  -o, --output <file>     Write the report to a file instead of stdout
+      --spec-root <dir>   Directory containing contexts/, ontology/ and validation/
+                          (default: dist/spec if built, otherwise src)
+      --bundle <file>     Read the Keystone artifacts from an offline spec bundle
+                          (keystone-spec-bundle-<version>.json) instead of a spec root;
+                          only the version of the bundle is available then
+  -h, --help              Show this help`;
+
+/**
+ * Parses JSON or JSONC text, reporting the first syntax error with its offset.
+ * @param {string} text - The raw file content.
+ * @returns {{data: any, isJsonc: boolean}} The parsed value and whether comments/trailing commas had to be tolerated.
+ */
+export function parseJsonOrJsonc(text) {
+    try {
+        return { data: JSON.parse(text), isJsonc: false };
+    } catch (e) {
+        const errors = [];
+        const data = jsoncParse(text, errors, { allowTrailingComma: true, allowComments: true });
+        if (errors.length > 0) {
+            const first = errors[0];
+            throw new Error(`Invalid JSON format: ${printParseErrorCode(first.error)} at offset ${first.offset}`);
+        }
+        return { data, isJsonc: true };
+    }
+}
+
+/**
+ * Converts a glob pattern (supporting `*`, `**` and `?`) into a regular expression.
+ * @param {string} pattern - The glob pattern, using forward slashes.
+ * @returns {RegExp} The equivalent anchored regular expression.
+ */
+export function globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // '**/' matches zero or more directories
+                if (pattern[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i += 1;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`);
+}
+
+async function walkFiles(dir) {
+    const files = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await walkFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Expands file arguments, resolving glob patterns relative to the given working directory.
+ * @param {string[]} args - Plain paths and/or glob patterns.
+ * @param {string} [cwd] - The directory patterns are resolved from.
+ * @returns {Promise<{files: string[], unmatched: string[]}>} The sorted, de-duplicated file list and the arguments that matched nothing.
+ */
+export async function expandFileArgs(args, cwd = process.cwd()) {
+    const files = new Set();
+    const unmatched = [];
+
+    for (const arg of args) {
+        if (!/[*?]/.test(arg)) {
+            const fullPath = path.resolve(cwd, arg);
+            try {
+                await fs.access(fullPath);
+                files.add(fullPath);
+            } catch (e) {
+                unmatched.push(arg);
+            }
+            continue;
+        }
+
+        const pattern = arg.split(path.sep).join('/');
+        const segments = pattern.split('/');
+        const firstGlobIndex = segments.findIndex(segment => /[*?]/.test(segment));
+        const baseDir = path.resolve(cwd, segments.slice(0, firstGlobIndex).join('/') || '.');
+        const matcher = globToRegExp(segments.slice(firstGlobIndex).join('/'));
+
+        let candidates = [];
+        try {
+            candidates = await walkFiles(baseDir);
+        } catch (e) {
+            // A missing base directory simply yields no matches
+        }
+
+        const matches = candidates.filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+        if (matches.length === 0) unmatched.push(arg);
+        matches.forEach(file => files.add(file));
+    }
+
+    return { files: [...files].sort(), unmatched };
+}
+
+/**
+ * Chooses the directory the Keystone artifacts are read from.
+ * The built `dist/spec` tree is preferred; the `src` tree has the same layout and is used as a fallback.
+ * @param {string} [specRoot] - An explicit root directory.
+ * @returns {Promise<string>} The absolute spec root.
+ */
+export async function resolveSpecRoot(specRoot) {
+    if (specRoot) return path.resolve(specRoot);
+    const distSpec = path.join(PROJECT_ROOT, 'dist', 'spec');
+    try {
+        await fs.access(path.join(distSpec, 'validation', KEYSTONE_VERSION));
+        return distSpec;
+    } catch (e) {
+        return path.join(PROJECT_ROOT, 'src');
+    }
+}
+
+/**
+ * Creates the file system backed loaders for a spec root.
+ * Files are read as JSONC with `{{VERSION}}` placeholders substituted, so both `dist/spec` and `src` work.
+ * @param {string} specRoot - The absolute spec root.
+ * @param {string} [version=KEYSTONE_VERSION] - The Keystone version substituted for the placeholders.
+ * @returns {{readSpecJson: Function, fetch: Function, documentLoader: Function}} The loaders.
+ */
+export function createSpecLoaders(specRoot, version = KEYSTONE_VERSION) {
+    const documentLoader = createKeystoneDocumentLoader({
+        version,
+        fsRoot: specRoot,
+        parse: content => parseJsonOrJsonc(content).data
+    });
+    const readSpecJson = documentLoader.readSpecDocument;
+
+    // fetch-compatible wrapper for loaders written against relative '../spec/' browser URLs
+    const fetchImpl = async (url) => {
+        const relativePath = url.replace(/^(\.\.\/spec\/|https:\/\/dpp-keystone\.org\/spec\/)/, '');
+        try {
+            const document = await readSpecJson(relativePath);
+            return { ok: true, status: 200, json: async () => document };
+        } catch (e) {
+            return { ok: false, status: e.code === 'ENOENT' ? 404 : 500, json: async () => null };
+        }
+    };
+
+    return { readSpecJson, fetch: fetchImpl, documentLoader };
+}
+
+/**
+ * Creates the loaders of `createSpecLoaders` for an offline spec bundle. Nothing is loaded from the network.
+ * @param {object} bundle - The parsed spec bundle.
+ * @returns {{readSpecJson: Function, fetch: Function, documentLoader: Function}} The loaders.
+ */
+export function createBundleSpecLoaders(bundle) {
+    assertSpecBundle(bundle);
+    if (!KEYSTONE_VERSIONS.includes(bundle.version)) {
+        throw new Error(`The spec bundle is for ${bundle.version}, which this dppk does not know. Known versions: ${KEYSTONE_VERSIONS.join(', ')}.`);
+    }
+    const documentLoader = createKeystoneDocumentLoader({ bundle, allowNetwork: false });
+    return { readSpecJson: documentLoader.readSpecDocument, fetch: createBundleFetch(bundle), documentLoader };
+}
+
+// Failures to read the Keystone artifacts are errors of the setup, not of the validated files
+const specError = (message) => Object.assign(new Error(message), { code: 'ESPEC' });
+
+/**
+ * Validates a list of DPP files with every validation layer.
+ * Each file is validated against the Keystone version it declares (see `resolveKeystoneVersion`); files declaring
+ * conflicting or unavailable versions are reported as an 'input' error.
+ * @param {string[]} files - Absolute file paths.
+ * @param {object} [options]
+ * @param {string} [options.specRoot] - See `resolveSpecRoot`.
+ * @param {string} [options.bundle] - The path of an offline spec bundle, used instead of the spec root.
+ * @returns {Promise<Array<{file: string, valid: boolean, isJsonc: boolean, version: string|null, errors: Array, layers: object, durationMs: number}>>} One result per file.
+ * @throws {Error} With code ESPEC if a schema, ontology, shape or rule file of the Keystone version cannot be read.
+ */
+export async function validateFiles(files, options = {}) {
+    const bundle = options.bundle ? JSON.parse(await fs.readFile(options.bundle, 'utf-8')) : null;
+    const bundleLoaders = bundle ? createBundleSpecLoaders(bundle) : null;
+    const specRoot = bundle ? null : await resolveSpecRoot(options.specRoot);
+    const available = bundle ? [bundle.version] : KEYSTONE_VERSIONS;
+
+    // The loaders, schemas and ontologies of each version, created on first use
+    const specs = new Map();
+    const specOf = (version) => {
+        if (!specs.has(version)) {
+            const loaders = bundleLoaders || createSpecLoaders(specRoot, version);
+            const readSpecJson = async (relativePath) => {
+                try {
+                    return await loaders.readSpecJson(relativePath);
+                } catch (e) {
+                    throw specError(`Cannot read ${relativePath}: ${e.message}`);
+                }
+            };
+            const ontologyCache = new Map();
+            specs.set(version, {
+                loaders: { ...loaders, readSpecJson },
+                schemaContext: loadSchemaContext(
+                    filename => readSpecJson(`validation/${version}/json-schema/${filename}`)
+                ),
+                ontologyLoader: (sector) => {
+                    if (!ontologyCache.has(sector)) {
+                        // The browser pages go on without an ontology that fails to load, the CLI does not
+                        ontologyCache.set(sector, loadOntology(sector, { fetch: loaders.fetch, version }).then(ontology => {
+                            if (!ontology) throw specError(`Cannot load the ${sector} ontology of ${version}`);
+                            return ontology;
+                        }));
+                    }
+                    return ontologyCache.get(sector);
+                }
+            });
+        }
+        return specs.get(version);
+    };
+
+    const results = [];
+    for (const file of files) {
+        const started = Date.now();
+        const result = { file, valid: false, isJsonc: false, version: null, errors: [], layers: {}, durationMs: 0 };
+        try {
+            const { data, isJsonc } = parseJsonOrJsonc(await fs.readFile(file, 'utf-8'));
+            result.isJsonc = isJsonc;
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('A DPP file must contain a single JSON object.');
+            }
+            const { version } = resolveKeystoneVersion(data, { available });
+            result.version = version;
+            const spec = specOf(version);
+            const schemaContext = await spec.schemaContext;
+            const pipelineResult = await runValidationPipeline(data, {
+                schemaContext,
+                ontologyLoader: spec.ontologyLoader,
+                documentLoader: spec.loaders.documentLoader,
+                specLoader: spec.loaders.readSpecJson,
+                version
+            });
+            Object.assign(result, pipelineResult);
+        } catch (e) {
+            if (e.code === 'ESPEC') throw e;
+            result.errors = [{ instancePath: '', keyword: 'parse', params: {}, message: e.message }];
+            result.layers = { input: { valid: false, errors: result.errors } };
+        }
+        result.durationMs = Date.now() - started;
+        results.push(result);
+    }
+    return results;
+}
+
+function layerOf(result, error) {
+    return Object.keys(result.layers).find(layer => result.layers[layer].errors?.includes(error)) || 'schema';
+}
+
+function describeError(error) {
+    let message = error.message || 'Validation error';
+    if (error.keyword === 'required' && error.params?.missingProperty) {
+        message = `Missing required property: '${error.params.missingProperty}'`;
+    } else if (error.keyword === 'additionalProperties' && error.params?.additionalProperty) {
+        message = `${message}: '${error.params.additionalProperty}'`;
+    } else if (error.keyword === 'enum' && error.params?.allowedValues) {
+        message = `${message}: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'rule' && error.params?.ruleId) {
+        message = `${error.params.ruleId} (${error.params.severity}): ${message}`;
+    }
+    return message;
+}
+
+const escapeXml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Formats validation results for a terminal.
+ * @param {Array} results - As returned by `validateFiles`.
+ * @param {string} [cwd] - Paths are printed relative to this directory.
+ * @returns {string} The report.
+ */
+export function formatHuman(results, cwd = process.cwd()) {
+    const lines = [];
+    for (const result of results) {
+        const name = path.relative(cwd, result.file) || result.file;
+        if (result.valid) {
+            lines.push(`✅ ${name}${result.isJsonc ? ' (JSONC, comments stripped)' : ''}`);
+            continue;
+        }
+        lines.push(`❌ ${name} (${result.errors.length} errors)`);
+        for (const error of result.errors) {
+            lines.push(`    [${layerOf(result, error)}] ${error.instancePath || 'root'}: ${describeError(error)}`);
+        }
+    }
+    const failed = results.filter(r => !r.valid).length;
+    lines.push('');
+    lines.push(`${results.length} file(s) checked: ${results.length - failed} valid, ${failed} invalid.`);
+    return lines.join('\n');
+}
+
+/**
+ * Formats validation results as a machine-readable JSON document.
+ * @param {Array} results - As returned by `validateFiles`.
+ * @returns {string} The JSON report.
+ */
+export function formatJson(results) {
+    const report = {
+        valid: results.every(r => r.valid),
+        summary: {
+            total: results.length,
+            valid: results.filter(r => r.valid).length,
+            invalid: results.filter(r => !r.valid).length
+        },
+        files: results.map(result => ({
+            file: result.file,
+            valid: result.valid,
+            version: result.version,
+            errors: result.errors.map(error => ({
+                layer: layerOf(result, error),
+                instancePath: error.instancePath || '',
+                keyword: error.keyword,
+                params: error.params || {},
+                message: describeError(error)
+            }))
+        }))
+    };
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Formats validation results as a JUnit XML report (one test case per file).
+ * @param {Array} results - As returned by `validateFiles`.
+ * @param {string} [cwd] - Paths are reported relative to this directory.
+ * @returns {string} The XML report.
+ */
+export function formatJunit(results, cwd = process.cwd()) {
+    const failures = results.filter(r => !r.valid).length;
+    const totalTime = results.reduce((sum, r) => sum + r.durationMs, 0) / 1000;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="dppk validate" tests="${results.length}" failures="${failures}" time="${totalTime}">`,
+        `  <testsuite name="DPP validation" tests="${results.length}" failures="${failures}" time="${totalTime}">`
+    ];
+    for (const result of results) {
+        const name = path.relative(cwd, result.file) || result.file;
+        const open = `    <testcase classname="dppk.validate" name="${escapeXml(name)}" time="${result.durationMs / 1000}"`;
+        if (result.valid) {
+            lines.push(`${open}/>`);
+            continue;
+        }
+        const details = result.errors
+            .map(error => `[${layerOf(result, error)}] ${error.instancePath || 'root'}: ${describeError(error)}`)
+            .join('\n');
+        lines.push(`${open}>`);
+        lines.push(`      <failure message="${escapeXml(`${result.errors.length} validation errors`)}" type="ValidationError">${escapeXml(details)}</failure>`);
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+/**
+ * Formats validation results as a SARIF 2.1.0 log, e.g. for code scanning annotations in CI.
+ * @param {Array} results - As returned by `validateFiles`.
+ * @param {string} [cwd] - Paths are reported relative to this directory.
+ * @returns {string} The SARIF log.
+ */
+export function formatSarif(results, cwd = process.cwd()) {
+    const reports = results.map(result => createValidationReport(result, {
+        ontologyMap: result.ontologyMap,
+        version: result.version,
+        source: (path.relative(cwd, result.file) || result.file).split(path.sep).join('/')
+    }));
+    return JSON.stringify(toSarif(reports, { toolName: 'dppk', toolVersion: KEYSTONE_VERSION }), null, 2);
+}
+
+const FORMATTERS = {
+    human: formatHuman,
+    json: formatJson,
+    junit: formatJunit,
+    sarif: formatSarif
+};
+
+/**
+ * Parses the command line arguments of the `validate` command.
+ * @param {string[]} args - The arguments after the command name.
+ * @returns {{format: string, output: string|null, specRoot: string|null, bundle: string|null, help: boolean, patterns: string[]}} The parsed options.
+ */
+export function parseValidateArgs(args) {
+    const options = { format: 'human', output: null, specRoot: null, bundle: null, help: false, patterns: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) throw new Error(`Missing value for ${flag}`);
+            return value;
+        };
+
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag === '-f' || flag === '--format') {
+            options.format = takeValue();
+            if (!FORMATTERS[options.format]) throw new Error(`Unknown format "${options.format}". Expected human, json, junit or sarif.`);
+        } else if (flag === '-o' || flag === '--output') {
+            options.output = takeValue();
+        } else if (flag === '--spec-root') {
+            options.specRoot = takeValue();
+        } else if (flag === '--bundle') {
+            options.bundle = takeValue();
+        } else if (flag.startsWith('-') && flag !== '-') {
+            throw new Error(`Unknown option ${flag}`);
+        } else {
+            options.patterns.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Entry point of the `dppk` command line tool.
+ * @param {string[]} argv - The arguments after the executable (e.g. ['validate', 'a.json']).
+ * @param {object} [io] - Output streams, injectable for tests.
+ * @returns {Promise<number>} The process exit code.
+ */
+export async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const [command, ...rest] = argv;
+
+    if (!command || command === '-h' || command === '--help') {
+        io.stdout.write(`${USAGE}\n`);
+        return command ? EXIT_OK : EXIT_USAGE;
+    }
+    if (command !== 'validate') {
+        io.stderr.write(`Unknown command "${command}".\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    let options;
+    try {
+        options = parseValidateArgs(rest);
+    } catch (e) {
+        io.stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+    if (options.patterns.length === 0) {
+        io.stderr.write(`No input files given.\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const { files, unmatched } = await expandFileArgs(options.patterns);
+    if (unmatched.length > 0) {
+        io.stderr.write(`No files found for: ${unmatched.join(', ')}\n`);
+        return EXIT_USAGE;
+    }
+
+    let results;
+    try {
+        results = await validateFiles(files, { specRoot: options.specRoot, bundle: options.bundle });
+    } catch (e) {
+        io.stderr.write(`Failed to load the Keystone validation resources: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    const report = FORMATTERS[options.format](results);
+    if (options.output) {
+        await fs.writeFile(options.output, `${report}\n`, 'utf-8');
+    } else {
+        io.stdout.write(`${report}\n`);
+    }
+
+    return results.every(r => r.valid) ? EXIT_OK : EXIT_INVALID;
+}
+
+// This allows the script to be executed directly (or through the `dppk` bin link), but also to be imported without executing.
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(err => {
+        console.error('dppk failed:', err);
+        process.exitCode = EXIT_USAGE;
+    });
+}
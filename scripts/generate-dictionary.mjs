@@ -0,0 +1,51 @@
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join, relative } from 'path';
+import { buildDictionary } from '../src/util/js/common/transformation/dpp-schema-logic.js';
+import { createKeystoneDocumentLoader, SPEC_BASE_URL } from '../src/util/js/common/loading/keystone-document-loader.js';
+import { KEYSTONE_VERSIONS } from '../src/lib/keystone-version.js';
+
+/**
+ * Precomputes the transformation dictionary (indicator units and labels) of every published version from
+ * all ontologies of that version, so that the transformation adapters can load it with `loadPrecomputedDictionary`
+ * instead of expanding the ontologies at runtime. Runs on the built spec, after the JSONC clean-up.
+ */
+
+async function getJsonLdFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) return getJsonLdFiles(fullPath);
+        return entry.name.endsWith('.jsonld') ? [fullPath] : [];
+    }));
+    return files.flat().sort();
+}
+
+async function generateVersionDictionary(distDir, version) {
+    const ontologyDir = join(distDir, 'ontology', version);
+    const ontologyFiles = await getJsonLdFiles(ontologyDir);
+
+    const loader = async (filePath) => JSON.parse(await readFile(filePath, 'utf-8'));
+    // The ontologies only reference spec documents, which are served from the build output
+    const documentLoader = createKeystoneDocumentLoader({ version, fsRoot: distDir, allowNetwork: false });
+
+    const dictionary = {};
+    await buildDictionary(ontologyFiles, loader, documentLoader, dictionary, version);
+
+    const outputPath = join(ontologyDir, 'dpp-dictionary.json');
+    // The adapters cache the dictionary under the ontologies listed here, see `loadPrecomputedDictionary`
+    await writeFile(outputPath, JSON.stringify({
+        version,
+        ontologies: ontologyFiles.map(file => `${SPEC_BASE_URL}${relative(distDir, file).split('\\').join('/')}`),
+        dictionary
+    }, null, 2), 'utf-8');
+    console.log(`Precomputed ${Object.keys(dictionary).length} ${version} dictionary entries into ${outputPath}`);
+}
+
+export async function generateDictionary({
+    distDir = join(process.cwd(), 'dist', 'spec'),
+    versions = KEYSTONE_VERSIONS
+} = {}) {
+    for (const version of versions) {
+        await generateVersionDictionary(distDir, version);
+    }
+}
@@ -0,0 +1,58 @@
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join, relative } from 'path';
+import { SPEC_BUNDLE_FORMAT, SPEC_BUNDLE_GLOBAL } from '../src/util/js/common/loading/spec-bundle.js';
+import { KEYSTONE_VERSION } from '../src/lib/keystone-version.js';
+
+/**
+ * Writes the offline spec bundle: every context, ontology and validation artifact of a Keystone
+ * version in a single document, for air-gapped use without an HTTP server. Runs on the built spec,
+ * after the JSONC clean-up and the dictionary precomputation, and writes
+ * - `keystone-spec-bundle-<version>.json` for Node (and any JSON consumer), and
+ * - `keystone-spec-bundle-<version>.js`, a classic script that sets `globalThis.KEYSTONE_SPEC_BUNDLE`,
+ *   so pages opened from `file://` can load it with a `<script>` tag.
+ */
+
+const BUNDLED_AREAS = ['contexts', 'ontology', 'validation'];
+
+async function getJsonFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) return getJsonFiles(fullPath);
+        return /\.json(ld)?$/.test(entry.name) ? [fullPath] : [];
+    }));
+    return files.flat().sort();
+}
+
+export async function generateSpecBundle({
+    distDir = join(process.cwd(), 'dist', 'spec'),
+    version = KEYSTONE_VERSION
+} = {}) {
+    const documents = {};
+    for (const area of BUNDLED_AREAS) {
+        for (const file of await getJsonFiles(join(distDir, area, version))) {
+            const bundlePath = relative(distDir, file).split('\\').join('/');
+            const content = (await readFile(file, 'utf-8')).replace(/\{\{VERSION\}\}/g, version);
+            try {
+                documents[bundlePath] = JSON.parse(content);
+            } catch (e) {
+                throw new Error(`Cannot bundle ${bundlePath}: ${e.message}`);
+            }
+        }
+    }
+
+    const bundle = {
+        format: SPEC_BUNDLE_FORMAT,
+        version,
+        generated: new Date().toISOString(),
+        documents
+    };
+    const json = JSON.stringify(bundle);
+
+    const jsonPath = join(distDir, `keystone-spec-bundle-${version}.json`);
+    const scriptPath = join(distDir, `keystone-spec-bundle-${version}.js`);
+    await writeFile(jsonPath, json, 'utf-8');
+    await writeFile(scriptPath, `/* Keystone ${version} spec bundle. Generated by scripts/generate-spec-bundle.mjs. */\n`
+        + `globalThis.${SPEC_BUNDLE_GLOBAL} = ${json};\n`, 'utf-8');
+    console.log(`Bundled ${Object.keys(documents).length} spec documents into ${jsonPath} and ${scriptPath}`);
+}
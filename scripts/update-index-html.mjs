@@ -280,6 +280,14 @@ export async function updateIndexHtml({
       '<!-- SHACL_SHAPES_LIST_START -->\n' + shaclList + '\n                    <!-- SHACL_SHAPES_LIST_END -->'
     );
 
+    // Generate and inject business rules list
+    const rulesPath = path.join(srcDir, 'validation', KEYSTONE_VERSION, 'rules');
+    const rulesList = await generateFileList(rulesPath, `spec/validation/${KEYSTONE_VERSION}/rules/`, { recursive: false });
+    indexContent = indexContent.replace(
+      /<!-- RULES_LIST_START -->[\s\S]*<!-- RULES_LIST_END -->/,
+      '<!-- RULES_LIST_START -->\n' + rulesList + '\n                    <!-- RULES_LIST_END -->'
+    );
+
     // Generate and inject examples list (non-recursive)
     const examplesPath = path.join(srcDir, 'examples');
     const examplesList = await generateFileList(examplesPath, 'spec/examples/', { recursive: false });
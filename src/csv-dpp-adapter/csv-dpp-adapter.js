@@ -221,7 +221,10 @@ ${p}
                 for (const csvRow of csvData) {
                     const value = csvRow[header];
                     if (!validateValue(value, targetField)) {
-                        const errorMsg = `Invalid Value in column \`${header}\`: The value \`${value}\` is not valid for field \`${targetField.path}\`. Allowed values: ${targetField.enum.join(', ')}.`;
+                        const expected = targetField.enum
+                            ? `Allowed values: ${targetField.enum.join(', ')}.`
+                            : `Expected a quantity in ${targetField.ontology?.unit} or a convertible unit.`;
+                        const errorMsg = `Invalid Value in column \`${header}\`: The value \`${value}\` is not valid for field \`${targetField.path}\`. ${expected}`;
                         validationErrors.push(errorMsg);
                         break; // Just one error per column is enough for the modal
                     }
@@ -347,7 +350,8 @@ ${p}
             if (sampleRow) {
                 const sampleValue = sampleRow[header];
                 if (!validateValue(sampleValue, targetField)) {
-                    typeError = `Invalid Value: Sample value '${sampleValue}' is not allowed for field '${targetField.path}'. Allowed: ${targetField.enum.join(', ')}`;
+                    const expected = targetField.enum ? `Allowed: ${targetField.enum.join(', ')}` : `Expected unit: ${targetField.ontology?.unit}`;
+                    typeError = `Invalid Value: Sample value '${sampleValue}' is not allowed for field '${targetField.path}'. ${expected}`;
                 }
             }
         }
@@ -709,7 +713,7 @@ ${p}
             alert('Please select at least one sector.');
             return;
         }
-        const generatedDocs = generateDPPsFromCsv(csvData, mapping, sectors);
+        const generatedDocs = generateDPPsFromCsv(csvData, mapping, sectors, schemaFieldMap);
         const blob = new Blob([JSON.stringify(generatedDocs, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
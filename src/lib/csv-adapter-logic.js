@@ -1,4 +1,5 @@
 import { setProperty, compactArrays } from './dpp-data-utils.js';
+import { parseQuantity, parseUnit, checkQuantity } from '../util/js/common/units/unit-converter.js';
 
 /**
  * Map of common industry terms to standard DPP schema fields.
@@ -756,6 +757,7 @@ export function analyzeColumnData(rows, header) {
     isAllInteger = true;
     isAllNumber = true;
     isAllBoolean = true;
+    let isAllQuantity = true;
     isAllDate = true;
     isAllEmail = true;
     isAllUri = true;
@@ -785,6 +787,10 @@ export function analyzeColumnData(rows, header) {
             if (!Number.isInteger(numVal)) isAllInteger = false;
         }
 
+        // Check Quantity (a number followed by a known unit, e.g. '500 g')
+        const quantity = parseQuantity(strVal);
+        if (!quantity || (quantity.unit && !parseUnit(quantity.unit))) isAllQuantity = false;
+
         // Check Formats (only if not simple number/bool ideally, but let's check string form)
         if (!dateRegex.test(strVal)) isAllDate = false;
         if (!emailRegex.test(strVal)) isAllEmail = false;
@@ -793,11 +799,12 @@ export function analyzeColumnData(rows, header) {
     }
 
     // Hierarchy: 
-    // Boolean > Integer > Number > Date > Email > URI > URI-Ref > String
+    // Boolean > Integer > Number > Quantity > Date > Email > URI > URI-Ref > String
 
     if (isAllBoolean) return { type: 'boolean' };
     if (isAllInteger) return { type: 'integer' };
     if (isAllNumber) return { type: 'number' };
+    if (isAllQuantity) return { type: 'number', format: 'quantity' };
     
     if (isAllDate) return { type: 'string', format: 'date-time' };
     if (isAllEmail) return { type: 'string', format: 'email' };
@@ -828,6 +835,12 @@ export function validateValue(value, schemaField) {
         return schemaField.enum.includes(String(value));
     }
 
+    // Quantities with a unit (e.g. '500 g') must convert to the declared unit of the term
+    const declaredUnit = schemaField.ontology?.unit;
+    if (declaredUnit && typeof value === 'string') {
+        if (parseQuantity(value)?.unit) return checkQuantity(value, declaredUnit).valid;
+    }
+
     // Other value-based validations can be added here in the future.
 
     return true;
@@ -888,7 +901,16 @@ function levenshteinDistance(a, b) {
     return matrix[b.length][a.length];
 }
 
-export function generateDPPsFromCsv(csvData, mapping, sector) {
+/**
+ * Generates one DPP per CSV row.
+ * @param {Array<Object>} csvData - The CSV rows.
+ * @param {Object} mapping - CSV header -> DPP field path.
+ * @param {string|string[]} sector - The sector(s), selecting the contexts.
+ * @param {Map<string, Object>} [schemaFieldMap] - The (ontology enriched) schema fields by path. With it, quantities
+ * with a unit (e.g. '500 g') are converted to the declared unit of their field (e.g. 0.5 for kg).
+ * @returns {Array<Object>} The DPPs.
+ */
+export function generateDPPsFromCsv(csvData, mapping, sector, schemaFieldMap = null) {
     if (!csvData || !mapping || !sector) return [];
 
     return csvData.map(row => {
@@ -909,6 +931,11 @@ export function generateDPPsFromCsv(csvData, mapping, sector) {
             if (value === undefined) continue;
             if (value === 'true') value = true;
             if (value === 'false') value = false;
+            const declaredUnit = schemaFieldMap?.get(targetField.replace(/[\[\]\d+]/g, ''))?.ontology?.unit;
+            if (declaredUnit && typeof value === 'string' && parseQuantity(value)?.unit) {
+                const quantity = checkQuantity(value, declaredUnit);
+                if (quantity.valid) value = quantity.value;
+            }
             if (typeof value === 'string' && value.trim() !== '') {
                 const num = Number(value);
                 if (!isNaN(num) && isFinite(num)) {
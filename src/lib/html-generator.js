@@ -1,5 +1,8 @@
 import { renderProductPage, detectTableStructure } from '../util/js/common/rendering/dpp-html-renderer.js';
+import { createKeystoneDocumentLoader } from '../util/js/common/loading/keystone-document-loader.js';
+import { createBundleFetch } from '../util/js/common/loading/spec-bundle.js';
 import { KEYSTONE_VERSION } from './keystone-version.js';
+import { SECTOR_MAP } from './sector-map.js';
 
 // Re-export for testing compatibility
 export { detectTableStructure };
@@ -9,7 +12,8 @@ export { detectTableStructure };
  * Orchestrates CSS fetching, JSON-LD generation, and HTML rendering.
  * 
  * @param {Object} dppJson - The Digital Product Passport data.
- * @param {string|Object} [optionsOrCssUrl] - Optional URL for a custom stylesheet OR an options object { customCssUrl, includeSchema }.
+ * @param {string|Object} [optionsOrCssUrl] - Optional URL for a custom stylesheet OR an options object { customCssUrl, includeSchema, bundle }.
+ * With `bundle` (the offline spec bundle) the ontologies and contexts are read from the bundle instead of `../spec/`.
  * @returns {Promise<string>} The complete HTML string.
  */
 export async function generateHTML(dppJson, optionsOrCssUrl) {
@@ -21,7 +25,7 @@ export async function generateHTML(dppJson, optionsOrCssUrl) {
     ? { customCssUrl: optionsOrCssUrl }
     : (optionsOrCssUrl || {});
 
-  const { customCssUrl, includeSchema = true } = options;
+  const { customCssUrl, includeSchema = true, bundle } = options;
 
   // 1. Fetch CSS
   let cssContent = '';
@@ -45,45 +49,37 @@ export async function generateHTML(dppJson, optionsOrCssUrl) {
 
       // Determine correct ontology path
       let ontologyPath = `../ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`;
-      try {
-        const specCheck = await fetch(`../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`, { method: 'HEAD' });
-        if (specCheck.ok) {
-          ontologyPath = `../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`;
-        }
-      } catch (ignore) { }
+      if (bundle) {
+        ontologyPath = `ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`;
+      } else {
+        try {
+          const specCheck = await fetch(`../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`, { method: 'HEAD' });
+          if (specCheck.ok) {
+            ontologyPath = `../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`;
+          }
+        } catch (ignore) { }
+      }
 
       const ontologyPaths = [ontologyPath];
 
-      // Custom Document Loader
-      const localDocumentLoader = async (url) => {
-        if (url.startsWith('https://dpp-keystone.org/spec/')) {
-          let relativePath = url.replace('https://dpp-keystone.org/spec/', '../');
-          const isDist = ontologyPath.includes('/spec/');
-          if (isDist) {
-            relativePath = url.replace('https://dpp-keystone.org/spec/', '../spec/');
-          } else {
-            relativePath = url.replace('https://dpp-keystone.org/spec/', '../');
-          }
-          try {
-            const response = await fetch(relativePath);
-            if (!response.ok) throw new Error('404');
-            const document = await response.json();
-            return { contextUrl: null, documentUrl: url, document: document };
-          } catch (e) {
-            console.warn(`Failed to fetch local context for ${url}, falling back to network.`);
-          }
-        }
-        const response = await fetch(url, { headers: { 'Accept': 'application/ld+json, application/json' } });
-        const document = await response.json();
-        return { contextUrl: null, documentUrl: url, document: document };
-      };
+      // Spec documents are served from the bundle, or from the same root as the ontology
+      const specRoot = bundle ? '' : (ontologyPath.startsWith('../spec/') ? '../spec/' : '../');
+      const sectorSchemaPaths = Object.values(SECTOR_MAP).map(file => `${specRoot}validation/${KEYSTONE_VERSION}/json-schema/${file}`);
+      const documentLoader = createKeystoneDocumentLoader({
+        version: KEYSTONE_VERSION,
+        bundle,
+        baseUrl: specRoot || '../'
+      });
 
       console.log("DPP HTML Generator Debug: Calling transformDpp with:", dppJson);
       const transformed = await transformDpp(dppJson, {
         profile: 'schema.org',
         ontologyPaths: ontologyPaths,
-        documentLoader: localDocumentLoader,
-        version: KEYSTONE_VERSION
+        sectorSchemaPaths,
+        documentLoader,
+        bundle,
+        version: KEYSTONE_VERSION,
+        language: options.language
       });
       console.log("DPP HTML Generator Debug: Result from transformDpp:", transformed);
 
@@ -108,7 +104,7 @@ export async function generateHTML(dppJson, optionsOrCssUrl) {
         sector = match[1];
       }
     }
-    ontologyMap = await loadOntology(sector);
+    ontologyMap = await loadOntology(sector, bundle ? { fetch: createBundleFetch(bundle) } : {});
   } catch (e) {
     console.warn("Could not load ontology for HTML rendering", e);
   }
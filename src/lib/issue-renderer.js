@@ -0,0 +1,55 @@
+// src/lib/issue-renderer.js
+import { LanguageManager } from './language-manager.js';
+
+/**
+ * Renders an issue of a validation report (see `createValidationReport`) as a list item: its severity, the JSON
+ * pointer it is about, the message, and the rule ID and hint when it has them. The Validator and the Wizard list
+ * their issues with it.
+ * @param {object} issue - The issue.
+ * @param {object} [options]
+ * @param {Function} [options.reveal] - Shows the place the issue is about. When given, the pointer is a button calling it.
+ * @param {{line: number, column: number}} [options.location] - The position of the issue in the source, shown after the pointer.
+ * @returns {HTMLLIElement} The list item.
+ */
+export function renderIssue(issue, { reveal = null, location = null } = {}) {
+    const li = document.createElement('li');
+    li.className = `issue issue-${issue.severity}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'issue-severity';
+    badge.textContent = LanguageManager.t(`severity-${issue.severity}`, issue.severity);
+    li.appendChild(badge);
+
+    const pointer = document.createElement(reveal ? 'button' : 'strong');
+    pointer.textContent = issue.pointer || 'root';
+    if (issue.term) pointer.title = issue.term;
+    if (reveal) {
+        pointer.type = 'button';
+        pointer.className = 'issue-pointer';
+        pointer.addEventListener('click', () => reveal(issue));
+    }
+    li.appendChild(pointer);
+    if (location) {
+        const position = document.createElement('span');
+        position.className = 'issue-location';
+        position.textContent = LanguageManager.t('issue-location', 'line {line}, column {column}')
+            .replace('{line}', location.line).replace('{column}', location.column);
+        li.appendChild(position);
+    }
+    li.appendChild(document.createTextNode(`: ${issue.message}`));
+
+    if (issue.ruleId) {
+        const rule = document.createElement('code');
+        rule.className = 'issue-rule';
+        rule.textContent = issue.ruleId;
+        li.appendChild(rule);
+    }
+
+    if (issue.hint) {
+        const hint = document.createElement('div');
+        hint.className = 'issue-hint';
+        hint.textContent = issue.hint.message;
+        li.appendChild(hint);
+    }
+    return li;
+}
@@ -1 +1,70 @@
+/**
+ * The latest Keystone version. Tools use it when a passport does not declare a version.
+ */
 export const KEYSTONE_VERSION = 'v2';
+
+/**
+ * Every published Keystone version, oldest first. The contexts, ontologies and validation artifacts of each
+ * one live under `spec/{contexts,ontology,validation}/<version>/`. Versions (and their directories) stay
+ * here after newer releases, so that archived passports remain verifiable.
+ */
+export const KEYSTONE_VERSIONS = ['v2'];
+
+// e.g. https://dpp-keystone.org/spec/contexts/v2/dpp-battery.context.jsonld or ../spec/contexts/v2/...
+const CONTEXT_VERSION_PATTERN = /\/spec\/contexts\/(v\d+)\//;
+// e.g. 'v2' or 'v2.0'; values like '0.1' or 'ENXXX:v1.0' name other schema versions
+const SCHEMA_VERSION_PATTERN = /^v(\d+)(?:\.\d+)*$/i;
+
+/**
+ * Lists the Keystone versions a passport declares, through its `dppSchemaVersion` and its `@context` URLs.
+ * `{{VERSION}}` placeholders declare no version.
+ * @param {object} dppData - The DPP document.
+ * @returns {Array<{version: string, source: string}>} The declared versions, with the property declaring them
+ * (`'dppSchemaVersion'` or `'@context'`), without duplicates.
+ */
+export function detectKeystoneVersions(dppData) {
+    const declarations = [];
+    if (!dppData || typeof dppData !== 'object') return declarations;
+    const declare = (version, source) => {
+        if (!declarations.some(d => d.version === version && d.source === source)) declarations.push({ version, source });
+    };
+
+    const schemaVersion = typeof dppData.dppSchemaVersion === 'string' ? dppData.dppSchemaVersion.trim().match(SCHEMA_VERSION_PATTERN) : null;
+    if (schemaVersion) declare(`v${Number(schemaVersion[1])}`, 'dppSchemaVersion');
+
+    const contexts = [dppData['@context']].flat().filter(context => typeof context === 'string');
+    for (const context of contexts) {
+        const match = context.match(CONTEXT_VERSION_PATTERN);
+        if (match) declare(match[1], '@context');
+    }
+    return declarations;
+}
+
+/**
+ * Chooses the Keystone version a passport is validated against.
+ * @param {object} dppData - The DPP document.
+ * @param {object} [options]
+ * @param {string[]} [options.available=KEYSTONE_VERSIONS] - The versions whose artifacts can be loaded.
+ * @param {string} [options.fallback=KEYSTONE_VERSION] - The version of passports declaring none.
+ * @returns {{version: string, source: string}} The version and what declared it (`'default'` for the fallback).
+ * @throws {Error} With code 'EVERSIONCONFLICT' if the passport declares several versions, or 'EVERSIONUNAVAILABLE' if
+ * it declares one that is not available. The error carries the `declarations` and the `available` versions.
+ */
+export function resolveKeystoneVersion(dppData, { available = KEYSTONE_VERSIONS, fallback = KEYSTONE_VERSION } = {}) {
+    const declarations = detectKeystoneVersions(dppData);
+    if (declarations.length === 0) return { version: fallback, source: 'default' };
+
+    const versionError = (message, code) => Object.assign(new Error(message), { code, declarations, available });
+    if (new Set(declarations.map(d => d.version)).size > 1) {
+        const list = declarations.map(d => `${d.version} (${d.source})`).join(', ');
+        throw versionError(`The passport declares conflicting Keystone versions: ${list}.`, 'EVERSIONCONFLICT');
+    }
+    const [{ version, source }] = declarations;
+    if (!available.includes(version)) {
+        throw versionError(
+            `The passport declares Keystone version ${version} (${source}), which is not available. Available versions: ${available.join(', ')}.`,
+            'EVERSIONUNAVAILABLE'
+        );
+    }
+    return { version, source };
+}
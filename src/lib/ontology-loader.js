@@ -75,9 +75,10 @@ export function rewriteUrl(url) {
  * @param {Map<string, {label: Object<string, string>, comment: Object<string, string>, unit: string, governedBy: string}>} ontologyMap - The map to populate.
  * @param {Set<string>} loadedUrls - A set to track already loaded URLs to prevent infinite loops.
  * @param {boolean} isInitialCall - Flag to indicate if this is the first call in the recursion.
+ * @param {Function} [fetchImpl] - A fetch-compatible function used to retrieve the ontology documents.
  * @returns {Promise<void>}
  */
-async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall = false) {
+async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall = false, fetchImpl = (...args) => fetch(...args)) {
     // Resolve URL rewriting for imports
     const fetchUrl = rewriteUrl(url);
 
@@ -87,7 +88,7 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
     loadedUrls.add(fetchUrl);
 
     try {
-        const response = await fetch(fetchUrl);
+        const response = await fetchImpl(fetchUrl);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status} for URL: ${fetchUrl}`);
         }
@@ -96,7 +97,7 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
 
         // Extract module info from URL
         let definedIn = null;
-        const urlMatch = fetchUrl.match(new RegExp(`ontology/${KEYSTONE_VERSION}/(.+?)/(.+?)\\.jsonld`));
+        const urlMatch = fetchUrl.match(/ontology\/v\d+\/(.+?)\/(.+?)\.jsonld/);
         if (urlMatch) {
             definedIn = { type: urlMatch[1], name: urlMatch[2] };
         }
@@ -139,6 +140,12 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
                     range = range.split(':')[1];
                 }
 
+                let visibility = term['dppk:visibility'];
+                visibility = visibility && visibility['@id'] ? visibility['@id'] : getSingleRdfsValue(visibility);
+                if (visibility && visibility.includes(':')) {
+                    visibility = visibility.split(':')[1];
+                }
+
                 let oneOf = null;
                 if (term['owl:oneOf']) {
                     const oneOfRaw = Array.isArray(term['owl:oneOf']) ? term['owl:oneOf'] : [term['owl:oneOf']];
@@ -153,8 +160,9 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
                 const hasSource = (typeof source === 'string' && source.length > 0) || (typeof source === 'object' && source !== null);
                 const hasDomain = domain && domain.length > 0;
                 const hasOneOf = oneOf && oneOf.length > 0;
+                const hasVisibility = visibility && visibility.length > 0;
 
-                const termHasAnyMetadata = hasLabel || hasComment || hasUnit || hasGov || hasRange || hasSource || hasDomain || hasOneOf;
+                const termHasAnyMetadata = hasLabel || hasComment || hasUnit || hasGov || hasRange || hasSource || hasDomain || hasOneOf || hasVisibility;
 
                 if (termHasAnyMetadata) {
                     ontologyMap.set(key, {
@@ -169,6 +177,7 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
                         definedIn: definedIn ?? existing.definedIn,
                         type: rdfType || existing.type,
                         'enum': hasOneOf ? oneOf : (existing.enum || null),
+                        visibility: hasVisibility ? visibility : (existing.visibility || null),
                     });
                 }
             }
@@ -183,7 +192,7 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
                     const DUMMY_BASE = 'http://localhost';
                     const baseUrl = new URL(url, DUMMY_BASE).href;
                     const absoluteUrl = new URL(importUrl, baseUrl).href;
-                    await loadAndParseOntology(absoluteUrl, ontologyMap, loadedUrls, false);
+                    await loadAndParseOntology(absoluteUrl, ontologyMap, loadedUrls, false, fetchImpl);
                 }
             }
         }
@@ -201,9 +210,14 @@ async function loadAndParseOntology(url, ontologyMap, loadedUrls, isInitialCall
 /**
  * Fetches and parses a JSON-LD ontology file and its imports to extract metadata.
  * @param {string} sector - The sector whose ontology needs to be loaded (e.g., 'construction').
+ * @param {object} [options] - Optional loading configuration.
+ * @param {Function} [options.fetch] - A fetch-compatible function used instead of the global `fetch`
+ * (e.g., a file system backed implementation when running in Node).
+ * @param {string} [options.version=KEYSTONE_VERSION] - The Keystone version whose ontology is loaded.
  * @returns {Promise<Map<string, {label: string, comment: string}>|null>} A map of term metadata, or null on failure.
  */
-export async function loadOntology(sector) {
+export async function loadOntology(sector, options = {}) {
+    const version = options.version || KEYSTONE_VERSION;
     if (!sector) {
         console.error("loadOntology called with no sector.");
         return null;
@@ -214,18 +228,18 @@ export async function loadOntology(sector) {
     let initialUrl;
 
     if (sector === 'dpp') {
-        initialUrl = `../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`;
+        initialUrl = `../spec/ontology/${version}/dpp-ontology.jsonld`;
     } else if (sector === 'general-product') {
-        initialUrl = `../spec/ontology/${KEYSTONE_VERSION}/core/Product.jsonld`;
+        initialUrl = `../spec/ontology/${version}/core/Product.jsonld`;
     } else if (sector === 'packaging') {
-        initialUrl = `../spec/ontology/${KEYSTONE_VERSION}/core/Compliance.jsonld`;
+        initialUrl = `../spec/ontology/${version}/core/Compliance.jsonld`;
     } else {
         const sectorPascalCase = sector.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
-        initialUrl = `../spec/ontology/${KEYSTONE_VERSION}/sectors/${sectorPascalCase}.jsonld`;
+        initialUrl = `../spec/ontology/${version}/sectors/${sectorPascalCase}.jsonld`;
     }
 
     try {
-        await loadAndParseOntology(initialUrl, ontologyMap, loadedUrls, true);
+        await loadAndParseOntology(initialUrl, ontologyMap, loadedUrls, true, options.fetch);
         return ontologyMap;
     } catch (error) {
         console.error(`Failed to execute ontology loading for sector: ${sector}`, error);
@@ -236,23 +250,26 @@ export async function loadOntology(sector) {
 /**
  * Fetches and parses JSON-LD contexts to build a property-to-ontology-ID mapping.
  * @param {string} sector - The sector whose context needs to be loaded.
+ * @param {object} [options] - Optional loading configuration.
+ * @param {string} [options.version=KEYSTONE_VERSION] - The Keystone version whose contexts are loaded.
  * @returns {Promise<Map<string, string>>} A map of schema property paths to ontology IDs.
  */
-export async function loadContext(sector) {
+export async function loadContext(sector, options = {}) {
     if (!sector) return new Map();
+    const version = options.version || KEYSTONE_VERSION;
 
     const contextMap = new Map();
     const loadedUrls = new Set();
     
     let initialUrl;
     if (sector === 'dpp') {
-        initialUrl = `../spec/contexts/${KEYSTONE_VERSION}/dpp-core.context.jsonld`;
+        initialUrl = `../spec/contexts/${version}/dpp-core.context.jsonld`;
     } else if (sector === 'general-product') {
-        initialUrl = `../spec/contexts/${KEYSTONE_VERSION}/dpp-general-product.context.jsonld`;
+        initialUrl = `../spec/contexts/${version}/dpp-general-product.context.jsonld`;
     } else if (sector === 'packaging') {
-        initialUrl = `../spec/contexts/${KEYSTONE_VERSION}/dpp-packaging.context.jsonld`;
+        initialUrl = `../spec/contexts/${version}/dpp-packaging.context.jsonld`;
     } else {
-        initialUrl = `../spec/contexts/${KEYSTONE_VERSION}/dpp-${sector}.context.jsonld`;
+        initialUrl = `../spec/contexts/${version}/dpp-${sector}.context.jsonld`;
     }
 
     async function processContext(url) {
@@ -267,7 +284,7 @@ export async function loadContext(sector) {
             }
             
             // Handle {{VERSION}} replacement
-            fetchUrl = fetchUrl.replace('{{VERSION}}', KEYSTONE_VERSION);
+            fetchUrl = fetchUrl.replace('{{VERSION}}', version);
 
             const response = await fetch(fetchUrl);
             if (!response.ok) return;
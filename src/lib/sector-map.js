@@ -0,0 +1,15 @@
+/**
+ * Which sector schema belongs to which content specification. Kept free of dependencies so that pages can
+ * use it without loading the validation pipeline.
+ */
+
+// Configuration: Map Spec IDs to Schema filenames
+// Paths are relative to the versioned json-schema directory (e.g. spec/validation/v2/json-schema/).
+// NOTE: This must match the IDs used in the "contentSpecificationIds" of the DPP JSON.
+export const SECTOR_MAP = {
+    'draft_battery_specification_id': 'sector/battery.schema.json',
+    'draft_construction_specification_id': 'sector/construction.schema.json',
+    'draft_electronics_specification_id': 'sector/electronics.schema.json',
+    'draft_iron_and_steel_specification_id': 'sector/iron-steel.schema.json',
+    'draft_textile_espr_specification_id': 'sector/textile.schema.json'
+};
@@ -0,0 +1,191 @@
+import { validateDpp } from '../util/js/common/validation/schema-validator.js';
+import { validateAgainstOntology } from '../util/js/common/validation/ontology-validator.js';
+import { validateContextAwarePayload } from '../util/js/common/validation/context-semantic-validator.js';
+import { validateShacl, selectShapeFiles } from '../util/js/common/validation/shacl-validator.js';
+import { evaluateRules } from '../util/js/common/validation/rule-engine.js';
+import { normalizeQuantities } from '../util/js/common/units/unit-converter.js';
+import { KEYSTONE_VERSION } from './keystone-version.js';
+import { SECTOR_MAP } from './sector-map.js';
+
+/**
+ * Shared validation pipeline used by the Validator page and the `dppk` command line tool.
+ * It knows which schema files belong to which content specification and runs every
+ * validation layer (JSON Schema, ontology, JSON-LD context, SHACL, business rules) over a single DPP document.
+ * Loading of the underlying resources is injected so that the same logic runs in the
+ * browser (fetch) and in Node (file system).
+ */
+
+export { SECTOR_MAP };
+
+// Common schemas that should always be loaded for $ref resolution
+export const COMMON_SCHEMAS = [
+    'shared/dopc.schema.json',
+    'shared/epd.schema.json',
+    'shared/organization.schema.json',
+    'shared/packaging.schema.json',
+    'shared/postal-address.schema.json',
+    'shared/product-characteristic.schema.json',
+    'shared/related-resource.schema.json',
+    'shared/general-product.schema.json',
+    'shared/component.schema.json',
+    'shared/mtc.schema.json',
+    'shared/certification.schema.json'
+];
+
+export const BASE_SCHEMA_FILE = 'dpp.schema.json';
+
+// Ontology files merged into the SHACL data graph (class definitions referenced by the shapes).
+// Paths are relative to the versioned ontology directory (e.g. spec/ontology/v2/).
+export const SHACL_DATA_ONTOLOGIES = [
+    'core/Header.jsonld'
+];
+
+// Business rule files, relative to the versioned rules directory (e.g. spec/validation/v2/rules/).
+// The 'dpp' rules apply to every DPP, the others to the DPPs declaring the sector.
+export const RULE_FILES = {
+    'dpp': 'dpp.rules.json',
+    'battery': 'battery.rules.json',
+    'textile': 'textile.rules.json',
+    'iron-steel': 'iron-steel.rules.json'
+};
+
+/**
+ * Returns the sector names (e.g. 'battery', 'iron-steel') declared by a DPP's contentSpecificationIds.
+ * @param {object} dppData - The DPP document.
+ * @returns {string[]} The sector names, in declaration order and without duplicates.
+ */
+export function getSectorNames(dppData) {
+    const sectors = [];
+    if (!dppData || !Array.isArray(dppData.contentSpecificationIds)) return sectors;
+
+    for (const id of dppData.contentSpecificationIds) {
+        const schemaFile = SECTOR_MAP[id];
+        if (schemaFile) {
+            const sectorName = schemaFile.replace('sector/', '').replace('.schema.json', '');
+            if (!sectors.includes(sectorName)) sectors.push(sectorName);
+        }
+    }
+    return sectors;
+}
+
+/**
+ * Loads the base, common and sector schemas into the structure expected by `validateDpp`.
+ * @param {Function} fetchJson - An async function taking a path relative to the json-schema directory and returning the parsed schema.
+ * @returns {Promise<{baseSchema: object, sectorSchemas: object, commonSchemas: object[]}>} The schema context.
+ */
+export async function loadSchemaContext(fetchJson) {
+    const schemaContext = {
+        baseSchema: null,
+        sectorSchemas: {},
+        commonSchemas: []
+    };
+
+    schemaContext.baseSchema = await fetchJson(BASE_SCHEMA_FILE);
+    schemaContext.commonSchemas = await Promise.all(COMMON_SCHEMAS.map(filename => fetchJson(filename)));
+
+    // We load all known mapped sectors so they are ready; AJV only applies the matching `if/then` branches.
+    await Promise.all(Object.entries(SECTOR_MAP).map(async ([id, filename]) => {
+        schemaContext.sectorSchemas[id] = await fetchJson(filename);
+    }));
+
+    return schemaContext;
+}
+
+/**
+ * Compiles the aggregated ontology map (core + declared sectors) used by the ontology layer.
+ * @param {object} dppData - The DPP document.
+ * @param {Function} ontologyLoader - An async function taking a sector name (or 'dpp') and returning a Map, or null.
+ * @returns {Promise<Map<string, object>>} The aggregated ontology map.
+ */
+export async function buildOntologyMap(dppData, ontologyLoader) {
+    const aggregatedMap = new Map();
+    const dppOntology = await ontologyLoader('dpp');
+    if (dppOntology) dppOntology.forEach((v, k) => aggregatedMap.set(k, v));
+
+    for (const sectorName of getSectorNames(dppData)) {
+        const sectorOntology = await ontologyLoader(sectorName);
+        if (sectorOntology) sectorOntology.forEach((v, k) => aggregatedMap.set(k, v));
+    }
+    return aggregatedMap;
+}
+
+/**
+ * Loads the SHACL shapes matching a DPP's contentSpecificationIds and validates the DPP against them.
+ * @param {object} dppData - The DPP document (with an `@context`).
+ * @param {Function} specLoader - An async function taking a path relative to the spec root and returning the parsed JSON-LD document.
+ * @param {Function} [documentLoader] - The JSON-LD document loader used to resolve the contexts.
+ * @param {string} [version=KEYSTONE_VERSION] - The Keystone version whose shapes are loaded.
+ * @returns {Promise<{valid: boolean, errors: Array}>} The SHACL layer result.
+ */
+export async function runShaclValidation(dppData, specLoader, documentLoader = null, version = KEYSTONE_VERSION) {
+    const shapes = await Promise.all(selectShapeFiles(dppData).map(
+        filename => specLoader(`validation/${version}/shacl/${filename}`)
+    ));
+    const ontologies = await Promise.all(SHACL_DATA_ONTOLOGIES.map(path => specLoader(`ontology/${version}/${path}`)));
+    return validateShacl(dppData, { shapes, ontologies, documentLoader });
+}
+
+/**
+ * Loads the business rules of a DPP (the general 'dpp' rules and those of its declared sectors) and evaluates them.
+ * @param {object} dppData - The DPP document.
+ * @param {Function} specLoader - See `runShaclValidation`.
+ * @param {object} [options] - See `evaluateRules`.
+ * @param {string} [options.version=KEYSTONE_VERSION] - The Keystone version whose rules are loaded.
+ * @returns {Promise<{valid: boolean, errors: Array}>} The rules layer result.
+ */
+export async function runRulesValidation(dppData, specLoader, { version = KEYSTONE_VERSION, ...options } = {}) {
+    const files = ['dpp', ...getSectorNames(dppData)].map(name => RULE_FILES[name]).filter(Boolean);
+    const ruleSets = await Promise.all(files.map(
+        filename => specLoader(`validation/${version}/rules/${filename}`)
+    ));
+    return evaluateRules(dppData, ruleSets, options);
+}
+
+/**
+ * Runs every validation layer over a DPP document.
+ * The ontology layer works on the short property names, so it also covers payloads without an `@context`
+ * (e.g. wizard drafts); payloads with an `@context` are additionally checked through their JSON-LD expansion
+ * and, when a `specLoader` is given, against the SHACL shapes. The business rules also need the `specLoader`; rule
+ * violations of severity 'warning' or 'info' do not make the result invalid.
+ * Quantities given as `{value, unit}` / `{value, unitCode}` for terms with a declared unit are checked by the ontology
+ * layer; the other layers see them converted to plain numbers in the declared unit (see `normalizeQuantities`).
+ * The schemas, ontologies and document loader must be those of the passport's Keystone version (see `resolveKeystoneVersion`).
+ * @param {object} dppData - The parsed DPP document.
+ * @param {object} options - The pipeline dependencies.
+ * @param {object} options.schemaContext - The schemas, as returned by `loadSchemaContext`.
+ * @param {Function} options.ontologyLoader - See `buildOntologyMap`.
+ * @param {Function} [options.documentLoader] - The JSON-LD document loader used for the context and SHACL layers.
+ * @param {Function} [options.specLoader] - See `runShaclValidation`. The SHACL and rules layers are skipped without it.
+ * @param {string} [options.version=KEYSTONE_VERSION] - The Keystone version whose shapes and rules the `specLoader` loads.
+ * @returns {Promise<{valid: boolean, errors: Array, layers: object, ontologyMap: Map}>} The combined result, with the per-layer
+ * results under `layers` and the ontology map the DPP was checked against (see `createValidationReport`).
+ */
+export async function runValidationPipeline(dppData, { schemaContext, ontologyLoader, documentLoader = null, specLoader = null, version = KEYSTONE_VERSION }) {
+    const layers = {};
+
+    const ontologyMap = await buildOntologyMap(dppData, ontologyLoader);
+    const normalized = normalizeQuantities(dppData, ontologyMap);
+
+    const schemaResult = validateDpp(normalized, schemaContext);
+    layers.schema = { valid: schemaResult.valid, errors: schemaResult.errors || [] };
+
+    layers.ontology = validateAgainstOntology(dppData, ontologyMap);
+
+    if (normalized && normalized['@context']) {
+        layers.context = await validateContextAwarePayload(normalized, documentLoader);
+        if (specLoader) {
+            layers.shacl = await runShaclValidation(normalized, specLoader, documentLoader, version);
+        }
+    }
+    if (specLoader && normalized && typeof normalized === 'object') {
+        layers.rules = await runRulesValidation(normalized, specLoader, { version });
+    }
+
+    const errors = Object.values(layers).flatMap(layer => layer.errors);
+    return {
+        valid: Object.values(layers).every(layer => layer.valid),
+        errors,
+        layers,
+        ontologyMap
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Keystone Document Loader
+ * A JSON-LD document loader that serves `https://dpp-keystone.org/spec/...` documents (contexts,
+ * ontologies, shapes and schemas) from a local copy of the spec, so that expansion, transformation
+ * and validation behave the same in Node, the browser and tests, with or without network access.
+ */
+
+import { readBundleDocument } from './spec-bundle.js';
+
+/**
+ * The URL prefix of every published spec document.
+ */
+export const SPEC_BASE_URL = 'https://dpp-keystone.org/spec/';
+
+const VERSION_PLACEHOLDER = /\{\{VERSION\}\}|%7B%7BVERSION%7D%7D/gi;
+
+function withTrailingSlash(base) {
+    return base.endsWith('/') ? base : `${base}/`;
+}
+
+/**
+ * Resolves a spec URL to the path of the document relative to the spec root.
+ * @param {string} url - The requested URL.
+ * @param {string} [version] - Substituted for `{{VERSION}}` placeholders (also when URL encoded).
+ * @returns {string|null} The relative path (e.g. 'contexts/v2/dpp-core.context.jsonld'), or null for URLs outside the spec.
+ */
+export function resolveSpecPath(url, version) {
+    const resolvedUrl = version ? url.replace(VERSION_PLACEHOLDER, version) : url;
+    if (!resolvedUrl.startsWith(SPEC_BASE_URL)) return null;
+    // Fragments and queries never select a different file
+    return resolvedUrl.slice(SPEC_BASE_URL.length).split(/[?#]/)[0];
+}
+
+/**
+ * Creates a JSON-LD document loader for the Keystone spec.
+ * Spec URLs are read from a spec `bundle`, from `fsRoot` (Node) or fetched relative to `baseUrl` (browser); other URLs, and
+ * spec documents missing locally, are fetched from the network unless `allowNetwork` is false.
+ * `{{VERSION}}` placeholders are substituted in the URLs and in the loaded documents, so both the
+ * built `dist/spec` and the `src` tree can serve as the spec root.
+ * Documents are cached per URL and every call returns a fresh copy, as jsonld may modify them.
+ * @param {object} [options]
+ * @param {string} [options.version] - The Keystone version substituted for `{{VERSION}}` placeholders (e.g. 'v2').
+ * Defaults to the version of the `bundle`.
+ * @param {object} [options.bundle] - The offline spec bundle (see `spec-bundle.js`). Takes precedence over `fsRoot` and `baseUrl`.
+ * @param {string} [options.baseUrl] - The URL of the local spec root (e.g. '../spec/').
+ * @param {string} [options.fsRoot] - The directory of the local spec root. Takes precedence over `baseUrl`.
+ * @param {boolean} [options.allowNetwork=true] - Whether documents may be loaded from the network.
+ * @param {boolean|Map} [options.cache=true] - False disables caching; a Map is used as (and may be shared as) the cache.
+ * @param {Function} [options.parse=JSON.parse] - Parses the text of local documents, e.g. a JSONC parser for `src`.
+ * @param {Function} [options.fetch] - The fetch implementation. Defaults to the global fetch.
+ * @returns {Function} The document loader `(url) => Promise<{contextUrl, documentUrl, document}>`. Its
+ * `readSpecDocument(relativePath)` method reads a document from the local spec root only.
+ */
+export function createKeystoneDocumentLoader({
+    bundle,
+    version = bundle?.version,
+    baseUrl,
+    fsRoot,
+    allowNetwork = true,
+    cache = true,
+    parse = JSON.parse,
+    fetch: fetchImpl = (...args) => globalThis.fetch(...args)
+} = {}) {
+    const documents = cache instanceof Map ? cache : (cache ? new Map() : null);
+    const substitute = (text) => (version ? text.replace(VERSION_PLACEHOLDER, version) : text);
+
+    const readLocalText = async (relativePath) => {
+        if (fsRoot) {
+            // Only reached in Node, where the spec is read from disk
+            const [{ readFile }, { join }] = await Promise.all([import('fs/promises'), import('path')]);
+            return readFile(join(fsRoot, ...relativePath.split('/')), 'utf-8');
+        }
+        if (baseUrl) {
+            const response = await fetchImpl(withTrailingSlash(baseUrl) + relativePath);
+            if (!response.ok) throw new Error(`HTTP error: ${response.status} for ${relativePath}`);
+            return response.text();
+        }
+        throw new Error(`No local spec root is configured for ${relativePath}.`);
+    };
+
+    const readLocalDocument = async (relativePath) => {
+        // Bundled documents already have their comments stripped and placeholders substituted
+        if (bundle) return readBundleDocument(bundle, relativePath);
+        return parse(substitute(await readLocalText(relativePath)));
+    };
+
+    const loadRemote = async (url) => {
+        if (!allowNetwork) {
+            throw new Error(`Cannot load ${url}: network access is disabled and the document is not available locally.`);
+        }
+        const response = await fetchImpl(url, { headers: { 'Accept': 'application/ld+json, application/json' } });
+        if (!response.ok) throw new Error(`HTTP error: ${response.status} for ${url}`);
+        return response.json();
+    };
+
+    const load = async (url) => {
+        const relativePath = resolveSpecPath(url, version);
+        if (relativePath === null) return loadRemote(url);
+        if (!bundle && !fsRoot && !baseUrl) return loadRemote(substitute(url));
+
+        try {
+            return await readLocalDocument(relativePath);
+        } catch (e) {
+            if (!allowNetwork) throw e;
+            // Not available locally; fall back to the published document
+            return loadRemote(substitute(url));
+        }
+    };
+
+    const cached = async (key, loadDocument) => {
+        if (!documents) return loadDocument();
+        if (!documents.has(key)) {
+            const pending = loadDocument();
+            documents.set(key, pending);
+            // Failures are not cached, so a later call can retry
+            pending.catch(() => documents.delete(key));
+        }
+        return structuredClone(await documents.get(key));
+    };
+
+    const documentLoader = async (url) => {
+        const document = await cached(substitute(url), () => load(url));
+        return { contextUrl: null, documentUrl: url, document };
+    };
+
+    documentLoader.readSpecDocument = (relativePath) => {
+        const path = substitute(relativePath);
+        return cached(`${SPEC_BASE_URL}${path}#local`, () => readLocalDocument(path));
+    };
+
+    return documentLoader;
+}
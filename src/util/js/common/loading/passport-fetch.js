@@ -0,0 +1,89 @@
+/**
+ * Passport Fetch
+ * Loads a DPP from its URL, e.g. the live passport of a partner or a GS1 Digital Link. Resolvers pick the
+ * representation by content negotiation, so JSON-LD is requested explicitly; a GS1 linkset returned instead
+ * is followed to its JSON-LD (or JSON) target.
+ */
+
+/**
+ * The `Accept` header of passport requests.
+ */
+export const PASSPORT_ACCEPT = 'application/ld+json, application/json;q=0.9, */*;q=0.1';
+
+const JSON_TYPE_PATTERN = /^application\/(?:[\w.+-]+\+)?json\b/i;
+
+function fetchError(message, code, details) {
+    return Object.assign(new Error(message), { code }, details);
+}
+
+// The JSON(-LD) targets of a linkset (RFC 9264), JSON-LD first
+function linksetTargets(linkset, baseUrl) {
+    const links = linkset.flatMap(context => Object.entries(context)
+        .filter(([relation, targets]) => relation !== 'anchor' && Array.isArray(targets))
+        .flatMap(([, targets]) => targets))
+        .filter(link => link && typeof link.href === 'string' && JSON_TYPE_PATTERN.test(link.type || ''));
+    const rank = link => (/ld\+json/i.test(link.type) ? 0 : 1);
+    return links.sort((a, b) => rank(a) - rank(b)).map(link => new URL(link.href, baseUrl).href);
+}
+
+/**
+ * Fetches a passport. The text is returned unparsed, so JSONC and NDJSON can be read by the caller.
+ * @param {string} url - The http(s) URL of the passport or of a GS1 Digital Link.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - The fetch implementation. Defaults to the global fetch.
+ * @returns {Promise<{text: string, url: string, contentType: string}>} The passport text, the URL it was finally
+ * read from (after redirects and linksets) and its media type.
+ * @throws {Error} With a `code` and the `url`: 'EURL' for URLs that are not http(s), 'ENETWORK' if the request failed
+ * (server unreachable or cross-origin requests not allowed), 'EHTTP' for error responses (with `status` and
+ * `statusText`) and 'ECONTENT' for responses that are neither JSON nor text (with `contentType`).
+ */
+export async function fetchPassport(url, { fetch: fetchImpl = (...args) => globalThis.fetch(...args) } = {}) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(String(url).trim());
+    } catch (e) {
+        parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw fetchError(`Not an http(s) URL: ${url}`, 'EURL', { url });
+    }
+
+    const request = async (requestUrl) => {
+        let response;
+        try {
+            response = await fetchImpl(requestUrl, { headers: { 'Accept': PASSPORT_ACCEPT } });
+        } catch (e) {
+            // Browsers report blocked cross-origin requests like unreachable servers
+            throw fetchError(`Could not load ${requestUrl}: ${e.message}`, 'ENETWORK', { url: requestUrl });
+        }
+        if (!response.ok) {
+            throw fetchError(`HTTP error: ${response.status} ${response.statusText || ''}`.trim() + ` for ${requestUrl}`, 'EHTTP',
+                { url: requestUrl, status: response.status, statusText: response.statusText || '' });
+        }
+        const contentType = (response.headers?.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (contentType && !JSON_TYPE_PATTERN.test(contentType) && !contentType.startsWith('text/plain')) {
+            throw fetchError(`${requestUrl} returned ${contentType}, not a passport in JSON or JSON-LD.`, 'ECONTENT',
+                { url: requestUrl, contentType });
+        }
+        return { text: await response.text(), url: response.url || requestUrl, contentType };
+    };
+
+    const result = await request(parsedUrl.href);
+
+    // GS1 resolvers answer with a linkset when they cannot serve JSON-LD for the product themselves
+    let linkset = null;
+    try {
+        linkset = JSON.parse(result.text)?.linkset;
+    } catch (e) {
+        // Not JSON (e.g. JSONC); left to the caller
+    }
+    if (Array.isArray(linkset)) {
+        const [target] = linksetTargets(linkset, result.url);
+        if (!target) {
+            throw fetchError(`The linkset of ${result.url} has no JSON or JSON-LD link.`, 'ECONTENT',
+                { url: result.url, contentType: 'application/linkset+json' });
+        }
+        return request(target);
+    }
+    return result;
+}
@@ -0,0 +1,109 @@
+/**
+ * Keystone Spec Bundle
+ * Reads documents from the offline bundle written by the build (`spec/keystone-spec-bundle-<version>.json`
+ * and `.js`), which holds every context, ontology and validation artifact of one Keystone version. With
+ * the bundle as data source the validators, the transformer and the renderer need no HTTP server.
+ */
+
+/**
+ * The `format` marker of a spec bundle.
+ */
+export const SPEC_BUNDLE_FORMAT = 'keystone-spec-bundle';
+
+/**
+ * The global the `.js` bundle assigns itself to when loaded with a classic `<script>` tag.
+ */
+export const SPEC_BUNDLE_GLOBAL = 'KEYSTONE_SPEC_BUNDLE';
+
+// The versioned top-level directories of the spec, which also have version-less "latest" copies
+const SPEC_AREAS = ['contexts', 'ontology', 'validation'];
+
+/**
+ * Checks that a value is a spec bundle.
+ * @param {object} bundle - The candidate bundle.
+ * @returns {object} The bundle.
+ * @throws {Error} If the value is not a spec bundle.
+ */
+export function assertSpecBundle(bundle) {
+    if (!bundle || bundle.format !== SPEC_BUNDLE_FORMAT || !bundle.documents) {
+        throw new Error(`Not a Keystone spec bundle (expected format '${SPEC_BUNDLE_FORMAT}').`);
+    }
+    return bundle;
+}
+
+/**
+ * Finds the bundle path of a document.
+ * Paths and URLs match on their trailing segments, so 'https://dpp-keystone.org/spec/ontology/v2/dpp-ontology.jsonld',
+ * '../spec/ontology/v2/dpp-ontology.jsonld', '/srv/dist/spec/ontology/v2/dpp-ontology.jsonld' and
+ * 'ontology/v2/dpp-ontology.jsonld' all find the same document. The version-less "latest" paths
+ * (e.g. 'contexts/dpp-core.context.jsonld') resolve to the bundled version.
+ * @param {object} bundle - The spec bundle.
+ * @param {string} pathOrUrl - A spec URL or a path ending in a spec-relative path. `{{VERSION}}` placeholders are allowed.
+ * @returns {string|null} The key in `bundle.documents`, or null if the bundle does not contain the document.
+ */
+export function findBundlePath(bundle, pathOrUrl) {
+    const segments = pathOrUrl
+        .replace(/\{\{VERSION\}\}|%7B%7BVERSION%7D%7D/gi, bundle.version)
+        .split(/[?#]/)[0]
+        .split(/[\\/]/);
+
+    for (let i = 0; i < segments.length; i++) {
+        const candidate = segments.slice(i).join('/');
+        if (Object.hasOwn(bundle.documents, candidate)) return candidate;
+    }
+    const areaIndex = segments.findLastIndex(segment => SPEC_AREAS.includes(segment));
+    if (areaIndex === -1) return null;
+    const latest = [segments[areaIndex], bundle.version, ...segments.slice(areaIndex + 1)].join('/');
+    return Object.hasOwn(bundle.documents, latest) ? latest : null;
+}
+
+/**
+ * Returns a copy of a bundled document.
+ * @param {object} bundle - The spec bundle.
+ * @param {string} pathOrUrl - See `findBundlePath`.
+ * @returns {object} The document.
+ * @throws {Error} With code 'ENOENT' if the bundle does not contain the document.
+ */
+export function readBundleDocument(bundle, pathOrUrl) {
+    const bundlePath = findBundlePath(assertSpecBundle(bundle), pathOrUrl);
+    if (bundlePath === null) {
+        const error = new Error(`${pathOrUrl} is not part of the ${bundle.version} spec bundle.`);
+        error.code = 'ENOENT';
+        throw error;
+    }
+    return structuredClone(bundle.documents[bundlePath]);
+}
+
+/**
+ * Creates a fetch-compatible function that answers requests for spec documents from a bundle,
+ * for code that loads the spec with fetch (e.g. the ontology loader or relative '../spec/' URLs).
+ * Requests for documents outside the bundle get a 404 response.
+ * @param {object} bundle - The spec bundle.
+ * @returns {Function} The fetch replacement, resolving to `{ok, status, json(), text()}`.
+ */
+export function createBundleFetch(bundle) {
+    assertSpecBundle(bundle);
+    return async (input) => {
+        const url = typeof input === 'string' ? input : (input.url || String(input));
+        try {
+            const document = readBundleDocument(bundle, url);
+            return {
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                url,
+                json: async () => document,
+                text: async () => JSON.stringify(document)
+            };
+        } catch (e) {
+            return {
+                ok: false,
+                status: 404,
+                statusText: 'Not Found',
+                url,
+                json: async () => { throw e; },
+                text: async () => e.message
+            };
+        }
+    };
+}
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import jsonld from 'jsonld';
+import { parse as jsoncParse } from 'jsonc-parser';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKeystoneDocumentLoader, resolveSpecPath } from '../keystone-document-loader.js';
+import { KEYSTONE_VERSION } from '../../../../../lib/keystone-version.js';
+
+const SRC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../../..');
+const CORE_CONTEXT_URL = 'https://dpp-keystone.org/spec/contexts/{{VERSION}}/dpp-core.context.jsonld';
+
+describe('Keystone Document Loader', () => {
+
+    const jsonResponse = (document) => ({
+        ok: true,
+        status: 200,
+        json: async () => structuredClone(document),
+        text: async () => JSON.stringify(document)
+    });
+    const notFound = { ok: false, status: 404 };
+
+    it('should resolve spec URLs to paths relative to the spec root', () => {
+        expect(resolveSpecPath(CORE_CONTEXT_URL, 'v2')).toBe('contexts/v2/dpp-core.context.jsonld');
+        expect(resolveSpecPath('https://dpp-keystone.org/spec/contexts/%7B%7BVERSION%7D%7D/dpp-core.context.jsonld', 'v2'))
+            .toBe('contexts/v2/dpp-core.context.jsonld');
+        expect(resolveSpecPath('https://dpp-keystone.org/spec/v2/terms#gwp', 'v2')).toBe('v2/terms');
+        expect(resolveSpecPath('https://schema.org/', 'v2')).toBeNull();
+    });
+
+    it('should expand a DPP offline from the JSONC sources, substituting the version placeholders', async () => {
+        const documentLoader = createKeystoneDocumentLoader({
+            version: KEYSTONE_VERSION,
+            fsRoot: SRC_DIR,
+            allowNetwork: false,
+            parse: jsoncParse
+        });
+
+        const { document, documentUrl } = await documentLoader(CORE_CONTEXT_URL);
+        expect(documentUrl).toBe(CORE_CONTEXT_URL);
+        expect(document['@context']).toEqual(expect.arrayContaining([
+            `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-packaging.context.jsonld`
+        ]));
+        expect(JSON.stringify(document)).not.toContain('{{VERSION}}');
+
+        const expanded = await jsonld.expand({
+            "@context": CORE_CONTEXT_URL,
+            "@type": "DigitalProductPassport",
+            "dppStatus": "Active"
+        }, { documentLoader });
+        expect(expanded[0]['@type']).toEqual([`https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#DigitalProductPassport`]);
+    });
+
+    it('should fetch spec documents relative to the base URL and fall back to the network', async () => {
+        const fetch = jest.fn(async (url) => {
+            if (url === '../spec/contexts/v2/dpp-core.context.jsonld') return jsonResponse({ "@context": { "v": "{{VERSION}}" } });
+            if (url === 'https://dpp-keystone.org/spec/contexts/v2/dpp-new.context.jsonld') return jsonResponse({ "@context": {} });
+            return notFound;
+        });
+        const documentLoader = createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec', fetch });
+
+        expect((await documentLoader(CORE_CONTEXT_URL)).document).toEqual({ "@context": { "v": "v2" } });
+
+        await documentLoader('https://dpp-keystone.org/spec/contexts/v2/dpp-new.context.jsonld');
+        expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+            '../spec/contexts/v2/dpp-core.context.jsonld',
+            '../spec/contexts/v2/dpp-new.context.jsonld',
+            'https://dpp-keystone.org/spec/contexts/v2/dpp-new.context.jsonld'
+        ]);
+    });
+
+    it('should refuse network access when it is forbidden', async () => {
+        const fetch = jest.fn(async () => notFound);
+        const documentLoader = createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', allowNetwork: false, fetch });
+
+        await expect(documentLoader('https://schema.org/')).rejects.toThrow(/network access is disabled/);
+        await expect(documentLoader('https://dpp-keystone.org/spec/contexts/v2/missing.context.jsonld')).rejects.toThrow(/HTTP error: 404/);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cache documents and hand out copies', async () => {
+        const fetch = jest.fn(async () => jsonResponse({ "@context": { "a": "b" } }));
+        const documentLoader = createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', fetch });
+
+        const first = await documentLoader(CORE_CONTEXT_URL);
+        first.document['@context'].a = 'changed';
+        const second = await documentLoader(`https://dpp-keystone.org/spec/contexts/v2/dpp-core.context.jsonld`);
+
+        expect(second.document).toEqual({ "@context": { "a": "b" } });
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        // A shared cache is reused across loaders, and caching can be disabled
+        const cache = new Map();
+        await createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', fetch, cache })(CORE_CONTEXT_URL);
+        await createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', fetch, cache })(CORE_CONTEXT_URL);
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        const uncached = createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', fetch, cache: false });
+        await uncached(CORE_CONTEXT_URL);
+        await uncached(CORE_CONTEXT_URL);
+        expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not cache failures', async () => {
+        const fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 503 })
+            .mockResolvedValueOnce(jsonResponse({ "@context": {} }));
+        const documentLoader = createKeystoneDocumentLoader({ version: 'v2', baseUrl: '../spec/', allowNetwork: false, fetch });
+
+        await expect(documentLoader(CORE_CONTEXT_URL)).rejects.toThrow(/HTTP error: 503/);
+        expect((await documentLoader(CORE_CONTEXT_URL)).document).toEqual({ "@context": {} });
+    });
+
+    it('should read spec documents from the local root only', async () => {
+        const readSpecDocument = createKeystoneDocumentLoader({ version: KEYSTONE_VERSION, fsRoot: SRC_DIR, parse: jsoncParse }).readSpecDocument;
+
+        const schema = await readSpecDocument('validation/{{VERSION}}/json-schema/dpp.schema.json');
+        expect(schema.$schema).toBeDefined();
+
+        const fileContent = await fs.readFile(path.join(SRC_DIR, 'validation', KEYSTONE_VERSION, 'json-schema', 'dpp.schema.json'), 'utf-8');
+        expect(schema.$id).toBe(jsoncParse(fileContent.replace(/\{\{VERSION\}\}/g, KEYSTONE_VERSION)).$id);
+
+        await expect(readSpecDocument('validation/v2/json-schema/missing.schema.json')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+});
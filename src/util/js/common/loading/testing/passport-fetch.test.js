@@ -0,0 +1,79 @@
+import { fetchPassport, PASSPORT_ACCEPT } from '../passport-fetch.js';
+
+describe('Passport Fetch', () => {
+
+    const passport = { digitalProductPassportId: 'urn:uuid:1' };
+    const response = (body, { status = 200, statusText = 'OK', contentType = 'application/ld+json', url } = {}) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText,
+        url,
+        headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const catchError = async (promise) => promise.then(() => null, e => e);
+
+    it('should request JSON-LD and return the text unparsed', async () => {
+        const requests = [];
+        const fetch = async (url, init) => {
+            requests.push([url, init.headers.Accept]);
+            return response('// JSONC\n{"digitalProductPassportId": "urn:uuid:1"}', { contentType: 'application/json; charset=utf-8' });
+        };
+
+        const result = await fetchPassport(' https://dpp.example.com/passports/1 ', { fetch });
+
+        expect(requests).toEqual([['https://dpp.example.com/passports/1', PASSPORT_ACCEPT]]);
+        expect(result).toEqual({
+            text: '// JSONC\n{"digitalProductPassportId": "urn:uuid:1"}',
+            url: 'https://dpp.example.com/passports/1',
+            contentType: 'application/json'
+        });
+    });
+
+    it('should follow GS1 Digital Link redirects and linksets to the JSON-LD passport', async () => {
+        const linkset = {
+            linkset: [{
+                anchor: 'https://id.gs1.org/01/09506000134352',
+                'https://gs1.org/voc/pip': [{ href: 'https://brand.example.com/product.html', type: 'text/html' }],
+                'https://gs1.org/voc/sustainabilityInfo': [
+                    { href: '/dpp/09506000134352.json', type: 'application/json' },
+                    { href: '/dpp/09506000134352.jsonld', type: 'application/ld+json' }
+                ]
+            }]
+        };
+        const requested = [];
+        const fetch = async (url) => {
+            requested.push(url);
+            return url.startsWith('https://id.gs1.org/')
+                ? response(linkset, { contentType: 'application/linkset+json', url: 'https://resolver.example.com/01/09506000134352' })
+                : response(passport, { url });
+        };
+
+        const result = await fetchPassport('https://id.gs1.org/01/09506000134352', { fetch });
+
+        expect(requested).toEqual(['https://id.gs1.org/01/09506000134352', 'https://resolver.example.com/dpp/09506000134352.jsonld']);
+        expect(JSON.parse(result.text)).toEqual(passport);
+        expect(result.url).toBe('https://resolver.example.com/dpp/09506000134352.jsonld');
+    });
+
+    it('should report invalid URLs, network, HTTP and content errors with codes', async () => {
+        expect(await catchError(fetchPassport('file:///tmp/dpp.json', { fetch: async () => response(passport) })))
+            .toEqual(expect.objectContaining({ code: 'EURL' }));
+        expect(await catchError(fetchPassport('not a url'))).toEqual(expect.objectContaining({ code: 'EURL' }));
+
+        const network = await catchError(fetchPassport('https://dpp.example.com/1', { fetch: async () => { throw new TypeError('Failed to fetch'); } }));
+        expect(network).toEqual(expect.objectContaining({ code: 'ENETWORK', url: 'https://dpp.example.com/1' }));
+
+        const http = await catchError(fetchPassport('https://dpp.example.com/1', { fetch: async () => response('', { status: 404, statusText: 'Not Found' }) }));
+        expect(http).toEqual(expect.objectContaining({ code: 'EHTTP', status: 404, statusText: 'Not Found' }));
+        expect(http.message).toBe('HTTP error: 404 Not Found for https://dpp.example.com/1');
+
+        const html = await catchError(fetchPassport('https://id.gs1.org/01/09506000134352', { fetch: async () => response('<html></html>', { contentType: 'text/html' }) }));
+        expect(html).toEqual(expect.objectContaining({ code: 'ECONTENT', contentType: 'text/html' }));
+
+        const noJsonLink = await catchError(fetchPassport('https://id.gs1.org/01/09506000134352', {
+            fetch: async () => response({ linkset: [{ 'https://gs1.org/voc/pip': [{ href: 'https://brand.example.com/', type: 'text/html' }] }] })
+        }));
+        expect(noJsonLink).toEqual(expect.objectContaining({ code: 'ECONTENT', contentType: 'application/linkset+json' }));
+    });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import jsonld from 'jsonld';
+import { findBundlePath, readBundleDocument, createBundleFetch, assertSpecBundle } from '../spec-bundle.js';
+import { createKeystoneDocumentLoader } from '../keystone-document-loader.js';
+
+describe('Keystone Spec Bundle', () => {
+
+    const bundle = {
+        format: 'keystone-spec-bundle',
+        version: 'v2',
+        documents: {
+            'contexts/v2/dpp-core.context.jsonld': {
+                "@context": { "dppStatus": "https://dpp-keystone.org/spec/v2/terms#dppStatus" }
+            },
+            'ontology/v2/dpp-ontology.jsonld': { "@graph": [] },
+            'validation/v2/json-schema/dpp.schema.json': { "title": "DPP" }
+        }
+    };
+
+    it('should find documents by URL, relative path or file path', () => {
+        expect(findBundlePath(bundle, 'https://dpp-keystone.org/spec/contexts/v2/dpp-core.context.jsonld')).toBe('contexts/v2/dpp-core.context.jsonld');
+        expect(findBundlePath(bundle, 'https://dpp-keystone.org/spec/contexts/{{VERSION}}/dpp-core.context.jsonld')).toBe('contexts/v2/dpp-core.context.jsonld');
+        expect(findBundlePath(bundle, '../spec/ontology/v2/dpp-ontology.jsonld?v=123')).toBe('ontology/v2/dpp-ontology.jsonld');
+        expect(findBundlePath(bundle, 'C:\\keystone\\dist\\spec\\validation\\v2\\json-schema\\dpp.schema.json')).toBe('validation/v2/json-schema/dpp.schema.json');
+        expect(findBundlePath(bundle, 'validation/v2/json-schema/dpp.schema.json')).toBe('validation/v2/json-schema/dpp.schema.json');
+        expect(findBundlePath(bundle, 'ontology/v2/sectors/Battery.jsonld')).toBeNull();
+    });
+
+    it('should resolve the version-less latest URLs to the bundled version', () => {
+        expect(findBundlePath(bundle, 'https://dpp-keystone.org/spec/contexts/dpp-core.context.jsonld')).toBe('contexts/v2/dpp-core.context.jsonld');
+        expect(findBundlePath(bundle, '../spec/ontology/dpp-ontology.jsonld')).toBe('ontology/v2/dpp-ontology.jsonld');
+    });
+
+    it('should hand out copies and report missing documents', () => {
+        readBundleDocument(bundle, 'validation/v2/json-schema/dpp.schema.json').title = 'changed';
+        expect(readBundleDocument(bundle, 'validation/v2/json-schema/dpp.schema.json')).toEqual({ title: 'DPP' });
+
+        expect(() => readBundleDocument(bundle, 'ontology/v2/sectors/Battery.jsonld')).toThrow(/not part of the v2 spec bundle/);
+        expect(() => readBundleDocument(bundle, 'ontology/v2/sectors/Battery.jsonld')).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+        expect(() => assertSpecBundle({ documents: {} })).toThrow(/Not a Keystone spec bundle/);
+    });
+
+    it('should answer fetch requests from the bundle', async () => {
+        const specFetch = createBundleFetch(bundle);
+
+        const response = await specFetch('../spec/validation/v2/json-schema/dpp.schema.json');
+        expect(response.ok).toBe(true);
+        expect(await response.json()).toEqual({ title: 'DPP' });
+
+        const missing = await specFetch('../spec/ontology/v2/sectors/Battery.jsonld');
+        expect(missing).toEqual(expect.objectContaining({ ok: false, status: 404 }));
+    });
+
+    it('should serve the JSON-LD contexts to the document loader without network access', async () => {
+        const fetch = jest.fn();
+        const documentLoader = createKeystoneDocumentLoader({ bundle, allowNetwork: false, fetch });
+
+        const expanded = await jsonld.expand({
+            "@context": 'https://dpp-keystone.org/spec/contexts/{{VERSION}}/dpp-core.context.jsonld',
+            "dppStatus": "Active"
+        }, { documentLoader });
+
+        expect(expanded).toEqual([{ "https://dpp-keystone.org/spec/v2/terms#dppStatus": [{ "@value": "Active" }] }]);
+        await expect(documentLoader('https://dpp-keystone.org/spec/contexts/v2/dpp-other.context.jsonld')).rejects.toThrow(/not part of the v2 spec bundle/);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Standalone DPP Redactor
+ * Produces audience-specific views of a DPP by removing every property whose `dppk:visibility`
+ * (as recorded in the ontology map) is not granted to the requested audience.
+ */
+
+/**
+ * The audiences a DPP can be published for.
+ */
+export const AUDIENCES = ['Public', 'LegitimateInterest', 'Authority'];
+
+/**
+ * The `dppk:VisibilityValue` individuals each audience may see.
+ * Access is tiered: a legitimate interest also covers public data, and authorities see everything.
+ */
+export const VISIBILITY_BY_AUDIENCE = {
+    Public: ['Public'],
+    LegitimateInterest: ['Public', 'LegitimateInterest', 'LegitimateInterestOrAuthority'],
+    Authority: ['Public', 'LegitimateInterest', 'LegitimateInterestOrAuthority', 'AuthorityOnly']
+};
+
+function assertAudience(audience) {
+    if (!VISIBILITY_BY_AUDIENCE[audience]) {
+        throw new Error(`Unknown audience '${audience}'. Expected one of: ${AUDIENCES.join(', ')}.`);
+    }
+}
+
+/**
+ * Checks whether a property with the given visibility may be shown to an audience.
+ * Properties without a visibility annotation are treated as public.
+ * @param {string|null|undefined} visibility - The local name of the visibility value (e.g. 'AuthorityOnly').
+ * @param {string} audience - One of `AUDIENCES`.
+ * @returns {boolean} True if the audience may see the property.
+ */
+export function isVisibleTo(visibility, audience) {
+    assertAudience(audience);
+    if (!visibility) return true;
+    return VISIBILITY_BY_AUDIENCE[audience].includes(visibility);
+}
+
+/**
+ * Returns a copy of a DPP containing only the properties the given audience may see.
+ * Properties are matched against the ontology map by their short name (a `prefix:` is ignored),
+ * nested objects and arrays are redacted recursively, and JSON-LD keywords are always kept.
+ * The input document is not modified.
+ * @param {object} dpp - The source DPP.
+ * @param {string} audience - One of `AUDIENCES`.
+ * @param {Map<string, {visibility: string}>} ontologyMap - A key/value mapping of property names to ontology metadata.
+ * @returns {object} The redacted DPP.
+ */
+export function redactDpp(dpp, audience, ontologyMap) {
+    assertAudience(audience);
+
+    function redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(redact);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            if (key.startsWith('@')) {
+                result[key] = key === '@context' ? val : redact(val);
+                continue;
+            }
+            const termName = key.includes(':') ? key.split(':').pop() : key;
+            const info = ontologyMap ? ontologyMap.get(termName) : null;
+            if (isVisibleTo(info?.visibility, audience)) {
+                result[key] = redact(val);
+            }
+        }
+        return result;
+    }
+
+    return redact(dpp);
+}
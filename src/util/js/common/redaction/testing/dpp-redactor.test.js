@@ -0,0 +1,65 @@
+import { redactDpp, isVisibleTo, AUDIENCES } from '../dpp-redactor.js';
+
+describe('DPP Redactor', () => {
+
+    const ontologyMap = new Map([
+        ['digitalProductPassportId', { visibility: 'Public' }],
+        ['dppStatus', { visibility: 'LegitimateInterestOrAuthority' }],
+        ['purchaserOrder', { visibility: 'LegitimateInterest' }],
+        ['recycledContentConformity', { visibility: 'AuthorityOnly' }],
+        ['operatorEmail', { visibility: 'AuthorityOnly' }],
+        ['organizationName', { visibility: 'Public' }],
+        ['productName', { label: { en: 'Product Name' } }]
+    ]);
+
+    const dpp = {
+        "@context": ["https://dpp-keystone.org/spec/contexts/v2/dpp-core.context.jsonld"],
+        "@type": "DigitalProductPassport",
+        "digitalProductPassportId": "urn:uuid:1",
+        "dppStatus": "Active",
+        "dppk:purchaserOrder": "PO-42",
+        "recycledContentConformity": "Verified",
+        "productName": { "en": "Rebar" },
+        "otherParties": [
+            { "organizationName": "ACME", "operatorEmail": "ops@acme.example" }
+        ]
+    };
+
+    it('should only keep public and unannotated properties for the public', () => {
+        const redacted = redactDpp(dpp, 'Public', ontologyMap);
+
+        expect(redacted).toEqual({
+            "@context": dpp["@context"],
+            "@type": "DigitalProductPassport",
+            "digitalProductPassportId": "urn:uuid:1",
+            "productName": { "en": "Rebar" },
+            "otherParties": [{ "organizationName": "ACME" }]
+        });
+    });
+
+    it('should keep legitimate interest data but remove authority-only data', () => {
+        const redacted = redactDpp(dpp, 'LegitimateInterest', ontologyMap);
+
+        expect(redacted.dppStatus).toBe('Active');
+        expect(redacted['dppk:purchaserOrder']).toBe('PO-42');
+        expect(redacted).not.toHaveProperty('recycledContentConformity');
+        expect(redacted.otherParties[0]).not.toHaveProperty('operatorEmail');
+    });
+
+    it('should keep everything for authorities without modifying the source', () => {
+        const source = structuredClone(dpp);
+        const redacted = redactDpp(source, 'Authority', ontologyMap);
+
+        expect(redacted).toEqual(dpp);
+        expect(redacted).not.toBe(source);
+        redactDpp(source, 'Public', ontologyMap);
+        expect(source).toEqual(dpp);
+    });
+
+    it('should reject unknown audiences', () => {
+        expect(AUDIENCES).toEqual(['Public', 'LegitimateInterest', 'Authority']);
+        expect(() => redactDpp(dpp, 'Everyone', ontologyMap)).toThrow(/Unknown audience 'Everyone'/);
+        expect(isVisibleTo(undefined, 'Public')).toBe(true);
+        expect(isVisibleTo('AuthorityOnly', 'LegitimateInterest')).toBe(false);
+    });
+});
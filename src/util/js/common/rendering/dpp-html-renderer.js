@@ -3,6 +3,8 @@
  * Transforms DPP JSON into a visual HTML string.
  */
 
+import { formatQuantity, isQuantityObject } from '../units/unit-converter.js';
+
 /**
  * Helper to safely format values for table cells
  */
@@ -10,6 +12,7 @@ function formatCellValue(val) {
     if (val === undefined || val === null || val === '') return '-';
     if (typeof val === 'object') {
         if (Array.isArray(val)) return val.map(formatCellValue).join(', ');
+        if (isQuantityObject(val)) return formatQuantity(val);
         // For objects like translated strings {"en": "Value"} or simple key-value pairs
         const vals = Object.values(val);
         if (vals.length > 0 && vals.every(v => typeof v === 'string' || typeof v === 'number')) {
@@ -115,6 +118,12 @@ function renderValue(key, value, ontologyMap = null, language = 'en') {
         return `<div class="dpp-field"><span class="dpp-label">${displayLabel}:</span> <span class="dpp-value">${displayValue}</span></div>`;
     }
 
+    // {value, unit} / {value, unitCode} quantities are shown in the declared unit where they convert to it
+    if (isQuantityObject(value)) {
+        const declaredUnit = ontologyMap && ontologyMap.has(key) ? ontologyMap.get(key)?.unit : null;
+        return `<div class="dpp-field"><span class="dpp-label">${displayLabel}:</span> <span class="dpp-value">${formatQuantity(value, declaredUnit)}</span></div>`;
+    }
+
     if (typeof value === 'object' && !Array.isArray(value)) {
         // Check for Table Structure
         if (detectTableStructure(value)) {
@@ -18,36 +18,171 @@ if (typeof jsonld.expand !== 'function') {
 }
 
 import { profile as schemaOrgProfile } from './profiles/schema.org.js';
+import { profile as gs1Profile } from './profiles/gs1.js';
+import { profile as aasProfile } from './profiles/aas.js';
+import { profile as epdProfile, csvProfile as epdCsvProfile, excelCsvProfile as epdExcelCsvProfile, ilcdProfile as epdIlcdProfile, ilcdXmlProfile as epdIlcdXmlProfile } from './profiles/epd.js';
 
-const profiles = {
-    'schema.org': schemaOrgProfile,
-};
+/**
+ * The contract every transformation profile has to fulfil (see profiles/README.md).
+ * @typedef {object} TransformationProfile
+ * @property {Array<{source: string, transformer: Function}>} transformations - The transformations to run. `source` is a
+ * property of the DPP root node (a term name or a full IRI); `transformer(sourceData, dictionary, rootNode, version, { language })` receives
+ * the expanded value of that property and returns one transformed object or an array of them. Profiles with a text
+ * `mediaType` (e.g. CSV or XML) return the document as a string.
+ * @property {string[]} [dictionaryFields] - The indicator metadata (e.g. 'unit', 'label') the transformers read from the dictionary.
+ * Profiles that declare none are run without building the dictionary.
+ * @property {string} [mediaType] - The media type of the transformed output. Defaults to 'application/ld+json'.
+ * @property {string} [description] - A short, human readable description of the target format.
+ */
+
+export const DEFAULT_PROFILE_MEDIA_TYPE = 'application/ld+json';
+
+const profiles = new Map();
+
+/**
+ * Registers a transformation profile so that it can be selected by name in `transform`.
+ * Registering an existing name replaces the previous profile.
+ * @param {string} name - The name the profile is selected by (e.g., 'schema.org').
+ * @param {TransformationProfile} profile - The profile.
+ */
+export function registerProfile(name, profile) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('A transformation profile needs a non-empty name.');
+    }
+    if (!profile || !Array.isArray(profile.transformations)) {
+        throw new Error(`Transformation profile "${name}" must define a "transformations" array.`);
+    }
+    profile.transformations.forEach((transformation, index) => {
+        if (typeof transformation?.source !== 'string' || typeof transformation.transformer !== 'function') {
+            throw new Error(`Transformation ${index} of profile "${name}" must define a "source" string and a "transformer" function.`);
+        }
+    });
+    if (profile.dictionaryFields !== undefined && !Array.isArray(profile.dictionaryFields)) {
+        throw new Error(`The "dictionaryFields" of transformation profile "${name}" must be an array.`);
+    }
+    profiles.set(name, profile);
+}
+
+/**
+ * Returns a registered transformation profile.
+ * @param {string} name - The profile name.
+ * @returns {TransformationProfile|undefined} The profile, or undefined if none is registered under that name.
+ */
+export function getProfile(name) {
+    return profiles.get(name);
+}
+
+/**
+ * Lists the registered transformation profiles.
+ * @returns {Array<{name: string, mediaType: string, description: string, dictionaryFields: string[]}>} One entry per profile.
+ */
+export function listProfiles() {
+    return [...profiles.entries()].map(([name, profile]) => ({
+        name,
+        mediaType: profile.mediaType || DEFAULT_PROFILE_MEDIA_TYPE,
+        description: profile.description || '',
+        dictionaryFields: profile.dictionaryFields || []
+    }));
+}
+
+/**
+ * Checks whether a profile reads indicator metadata from the dictionary.
+ * @param {string} name - The profile name.
+ * @returns {boolean} True if the dictionary must be built before transforming with this profile.
+ */
+export function profileRequiresDictionary(name) {
+    const profile = profiles.get(name);
+    return !!profile && Array.isArray(profile.dictionaryFields) && profile.dictionaryFields.length > 0;
+}
+
+registerProfile('schema.org', schemaOrgProfile);
+registerProfile('gs1', gs1Profile);
+registerProfile('aas', aasProfile);
+registerProfile('epd', epdProfile);
+registerProfile('epd-csv', epdCsvProfile);
+registerProfile('epd-csv-excel', epdExcelCsvProfile);
+registerProfile('epd-ilcd', epdIlcdProfile);
+registerProfile('epd-ilcd-xml', epdIlcdXmlProfile);
+
+const OWL_IMPORTS = 'http://www.w3.org/2002/07/owl#imports';
+
+/**
+ * Resolves an `owl:imports` IRI to the path the loader reads it from. Imports from the same site as the importing
+ * ontology are read relative to the place that ontology was loaded from, e.g. `core/Product.jsonld` imported by
+ * `https://dpp-keystone.org/spec/ontology/v2/sectors/Battery` loaded from `../spec/ontology/v2/sectors/Battery.jsonld`
+ * is read from `../spec/ontology/v2/core/Product.jsonld`. Other imports are loaded by their IRI.
+ * @param {string} importIri - The IRI of the imported ontology.
+ * @param {string} ontologyIri - The IRI of the importing ontology.
+ * @param {string} ontologyPath - The path the importing ontology was loaded from.
+ * @returns {string} The path of the imported ontology.
+ */
+function resolveImportPath(importIri, ontologyIri, ontologyPath) {
+    const from = ontologyIri.split('/').slice(0, -1);
+    const to = importIri.split('/');
+    let common = 0;
+    while (common < from.length && from[common] === to[common]) common++;
+    // Scheme, empty segment and host must match
+    if (common < 3) return importIri;
+
+    const segments = ontologyPath.split('/').slice(0, -1);
+    for (const segment of [...from.slice(common).map(() => '..'), ...to.slice(common)]) {
+        const last = segments[segments.length - 1];
+        if (segment === '..' && last !== undefined && last !== '..' && last !== '') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
 
 /**
  * Parses ontology files to build a dictionary of indicator metadata.
+ * Indicators (terms with a `dppk:unit`) get `{ unit, label, labels }` with the English `label`; all other labelled
+ * terms get `{ labels }`. `labels` maps language codes to the `rdfs:label` in that language.
+ * The ontologies named in `owl:imports` are read as well (see `resolveImportPath`), each file once, so that
+ * e.g. `dpp-ontology.jsonld` alone yields the terms of every core and sector ontology.
  * This is a generic function that accepts a loader for environment-specific data fetching.
  * @param {string[]} ontologyPaths - An array of paths or URLs to ontology files.
  * @param {Function} loader - An async function that takes a path and returns the JSON content.
  * @param {Function} documentLoader - The JSON-LD document loader.
  * @param {object} dictionary - The dictionary object to populate.
+ * @param {string} version - The Keystone version (e.g., 'v2').
  */
 export async function buildDictionary(ontologyPaths, loader, documentLoader, dictionary, version) {
     if (Object.keys(dictionary).length > 0) return;
 
     const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
 
-    for (const ontologyPath of ontologyPaths) {
+    const pending = [...ontologyPaths];
+    const loaded = new Set();
+    while (pending.length > 0) {
+        const ontologyPath = pending.shift();
+        if (loaded.has(ontologyPath)) continue;
+        loaded.add(ontologyPath);
+
         const ontology = await loader(ontologyPath);
         const expanded = await jsonld.expand(ontology, { documentLoader });
         
         const nodes = expanded[0]?.['@graph'] || expanded;
 
+        [...expanded, ...nodes]
+            .filter(node => node['@id'] && node[OWL_IMPORTS])
+            .forEach(node => node[OWL_IMPORTS].forEach(imported => {
+                if (imported['@id']) pending.push(resolveImportPath(imported['@id'], node['@id'], ontologyPath));
+            }));
+
         nodes.forEach(node => {
             const id = node['@id'];
             if (!id) return;
             const unitArr = node[`${termsBase}unit`];
             const labelArr = node['http://www.w3.org/2000/01/rdf-schema#label'];
 
+            // All language variants of the label, used by profiles that localize their output
+            const labels = Object.fromEntries((labelArr || [])
+                .filter(l => l['@language'])
+                .map(l => [l['@language'], l['@value']]));
+
             if (unitArr) {
                 let label = id;
                 if (labelArr) {
@@ -56,31 +191,229 @@ export async function buildDictionary(ontologyPaths, loader, documentLoader, dic
                 }
                 dictionary[id] = {
                     unit: unitArr[0]['@value'],
-                    label: label
+                    label: label,
+                    labels
                 };
+            } else if (Object.keys(labels).length > 0) {
+                dictionary[id] = { labels };
             }
         });
     }
 }
 
+/**
+ * Builds the key of a set of spec files (ontologies or sector schemas). The order of the paths does not matter.
+ * @param {string[]} paths - The paths or URLs of the files.
+ * @returns {string} The cache key.
+ */
+function pathSetKey(paths) {
+    return JSON.stringify([...new Set(paths || [])].sort());
+}
+
+/**
+ * Returns the dictionary of indicator metadata for a Keystone version and ontology set, building it on first use.
+ * Dictionaries are cached per version and ontology set, so passports of different versions can be transformed side by side.
+ * A failed build is not cached.
+ * @param {Map<string, Map<string, Promise<object>>>} cache - The cache to use (version -> ontology set -> dictionary).
+ * @param {string[]} ontologyPaths - An array of paths or URLs to ontology files.
+ * @param {Function} loader - An async function that takes a path and returns the JSON content.
+ * @param {Function} documentLoader - The JSON-LD document loader.
+ * @param {string} version - The Keystone version (e.g., 'v2').
+ * @returns {Promise<object>} The dictionary.
+ */
+export function getCachedDictionary(cache, ontologyPaths, loader, documentLoader, version) {
+    if (!cache.has(version)) {
+        cache.set(version, new Map());
+    }
+    const dictionaries = cache.get(version);
+    const key = pathSetKey(ontologyPaths);
+
+    if (!dictionaries.has(key)) {
+        const dictionary = {};
+        const building = buildDictionary(ontologyPaths, loader, documentLoader, dictionary, version)
+            .then(() => dictionary)
+            .catch(error => {
+                dictionaries.delete(key);
+                throw error;
+            });
+        dictionaries.set(key, building);
+    }
+    return dictionaries.get(key);
+}
+
+/**
+ * Stores an already built dictionary (e.g. the precomputed dictionary produced at build time) in the cache.
+ * @param {Map<string, Map<string, Promise<object>>>} cache - The cache to fill.
+ * @param {string[]} ontologyPaths - The ontology set the dictionary stands for.
+ * @param {string} version - The Keystone version (e.g., 'v2').
+ * @param {object} dictionary - The dictionary of indicator metadata.
+ */
+export function primeDictionaryCache(cache, ontologyPaths, version, dictionary) {
+    if (!dictionary || typeof dictionary !== 'object') {
+        throw new Error(`The precomputed dictionary for version "${version}" is not an object.`);
+    }
+    if (!cache.has(version)) {
+        cache.set(version, new Map());
+    }
+    cache.get(version).set(pathSetKey(ontologyPaths), Promise.resolve(dictionary));
+}
+
+/**
+ * Lists the ontologies a precomputed dictionary was built from (the spec URLs in its `ontologies` field) relative to
+ * the dictionary, which the build writes to the ontology directory of its version, so that the adapters can cache it
+ * under the paths they load the ontologies with.
+ * @param {object} precomputed - The precomputed dictionary (`spec/ontology/<version>/dpp-dictionary.json`).
+ * @returns {string[]} The ontology paths relative to the directory of the dictionary (e.g. 'core/Product.jsonld').
+ * @throws {Error} If the dictionary does not list its ontologies, or lists one outside the ontology directory of its version.
+ */
+export function precomputedOntologies(precomputed) {
+    const { version, ontologies } = precomputed || {};
+    if (!Array.isArray(ontologies) || ontologies.length === 0) {
+        throw new Error(`The precomputed dictionary for version "${version}" does not list the ontologies it was built from.`);
+    }
+    const directory = `/ontology/${version}/`;
+    return ontologies.map(ontology => {
+        const index = ontology.indexOf(directory);
+        if (index === -1) {
+            throw new Error(`The ontology ${ontology} of the precomputed dictionary is not a "${version}" ontology.`);
+        }
+        return ontology.slice(index + directory.length);
+    });
+}
+
+/**
+ * Removes dictionaries from the cache. Without options the whole cache is cleared; with a `version`
+ * only that version's dictionaries are removed, and with `ontologyPaths` as well only that ontology set.
+ * @param {Map<string, Map<string, Promise<object>>>} cache - The cache to clear.
+ * @param {object} [options] - Restricts what is removed.
+ * @param {string} [options.version] - The Keystone version.
+ * @param {string[]} [options.ontologyPaths] - The ontology set.
+ */
+export function invalidateDictionaryCache(cache, { version, ontologyPaths } = {}) {
+    const versions = version !== undefined ? [version] : [...cache.keys()];
+    for (const cachedVersion of versions) {
+        if (ontologyPaths) {
+            cache.get(cachedVersion)?.delete(pathSetKey(ontologyPaths));
+        } else {
+            cache.delete(cachedVersion);
+        }
+    }
+}
+
+const RDFS_SUBCLASS_OF = 'http://www.w3.org/2000/01/rdf-schema#subClassOf';
+
+/**
+ * Collects the content specification IDs a sector JSON schema applies to, i.e. the
+ * `if.properties.contentSpecificationIds.contains.const` of the schema or of its `allOf` branches.
+ * @param {object} schema - The sector JSON schema.
+ * @returns {string[]} The content specification IDs.
+ */
+export function getSectorSpecIds(schema) {
+    const conditions = [schema?.if, ...(schema?.allOf || []).map(branch => branch?.if)];
+    return conditions
+        .map(condition => condition?.properties?.contentSpecificationIds?.contains?.const)
+        .filter(id => typeof id === 'string');
+}
+
+/**
+ * Resolves the sector ontology that belongs to a sector JSON schema. Both live in the same versioned spec tree, e.g.
+ * `validation/v2/json-schema/sector/iron-steel.schema.json` belongs to `ontology/v2/sectors/IronSteel.jsonld`.
+ * @param {string} schemaPath - The path or URL of the sector JSON schema.
+ * @returns {string} The path or URL of the sector ontology.
+ */
+export function getSectorOntologyPath(schemaPath) {
+    const match = schemaPath.match(/^(.*)validation\/([^/]+)\/json-schema\/sector\/([^/]+)\.schema\.json$/);
+    if (!match) {
+        throw new Error(`Cannot locate the sector ontology for "${schemaPath}". Expected a path ending in validation/<version>/json-schema/sector/<sector>.schema.json.`);
+    }
+    const [, root, version, sector] = match;
+    const ontologyName = sector.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    return `${root}ontology/${version}/sectors/${ontologyName}.jsonld`;
+}
+
+/**
+ * Builds the mapping from content specification IDs to sector product classes.
+ * The IDs are read from the sector JSON schemas; the classes are the direct subclasses of `dppk:Product`
+ * in the matching sector ontology (see `getSectorOntologyPath`).
+ * @param {string[]} sectorSchemaPaths - An array of paths or URLs to sector JSON schemas.
+ * @param {Function} loader - An async function that takes a path and returns the JSON content.
+ * @param {Function} documentLoader - The JSON-LD document loader.
+ * @param {object} sectorTypes - The mapping to populate (content specification ID -> array of class IRIs).
+ * @param {string} version - The Keystone version (e.g., 'v2').
+ */
+export async function buildSectorTypes(sectorSchemaPaths, loader, documentLoader, sectorTypes, version) {
+    const productClass = `https://dpp-keystone.org/spec/${version}/terms#Product`;
+
+    for (const schemaPath of sectorSchemaPaths) {
+        const specIds = getSectorSpecIds(await loader(schemaPath));
+        if (specIds.length === 0) continue;
+
+        const ontology = await loader(getSectorOntologyPath(schemaPath));
+        const expanded = await jsonld.expand(ontology, { documentLoader });
+        const nodes = expanded[0]?.['@graph'] || expanded;
+
+        const classes = nodes
+            .filter(node => node['@id'] && (node[RDFS_SUBCLASS_OF] || []).some(parent => parent['@id'] === productClass))
+            .map(node => node['@id']);
+
+        specIds.forEach(id => {
+            sectorTypes[id] = [...new Set([...(sectorTypes[id] || []), ...classes])];
+        });
+    }
+}
+
+/**
+ * Returns the sector types (see `buildSectorTypes`) for a Keystone version and set of sector schemas, building them on first use.
+ * They are cached per version and schema set like the dictionaries; a failed build is not cached.
+ * @param {Map<string, Map<string, Promise<object>>>} cache - The cache to use (version -> schema set -> sector types).
+ * @param {string[]} sectorSchemaPaths - An array of paths or URLs to sector JSON schemas.
+ * @param {Function} loader - An async function that takes a path and returns the JSON content.
+ * @param {Function} documentLoader - The JSON-LD document loader.
+ * @param {string} version - The Keystone version (e.g., 'v2').
+ * @returns {Promise<object>} Content specification ID -> array of class IRIs.
+ */
+export function getCachedSectorTypes(cache, sectorSchemaPaths, loader, documentLoader, version) {
+    if (!cache.has(version)) {
+        cache.set(version, new Map());
+    }
+    const cached = cache.get(version);
+    const key = pathSetKey(sectorSchemaPaths);
+
+    if (!cached.has(key)) {
+        const sectorTypes = {};
+        const building = buildSectorTypes(sectorSchemaPaths, loader, documentLoader, sectorTypes, version)
+            .then(() => sectorTypes)
+            .catch(error => {
+                cached.delete(key);
+                throw error;
+            });
+        cached.set(key, building);
+    }
+    return cached.get(key);
+}
+
 /**
  * A generic transformation engine for DPP data.
  * @param {object} dpp - The raw DPP JSON-LD document.
  * @param {object} options - The transformation options.
  * @param {string} options.profile - The name of the target profile to use (e.g., 'schema.org').
  * @param {Function} options.documentLoader - The JSON-LD document loader.
+ * @param {string} options.version - The Keystone version (e.g., 'v2').
+ * @param {object} [options.sectorTypes] - Content specification ID -> sector class IRIs, as built by `buildSectorTypes`.
+ * Without it only construction products are typed, as before sector types were derived from the spec.
+ * @param {string} [options.language] - The language of the names in the output (e.g., 'de'). Profiles take them from the
+ * ontology labels in the dictionary and fall back to English.
  * @param {object} dictionary - The dictionary of indicator metadata.
  * @returns {Promise<Array>} A promise that resolves to an array of transformed objects.
  */
 export async function transform(dpp, options, dictionary) {
-    const { profile: profileName, documentLoader, version } = options;
+    const { profile: profileName, documentLoader, version, language } = options;
     const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+    const sectorTypes = options.sectorTypes || {
+        'draft_construction_specification_id': [`${termsBase}ConstructionProduct`]
+    };
 
     // --- Start: Type Inference Logic ---
-    const specIdToType = {
-        'draft_construction_specification_id': `${termsBase}ConstructionProduct`,
-        // Future sector-specific IDs can be added here
-    };
     const DPP_BASE_TYPE = `${termsBase}DigitalProductPassport`;
 
     // Ensure dpp['@type'] is an array and contains the base DPP type.
@@ -97,16 +430,18 @@ export async function transform(dpp, options, dictionary) {
     // Infer sector-specific types from contentSpecificationIds
     if (Array.isArray(dpp.contentSpecificationIds)) {
         for (const id of dpp.contentSpecificationIds) {
-            if (specIdToType[id] && !dpp['@type'].includes(specIdToType[id])) {
-                dpp['@type'].push(specIdToType[id]);
+            for (const type of sectorTypes[id] || []) {
+                if (!dpp['@type'].includes(type)) {
+                    dpp['@type'].push(type);
+                }
             }
         }
     }
     // --- End: Type Inference Logic ---
 
-    const profile = profiles[profileName];
+    const profile = profiles.get(profileName);
     if (!profile) {
-        throw new Error(`Transformation profile "${profileName}" not found.`);
+        throw new Error(`Transformation profile "${profileName}" not found. Available profiles: ${[...profiles.keys()].join(', ')}.`);
     }
 
     const expanded = await jsonld.expand(dpp, { documentLoader });
@@ -125,7 +460,7 @@ export async function transform(dpp, options, dictionary) {
         const sourceUri = transformation.source.startsWith('http') ? transformation.source : `${termsBase}${transformation.source}`;
         const sourceData = rootNode[sourceUri]?.[0];
         if (sourceData) {
-            const transformedData = transformation.transformer(sourceData, dictionary, rootNode, version);
+            const transformedData = transformation.transformer(sourceData, dictionary, rootNode, version, { language });
             results = results.concat(transformedData);
         }
     }
@@ -0,0 +1,349 @@
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// IDTA submodel templates the DPP is split into
+const SUBMODELS = {
+    Nameplate: 'https://admin-shell.io/zvei/nameplate/2/0/Nameplate',
+    TechnicalData: 'https://admin-shell.io/ZVEI/TechnicalData/Submodel/1/2',
+    CarbonFootprint: 'https://admin-shell.io/idta/CarbonFootprint/CarbonFootprint/0/9'
+};
+
+// Keystone terms that identify the product and its manufacturer
+const NAMEPLATE_TERMS = new Set([
+    'digitalProductPassportId', 'uniqueProductIdentifier', 'economicOperatorId', 'facilityId', 'granularity',
+    'dppStatus', 'lastUpdate', 'dppSchemaVersion', 'versionNumber', 'versionDate', 'contentSpecificationIds',
+    'hsCode', 'gtin', 'productName', 'brand', 'model', 'manufacturer', 'economicOperator', 'importer',
+    'manufacturingFacilityId', 'manufacturingDate', 'manufacturingPlace', 'countryOfOrigin'
+]);
+
+const NUMERIC_VALUE_TYPES = new Set([
+    'xs:decimal', 'xs:double', 'xs:float', 'xs:integer', 'xs:int', 'xs:long', 'xs:short', 'xs:byte',
+    'xs:nonNegativeInteger', 'xs:positiveInteger', 'xs:nonPositiveInteger', 'xs:negativeInteger',
+    'xs:unsignedLong', 'xs:unsignedInt', 'xs:unsignedShort', 'xs:unsignedByte'
+]);
+
+// The extension used to keep JSON-LD details that have no AAS counterpart (node IRIs, custom datatypes, root types)
+const ID_EXTENSION = '@id';
+const TYPE_EXTENSION = '@type';
+
+const localName = (iri) => iri.split(/[#/]/).pop();
+
+/**
+ * Picks the submodel a top level DPP property belongs to.
+ * @param {string} iri - The full property IRI.
+ * @returns {string} The idShort of the submodel.
+ */
+function selectSubmodel(iri) {
+    const name = localName(iri);
+    if (NAMEPLATE_TERMS.has(name)) return 'Nameplate';
+    if (name === 'epd' || name.startsWith('carbonFootprint') || name.startsWith('environmentalFootprint')) return 'CarbonFootprint';
+    return 'TechnicalData';
+}
+
+/**
+ * Builds an AAS idShort from a property IRI. idShorts must start with a letter and only contain letters, digits and underscores.
+ * @param {string} iri - The full property IRI.
+ * @returns {string} The idShort.
+ */
+function toIdShort(iri) {
+    const name = localName(iri).replace(/[^a-zA-Z0-9_]/g, '_');
+    return /^[a-zA-Z]/.test(name) ? name : `id_${name}`;
+}
+
+const globalReference = (iri) => ({
+    type: 'ExternalReference',
+    keys: [{ type: 'GlobalReference', value: iri }]
+});
+
+const referenceValue = (reference) => reference?.keys?.[0]?.value;
+
+const extension = (name, value) => ({ name, valueType: 'xs:string', value });
+
+const getExtension = (element, name) => element.extensions?.find(ext => ext.name === name)?.value;
+
+const isLanguageString = (value) => value['@value'] !== undefined && value['@language'] !== undefined;
+
+const isReference = (value) => Object.keys(value).length === 1 && value['@id'] !== undefined;
+
+/**
+ * Transforms an expanded JSON-LD literal into an AAS Property.
+ * XSD datatypes become the valueType; other datatypes are kept in an extension.
+ * @param {object} literal - The expanded value object.
+ * @returns {object} The Property (without idShort and semanticId).
+ */
+function literalToProperty(literal) {
+    const { '@value': value, '@type': datatype } = literal;
+
+    let valueType;
+    if (datatype?.startsWith(XSD)) {
+        valueType = `xs:${datatype.slice(XSD.length)}`;
+    } else if (typeof value === 'boolean') {
+        valueType = 'xs:boolean';
+    } else if (typeof value === 'number') {
+        valueType = Number.isInteger(value) ? 'xs:integer' : 'xs:double';
+    } else {
+        valueType = 'xs:string';
+    }
+
+    const property = { modelType: 'Property', valueType, value: String(value) };
+    if (datatype && !datatype.startsWith(XSD)) {
+        property.extensions = [extension(TYPE_EXTENSION, datatype)];
+    }
+    return property;
+}
+
+/**
+ * Transforms a single expanded JSON-LD value into a submodel element.
+ * @param {object} value - The expanded value (literal, reference, node or list).
+ * @param {string} iri - The IRI of the property holding the value.
+ * @returns {object} The submodel element (without idShort).
+ */
+function valueToElement(value, iri) {
+    if (value['@list']) {
+        return listToElement(value['@list'], iri, true);
+    }
+    if (isLanguageString(value)) {
+        return { modelType: 'MultiLanguageProperty', value: [{ language: value['@language'], text: value['@value'] }] };
+    }
+    if (value['@value'] !== undefined) {
+        return literalToProperty(value);
+    }
+    if (isReference(value)) {
+        return { modelType: 'ReferenceElement', value: globalReference(value['@id']) };
+    }
+
+    const collection = { modelType: 'SubmodelElementCollection' };
+    if (value['@type']) {
+        collection.supplementalSemanticIds = [...new Set(value['@type'])].map(globalReference);
+    }
+    if (value['@id']) {
+        collection.extensions = [extension(ID_EXTENSION, value['@id'])];
+    }
+    collection.value = nodeToElements(value);
+    return collection;
+}
+
+/**
+ * Transforms multiple values of one property into a SubmodelElementList.
+ * @param {Array} values - The expanded values.
+ * @param {string} iri - The IRI of the property holding the values.
+ * @param {boolean} orderRelevant - True for JSON-LD lists.
+ * @returns {object} The SubmodelElementList (without idShort).
+ */
+function listToElement(values, iri, orderRelevant) {
+    const items = values.map(value => {
+        const item = valueToElement(value, iri);
+        item.semanticId = globalReference(iri);
+        return item;
+    });
+    const modelTypes = new Set(items.map(item => item.modelType));
+    const valueTypes = new Set(items.map(item => item.valueType));
+
+    const list = {
+        modelType: 'SubmodelElementList',
+        orderRelevant,
+        semanticIdListElement: globalReference(iri),
+        typeValueListElement: modelTypes.size === 1 ? [...modelTypes][0] : 'SubmodelElement'
+    };
+    if (modelTypes.size === 1 && modelTypes.has('Property') && valueTypes.size === 1) {
+        list.valueTypeListElement = [...valueTypes][0];
+    }
+    list.value = items;
+    return list;
+}
+
+/**
+ * Transforms all values of one property into a single submodel element.
+ * @param {string} iri - The full property IRI.
+ * @param {Array} values - The expanded values of the property.
+ * @returns {object} The submodel element, with idShort and semanticId pointing to the property IRI.
+ */
+function propertyToElement(iri, values) {
+    let element;
+    if (values.length > 1 && values.every(isLanguageString)) {
+        element = {
+            modelType: 'MultiLanguageProperty',
+            value: values.map(value => ({ language: value['@language'], text: value['@value'] }))
+        };
+    } else if (values.length === 1) {
+        element = valueToElement(values[0], iri);
+    } else {
+        element = listToElement(values, iri, false);
+    }
+    return { idShort: toIdShort(iri), semanticId: globalReference(iri), ...element };
+}
+
+/**
+ * Transforms the properties of an expanded node into submodel elements.
+ * @param {object} node - The expanded JSON-LD node.
+ * @returns {Array} The submodel elements.
+ */
+function nodeToElements(node) {
+    return Object.entries(node)
+        .filter(([key]) => !key.startsWith('@'))
+        .map(([iri, values]) => propertyToElement(iri, values));
+}
+
+const getIdentifier = (node, property) => node?.[property]?.[0]?.['@id'] ?? node?.[property]?.[0]?.['@value'];
+
+/**
+ * Transforms the root DPP node into an AAS environment with a shell and the Nameplate,
+ * Technical Data and Carbon Footprint submodels. Every submodel element carries the
+ * Keystone term IRI as its semanticId.
+ * @param {*} sourceData - The data from the source property (ignored).
+ * @param {*} dictionary - The dictionary of indicator metadata (ignored).
+ * @param {object} rootNode - The root product node from the expanded graph.
+ * @param {string} version - The Keystone version.
+ * @returns {Array} An array containing the AAS environment.
+ */
+function dppToAasEnvironment(sourceData, dictionary, rootNode, version) {
+    const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+    const dppId = getIdentifier(rootNode, `${termsBase}digitalProductPassportId`);
+    const globalAssetId = getIdentifier(rootNode, `${termsBase}uniqueProductIdentifier`) || dppId;
+
+    const elementsBySubmodel = Object.fromEntries(Object.keys(SUBMODELS).map(idShort => [idShort, []]));
+    nodeToElements(rootNode).forEach(element => {
+        elementsBySubmodel[selectSubmodel(referenceValue(element.semanticId))].push(element);
+    });
+
+    const submodels = Object.entries(SUBMODELS)
+        .filter(([idShort]) => elementsBySubmodel[idShort].length > 0)
+        .map(([idShort, semanticId]) => ({
+            modelType: 'Submodel',
+            id: `${dppId}/submodels/${idShort}`,
+            idShort,
+            kind: 'Instance',
+            semanticId: globalReference(semanticId),
+            submodelElements: elementsBySubmodel[idShort]
+        }));
+
+    const shell = {
+        modelType: 'AssetAdministrationShell',
+        id: dppId,
+        idShort: 'DigitalProductPassport',
+        assetInformation: {
+            assetKind: 'Instance',
+            globalAssetId
+        },
+        submodels: submodels.map(submodel => ({
+            type: 'ModelReference',
+            keys: [{ type: 'Submodel', value: submodel.id }]
+        }))
+    };
+    const extensions = [];
+    if (rootNode['@id']) extensions.push(extension(ID_EXTENSION, rootNode['@id']));
+    if (rootNode['@type']) extensions.push(extension(TYPE_EXTENSION, [...new Set(rootNode['@type'])].join(' ')));
+    if (extensions.length > 0) shell.extensions = extensions;
+
+    return [{
+        assetAdministrationShells: [shell],
+        submodels,
+        conceptDescriptions: []
+    }];
+}
+
+/**
+ * Transforms an AAS Property back into an expanded JSON-LD literal.
+ * @param {object} property - The Property.
+ * @returns {object} The expanded value object.
+ */
+function propertyToLiteral(property) {
+    const { valueType, value } = property;
+    const datatype = getExtension(property, TYPE_EXTENSION)
+        || (valueType && valueType !== 'xs:string' ? `${XSD}${valueType.slice(3)}` : null);
+
+    let literal = value;
+    if (NUMERIC_VALUE_TYPES.has(valueType) && String(Number(value)) === value) {
+        literal = Number(value);
+    } else if (valueType === 'xs:boolean') {
+        literal = value === 'true';
+    }
+    return datatype ? { '@value': literal, '@type': datatype } : { '@value': literal };
+}
+
+/**
+ * Transforms a submodel element back into expanded JSON-LD values.
+ * @param {object} element - The submodel element.
+ * @returns {Array} The expanded values.
+ */
+function elementToValues(element) {
+    switch (element.modelType) {
+        case 'SubmodelElementList': {
+            const items = (element.value || []).flatMap(elementToValues);
+            return element.orderRelevant ? [{ '@list': items }] : items;
+        }
+        case 'MultiLanguageProperty':
+            return (element.value || []).map(({ language, text }) => ({ '@value': text, '@language': language }));
+        case 'Property':
+            return [propertyToLiteral(element)];
+        case 'ReferenceElement':
+            return [{ '@id': referenceValue(element.value) }];
+        case 'SubmodelElementCollection': {
+            const node = {};
+            const id = getExtension(element, ID_EXTENSION);
+            if (id) node['@id'] = id;
+            if (element.supplementalSemanticIds) node['@type'] = element.supplementalSemanticIds.map(referenceValue);
+            return [Object.assign(node, elementsToNode(element.value || []))];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Transforms submodel elements back into the properties of an expanded JSON-LD node.
+ * The semanticId of each element is used as the property IRI.
+ * @param {Array} elements - The submodel elements.
+ * @returns {object} The expanded node properties.
+ */
+function elementsToNode(elements) {
+    const node = {};
+    elements.forEach(element => {
+        const iri = referenceValue(element.semanticId);
+        if (!iri) return;
+        node[iri] = [...(node[iri] || []), ...elementToValues(element)];
+    });
+    return node;
+}
+
+/**
+ * Converts an AAS environment created by this profile back into an expanded DPP node.
+ * Elements are matched to Keystone terms by their semanticId, so environments edited
+ * in AAS tooling can be read back as long as the semanticIds are preserved.
+ * @param {object} environment - The AAS environment.
+ * @returns {Array} The expanded JSON-LD document.
+ */
+export function aasEnvironmentToDpp(environment) {
+    const shell = environment.assetAdministrationShells?.[0];
+    if (!shell) {
+        throw new Error('The AAS environment does not contain an Asset Administration Shell.');
+    }
+
+    const submodelIds = new Set((shell.submodels || []).map(referenceValue));
+    const root = {};
+    const id = getExtension(shell, ID_EXTENSION);
+    const types = getExtension(shell, TYPE_EXTENSION);
+    if (id) root['@id'] = id;
+    if (types) root['@type'] = types.split(' ');
+
+    (environment.submodels || [])
+        .filter(submodel => submodelIds.has(submodel.id))
+        .forEach(submodel => {
+            const properties = elementsToNode(submodel.submodelElements || []);
+            Object.entries(properties).forEach(([iri, values]) => {
+                root[iri] = [...(root[iri] || []), ...values];
+            });
+        });
+
+    return [root];
+}
+
+export const profile = {
+    description: 'Asset Administration Shell (AAS v3) JSON environment with Nameplate, Technical Data and Carbon Footprint submodels.',
+    mediaType: 'application/json',
+    transformations: [
+        {
+            source: 'digitalProductPassportId',
+            transformer: dppToAasEnvironment
+        }
+    ]
+};
@@ -0,0 +1,280 @@
+const ILCD_PROCESS = 'http://lca.jrc.it/ILCD/Process';
+const ILCD_COMMON = 'http://lca.jrc.it/ILCD/Common';
+const ILCD_EPD = 'http://www.iai.kit.edu/EPD/2013';
+
+// EN 15804 information modules in declaration order, followed by the Keystone total (A1-C4)
+const MODULES = [
+    ['a1', 'A1'], ['a2', 'A2'], ['a3', 'A3'], ['a4', 'A4'], ['a5', 'A5'],
+    ['b1', 'B1'], ['b2', 'B2'], ['b3', 'B3'], ['b4', 'B4'], ['b5', 'B5'], ['b6', 'B6'], ['b7', 'B7'],
+    ['c1', 'C1'], ['c2', 'C2'], ['c3', 'C3'], ['c4', 'C4'],
+    ['d', 'D'],
+    ['total', 'Total']
+];
+
+// EN 15804+A2 indicator abbreviations, in the order of the standard's core indicator table
+const EN15804_INDICATORS = [
+    ['gwp', 'GWP-total'],
+    ['gwpF', 'GWP-fossil'],
+    ['gwpB', 'GWP-biogenic'],
+    ['gwpLuluc', 'GWP-luluc'],
+    ['odp', 'ODP'],
+    ['ap', 'AP'],
+    ['epF', 'EP-freshwater'],
+    ['epM', 'EP-marine'],
+    ['epT', 'EP-terrestrial'],
+    ['pocp', 'POCP'],
+    ['adpe', 'ADPE'],
+    ['adpf', 'ADPF'],
+    ['wdp', 'WDP'],
+    ['gwpGhg', 'GWP-GHG']
+];
+
+// Written in place of a value for modules the EPD does not declare
+const MODULE_NOT_DECLARED = 'MND';
+
+const localName = (iri) => iri.split('#').pop();
+
+/**
+ * Picks the label of a dictionary entry in the requested language, falling back to the English label.
+ * @returns {{label: string|undefined, lang: string}} The label and its language.
+ */
+function localizedLabel(definition, language) {
+    const candidates = language ? [language, language.split('-')[0]] : [];
+    const lang = candidates.find(candidate => definition.labels?.[candidate]);
+    return lang ? { label: definition.labels[lang], lang } : { label: definition.label, lang: 'en' };
+}
+
+/**
+ * Reads the EPD block of a DPP into an EN 15804+A2 indicator × module table.
+ * Units and labels come from the dictionary built from the ontology (`dppk:unit`, `rdfs:label`).
+ * @param {object} epdNode - The expanded JSON-LD node of the EPD block.
+ * @param {object} dictionary - The dictionary of indicator metadata.
+ * @param {object} rootNode - The expanded DigitalProductPassport node.
+ * @param {string} version - The Keystone version (e.g., 'v2').
+ * @param {object} [options] - The transformation options.
+ * @param {string} [options.language] - The language of the indicator labels; English is used when the ontology has no label in it.
+ * @returns {object} The table: `{ standard, product, modules, indicators }`. Undeclared modules are `null`.
+ */
+export function epdToEn15804Table(epdNode, dictionary, rootNode, version, { language } = {}) {
+    const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+    const order = EN15804_INDICATORS.map(([term]) => term);
+
+    const indicators = Object.keys(epdNode)
+        .filter(iri => !iri.startsWith('@') && iri.startsWith(termsBase))
+        .map(iri => {
+            const term = localName(iri);
+            const stages = epdNode[iri][0] || {};
+            const values = {};
+            MODULES.forEach(([stage]) => {
+                const value = stages[`${termsBase}${stage}`]?.[0]?.['@value'];
+                values[stage] = value === undefined || value === '' ? null : Number(value);
+            });
+            const { label, lang } = localizedLabel(dictionary[iri] || {}, language);
+            return {
+                indicator: (EN15804_INDICATORS.find(([key]) => key === term) || [term, term.toUpperCase()])[1],
+                term: iri,
+                label: label || term,
+                labelLanguage: lang,
+                unit: dictionary[iri]?.unit || '',
+                values
+            };
+        })
+        .sort((a, b) => {
+            const rank = (entry) => {
+                const index = order.indexOf(localName(entry.term));
+                return index === -1 ? order.length : index;
+            };
+            return rank(a) - rank(b);
+        });
+
+    // Every EN 15804 module is listed so that undeclared ones show up as such; the total only if it is given
+    const modules = MODULES
+        .filter(([stage]) => stage !== 'total' || indicators.some(indicator => indicator.values.total !== null))
+        .map(([stage, code]) => ({ key: stage, code }));
+
+    const productName = rootNode[`${termsBase}productName`]?.find(entry => entry['@language']?.startsWith('en'))?.['@value']
+        ?? rootNode[`${termsBase}productName`]?.[0]?.['@value'];
+
+    return {
+        standard: 'EN 15804+A2',
+        product: {
+            name: productName ?? null,
+            digitalProductPassportId: rootNode[`${termsBase}digitalProductPassportId`]?.[0]?.['@id'] ?? null,
+            uniqueProductIdentifier: rootNode[`${termsBase}uniqueProductIdentifier`]?.[0]?.['@id']
+                ?? rootNode[`${termsBase}uniqueProductIdentifier`]?.[0]?.['@value'] ?? null
+        },
+        modules,
+        indicators
+    };
+}
+
+/**
+ * Quotes a CSV field if it contains the delimiter, a quote or a line break.
+ */
+function toCsvField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders an EN 15804 table as CSV: one row per indicator, one column per module.
+ * Undeclared modules are written as 'MND' (module not declared).
+ * @param {object} table - The table returned by `epdToEn15804Table`.
+ * @param {object} [options] - The CSV dialect.
+ * @param {string} [options.delimiter=','] - The field delimiter.
+ * @param {string} [options.lineEnding='\n'] - The line ending.
+ * @param {boolean} [options.bom=false] - Prefix the output with a UTF-8 byte order mark.
+ * @returns {string} The CSV text.
+ */
+export function en15804TableToCsv(table, { delimiter = ',', lineEnding = '\n', bom = false } = {}) {
+    const header = ['Indicator', 'Description', 'Unit', ...table.modules.map(module => module.code)];
+    const rows = table.indicators.map(indicator => [
+        indicator.indicator,
+        indicator.label,
+        indicator.unit,
+        ...table.modules.map(module => indicator.values[module.key] ?? MODULE_NOT_DECLARED)
+    ]);
+    const csv = [header, ...rows]
+        .map(row => row.map(field => toCsvField(field, delimiter)).join(delimiter))
+        .join(lineEnding);
+    return (bom ? '\uFEFF' : '') + csv + lineEnding;
+}
+
+/**
+ * Converts an EN 15804 table into the ILCD+EPD process data set structure (as serialised to JSON by soda4LCA).
+ * Each indicator becomes an LCIA result whose module amounts are `epd:amount` extensions; the method
+ * reference points to the Keystone term. The Keystone total is not an ILCD+EPD module and is left out.
+ * @param {object} table - The table returned by `epdToEn15804Table`.
+ * @returns {object} The ILCD+EPD process data set.
+ */
+export function en15804TableToIlcd(table) {
+    const modules = table.modules.filter(module => module.key !== 'total');
+    const uuid = table.product.digitalProductPassportId?.match(/^urn:uuid:(.+)$/i)?.[1];
+
+    return {
+        version: '1.1',
+        processInformation: {
+            dataSetInformation: {
+                ...(uuid ? { UUID: uuid } : {}),
+                name: { baseName: table.product.name ? [{ value: table.product.name, lang: 'en' }] : [] },
+                ...(table.product.uniqueProductIdentifier ? { identifierOfSubDataSet: table.product.uniqueProductIdentifier } : {})
+            }
+        },
+        LCIAResults: {
+            LCIAResult: table.indicators.map(indicator => ({
+                referenceToLCIAMethodDataSet: {
+                    type: 'LCIA method data set',
+                    uri: indicator.term,
+                    shortDescription: [{ value: `${indicator.indicator}: ${indicator.label}`, lang: indicator.labelLanguage }]
+                },
+                other: {
+                    anies: [
+                        {
+                            name: 'referenceToUnitGroupDataSet',
+                            value: { shortDescription: [{ value: indicator.unit, lang: 'en' }] }
+                        },
+                        ...modules
+                            .filter(module => indicator.values[module.key] !== null)
+                            .map(module => ({ name: 'amount', module: module.code, value: String(indicator.values[module.key]) }))
+                    ]
+                }
+            }))
+        }
+    };
+}
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Renders an EN 15804 table as an ILCD+EPD process data set XML document (see `en15804TableToIlcd`).
+ * @param {object} table - The table returned by `epdToEn15804Table`.
+ * @returns {string} The XML document.
+ */
+export function en15804TableToIlcdXml(table) {
+    const ilcd = en15804TableToIlcd(table);
+    const info = ilcd.processInformation.dataSetInformation;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<processDataSet xmlns="${ILCD_PROCESS}" xmlns:common="${ILCD_COMMON}" xmlns:epd="${ILCD_EPD}" version="${ilcd.version}">`,
+        '  <processInformation>',
+        '    <dataSetInformation>',
+        ...(info.UUID ? [`      <common:UUID>${escapeXml(info.UUID)}</common:UUID>`] : []),
+        '      <name>',
+        ...info.name.baseName.map(name => `        <baseName xml:lang="${name.lang}">${escapeXml(name.value)}</baseName>`),
+        '      </name>',
+        ...(info.identifierOfSubDataSet ? [`      <identifierOfSubDataSet>${escapeXml(info.identifierOfSubDataSet)}</identifierOfSubDataSet>`] : []),
+        '    </dataSetInformation>',
+        '  </processInformation>',
+        '  <LCIAResults>'
+    ];
+
+    ilcd.LCIAResults.LCIAResult.forEach(result => {
+        const reference = result.referenceToLCIAMethodDataSet;
+        const [unitGroup, ...amounts] = result.other.anies;
+        lines.push(
+            '    <LCIAResult>',
+            `      <referenceToLCIAMethodDataSet type="${reference.type}" uri="${escapeXml(reference.uri)}">`,
+            ...reference.shortDescription.map(description => `        <common:shortDescription xml:lang="${description.lang}">${escapeXml(description.value)}</common:shortDescription>`),
+            '      </referenceToLCIAMethodDataSet>',
+            '      <common:other>',
+            '        <epd:referenceToUnitGroupDataSet type="unit group data set">',
+            ...unitGroup.value.shortDescription.map(description => `          <common:shortDescription xml:lang="${description.lang}">${escapeXml(description.value)}</common:shortDescription>`),
+            '        </epd:referenceToUnitGroupDataSet>',
+            ...amounts.map(amount => `        <epd:amount epd:module="${amount.module}">${escapeXml(amount.value)}</epd:amount>`),
+            '      </common:other>',
+            '    </LCIAResult>'
+        );
+    });
+
+    lines.push('  </LCIAResults>', '</processDataSet>', '');
+    return lines.join('\n');
+}
+
+// All EPD profiles read the indicator units and labels from the dictionary
+const dictionaryFields = ['unit', 'label'];
+
+const epdProfile = (description, mediaType, render) => ({
+    description,
+    mediaType,
+    dictionaryFields,
+    transformations: [
+        {
+            source: 'epd',
+            transformer: (epdNode, dictionary, rootNode, version, options) => [render(epdToEn15804Table(epdNode, dictionary, rootNode, version, options))]
+        }
+    ]
+});
+
+export const profile = epdProfile(
+    'EN 15804+A2 indicator × module table of the EPD block.',
+    'application/json',
+    table => table
+);
+
+export const csvProfile = epdProfile(
+    'EN 15804+A2 indicator × module table of the EPD block as CSV.',
+    'text/csv',
+    table => en15804TableToCsv(table)
+);
+
+export const excelCsvProfile = epdProfile(
+    'EN 15804+A2 indicator × module table of the EPD block as Excel compatible CSV (UTF-8 BOM, CRLF).',
+    'text/csv',
+    table => en15804TableToCsv(table, { lineEnding: '\r\n', bom: true })
+);
+
+export const ilcdProfile = epdProfile(
+    'ILCD+EPD process data set (JSON) with the EPD indicators as LCIA results per module.',
+    'application/json',
+    table => en15804TableToIlcd(table)
+);
+
+export const ilcdXmlProfile = epdProfile(
+    'ILCD+EPD process data set (XML) with the EPD indicators as LCIA results per module.',
+    'application/xml',
+    table => en15804TableToIlcdXml(table)
+);
@@ -0,0 +1,254 @@
+const GS1 = 'https://ref.gs1.org/voc/';
+const GS1_DIGITAL_LINK_BASE = 'https://id.gs1.org/01/';
+
+const getValue = (node, property) => node?.[property]?.[0]?.['@value'];
+const getNode = (node, property) => node?.[property]?.[0];
+const getId = (node, property) => node?.[property]?.[0]?.['@id'];
+
+/**
+ * Converts the (possibly language tagged) values of a property into GS1 language strings.
+ * Untagged values are emitted as plain strings.
+ * @param {object} node - The expanded JSON-LD node.
+ * @param {string} property - The full property IRI.
+ * @returns {Array|undefined} The values, or undefined if the property is not set.
+ */
+function toLangStrings(node, property) {
+    const values = (node?.[property] || [])
+        .filter(entry => entry['@value'] !== undefined)
+        .map(entry => entry['@language']
+            ? { "@value": entry['@value'], "@language": entry['@language'] }
+            : entry['@value']);
+    return values.length > 0 ? values : undefined;
+}
+
+/**
+ * Normalises a GTIN-8/12/13/14 to the 14 digit form used by the GS1 Web Vocabulary and Digital Link.
+ * @param {string|number} gtin - The GTIN.
+ * @returns {string|undefined} The GTIN-14, or the input as a string if it is not a GTIN.
+ */
+function toGtin14(gtin) {
+    if (gtin === undefined || gtin === null) return undefined;
+    const digits = String(gtin).trim();
+    return /^\d{8}$|^\d{12,14}$/.test(digits) ? digits.padStart(14, '0') : digits;
+}
+
+// Unit codes (UN/ECE Rec 20) implied by the typed literals of the general product context
+const UNIT_CODE_BY_DATATYPE = {
+    KgWeightLiteral: 'KGM',
+    MetersLengthLiteral: 'MTR'
+};
+
+/**
+ * Transforms a DPP measurement into a gs1:QuantitativeValue.
+ * Accepts both a typed literal (e.g. `dppk:KgWeightLiteral`) and a QuantitativeValue node with `value`/`unitCode`.
+ * @param {object} entry - The first expanded value of the measurement property.
+ * @param {string} termsBase - The terms namespace.
+ * @param {string} defaultUnitCode - The unit code used when the data does not carry one.
+ * @returns {object|undefined} A gs1:QuantitativeValue object.
+ */
+function toGs1QuantitativeValue(entry, termsBase, defaultUnitCode) {
+    if (!entry) return undefined;
+
+    let value;
+    let unitCode;
+    if (entry['@value'] !== undefined) {
+        value = entry['@value'];
+        const datatype = entry['@type'] ? entry['@type'].split('#').pop() : null;
+        unitCode = UNIT_CODE_BY_DATATYPE[datatype];
+    } else {
+        value = getValue(entry, `${termsBase}value`);
+        unitCode = getValue(entry, `${termsBase}unitCode`);
+    }
+
+    if (value === undefined || isNaN(Number(value))) return undefined;
+    return {
+        "@type": "gs1:QuantitativeValue",
+        "gs1:value": Number(value),
+        "gs1:unitCode": unitCode || defaultUnitCode
+    };
+}
+
+/**
+ * Transforms a DPP Organization node into a gs1:Organization.
+ * @param {object} orgNode - The expanded JSON-LD node for the organization.
+ * @param {string} termsBase - The terms namespace.
+ * @returns {object|null} A gs1:Organization object.
+ */
+function toGs1Organization(orgNode, termsBase) {
+    if (!orgNode) return null;
+
+    const addressNode = getNode(orgNode, `${termsBase}address`);
+    const address = addressNode ? {
+        "@type": "gs1:PostalAddress",
+        "gs1:streetAddress": getValue(addressNode, `${termsBase}streetAddress`),
+        "gs1:postalCode": getValue(addressNode, `${termsBase}postalCode`),
+        "gs1:addressLocality": getValue(addressNode, `${termsBase}addressLocality`),
+        "gs1:addressCountry": getValue(addressNode, `${termsBase}addressCountry`),
+    } : null;
+
+    const email = getValue(orgNode, `${termsBase}email`);
+    const telephone = getValue(orgNode, `${termsBase}telephone`);
+
+    const org = {
+        "@type": "gs1:Organization",
+        "gs1:organizationName": getValue(orgNode, `${termsBase}organizationName`),
+        "gs1:organizationTradingName": getValue(orgNode, `${termsBase}tradingName`),
+        "gs1:globalLocationNumber": getValue(orgNode, `${termsBase}gln`),
+        "gs1:additionalOrganizationIdentification": getValue(orgNode, `${termsBase}additionalOrganizationId`),
+        "gs1:additionalOrganizationIdentificationType": getValue(orgNode, `${termsBase}additionalOrganizationIdType`),
+        ...(address && { "gs1:address": address }),
+        ...((email || telephone) && {
+            "gs1:contactPoint": { "@type": "gs1:ContactPoint", "gs1:email": email, "gs1:telephone": telephone }
+        }),
+    };
+
+    removeUndefined(org);
+    return org;
+}
+
+/**
+ * Transforms the DPP image resources into gs1:ReferencedFileDetails.
+ * @param {object} rootNode - The root DPP node.
+ * @param {string} termsBase - The terms namespace.
+ * @returns {Array|undefined} The referenced files.
+ */
+function toGs1ProductImages(rootNode, termsBase) {
+    const images = (rootNode[`${termsBase}image`] || [])
+        .map(imgNode => {
+            const url = getValue(imgNode, `${termsBase}url`) || imgNode['@id'];
+            if (!url) return null;
+            const file = {
+                "@type": "gs1:ReferencedFileDetails",
+                "gs1:referencedFileType": { "@id": "gs1:ReferencedFileTypeCode-PRODUCT_IMAGE" },
+                "gs1:referencedFileURL": { "@id": url },
+                "gs1:fileFormatName": getValue(imgNode, `${termsBase}contentType`),
+                "gs1:referencedFileName": getValue(imgNode, `${termsBase}resourceTitle`),
+            };
+            removeUndefined(file);
+            return file;
+        })
+        .filter(Boolean);
+    return images.length > 0 ? images : undefined;
+}
+
+/**
+ * Transforms the DPP certifications into gs1:CertificationDetails.
+ * Both `certifications` and the general product `additionalCertifications` are read.
+ * @param {object} rootNode - The root DPP node.
+ * @param {string} termsBase - The terms namespace.
+ * @returns {Array|undefined} The certification details.
+ */
+function toGs1Certifications(rootNode, termsBase) {
+    const certNodes = [
+        ...(rootNode[`${termsBase}certifications`] || []),
+        ...(rootNode[`${termsBase}additionalCertification`] || [])
+    ];
+
+    const certifications = certNodes
+        .filter(certNode => certNode && typeof certNode === 'object' && certNode['@value'] === undefined)
+        .map(certNode => {
+            const certUrl = getValue(certNode, `${termsBase}certificationUrl`);
+            const cert = {
+                "@type": "gs1:CertificationDetails",
+                "gs1:certificationStandard": getValue(certNode, `${termsBase}certificationName`)
+                    || getValue(certNode, `${termsBase}resourceTitle`),
+                "gs1:certificationIdentification": getValue(certNode, `${termsBase}certificationId`),
+                "gs1:certificationAgency": getValue(certNode, `${termsBase}certificationBodyName`),
+                "gs1:certificationStartDate": getValue(certNode, `${termsBase}certificationStartDate`),
+                "gs1:certificationEndDate": getValue(certNode, `${termsBase}certificationEndDate`),
+                ...(certUrl && { "gs1:certificationURI": { "@id": certUrl } }),
+            };
+            removeUndefined(cert);
+            return cert;
+        })
+        .filter(cert => Object.keys(cert).length > 1);
+    return certifications.length > 0 ? certifications : undefined;
+}
+
+/**
+ * Transforms the DPP packaging materials into a gs1:PackagingDetails.
+ * @param {object} rootNode - The root DPP node.
+ * @param {string} termsBase - The terms namespace.
+ * @returns {object|undefined} The packaging details.
+ */
+function toGs1Packaging(rootNode, termsBase) {
+    const materials = (rootNode[`${termsBase}packaging`] || [])
+        .map(packNode => {
+            const material = {
+                "@type": "gs1:PackagingMaterialDetails",
+                "gs1:packagingMaterialType": getValue(packNode, `${termsBase}packagingMaterialType`),
+                "gs1:packagingMaterialCompositionQuantity": toGs1QuantitativeValue(
+                    getNode(packNode, `${termsBase}packagingMaterialCompositionQuantity`), termsBase, 'KGM'),
+                "gs1:packagingRecyclingProcessType": getValue(packNode, `${termsBase}packagingRecyclingProcessType`),
+            };
+            removeUndefined(material);
+            return material;
+        })
+        .filter(material => Object.keys(material).length > 1);
+
+    if (materials.length === 0) return undefined;
+    return {
+        "@type": "gs1:PackagingDetails",
+        "gs1:packagingMaterial": materials
+    };
+}
+
+function removeUndefined(obj) {
+    Object.keys(obj).forEach(key => obj[key] === undefined && delete obj[key]);
+}
+
+/**
+ * Transforms the root DPP node into a gs1:Product.
+ * @param {*} sourceData - The data from the source property (ignored).
+ * @param {*} dictionary - The dictionary of indicator metadata (ignored).
+ * @param {object} rootNode - The root product node from the expanded graph.
+ * @param {string} version - The Keystone version.
+ * @returns {Array} An array containing the gs1:Product object.
+ */
+function dppToGs1Product(sourceData, dictionary, rootNode, version) {
+    const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+
+    const gtin = toGtin14(getValue(rootNode, `${termsBase}gtin`));
+    const brandNames = toLangStrings(rootNode, `${termsBase}brand`);
+    const countryOfOrigin = getValue(rootNode, `${termsBase}countryOfOrigin`);
+
+    const product = {
+        "@context": {
+            "gs1": GS1,
+            "xsd": "http://www.w3.org/2001/XMLSchema#"
+        },
+        "@type": "gs1:Product",
+        "@id": gtin && /^\d{14}$/.test(gtin)
+            ? `${GS1_DIGITAL_LINK_BASE}${gtin}`
+            : (getId(rootNode, `${termsBase}uniqueProductIdentifier`) || getValue(rootNode, `${termsBase}uniqueProductIdentifier`)),
+        "gs1:gtin": gtin,
+        "gs1:productName": toLangStrings(rootNode, `${termsBase}productName`),
+        "gs1:productDescription": toLangStrings(rootNode, `${termsBase}description`),
+        ...(brandNames && { "gs1:brand": { "@type": "gs1:Brand", "gs1:brandName": brandNames } }),
+        "gs1:colourDescription": toLangStrings(rootNode, `${termsBase}color`),
+        ...(countryOfOrigin && { "gs1:countryOfOrigin": { "@type": "gs1:Country", "gs1:countryCode": countryOfOrigin } }),
+        "gs1:manufacturer": toGs1Organization(getNode(rootNode, `${termsBase}manufacturer`), termsBase) || undefined,
+        "gs1:netWeight": toGs1QuantitativeValue(getNode(rootNode, `${termsBase}netWeight`), termsBase, 'KGM'),
+        "gs1:grossWeight": toGs1QuantitativeValue(getNode(rootNode, `${termsBase}grossWeight`), termsBase, 'KGM'),
+        "gs1:outOfPackageWidth": toGs1QuantitativeValue(getNode(rootNode, `${termsBase}width`), termsBase, 'MTR'),
+        "gs1:outOfPackageHeight": toGs1QuantitativeValue(getNode(rootNode, `${termsBase}height`), termsBase, 'MTR'),
+        "gs1:outOfPackageDepth": toGs1QuantitativeValue(getNode(rootNode, `${termsBase}depth`), termsBase, 'MTR'),
+        "gs1:productImage": toGs1ProductImages(rootNode, termsBase),
+        "gs1:certification": toGs1Certifications(rootNode, termsBase),
+        "gs1:packaging": toGs1Packaging(rootNode, termsBase),
+    };
+
+    removeUndefined(product);
+    return [product];
+}
+
+export const profile = {
+    description: 'GS1 Web Vocabulary Product (gs1:Product) for retail and trade partners.',
+    mediaType: 'application/ld+json',
+    transformations: [
+        {
+            source: 'digitalProductPassportId',
+            transformer: dppToGs1Product
+        }
+    ]
+};
@@ -3,6 +3,21 @@ const getValues = (node, property) => node?.[property]?.map(p => p['@value']) ??
 const getNode = (node, property) => node?.[property]?.[0];
 const getId = (node, property) => node?.[property]?.[0]?.['@id'];
 
+/**
+ * Returns the ontology label of a term in the requested language. Without a language, or when the ontology
+ * has no label in it, the English name is returned, so the output without a language stays unchanged.
+ * @param {object} dictionary - The dictionary of term metadata (see `buildDictionary`).
+ * @param {string} termIri - The full term IRI.
+ * @param {string|undefined} language - The requested language (e.g., 'de' or 'de-AT').
+ * @param {string} englishName - The English name.
+ * @returns {string} The name to use.
+ */
+function localizedLabel(dictionary, termIri, language, englishName) {
+    if (!language) return englishName;
+    const labels = dictionary?.[termIri]?.labels;
+    return labels?.[language] ?? labels?.[language.split('-')[0]] ?? englishName;
+}
+
 /**
  * Transforms a DPP manufacturer node into a schema.org Organization.
  * @param {object} manufacturerNode - The expanded JSON-LD node for the manufacturer.
@@ -98,13 +113,15 @@ function flattenImage(rootNode, termsBase) {
  * @param {object} node - The node to flatten.
  * @param {string} parentName - The accumulated name prefix.
  * @param {object} dictionary - The dictionary of indicator metadata.
+ * @param {string} [language] - The language of the names; see `localizedLabel`.
  * @returns {Array} An array of PropertyValue objects.
  */
-function flattenToAdditionalProperties(node, parentName, dictionary) {
+function flattenToAdditionalProperties(node, parentName, dictionary, language) {
     const properties = [];
     const toTitleCase = (str) => {
         return str.replace(/([A-Z])/g, ' $1').replace(/^./, (s) => s.toUpperCase());
     };
+    const segmentName = (uri, localName) => localizedLabel(dictionary, uri, language, toTitleCase(localName));
 
     const recurse = (currentNode, currentParentName) => {
         for (const [uri, valueList] of Object.entries(currentNode)) {
@@ -120,9 +137,9 @@ function flattenToAdditionalProperties(node, parentName, dictionary) {
              // Logic to decide display name: Use explicit label if available and distinct, 
              // otherwise build path.
              if (definedLabel && definedLabel !== localName) {
-                 displayName = definedLabel;
+                 displayName = localizedLabel(dictionary, uri, language, definedLabel);
              } else {
-                 const localDisplay = toTitleCase(localName);
+                 const localDisplay = segmentName(uri, localName);
                  displayName = currentParentName ? `${currentParentName} - ${localDisplay}` : localDisplay;
              }
              
@@ -138,7 +155,7 @@ function flattenToAdditionalProperties(node, parentName, dictionary) {
              } else if (valueItem && typeof valueItem === 'object') {
                   // For recursion, we always append the path segment to ensure uniqueness 
                   // and context, unless the child logic overrides it (which it won't here easily).
-                  const localDisplay = toTitleCase(localName);
+                  const localDisplay = segmentName(uri, localName);
                   const nextParentName = currentParentName ? `${currentParentName} - ${localDisplay}` : localDisplay;
                   recurse(valueItem, nextParentName);
              }
@@ -155,10 +172,21 @@ function flattenToAdditionalProperties(node, parentName, dictionary) {
  * @param {*} sourceData - The data from the source property (ignored).
  * @param {*} dictionary - The dictionary of indicator metadata (ignored).
  * @param {object} rootNode - The root product node from the expanded graph.
+ * @param {string} version - The Keystone version.
+ * @param {object} [options] - The transformation options.
+ * @param {string} [options.language] - The language of the PropertyValue and certification names.
  * @returns {Array} An array containing the schema.org Product object.
  */
-function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
+function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version, { language } = {}) {
     const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+    const label = (term, englishName) => localizedLabel(dictionary, `${termsBase}${term}`, language, englishName);
+    // Identifiers keep their English propertyID and get a localized name
+    const toIdentifier = (term, propertyID, value) => ({
+        "@type": "PropertyValue",
+        "propertyID": propertyID,
+        ...(language && { "name": label(term, propertyID) }),
+        "value": value
+    });
     
     const toTitleCase = (str) => {
         return str.replace(/([A-Z])/g, ' $1').replace(/^./, (s) => s.toUpperCase());
@@ -186,7 +214,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
     if (genericId) {
         if (!product.identifier) product.identifier = [];
         else if (!Array.isArray(product.identifier)) product.identifier = [product.identifier];
-        product.identifier.push({ "@type": "PropertyValue", "propertyID": "Identifier", "value": genericId });
+        product.identifier.push(toIdentifier('identifier', 'Identifier', genericId));
     }
 
     // --- Core DPP Header Metadata ---
@@ -206,7 +234,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
         const val = getValue(rootNode, `${termsBase}${prop.term}`);
         if (val !== undefined) {
             if (prop.isIdentifier) {
-                const idObj = { "@type": "PropertyValue", "propertyID": prop.label, "value": val };
+                const idObj = toIdentifier(prop.term, prop.label, val);
                 if (Array.isArray(product.identifier)) product.identifier.push(idObj);
                 else if (product.identifier) product.identifier = [product.identifier, idObj];
                 else product.identifier = [idObj];
@@ -214,7 +242,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
                 if (!product.additionalProperty) product.additionalProperty = [];
                 product.additionalProperty.push({
                     "@type": "PropertyValue",
-                    "name": prop.label,
+                    "name": label(prop.term, prop.label),
                     "value": val
                 });
             }
@@ -229,7 +257,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
                 if (!product.additionalProperty) product.additionalProperty = [];
                 product.additionalProperty.push({
                     "@type": "PropertyValue",
-                    "name": "DPP Content Specifications",
+                    "name": label('contentSpecificationIds', "DPP Content Specifications"),
                     "value": val
                 });
             }
@@ -263,7 +291,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             }
         } else {
              // Handle Recursive Structure (New & Legacy)
-             properties = flattenToAdditionalProperties(dopcNode, '', dictionary);
+             properties = flattenToAdditionalProperties(dopcNode, '', dictionary, language);
         }
 
         if (properties.length > 0) {
@@ -276,11 +304,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
     // 1. HS Code
     const hsCode = getValue(rootNode, `${termsBase}hsCode`);
     if (hsCode) {
-        const hsObj = {
-            "@type": "PropertyValue",
-            "propertyID": "HS Code",
-            "value": hsCode
-        };
+        const hsObj = toIdentifier('hsCode', 'HS Code', hsCode);
         // Normalize identifier to array if needed, or append
         if (Array.isArray(product.identifier)) {
             product.identifier.push(hsObj);
@@ -297,7 +321,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
          if (!product.additionalProperty) product.additionalProperty = [];
          product.additionalProperty.push({
              "@type": "PropertyValue",
-             "name": "Recycled Content",
+             "name": label('recycledContentPercentage', "Recycled Content"),
              "value": Number(recycledPct),
              "unitText": "%"
          });
@@ -351,7 +375,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
     // Performance (Nested)
     const performanceNode = getNode(rootNode, `${termsBase}performance`);
     if (performanceNode) {
-        const perfProps = flattenToAdditionalProperties(performanceNode, 'Performance', dictionary);
+        const perfProps = flattenToAdditionalProperties(performanceNode, label('performance', 'Performance'), dictionary, language);
         if (perfProps.length > 0) {
              if (!product.additionalProperty) product.additionalProperty = [];
              product.additionalProperty.push(...perfProps);
@@ -363,11 +387,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
     // 1. DoP Identifier
     const dopId = getValue(rootNode, `${termsBase}dopIdentifier`);
     if (dopId) {
-        const dopObj = {
-            "@type": "PropertyValue",
-            "propertyID": "DoP ID",
-            "value": dopId
-        };
+        const dopObj = toIdentifier('dopIdentifier', 'DoP ID', dopId);
         if (Array.isArray(product.identifier)) {
             product.identifier.push(dopObj);
         } else if (product.identifier) {
@@ -383,7 +403,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
         if (!product.additionalProperty) product.additionalProperty = [];
         product.additionalProperty.push({
             "@type": "PropertyValue",
-            "name": "Harmonised Standard Reference",
+            "name": label('harmonisedStandardReference', "Harmonised Standard Reference"),
             "value": hStd
         });
     }
@@ -396,7 +416,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (!product.additionalProperty) product.additionalProperty = [];
             product.additionalProperty.push({
                 "@type": "PropertyValue",
-                "name": "Notified Body",
+                "name": label('notifiedBody', "Notified Body"),
                 "value": nbName
             });
         }
@@ -426,7 +446,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (!product.additionalProperty) product.additionalProperty = [];
             product.additionalProperty.push({
                 "@type": "PropertyValue",
-                "name": prop.label,
+                "name": label(prop.term, prop.label),
                 "value": val
             });
         }
@@ -492,7 +512,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
         if (!product.additionalProperty) product.additionalProperty = [];
         product.additionalProperty.push({
             "@type": "PropertyValue",
-            "name": "Gross Weight",
+            "name": label('grossWeight', "Gross Weight"),
             "value": Number(gwVal),
             "unitText": "kg" // Defaulting since implicit in context often
         });
@@ -548,7 +568,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             const material = getValue(p, `${termsBase}packagingMaterialType`) || 'Unknown Material';
             const part = {
                 "@type": "Product", // Treated as a sub-product/part
-                "name": `Packaging - ${material}`,
+                "name": `${label('packaging', 'Packaging')} - ${material}`,
                 "additionalProperty": []
             };
 
@@ -557,7 +577,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (rec !== undefined) {
                 part.additionalProperty.push({
                     "@type": "PropertyValue",
-                    "name": "Recycled Content",
+                    "name": label('packagingRecycledContent', "Recycled Content"),
                     "value": Number(rec),
                     "unitText": "%"
                 });
@@ -568,7 +588,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (proc) {
                  part.additionalProperty.push({
                     "@type": "PropertyValue",
-                    "name": "Recycling Process",
+                    "name": label('packagingRecyclingProcessType', "Recycling Process"),
                     "value": proc
                 });
             }
@@ -640,7 +660,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (!product.additionalProperty) product.additionalProperty = [];
             product.additionalProperty.push({
                 "@type": "PropertyValue",
-                "name": prop.label,
+                "name": label(prop.term, prop.label),
                 "value": val
             });
         }
@@ -689,7 +709,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
                 if (!product.additionalProperty) product.additionalProperty = [];
                 product.additionalProperty.push({
                     "@type": "PropertyValue",
-                    "name": `Production Step - ${country || 'Unknown Location'}`,
+                    "name": `${label('productionSteps', 'Production Step')} - ${country || 'Unknown Location'}`,
                     "value": stepName
                 });
             }
@@ -735,7 +755,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (!product.additionalProperty) product.additionalProperty = [];
             product.additionalProperty.push({
                 "@type": "PropertyValue",
-                "name": prop.label,
+                "name": label(prop.term, prop.label),
                 "value": val
             });
         }
@@ -749,7 +769,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
         if (!product.sku) {
             product.sku = heatNumber;
         } else {
-            const hnObj = { "@type": "PropertyValue", "propertyID": "Heat Number", "value": heatNumber };
+            const hnObj = toIdentifier('heatNumber', 'Heat Number', heatNumber);
             if (Array.isArray(product.identifier)) product.identifier.push(hnObj);
             else if (product.identifier) product.identifier = [product.identifier, hnObj];
             else product.identifier = hnObj;
@@ -763,7 +783,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
 
     const pOrder = getValue(rootNode, `${termsBase}purchaserOrder`);
     if (pOrder) {
-        const poObj = { "@type": "PropertyValue", "propertyID": "schema:orderNumber", "name": "Purchaser Order", "value": pOrder };
+        const poObj = { "@type": "PropertyValue", "propertyID": "schema:orderNumber", "name": label('purchaserOrder', "Purchaser Order"), "value": pOrder };
         if (Array.isArray(product.identifier)) product.identifier.push(poObj);
         else if (product.identifier) product.identifier = [product.identifier, poObj];
         else product.identifier = poObj;
@@ -771,7 +791,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
 
     const meltCountry = getValue(rootNode, `${termsBase}meltAndPourCountry`);
     if (meltCountry) {
-        const mcObj = { "@type": "Country", "name": meltCountry, "description": "Melt and Pour Country" };
+        const mcObj = { "@type": "Country", "name": meltCountry, "description": label('meltAndPourCountry', "Melt and Pour Country") };
         if (product.countryOfOrigin) {
              if (Array.isArray(product.countryOfOrigin)) product.countryOfOrigin.push(mcObj);
              else product.countryOfOrigin = [product.countryOfOrigin, mcObj];
@@ -808,7 +828,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
             if (!product.additionalProperty) product.additionalProperty = [];
             product.additionalProperty.push({
                 "@type": "PropertyValue",
-                "name": prop.label,
+                "name": label(prop.term, prop.label),
                 "value": val
             });
         }
@@ -824,7 +844,7 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
     // Nest EPD Certifications
     const epdNode = getNode(rootNode, `${termsBase}epd`);
     if (epdNode) {
-        const certifications = epdToSchemaOrgCertifications(epdNode, dictionary, rootNode, termsBase);
+        const certifications = epdToSchemaOrgCertifications(epdNode, dictionary, rootNode, termsBase, language);
         if (certifications && certifications.length > 0) {
             product.hasCertification = certifications;
         }
@@ -841,9 +861,10 @@ function dppToSchemaOrgProduct(sourceData, dictionary, rootNode, version) {
  * @param {object} dictionary - The dictionary of indicator metadata.
  * @param {object} parentNode - The root product node from the expanded graph.
  * @param {string} termsBase - The version chun for terms, for example "v2".
+ * @param {string} [language] - The language of the certification and measurement names.
  * @returns {Array} An array containing the single schema.org certification object.
  */
-function epdToSchemaOrgCertifications(epdData, dictionary, parentNode, termsBase) {
+function epdToSchemaOrgCertifications(epdData, dictionary, parentNode, termsBase, language) {
     const manufacturerList = parentNode[`${termsBase}manufacturer`];
     const manufacturerNode = manufacturerList ? manufacturerList[0] : null;
     const manufacturerName = manufacturerNode 
@@ -868,7 +889,7 @@ function epdToSchemaOrgCertifications(epdData, dictionary, parentNode, termsBase
 
             measurements.push({
                 "@type": "PropertyValue",
-                "name": `${definition.label} (${stageKey})`,
+                "name": `${localizedLabel(dictionary, indicatorUri, language, definition.label)} (${stageKey})`,
                 "value": Number(value),
                 "unitText": definition.unit,
                 "propertyID": indicatorUri.split('#')[1] + '-' + stageKey
@@ -884,7 +905,7 @@ function epdToSchemaOrgCertifications(epdData, dictionary, parentNode, termsBase
     const certification = {
         "@context": "http://schema.org",
         "@type": "Certification",
-        "name": "Environmental Product Declaration",
+        "name": localizedLabel(dictionary, `${termsBase}epd`, language, "Environmental Product Declaration"),
         "certificationStatus": "certificationActive",
         "issuedBy": { "@type": "Organization", "name": manufacturerName },
         "hasMeasurement": measurements
@@ -895,6 +916,10 @@ function epdToSchemaOrgCertifications(epdData, dictionary, parentNode, termsBase
 
 
 export const profile = {
+    description: 'schema.org Product (with Certification, Organization and DigitalDocument nodes) for search engines.',
+    mediaType: 'application/ld+json',
+    // EPD indicators are converted into QuantitativeValues using their unit and label
+    dictionaryFields: ['unit', 'label'],
     // Defines which transformations to run
     transformations: [
       {
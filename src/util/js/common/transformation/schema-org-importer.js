@@ -0,0 +1,347 @@
+/**
+ * Standalone schema.org Importer
+ * Builds a Keystone DPP skeleton from schema.org Product markup (the reverse of the `schema.org`
+ * transformation profile). The importer works on compacted JSON-LD as it is embedded in product pages,
+ * so no remote schema.org context has to be fetched. Properties are matched by their schema.org
+ * local name; `schema:` prefixes and full `https://schema.org/` IRIs are accepted as well.
+ */
+
+import { validateDpp } from '../validation/schema-validator.js';
+
+const SCHEMA_ORG_PREFIXES = ['https://schema.org/', 'http://schema.org/', 'schema:'];
+
+const PRODUCT_TYPES = {
+    Product: null,
+    ProductModel: 'Model',
+    IndividualProduct: 'Item',
+    SomeProducts: 'Batch'
+};
+
+// Product identifiers (PropertyValue.propertyID) written by the schema.org profile
+const IDENTIFIER_TERMS = {
+    'DPP ID': 'digitalProductPassportId',
+    'Economic Operator ID': 'economicOperatorId',
+    'Facility ID': 'facilityId',
+    'HS Code': 'hsCode'
+};
+
+// Product additional properties (PropertyValue.name) written by the schema.org profile
+const ADDITIONAL_PROPERTY_TERMS = {
+    'DPP Granularity': 'granularity',
+    'DPP Status': 'dppStatus',
+    'DPP Last Update': 'lastUpdate',
+    'DPP Version': 'versionNumber',
+    'DPP Version Date': 'versionDate',
+    'DPP Schema Version': 'dppSchemaVersion'
+};
+
+// UN/ECE Rec 20 unit codes and their factor to the Keystone base units (kg, m)
+const WEIGHT_UNITS = { KGM: 1, GRM: 0.001, MGM: 0.000001, TNE: 1000, LBR: 0.45359237, ONZ: 0.028349523125 };
+const LENGTH_UNITS = { MTR: 1, CMT: 0.01, MMT: 0.001, KMT: 1000, INH: 0.0254, FOT: 0.3048 };
+
+const DIMENSIONS = {
+    weight: { term: 'netWeight', units: WEIGHT_UNITS },
+    width: { term: 'width', units: LENGTH_UNITS },
+    height: { term: 'height', units: LENGTH_UNITS },
+    depth: { term: 'depth', units: LENGTH_UNITS }
+};
+
+const GTIN_PROPERTIES = ['gtin', 'gtin14', 'gtin13', 'gtin12', 'gtin8'];
+
+/**
+ * Returns the schema.org local name of a compacted JSON-LD key or type.
+ * @param {string} key - The key, e.g. `name`, `schema:name` or `https://schema.org/name`.
+ * @returns {string} The local name.
+ */
+function toLocalName(key) {
+    const prefix = SCHEMA_ORG_PREFIXES.find(p => key.startsWith(p));
+    return prefix ? key.slice(prefix.length) : key;
+}
+
+const asArray = (value) => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+
+const typesOf = (node) => asArray(node?.['@type']).map(toLocalName);
+
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Normalizes a compacted node so that its keys are schema.org local names. Undefined values are skipped.
+ * @param {object} node - The compacted JSON-LD node.
+ * @returns {object} A map of local name to `{ key, value }`, where `key` is the original key.
+ */
+function normalizeKeys(node) {
+    const entries = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (value === undefined) continue;
+        entries[key.startsWith('@') ? key : toLocalName(key)] = { key, value };
+    }
+    return entries;
+}
+
+/**
+ * Reads the text of a literal, a `{ "@value" }` object or a named thing (`{ name }`).
+ * @param {*} value - The compacted value.
+ * @returns {string|number|boolean|undefined} The text.
+ */
+function textOf(value) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value)) return textOf(value[0]);
+    if (value['@value'] !== undefined) return value['@value'];
+    const entries = normalizeKeys(value);
+    return textOf(entries.name?.value);
+}
+
+/**
+ * Imports schema.org Product JSON-LD into a Keystone DPP.
+ *
+ * The result is a skeleton: the DPP header fields that schema.org cannot express (e.g. `lastUpdate`)
+ * are only filled when the markup carries them as `identifier`/`additionalProperty` values (as written
+ * by the `schema.org` profile) or when they are passed in `options.defaults`.
+ *
+ * @param {object|Array} input - The schema.org JSON-LD (a Product node, an array or a document with `@graph`).
+ * @param {object} [options] - The import options.
+ * @param {string} options.version - The Keystone version used for the `@context` and term IRIs.
+ * @param {object} [options.defaults] - DPP properties applied before the imported values (e.g. `economicOperatorId`).
+ * @param {object} [options.baseSchema] - The base DPP schema (`dpp.schema.json`). When given, the result is validated.
+ * @returns {{dpp: object, unmapped: Array<{pointer: string, property: string, value: *, reason: string}>, validation: ?{valid: boolean, errors: ?Array, missingRequired: string[]}}}
+ */
+export function importSchemaOrgProduct(input, options = {}) {
+    const { version, defaults = {}, baseSchema } = options;
+    if (!version) {
+        throw new Error('A Keystone version is required to import schema.org data.');
+    }
+    const termsBase = `https://dpp-keystone.org/spec/${version}/terms#`;
+
+    // Index all nodes so that `{ "@id": ... }` references (e.g. to an Organization in the same @graph) can be resolved
+    const topLevel = Array.isArray(input) ? input : (input?.['@graph'] ? asArray(input['@graph']) : [input]);
+    const topLevelPointer = (index) => Array.isArray(input) ? `/${index}` : (input['@graph'] ? `/@graph/${index}` : '');
+    const nodesById = new Map();
+    const nodePointers = new Map();
+    topLevel.forEach((node, index) => {
+        if (node?.['@id'] && Object.keys(node).length > 1) nodesById.set(node['@id'], node);
+        nodePointers.set(node, topLevelPointer(index));
+    });
+    const resolve = (value) => (value && typeof value === 'object' && value['@id'] && Object.keys(value).length === 1 && nodesById.get(value['@id'])) || value;
+    // Unmapped properties of referenced nodes are reported where the node is defined
+    const pointerOf = (node, pointer) => nodePointers.get(node) ?? pointer;
+
+    const productIndex = topLevel.findIndex(node => typesOf(node).some(type => type in PRODUCT_TYPES));
+    if (productIndex === -1) {
+        throw new Error(`No schema.org Product found. Expected a node with @type ${Object.keys(PRODUCT_TYPES).join(', ')}.`);
+    }
+    const product = topLevel[productIndex];
+    const productPointer = topLevelPointer(productIndex);
+
+    const unmapped = [];
+    const report = (pointer, property, value, reason) => unmapped.push({ pointer, property, value, reason });
+
+    const dpp = {
+        "@context": [
+            `https://dpp-keystone.org/spec/contexts/${version}/dpp-core.context.jsonld`,
+            `https://dpp-keystone.org/spec/contexts/${version}/dpp-general-product.context.jsonld`
+        ],
+        "@type": "DigitalProductPassport",
+        ...structuredClone(defaults)
+    };
+
+    // Maps a Keystone term from a PropertyValue. Properties are identified either by their label or by a Keystone term IRI.
+    const termFromPropertyValue = (label, labels) => {
+        if (typeof label !== 'string') return null;
+        if (labels[label]) return labels[label];
+        if (label.startsWith(termsBase)) return label.slice(termsBase.length);
+        if (label.startsWith('dppk:')) return label.slice('dppk:'.length);
+        return null;
+    };
+
+    const setPropertyValue = (term, value) => {
+        if (term === 'contentSpecificationIds') {
+            dpp.contentSpecificationIds = [...asArray(dpp.contentSpecificationIds), value];
+        } else {
+            dpp[term] = value;
+        }
+    };
+
+    const importQuantity = (pointer, property, value, { term, units }) => {
+        const node = resolve(value);
+        const entries = node && typeof node === 'object' ? normalizeKeys(node) : {};
+        const amount = Number(typeof node === 'object' ? textOf(entries.value?.value) : node);
+        const unitCode = typeof node === 'object' ? textOf(entries.unitCode?.value) : undefined;
+        const factor = unitCode ? units[unitCode] : 1;
+
+        if (Number.isNaN(amount) || factor === undefined) {
+            report(pointer, property, value, unitCode ? `Unsupported unit code '${unitCode}'.` : 'Not a numeric quantity.');
+            return;
+        }
+        dpp[term] = Number((amount * factor).toPrecision(12));
+    };
+
+    const importOrganization = (pointer, value) => {
+        const node = resolve(value);
+        if (!node || typeof node !== 'object') {
+            return { organizationName: String(node) };
+        }
+
+        const organization = {};
+        for (const [name, { key, value: orgValue }] of Object.entries(normalizeKeys(node))) {
+            const orgPointer = `${pointerOf(node, pointer)}/${escapePointer(key)}`;
+            switch (name) {
+                case '@type':
+                case '@id':
+                    break;
+                case 'name': organization.organizationName = textOf(orgValue); break;
+                case 'legalName': organization.organizationName ??= textOf(orgValue); break;
+                case 'alternateName': organization.tradingName = textOf(orgValue); break;
+                case 'url': organization.website = textOf(orgValue); break;
+                case 'email': organization.email = textOf(orgValue); break;
+                case 'telephone': organization.telephone = textOf(orgValue); break;
+                case 'globalLocationNumber': organization.gln = textOf(orgValue); break;
+                case 'leiCode': organization.leiCode = textOf(orgValue); break;
+                case 'address': {
+                    const address = {};
+                    const addressNode = resolve(orgValue);
+                    if (typeof addressNode !== 'object') {
+                        report(orgPointer, key, orgValue, 'Unstructured addresses are not supported.');
+                        break;
+                    }
+                    for (const [addressName, { key: addressKey, value: addressValue }] of Object.entries(normalizeKeys(addressNode))) {
+                        if (['streetAddress', 'postalCode', 'addressLocality', 'addressCountry'].includes(addressName)) {
+                            address[addressName] = textOf(addressValue);
+                        } else if (!addressName.startsWith('@')) {
+                            report(`${orgPointer}/${escapePointer(addressKey)}`, addressKey, addressValue, 'No matching Keystone term.');
+                        }
+                    }
+                    organization.address = address;
+                    break;
+                }
+                case 'identifier': {
+                    const identifier = resolve(asArray(orgValue)[0]);
+                    const entries = identifier && typeof identifier === 'object' ? normalizeKeys(identifier) : {};
+                    organization.additionalOrganizationId = textOf(entries.value?.value ?? identifier);
+                    const idType = textOf(entries.propertyID?.value);
+                    if (idType) organization.additionalOrganizationIdType = idType;
+                    break;
+                }
+                default:
+                    report(orgPointer, key, orgValue, 'No matching Keystone term.');
+            }
+        }
+        return organization;
+    };
+
+    const importCertification = (pointer, value) => {
+        const node = resolve(value);
+        const certification = {};
+        for (const [name, { key, value: certValue }] of Object.entries(normalizeKeys(node))) {
+            switch (name) {
+                case '@type':
+                case '@id':
+                    break;
+                case 'name': certification.name = textOf(certValue); break;
+                case 'certificationIdentification':
+                case 'identifier': certification.identifier = textOf(certValue); break;
+                case 'url': certification.url = textOf(certValue); break;
+                case 'issuedBy': certification.certificationBodyName = textOf(resolve(certValue)); break;
+                case 'startDate':
+                case 'validFrom': certification.certificationStartDate = textOf(certValue); break;
+                case 'endDate':
+                case 'expires': certification.certificationEndDate = textOf(certValue); break;
+                default:
+                    report(`${pointerOf(node, pointer)}/${escapePointer(key)}`, key, certValue, 'No matching Keystone term.');
+            }
+        }
+        return certification;
+    };
+
+    const importPropertyValues = (pointer, property, value, labels) => {
+        asArray(value).forEach((item, index) => {
+            const itemPointer = Array.isArray(value) ? `${pointer}/${index}` : pointer;
+            const node = resolve(item);
+            const entries = node && typeof node === 'object' ? normalizeKeys(node) : {};
+            const term = termFromPropertyValue(textOf(entries.propertyID?.value), labels)
+                || termFromPropertyValue(textOf(entries.name?.value), labels);
+            const propertyValue = textOf(entries.value?.value);
+
+            if (term && propertyValue !== undefined) {
+                setPropertyValue(term, propertyValue);
+            } else if (property === 'identifier' && typeof node !== 'object') {
+                report(itemPointer, property, item, 'Plain identifiers cannot be assigned to a Keystone term.');
+            } else {
+                report(itemPointer, property, item, 'No matching Keystone term.');
+            }
+        });
+    };
+
+    const granularity = PRODUCT_TYPES[typesOf(product).find(type => type in PRODUCT_TYPES)];
+    if (granularity && !dpp.granularity) dpp.granularity = granularity;
+
+    if (product['@id']) dpp.uniqueProductIdentifier = product['@id'];
+
+    for (const [name, { key, value }] of Object.entries(normalizeKeys(product))) {
+        const pointer = `${productPointer}/${escapePointer(key)}`;
+        switch (name) {
+            case '@context':
+            case '@type':
+            case '@id':
+                break;
+            case 'url': dpp.uniqueProductIdentifier ??= textOf(value); break;
+            case 'name': dpp.productName = textOf(value); break;
+            case 'description': dpp.description = textOf(value); break;
+            case 'brand': dpp.brand = textOf(resolve(value)); break;
+            case 'model': dpp.model = textOf(resolve(value)); break;
+            case 'color': dpp.color = textOf(value); break;
+            case 'countryOfOrigin': dpp.countryOfOrigin = textOf(resolve(value)); break;
+            case 'productionDate': dpp.manufacturingDate = textOf(value); break;
+            case 'manufacturer': dpp.manufacturer = importOrganization(pointer, value); break;
+            case 'weight':
+            case 'width':
+            case 'height':
+            case 'depth':
+                importQuantity(pointer, key, value, DIMENSIONS[name]);
+                break;
+            case 'image':
+                dpp.image = asArray(value).map(image => {
+                    const node = resolve(image);
+                    if (typeof node !== 'object') return { url: node };
+                    const entries = normalizeKeys(node);
+                    const resource = { url: textOf(entries.contentUrl?.value ?? entries.url?.value) };
+                    const contentType = textOf(entries.encodingFormat?.value);
+                    const title = textOf(entries.name?.value ?? entries.caption?.value);
+                    if (contentType) resource.contentType = contentType;
+                    if (title) resource.resourceTitle = title;
+                    return resource;
+                });
+                break;
+            case 'hasCertification':
+                dpp.additionalCertifications = asArray(value).map((cert, index) =>
+                    importCertification(Array.isArray(value) ? `${pointer}/${index}` : pointer, cert));
+                break;
+            case 'identifier':
+                importPropertyValues(pointer, key, value, IDENTIFIER_TERMS);
+                break;
+            case 'additionalProperty':
+                importPropertyValues(pointer, key, value, {
+                    ...ADDITIONAL_PROPERTY_TERMS,
+                    'DPP Content Specifications': 'contentSpecificationIds'
+                });
+                break;
+            default:
+                if (GTIN_PROPERTIES.includes(name)) {
+                    dpp.gtin = String(textOf(value));
+                } else {
+                    report(pointer, key, value, 'No matching Keystone term.');
+                }
+        }
+    }
+
+    let validation = null;
+    if (baseSchema) {
+        const { valid, errors } = validateDpp(dpp, { baseSchema });
+        const missingRequired = (errors || [])
+            .filter(error => error.keyword === 'required' && error.instancePath === '')
+            .map(error => error.params.missingProperty);
+        validation = { valid, errors, missingRequired };
+    }
+
+    return { dpp, unmapped, validation };
+}
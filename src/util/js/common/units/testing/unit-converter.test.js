@@ -0,0 +1,90 @@
+import { parseUnit, parseQuantity, convertQuantity, checkQuantity, formatQuantity, areUnitsCompatible, isQuantityObject, normalizeQuantities } from '../unit-converter.js';
+
+describe('Unit Converter', () => {
+
+    it('should look up units by symbol, UN/CEFACT code and common spellings', () => {
+        expect(parseUnit('kWh')).toEqual(expect.objectContaining({ symbol: 'kWh', code: 'KWH', dimension: 'energy' }));
+        expect(parseUnit('KGM')).toEqual(expect.objectContaining({ symbol: 'kg', dimension: 'mass' }));
+        expect(parseUnit('Minutes')).toEqual(expect.objectContaining({ symbol: 'min', dimension: 'time' }));
+        expect(parseUnit('Ohm').symbol).toBe('Ω');
+        expect(parseUnit('Euroclass')).toBeNull();
+        expect(parseUnit('')).toBeNull();
+    });
+
+    it('should keep the qualifier of equivalent units as part of the dimension', () => {
+        expect(parseUnit('kg CO₂ eq')).toEqual(expect.objectContaining({ dimension: 'mass (CO₂ eq)', factor: 1 }));
+        expect(areUnitsCompatible('kg CO₂ eq', 't CO₂ eq')).toBe(true);
+        expect(areUnitsCompatible('kg CO₂ eq', 'kg')).toBe(false);
+        expect(areUnitsCompatible('kg CO₂ eq', 'kg Sb eq')).toBe(false);
+        // Compound units are not interpreted
+        expect(parseUnit('kg CO₂ eq/kg')).toBeNull();
+    });
+
+    it('should read numbers, strings with units and quantity objects', () => {
+        expect(parseQuantity(12.5)).toEqual({ value: 12.5, unit: null });
+        expect(parseQuantity('500 g')).toEqual({ value: 500, unit: 'g' });
+        expect(parseQuantity('2.5kWh')).toEqual({ value: 2.5, unit: 'kWh' });
+        expect(parseQuantity({ value: 3, unit: 'V' })).toEqual({ value: 3, unit: 'V' });
+        expect(parseQuantity({ value: '100', unitCode: 'WTT' })).toEqual({ value: 100, unit: 'WTT' });
+        expect(parseQuantity('heavy')).toBeNull();
+        expect(parseQuantity({ value: 'heavy', unit: 'kg' })).toBeNull();
+
+        expect(isQuantityObject({ value: 1, unitCode: 'KGM' })).toBe(true);
+        expect(isQuantityObject({ value: 1 })).toBe(false);
+    });
+
+    it('should convert between units of the same dimension', () => {
+        expect(convertQuantity('500 g', 'kg')).toEqual({ value: 0.5, unit: 'kg' });
+        expect(convertQuantity({ value: 1500, unit: 'Wh' }, 'kWh')).toEqual({ value: 1.5, unit: 'kWh' });
+        expect(convertQuantity({ value: 2, unitCode: 'AMH' }, 'mAh')).toEqual({ value: 2000, unit: 'mAh' });
+        expect(convertQuantity('25 °C', 'K')).toEqual({ value: 298.15, unit: 'K' });
+        expect(convertQuantity('0.3 t CO₂ eq', 'kg CO₂ eq')).toEqual({ value: 300, unit: 'kg CO₂ eq' });
+        expect(() => convertQuantity('5 kg', 'm')).toThrow(/Cannot convert mass \(kg\) to length \(m\)/);
+        expect(() => convertQuantity('5 furlongs', 'm')).toThrow(/Unknown unit 'furlongs'/);
+        expect(() => convertQuantity(5, 'm')).toThrow(/Not a quantity with a unit/);
+    });
+
+    it('should check quantities against the declared unit', () => {
+        expect(checkQuantity(42, 'kg')).toEqual({ valid: true, value: 42, unit: 'kg', converted: false });
+        expect(checkQuantity({ value: 420, unitCode: 'GRM' }, 'kg')).toEqual({ valid: true, value: 0.42, unit: 'kg', converted: true });
+        expect(checkQuantity({ value: 42, unitCode: 'KGM' }, 'kg')).toEqual({ valid: true, value: 42, unit: 'kg', converted: false });
+
+        expect(checkQuantity({ value: 2, unit: 'kg' }, 'mm')).toEqual(expect.objectContaining({
+            valid: false,
+            reason: 'incompatible-unit',
+            unit: 'kg',
+            expectedUnit: 'mm',
+            message: 'A mass (kg) cannot be converted to mm'
+        }));
+        expect(checkQuantity('2 parsecs', 'mm')).toEqual(expect.objectContaining({ valid: false, reason: 'unknown-unit' }));
+        expect(checkQuantity('many', 'mm')).toEqual(expect.objectContaining({ valid: false, reason: 'not-a-number' }));
+        // Undeclared units only accept themselves
+        expect(checkQuantity('B2 Euroclass', 'Euroclass').valid).toBe(false);
+        expect(checkQuantity({ value: 3, unit: 'Pt / kg' }, 'Pt / kg').valid).toBe(true);
+    });
+
+    it('should format quantities in the declared unit', () => {
+        expect(formatQuantity({ value: 500, unitCode: 'GRM' }, 'kg')).toBe('0.5 kg');
+        expect(formatQuantity({ value: 500, unitCode: 'GRM' })).toBe('500 g');
+        expect(formatQuantity({ value: 2, unit: 'kg' }, 'mm')).toBe('2 kg');
+        expect(formatQuantity('n/a', 'kg')).toBe('n/a');
+    });
+
+    it('should normalize the quantities of terms with a declared unit', () => {
+        const ontologyMap = new Map([['batteryMass', { unit: 'kg' }], ['length', { unit: 'mm' }]]);
+        const dpp = {
+            batteryMass: { value: 45500, unit: 'g' },
+            components: [{ length: [{ value: 2, unitCode: 'CMT' }, 30] }],
+            weight: { value: 1, unit: 'g' }
+        };
+
+        expect(normalizeQuantities(dpp, ontologyMap)).toEqual({
+            batteryMass: 45.5,
+            components: [{ length: [20, 30] }],
+            weight: { value: 1, unit: 'g' }
+        });
+        // Quantities that do not convert are kept for the ontology layer, and the input is not changed
+        expect(normalizeQuantities({ length: { value: 2, unit: 'kg' } }, ontologyMap)).toEqual({ length: { value: 2, unit: 'kg' } });
+        expect(dpp.batteryMass).toEqual({ value: 45500, unit: 'g' });
+    });
+});
@@ -0,0 +1,292 @@
+/**
+ * Unit Converter
+ * Understands the units declared with `dppk:unit` on the ontology terms and the quantities given for them,
+ * as plain numbers (in the declared unit), as `{value, unit}` / `{value, unitCode}` objects (the shape of
+ * `dppk:QuantitativeValue`, with a unit symbol or a UN/CEFACT Recommendation 20 code) or as strings like '500 g'.
+ * Quantities are checked against the dimension of the declared unit and converted to it, so that e.g.
+ * grams are accepted for a term declared in kg, while kilograms given for a length are flagged.
+ */
+
+/**
+ * The known units by symbol: UN/CEFACT code, dimension and the factor (and offset) to the SI unit of the dimension.
+ * Every dimension has one unit with factor 1. Units that are not listed (e.g. 'Euroclass') are not checked.
+ */
+export const UNITS = {
+    // Mass
+    'kg': { code: 'KGM', dimension: 'mass', factor: 1 },
+    'g': { code: 'GRM', dimension: 'mass', factor: 1e-3 },
+    'mg': { code: 'MGM', dimension: 'mass', factor: 1e-6 },
+    't': { code: 'TNE', dimension: 'mass', factor: 1e3 },
+    'lb': { code: 'LBR', dimension: 'mass', factor: 0.45359237 },
+    // Length
+    'm': { code: 'MTR', dimension: 'length', factor: 1 },
+    'km': { code: 'KMT', dimension: 'length', factor: 1e3 },
+    'cm': { code: 'CMT', dimension: 'length', factor: 1e-2 },
+    'mm': { code: 'MMT', dimension: 'length', factor: 1e-3 },
+    'µm': { code: '4H', dimension: 'length', factor: 1e-6 },
+    // Area and volume
+    'm²': { code: 'MTK', dimension: 'area', factor: 1 },
+    'cm²': { code: 'CMK', dimension: 'area', factor: 1e-4 },
+    'mm²': { code: 'MMK', dimension: 'area', factor: 1e-6 },
+    'm³': { code: 'MTQ', dimension: 'volume', factor: 1 },
+    'L': { code: 'LTR', dimension: 'volume', factor: 1e-3 },
+    'mL': { code: 'MLT', dimension: 'volume', factor: 1e-6 },
+    'cm³': { code: 'CMQ', dimension: 'volume', factor: 1e-6 },
+    // Time
+    's': { code: 'SEC', dimension: 'time', factor: 1 },
+    'min': { code: 'MIN', dimension: 'time', factor: 60 },
+    'h': { code: 'HUR', dimension: 'time', factor: 3600 },
+    'd': { code: 'DAY', dimension: 'time', factor: 86400 },
+    'month': { code: 'MON', dimension: 'time', factor: 2629800 },
+    'a': { code: 'ANN', dimension: 'time', factor: 31557600 },
+    // Energy
+    'J': { code: 'JOU', dimension: 'energy', factor: 1 },
+    'kJ': { code: 'KJO', dimension: 'energy', factor: 1e3 },
+    'MJ': { code: '3B', dimension: 'energy', factor: 1e6 },
+    'GJ': { code: 'GV', dimension: 'energy', factor: 1e9 },
+    'Wh': { code: 'WHR', dimension: 'energy', factor: 3600 },
+    'kWh': { code: 'KWH', dimension: 'energy', factor: 3.6e6 },
+    'MWh': { code: 'MWH', dimension: 'energy', factor: 3.6e9 },
+    // Power
+    'W': { code: 'WTT', dimension: 'power', factor: 1 },
+    'mW': { code: 'C31', dimension: 'power', factor: 1e-3 },
+    'kW': { code: 'KWT', dimension: 'power', factor: 1e3 },
+    'MW': { code: 'MAW', dimension: 'power', factor: 1e6 },
+    // Electricity
+    'V': { code: 'VLT', dimension: 'voltage', factor: 1 },
+    'mV': { code: '2Z', dimension: 'voltage', factor: 1e-3 },
+    'kV': { code: 'KVT', dimension: 'voltage', factor: 1e3 },
+    'A': { code: 'AMP', dimension: 'current', factor: 1 },
+    'mA': { code: '4K', dimension: 'current', factor: 1e-3 },
+    'C': { code: 'COU', dimension: 'charge', factor: 1 },
+    'Ah': { code: 'AMH', dimension: 'charge', factor: 3600 },
+    'mAh': { code: 'E09', dimension: 'charge', factor: 3.6 },
+    'Ω': { code: 'OHM', dimension: 'resistance', factor: 1 },
+    'mΩ': { code: 'E45', dimension: 'resistance', factor: 1e-3 },
+    'kΩ': { code: 'B49', dimension: 'resistance', factor: 1e3 },
+    // Pressure and strength
+    'Pa': { code: 'PAL', dimension: 'pressure', factor: 1 },
+    'kPa': { code: 'KPA', dimension: 'pressure', factor: 1e3 },
+    'MPa': { code: 'MPA', dimension: 'pressure', factor: 1e6 },
+    'GPa': { code: 'A89', dimension: 'pressure', factor: 1e9 },
+    'bar': { code: 'BAR', dimension: 'pressure', factor: 1e5 },
+    // Temperature
+    'K': { code: 'KEL', dimension: 'temperature', factor: 1 },
+    '°C': { code: 'CEL', dimension: 'temperature', factor: 1, offset: 273.15 },
+    // Amount of substance
+    'mol': { code: 'C34', dimension: 'amount', factor: 1 },
+    // Ratios
+    '%': { code: 'P1', dimension: 'ratio', factor: 1e-2 },
+    'unitless': { code: 'C62', dimension: 'ratio', factor: 1 }
+};
+
+// Spellings used in the ontologies and in data files
+const ALIASES = {
+    'ohm': 'Ω',
+    'minute': 'min',
+    'minutes': 'min',
+    'hour': 'h',
+    'hours': 'h',
+    'day': 'd',
+    'days': 'd',
+    'months': 'month',
+    'year': 'a',
+    'years': 'a',
+    'yr': 'a',
+    'l': 'L',
+    'ml': 'mL',
+    'm2': 'm²',
+    'm3': 'm³',
+    'degc': '°C',
+    '℃': '°C',
+    'percent': '%',
+    'one': 'unitless'
+};
+
+const UNITS_BY_CODE = Object.fromEntries(Object.entries(UNITS).map(([symbol, unit]) => [unit.code, symbol]));
+
+const QUANTITY_STRING = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(\S.*?)?\s*$/;
+
+function findSymbol(token) {
+    if (Object.hasOwn(UNITS, token)) return token;
+    if (Object.hasOwn(UNITS_BY_CODE, token)) return UNITS_BY_CODE[token];
+    const alias = ALIASES[token.toLowerCase()];
+    return alias || null;
+}
+
+/**
+ * Looks up a unit by symbol (e.g. 'kWh'), UN/CEFACT code (e.g. 'KWH') or a common spelling (e.g. 'Minutes').
+ * Units qualified by what is measured (e.g. 'kg CO₂ eq') keep the qualifier as part of their dimension,
+ * so they only convert to units with the same qualifier (e.g. 't CO₂ eq').
+ * @param {string} unit - The unit.
+ * @returns {{symbol: string, code: string, dimension: string, factor: number, offset: number}|null} The unit, or null if it is not known.
+ */
+export function parseUnit(unit) {
+    if (typeof unit !== 'string' || unit.trim() === '') return null;
+    const text = unit.trim();
+
+    const symbol = findSymbol(text);
+    if (symbol) return { symbol, offset: 0, ...UNITS[symbol] };
+
+    // '<unit> <qualifier>', e.g. 'kg CO₂ eq' or 'mol H+ eq'
+    const [head, ...qualifier] = text.split(/\s+/);
+    const base = qualifier.length > 0 && !qualifier.join(' ').includes('/') ? findSymbol(head) : null;
+    if (!base) return null;
+    const qualifierText = qualifier.join(' ');
+    return {
+        ...UNITS[base],
+        symbol: `${base} ${qualifierText}`,
+        code: null,
+        dimension: `${UNITS[base].dimension} (${qualifierText})`,
+        offset: UNITS[base].offset || 0
+    };
+}
+
+/**
+ * Checks whether two units measure the same dimension, i.e. whether one converts to the other.
+ * @param {string} unitA - A unit symbol or code.
+ * @param {string} unitB - A unit symbol or code.
+ * @returns {boolean} True if both units are known and convertible.
+ */
+export function areUnitsCompatible(unitA, unitB) {
+    const a = parseUnit(unitA);
+    const b = parseUnit(unitB);
+    return Boolean(a && b && a.dimension === b.dimension);
+}
+
+/**
+ * Checks whether a value is a quantity object (`{value, unit}`, `{value, unitCode}` or `{value, unitText}`).
+ * @param {*} value - The value.
+ * @returns {boolean} True for quantity objects.
+ */
+export function isQuantityObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && Object.hasOwn(value, 'value')
+        && ['unit', 'unitCode', 'unitText'].some(key => typeof value[key] === 'string');
+}
+
+/**
+ * Reads a quantity given as a number, a numeric string, a string with a unit ('500 g', '2.5kWh')
+ * or a quantity object. The unit is null when the quantity does not name one.
+ * @param {*} input - The quantity.
+ * @returns {{value: number, unit: string|null}|null} The quantity, or null if the input is not a quantity.
+ */
+export function parseQuantity(input) {
+    if (typeof input === 'number') return Number.isFinite(input) ? { value: input, unit: null } : null;
+
+    if (typeof input === 'string') {
+        const match = input.match(QUANTITY_STRING);
+        if (!match) return null;
+        return { value: Number(match[1]), unit: match[2] || null };
+    }
+
+    if (isQuantityObject(input)) {
+        const value = typeof input.value === 'string' && input.value.trim() !== '' ? Number(input.value) : input.value;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+        return { value, unit: input.unitCode || input.unit || input.unitText };
+    }
+    return null;
+}
+
+// Conversions go through the SI unit of the dimension; rounding removes the floating point noise (0.1 * 3)
+function convertValue(value, from, to) {
+    const siValue = value * from.factor + from.offset;
+    return Number(((siValue - to.offset) / to.factor).toPrecision(12));
+}
+
+/**
+ * Converts a quantity to another unit of the same dimension.
+ * @param {*} quantity - The quantity, in any form accepted by `parseQuantity`. It must name its unit.
+ * @param {string} targetUnit - The unit to convert to (symbol or code).
+ * @returns {{value: number, unit: string}} The converted quantity, with the unit as given in `targetUnit`.
+ * @throws {Error} If the quantity or the units cannot be read, or the units measure different dimensions.
+ */
+export function convertQuantity(quantity, targetUnit) {
+    const parsed = parseQuantity(quantity);
+    if (!parsed || !parsed.unit) throw new Error(`Not a quantity with a unit: ${JSON.stringify(quantity)}`);
+
+    const from = parseUnit(parsed.unit);
+    const to = parseUnit(targetUnit);
+    if (!from) throw new Error(`Unknown unit '${parsed.unit}'.`);
+    if (!to) throw new Error(`Unknown unit '${targetUnit}'.`);
+    if (from.dimension !== to.dimension) {
+        throw new Error(`Cannot convert ${from.dimension} (${parsed.unit}) to ${to.dimension} (${targetUnit}).`);
+    }
+    return { value: convertValue(parsed.value, from, to), unit: targetUnit };
+}
+
+/**
+ * Checks a quantity against the unit declared for its term (`dppk:unit`) and converts it to that unit.
+ * Plain numbers are taken to be in the declared unit. When the declared unit is not known to the converter,
+ * only quantities in exactly that unit are accepted.
+ * @param {*} input - The quantity, in any form accepted by `parseQuantity`.
+ * @param {string} declaredUnit - The declared unit of the term.
+ * @returns {{valid: true, value: number, unit: string, converted: boolean}|{valid: false, reason: string, unit: string|null, expectedUnit: string, message: string}}
+ * The value in the declared unit, or why the quantity was rejected: 'not-a-number', 'unknown-unit' or 'incompatible-unit'.
+ */
+export function checkQuantity(input, declaredUnit) {
+    const parsed = parseQuantity(input);
+    if (!parsed) {
+        return { valid: false, reason: 'not-a-number', unit: null, expectedUnit: declaredUnit, message: `${JSON.stringify(input)} is not a number or quantity` };
+    }
+    if (!parsed.unit || parsed.unit === declaredUnit) {
+        return { valid: true, value: parsed.value, unit: declaredUnit, converted: false };
+    }
+
+    const from = parseUnit(parsed.unit);
+    const to = parseUnit(declaredUnit);
+    if (!from) {
+        return { valid: false, reason: 'unknown-unit', unit: parsed.unit, expectedUnit: declaredUnit, message: `Unknown unit '${parsed.unit}' (expected ${declaredUnit})` };
+    }
+    if (!to || from.dimension !== to.dimension) {
+        const given = to ? `${from.dimension} (${parsed.unit})` : `'${parsed.unit}'`;
+        return { valid: false, reason: 'incompatible-unit', unit: parsed.unit, expectedUnit: declaredUnit, message: `A ${given} cannot be converted to ${declaredUnit}` };
+    }
+    if (from.symbol === to.symbol) {
+        return { valid: true, value: parsed.value, unit: declaredUnit, converted: false };
+    }
+    return { valid: true, value: convertValue(parsed.value, from, to), unit: declaredUnit, converted: true };
+}
+
+/**
+ * Formats a quantity for display, in the declared unit when it converts to it.
+ * @param {*} input - The quantity, in any form accepted by `parseQuantity`.
+ * @param {string} [declaredUnit] - The declared unit of the term.
+ * @returns {string} The formatted quantity (e.g. '0.5 kg'), or the input as text if it is not a quantity.
+ */
+export function formatQuantity(input, declaredUnit) {
+    const parsed = parseQuantity(input);
+    if (!parsed) return String(input);
+    if (declaredUnit) {
+        const checked = checkQuantity(input, declaredUnit);
+        if (checked.valid) return `${checked.value} ${declaredUnit}`;
+    }
+    if (!parsed.unit) return String(parsed.value);
+    const unit = parseUnit(parsed.unit);
+    // Codes read better as symbols ('KGM' -> 'kg')
+    return `${parsed.value} ${unit && unit.code === parsed.unit ? unit.symbol : parsed.unit}`;
+}
+
+/**
+ * Replaces the quantity objects given for terms with a declared unit by their value in that unit, e.g.
+ * `batteryMass: {value: 45500, unit: 'g'}` by `batteryMass: 45.5` for a term declared in kg. The schemas and
+ * SHACL shapes describe these terms as plain numbers, so the layers working on them see the normalized document.
+ * Quantities that do not convert are left as they are, for the ontology layer to report.
+ * @param {*} data - The document.
+ * @param {Map<string, object>} ontologyMap - The ontology terms by short name, with their `unit`.
+ * @returns {*} A normalized copy of the document; the document itself is not changed.
+ */
+export function normalizeQuantities(data, ontologyMap) {
+    const normalize = (value, parentKey) => {
+        if (Array.isArray(value)) return value.map(item => normalize(item, parentKey));
+        if (value === null || typeof value !== 'object') return value;
+
+        const declaredUnit = parentKey && ontologyMap.get(parentKey)?.unit;
+        if (declaredUnit && isQuantityObject(value)) {
+            const quantity = checkQuantity(value, declaredUnit);
+            if (quantity.valid) return quantity.value;
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, normalize(child, key)]));
+    };
+    return normalize(data, null);
+}
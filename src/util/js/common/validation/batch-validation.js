@@ -0,0 +1,108 @@
+/**
+ * Batch Validation
+ * Splits batch input (a JSON array of DPPs as downloaded by the CSV adapter, NDJSON with one DPP per line,
+ * or several files) into single passports, and summarizes and exports the per-passport validation reports.
+ * Validating the entries is left to the caller, so the same helpers serve a web worker and the page.
+ */
+
+/**
+ * Splits a parsed value into batch entries: every item of an array, or the value itself.
+ * @param {*} value - The parsed JSON.
+ * @param {string} source - The name of the input (e.g. a file name), used to label the entries.
+ * @returns {Array<{source: string, data: *}>} The entries.
+ */
+export function splitBatch(value, source) {
+    if (!Array.isArray(value)) return [{ source, data: value }];
+    return value.map((data, index) => ({ source: `${source} [${index}]`, data }));
+}
+
+/**
+ * Reads batch input: JSON (an object or an array of objects) or NDJSON.
+ * NDJSON lines that cannot be parsed become entries with an `error`, so that one broken line does not hide the others.
+ * @param {string} text - The raw input.
+ * @param {object} [options]
+ * @param {string} [options.source='input'] - The name of the input, used to label the entries.
+ * @param {Function} [options.parse=JSON.parse] - The JSON parser, e.g. one tolerating comments.
+ * @returns {Array<{source: string, data?: *, error?: string}>} The entries, in input order.
+ * @throws {Error} If the input is neither JSON nor NDJSON; the message is the one of the JSON parser.
+ */
+export function readBatchInput(text, { source = 'input', parse = JSON.parse } = {}) {
+    try {
+        return splitBatch(parse(text), source);
+    } catch (jsonError) {
+        const lines = text.split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+            .filter(({ line }) => line);
+        if (lines.length < 2) throw jsonError;
+
+        const entries = lines.map(({ line, number }) => {
+            try {
+                return { source: `${source}:${number}`, data: JSON.parse(line) };
+            } catch (lineError) {
+                return { source: `${source}:${number}`, error: lineError.message };
+            }
+        });
+        // Pretty-printed JSON with a syntax error is not NDJSON
+        if (entries.every(entry => entry.error)) throw jsonError;
+        return entries;
+    }
+}
+
+/**
+ * Returns the ID a passport is listed under.
+ * @param {*} data - The DPP.
+ * @returns {string|null} The `digitalProductPassportId`, or null.
+ */
+export function passportIdOf(data) {
+    const id = data && typeof data === 'object' ? data.digitalProductPassportId : null;
+    return typeof id === 'string' && id ? id : null;
+}
+
+/**
+ * Counts the passports and issues of a batch.
+ * @param {Array<{report: object}>} results - The batch results, each with its validation report.
+ * @returns {{total: number, valid: number, invalid: number, errors: number, warnings: number, infos: number}} The counts.
+ */
+export function summarizeBatch(results) {
+    const issues = severity => results.reduce((sum, { report }) => sum + report.issues.filter(issue => issue.severity === severity).length, 0);
+    const valid = results.filter(({ report }) => report.valid).length;
+    return {
+        total: results.length,
+        valid,
+        invalid: results.length - valid,
+        errors: issues('error'),
+        warnings: issues('warning'),
+        infos: issues('info')
+    };
+}
+
+function toCsvField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders batch results as CSV: one row per passport with the Keystone version it was validated against, its status,
+ * issue counts and the errors and warnings.
+ * @param {Array<{source: string, passportId: string|null, report: object}>} results - The batch results.
+ * @param {object} [options] - The CSV dialect.
+ * @param {string} [options.delimiter=','] - The field delimiter.
+ * @param {string} [options.lineEnding='\n'] - The line ending.
+ * @param {boolean} [options.bom=false] - Prefix the output with a UTF-8 byte order mark (for spreadsheet applications).
+ * @returns {string} The CSV text.
+ */
+export function batchResultsToCsv(results, { delimiter = ',', lineEnding = '\n', bom = false } = {}) {
+    const header = ['#', 'digitalProductPassportId', 'source', 'version', 'status', 'errors', 'warnings', 'infos', 'issues'];
+    const rows = results.map(({ source, passportId, report }, index) => {
+        const count = severity => report.issues.filter(issue => issue.severity === severity).length;
+        const issues = report.issues
+            .filter(issue => issue.severity !== 'info')
+            .map(issue => `[${issue.severity}] ${issue.pointer || '/'}: ${issue.message}`)
+            .join(' | ');
+        return [index + 1, passportId, source, report.version, report.valid ? 'valid' : 'invalid', count('error'), count('warning'), count('info'), issues];
+    });
+    const csv = [header, ...rows]
+        .map(row => row.map(field => toCsvField(field, delimiter)).join(delimiter))
+        .join(lineEnding);
+    return (bom ? '\uFEFF' : '') + csv + lineEnding;
+}
@@ -1,4 +1,5 @@
 import * as jsonldEngine from 'jsonld';
+import { createKeystoneDocumentLoader } from '../loading/keystone-document-loader.js';
 import { isDate, isDateTime, isDecimal, isInteger, isCountryCode, isURI, hasControlCharacters } from './ontology-validator.js';
 
 // Robustly resolve the jsonld library instance across different environments
@@ -16,24 +17,8 @@ if (typeof _jsonld.expand !== 'function') {
 }
 const _expand = _jsonld.expand;
 
-/**
- * Custom Document Loader maps absolute live references natively on the network path 
- * without forcing local static paths, allowing external integrations.
- */
-async function customDocumentLoader(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-        const document = await response.json();
-        return {
-            contextUrl: null,
-            documentUrl: url,
-            document: document
-        };
-    } catch (e) {
-        throw e;
-    }
-}
+// Without an injected loader the contexts are loaded from their published URLs
+const defaultDocumentLoader = createKeystoneDocumentLoader();
 
 /**
  * Computes implicit typing restrictions entirely extracted natively from the `@context` coercions 
@@ -44,7 +29,7 @@ export async function validateContextAwarePayload(dppData, customLoaderForTestin
 
     let expandedData;
     try {
-        const loaderToUse = customLoaderForTestingOverrides || customDocumentLoader;
+        const loaderToUse = customLoaderForTestingOverrides || defaultDocumentLoader;
         expandedData = await _expand(dppData, { documentLoader: loaderToUse });
     } catch (e) {
         errors.push({
@@ -0,0 +1,82 @@
+/**
+ * JSON Positions
+ * Maps the JSON pointers of validation issues back to the text they were parsed from, so editors can underline
+ * the offending value and jump to it. The text is parsed position-aware with jsonc-parser, which keeps working
+ * for comments, trailing commas and the partly broken text of a passport being edited.
+ */
+
+import { parseTree } from 'jsonc-parser';
+
+/**
+ * Splits a JSON pointer into its unescaped segments.
+ * @param {string} pointer - The JSON pointer, e.g. `/batteryPerformance/capacity` ('' for the root).
+ * @returns {string[]} The segments.
+ */
+export function parsePointer(pointer) {
+    if (!pointer) return [];
+    return pointer.replace(/^\//, '').split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// The child of an object or array node for one pointer segment
+function childNode(node, segment) {
+    if (node.type === 'object') {
+        // Like JSON.parse, the last of duplicate keys wins
+        const property = node.children?.filter(child => child.children?.[0]?.value === segment).pop();
+        return property?.children?.[1];
+    }
+    if (node.type === 'array' && /^\d+$/.test(segment)) {
+        return node.children?.[Number(segment)];
+    }
+    return undefined;
+}
+
+/**
+ * Indexes a JSON or JSONC text for locating pointers.
+ * @param {string} text - The text.
+ * @returns {{locate: function(string): ({offset: number, length: number, line: number, column: number, exact: boolean}|null)}}
+ * `locate(pointer)` returns the range to highlight with its 1-based line and column, or null if the text has no
+ * value at all. Values are located in full, except objects and arrays, which are located by their property name
+ * (or opening bracket) so that a problem with a large object does not mark all of it. Pointers to missing values
+ * (e.g. after the text was edited) fall back to their deepest existing ancestor, with `exact` false.
+ */
+export function indexJsonText(text) {
+    const root = parseTree(text, [], { allowTrailingComma: true });
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const positionOf = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    const locate = (pointer) => {
+        if (!root) return null;
+        let node = root;
+        let exact = true;
+        for (const segment of parsePointer(pointer)) {
+            const child = childNode(node, segment);
+            if (!child) {
+                exact = false;
+                break;
+            }
+            node = child;
+        }
+
+        let { offset, length } = node;
+        if (node.type === 'object' || node.type === 'array') {
+            const key = node.parent?.type === 'property' ? node.parent.children[0] : null;
+            ({ offset, length } = key || { offset: node.offset, length: 1 });
+        }
+        return { offset, length, ...positionOf(offset), exact };
+    };
+
+    return { locate };
+}
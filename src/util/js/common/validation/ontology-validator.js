@@ -3,6 +3,8 @@
  * Scans a JSON structure and enforces semantic formatting boundaries imported by the domain's ontology map.
  */
 
+import { checkQuantity, isQuantityObject } from '../units/unit-converter.js';
+
 function isDate(value) {
     if (typeof value !== 'string') return false;
     return /^\d{4}-\d{2}-\d{2}(Z|[+-]\d{2}:?\d{2})?$/.test(value);
@@ -64,6 +66,27 @@ export function validateAgainstOntology(dppData, ontologyMap) {
             obj.forEach((item, index) => {
                 traverse(item, `${path}[${index}]`, parentKey);
             });
+        } else if (isQuantityObject(obj) && parentKey && ontologyMap.get(parentKey)?.unit) {
+            // {value, unit} / {value, unitCode}: the unit must convert to the declared dppk:unit
+            const declaredUnit = ontologyMap.get(parentKey).unit;
+            const quantity = checkQuantity(obj, declaredUnit);
+            if (!quantity.valid && quantity.reason === 'not-a-number') {
+                errors.push({
+                    instancePath: `${path}/value`,
+                    schemaPath: '',
+                    keyword: 'type',
+                    params: { type: 'decimal' },
+                    message: `${parentKey} must be a valid number`
+                });
+            } else if (!quantity.valid) {
+                errors.push({
+                    instancePath: path,
+                    schemaPath: '',
+                    keyword: 'unit',
+                    params: { unit: quantity.unit, expectedUnit: declaredUnit, reason: quantity.reason },
+                    message: `${parentKey}: ${quantity.message}`
+                });
+            }
         } else if (obj !== null && typeof obj === 'object') {
             for (const [key, val] of Object.entries(obj)) {
                 traverse(val, path ? `${path}/${key}` : `/${key}`, key);
@@ -0,0 +1,300 @@
+/**
+ * Business Rule Engine
+ * Evaluates the declarative cross-field rules of the sector rule files (`validation/<version>/rules/*.rules.json`),
+ * i.e. the relational requirements of the regulations that neither JSON Schema nor the per-leaf ontology
+ * validator can express (e.g. "the remaining capacity must not exceed the rated capacity").
+ *
+ * A rule file is `{ "sector", "rules": [rule...] }`; a rule is
+ * `{ "id", "severity": "error"|"warning"|"info", "message", "forEach"?, "when"?, "assert" }` where
+ * - `message` is a string or a list of `{ "@language", "@value" }` translations,
+ * - `forEach` is a path whose matches (e.g. "/additionalCertifications/*") are checked one by one, with relative
+ *   paths resolved against each match,
+ * - `when` and `assert` are conditions:
+ *   `{ "lt" | "lte" | "gt" | "gte" | "eq" | "ne": [operand, operand] }`, `{ "exists": path }`,
+ *   `{ "all": [condition...] }`, `{ "any": [condition...] }` and `{ "not": condition }`,
+ * - operands are literals, `{ "path": "/performance/capacity/rated" }`, or the aggregates
+ *   `{ "sum": operand | [operand...] }` and `{ "count": path }`, whose paths may use `*` to match every array item.
+ * Dates (YYYY-MM-DD, optionally with a time) compare chronologically. Quantity objects (`{value, unit}` /
+ * `{value, unitCode}`) compare and add up after conversion to a common unit; a quantity compared with or added to
+ * a plain number, or a quantity in a unit that does not convert, leaves the rule not applicable, as do other objects.
+ * Rules whose values are absent from the DPP do not apply: a missing value is the business of `required`.
+ */
+
+import { isQuantityObject, parseQuantity, checkQuantity } from '../units/unit-converter.js';
+
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+const COMPARISONS = {
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b
+};
+
+const AGGREGATES = ['sum', 'count'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Selects the values at a path. Segments are property names or array indexes; `*` matches every item of an
+ * array (or every property of an object). Paths starting with '/' are resolved against the document,
+ * other paths against the `base` match.
+ * @param {object} data - The DPP document.
+ * @param {string} path - The path, e.g. '/performance/capacity/rated', or 'percentage' relative to `base`.
+ * @param {{pointer: string, value: *}} [base] - The match relative paths are resolved against.
+ * @returns {Array<{pointer: string, value: *}>} The matches with their JSON pointers, in document order.
+ */
+export function selectPath(data, path, base = { pointer: '', value: data }) {
+    const start = path.startsWith('/') ? { pointer: '', value: data } : base;
+    const segments = path.split('/').filter(Boolean).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let matches = [start];
+    for (const segment of segments) {
+        const next = [];
+        for (const { pointer, value } of matches) {
+            if (value === null || typeof value !== 'object') continue;
+            const keys = segment === '*' ? Object.keys(value) : [segment];
+            for (const key of keys) {
+                if (value[key] !== undefined) next.push({ pointer: `${pointer}/${escapePointerSegment(key)}`, value: value[key] });
+            }
+        }
+        matches = next;
+    }
+    return matches;
+}
+
+// The pointer reported for a path: the match itself, or the part before the first wildcard
+function pointerOf(path, base, matches) {
+    if (!path.includes('*') && matches.length === 1) return matches[0].pointer;
+    const prefix = path.split('*')[0].replace(/\/$/, '');
+    const [match] = selectPath(base.value, prefix, base);
+    return match ? match.pointer : base.pointer;
+}
+
+function comparable(value) {
+    if (typeof value === 'string' && ISO_DATE.test(value)) {
+        const time = Date.parse(value);
+        if (!isNaN(time)) return time;
+    }
+    return value;
+}
+
+// The value of a quantity in another unit, or undefined if it does not convert
+function valueIn(quantity, unit) {
+    const checked = checkQuantity(quantity, unit);
+    return checked.valid ? checked.value : undefined;
+}
+
+// The values two operands are compared by, or undefined if they cannot be compared
+function comparableValues(values) {
+    if (values.some(isQuantityObject)) {
+        const quantities = values.map(value => (isQuantityObject(value) ? parseQuantity(value) : null));
+        // Without a unit a plain number cannot be compared with a quantity
+        if (quantities.some(quantity => !quantity?.unit)) return undefined;
+        const a = valueIn(quantities[0], quantities[1].unit);
+        return a === undefined ? undefined : [a, quantities[1].value];
+    }
+    const compared = values.map(comparable);
+    return compared.some(value => typeof value === 'object') ? undefined : compared;
+}
+
+// Adds up numbers, or quantities in the unit of the first one; undefined if there is nothing (or nothing consistent) to add
+function sumOf(values) {
+    const terms = values
+        .map(value => (isQuantityObject(value) ? parseQuantity(value) : (typeof value === 'number' && Number.isFinite(value) ? { value, unit: null } : null)))
+        .filter(Boolean);
+    if (terms.length === 0) return undefined;
+
+    const unit = terms[0].unit;
+    let total = 0;
+    for (const term of terms) {
+        // Plain numbers and quantities do not add up
+        if ((term.unit === null) !== (unit === null)) return undefined;
+        const value = unit === null ? term.value : valueIn(term, unit);
+        if (value === undefined) return undefined;
+        total += value;
+    }
+    // Floating point noise (e.g. 0.1 + 0.2) must not break a "<= 100"
+    total = Number(total.toPrecision(12));
+    return unit === null ? total : { value: total, unit };
+}
+
+// Resolves an operand to { value, pointer }, or undefined if the values it needs are absent
+function evaluateOperand(operand, data, scope) {
+    if (operand === null || typeof operand !== 'object') return { value: operand, pointer: null };
+
+    if (typeof operand.path === 'string') {
+        const matches = selectPath(data, operand.path, scope);
+        if (matches.length === 0) return undefined;
+        return { value: matches[0].value, pointer: pointerOf(operand.path, scope, matches) };
+    }
+
+    if (typeof operand.count === 'string') {
+        const matches = selectPath(data, operand.count, scope);
+        return { value: matches.length, pointer: pointerOf(operand.count, scope, matches) };
+    }
+
+    if (operand.sum !== undefined) {
+        const values = [];
+        let pointer = null;
+        for (const part of [].concat(operand.sum)) {
+            values.push(...(typeof part?.path === 'string'
+                ? selectPath(data, part.path, scope).map(match => match.value)
+                : [evaluateOperand(part, data, scope)?.value]));
+            pointer ??= typeof part?.path === 'string' ? pointerOf(part.path, scope, selectPath(data, part.path, scope)) : null;
+        }
+        const total = sumOf(values);
+        return total === undefined ? undefined : { value: total, pointer };
+    }
+
+    throw new Error(`Unknown rule operand ${JSON.stringify(operand)}`);
+}
+
+// Evaluates a condition to { result: true|false|undefined (not applicable), pointer, values }
+function evaluateCondition(condition, data, scope) {
+    const [operator] = Object.keys(condition);
+
+    if (COMPARISONS[operator]) {
+        const operands = condition[operator].map(operand => evaluateOperand(operand, data, scope));
+        if (operands.some(operand => operand === undefined || operand.value === undefined || operand.value === null)) {
+            return { result: undefined };
+        }
+        const compared = comparableValues(operands.map(operand => operand.value));
+        if (!compared) return { result: undefined };
+        const [a, b] = compared;
+        return {
+            result: COMPARISONS[operator](a, b),
+            pointer: operands.find(operand => operand.pointer !== null)?.pointer ?? scope.pointer,
+            values: operands.map(operand => operand.value)
+        };
+    }
+
+    if (operator === 'exists') {
+        const matches = selectPath(data, condition.exists, scope);
+        return { result: matches.length > 0, pointer: pointerOf(condition.exists, scope, matches) };
+    }
+
+    if (operator === 'not') {
+        const inner = evaluateCondition(condition.not, data, scope);
+        return { ...inner, result: inner.result === undefined ? undefined : !inner.result };
+    }
+
+    if (operator === 'all' || operator === 'any') {
+        const results = condition[operator].map(part => evaluateCondition(part, data, scope));
+        const applicable = results.filter(r => r.result !== undefined);
+        if (applicable.length === 0) return { result: undefined };
+        const decisive = operator === 'all' ? applicable.find(r => r.result === false) : applicable.find(r => r.result === true);
+        if (decisive) return decisive;
+        return { ...applicable[0], result: operator === 'all' };
+    }
+
+    throw new Error(`Unknown rule condition ${JSON.stringify(condition)}`);
+}
+
+function checkCondition(condition, where) {
+    if (!condition || typeof condition !== 'object' || Object.keys(condition).length !== 1) {
+        throw new Error(`${where}: a condition must have exactly one operator`);
+    }
+    const [operator] = Object.keys(condition);
+    const argument = condition[operator];
+    if (COMPARISONS[operator]) {
+        if (!Array.isArray(argument) || argument.length !== 2) throw new Error(`${where}: '${operator}' compares exactly two operands`);
+        argument.forEach(operand => checkOperand(operand, where));
+    } else if (operator === 'all' || operator === 'any') {
+        if (!Array.isArray(argument) || argument.length === 0) throw new Error(`${where}: '${operator}' needs a list of conditions`);
+        argument.forEach(part => checkCondition(part, where));
+    } else if (operator === 'not') {
+        checkCondition(argument, where);
+    } else if (operator !== 'exists' || typeof argument !== 'string') {
+        throw new Error(`${where}: unknown condition '${operator}'`);
+    }
+}
+
+function checkOperand(operand, where) {
+    if (operand === null || typeof operand !== 'object') return;
+    const [operator] = Object.keys(operand);
+    if (operator === 'path') {
+        if (operand.path.includes('*')) throw new Error(`${where}: wildcard paths can only be used in ${AGGREGATES.join(' and ')}`);
+    } else if (operator === 'sum') {
+        [].concat(operand.sum).forEach(part => {
+            if (typeof part?.path !== 'string') checkOperand(part, where);
+        });
+    } else if (operator !== 'count') {
+        throw new Error(`${where}: unknown operand '${operator}'`);
+    }
+}
+
+/**
+ * Checks the structure of a rule file, so that mistakes surface when the file is written rather than as silently skipped rules.
+ * @param {object} ruleSet - The parsed rule file.
+ * @returns {object} The rule set.
+ * @throws {Error} On missing or duplicate IDs, unknown severities, operators or operands.
+ */
+export function assertRuleSet(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) throw new Error('A rule file must have a "rules" list.');
+    const ids = new Set();
+    for (const rule of ruleSet.rules) {
+        if (!rule.id) throw new Error(`Rule without an id in the ${ruleSet.sector} rules.`);
+        if (ids.has(rule.id)) throw new Error(`Duplicate rule id ${rule.id}.`);
+        ids.add(rule.id);
+        if (rule.severity && !RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`${rule.id}: unknown severity '${rule.severity}' (expected ${RULE_SEVERITIES.join(', ')}).`);
+        }
+        if (!rule.message) throw new Error(`${rule.id}: a rule needs a message.`);
+        checkCondition(rule.assert, rule.id);
+        if (rule.when) checkCondition(rule.when, rule.id);
+    }
+    return ruleSet;
+}
+
+function messageOf(rule, language) {
+    if (typeof rule.message === 'string') return rule.message;
+    const match = rule.message.find(t => t['@language'] === language) || rule.message.find(t => t['@language'] === 'en');
+    return match ? match['@value'] : rule.id;
+}
+
+/**
+ * Evaluates rule sets against a DPP.
+ * Violations are reported in the `{instancePath, keyword, params, message}` structure of the other validators, with
+ * `keyword: 'rule'`, the rule ID and severity in `params` and, for translated messages, all translations in `params.messages`.
+ * @param {object} dppData - The DPP document.
+ * @param {object[]} ruleSets - The parsed rule files.
+ * @param {object} [options]
+ * @param {string} [options.language='en'] - The language of `message`.
+ * @returns {{valid: boolean, errors: Array}} The result; only violations of severity 'error' make it invalid.
+ */
+export function evaluateRules(dppData, ruleSets, { language = 'en' } = {}) {
+    const errors = [];
+    for (const ruleSet of ruleSets) {
+        for (const rule of assertRuleSet(ruleSet).rules) {
+            const scopes = rule.forEach ? selectPath(dppData, rule.forEach) : [{ pointer: '', value: dppData }];
+            for (const scope of scopes) {
+                if (rule.when && evaluateCondition(rule.when, dppData, scope).result !== true) continue;
+                const outcome = evaluateCondition(rule.assert, dppData, scope);
+                if (outcome.result !== false) continue;
+                errors.push({
+                    instancePath: outcome.pointer ?? scope.pointer,
+                    schemaPath: `${ruleSet.sector || 'dpp'}.rules.json#${rule.id}`,
+                    keyword: 'rule',
+                    params: {
+                        ruleId: rule.id,
+                        severity: rule.severity || 'error',
+                        ...(outcome.values && { values: outcome.values }),
+                        ...(Array.isArray(rule.message) && { messages: rule.message })
+                    },
+                    message: messageOf(rule, language)
+                });
+            }
+        }
+    }
+    return {
+        valid: errors.every(error => error.params.severity !== 'error'),
+        errors
+    };
+}
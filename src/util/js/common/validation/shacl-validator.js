@@ -0,0 +1,231 @@
+import * as jsonldEngine from 'jsonld';
+import SHACLValidator from 'rdf-validate-shacl';
+import rdf from 'rdf-validate-shacl/src/defaultEnv.js';
+
+// Robustly resolve the jsonld library instance across different environments
+let _jsonld = jsonldEngine.default || jsonldEngine;
+if (typeof _jsonld.expand !== 'function') {
+    if (_jsonld.default && typeof _jsonld.default.expand === 'function') {
+        _jsonld = _jsonld.default;
+    } else if (typeof jsonldEngine.expand === 'function') {
+        _jsonld = jsonldEngine;
+    } else if (_jsonld.jsonld && typeof _jsonld.jsonld.expand === 'function') {
+        _jsonld = _jsonld.jsonld;
+    } else if (typeof globalThis.jsonld !== 'undefined' && typeof globalThis.jsonld.expand === 'function') {
+        _jsonld = globalThis.jsonld;
+    }
+}
+
+const SH = 'http://www.w3.org/ns/shacl#';
+const NODE_ID_PREFIX = 'urn:dppk:shacl-node:';
+
+/**
+ * Shape graphs applied to every DPP. These either target generic DPP properties or
+ * component classes (EPD, DoPC, Packaging...) and therefore only fire when the data uses them.
+ */
+export const COMMON_SHACL_SHAPES = [
+    'core-shapes.shacl.jsonld',
+    'general-product-shapes.shacl.jsonld',
+    'packaging-shapes.shacl.jsonld',
+    'dopc-shapes.shacl.jsonld',
+    'epd-shapes.shacl.jsonld'
+];
+
+/**
+ * Sector shape graphs, keyed by the contentSpecificationId that activates them.
+ * They target `dppk:DigitalProductPassport` directly, so they must only be applied to matching passports.
+ */
+export const SECTOR_SHACL_SHAPES = {
+    'draft_battery_specification_id': ['battery-shapes.shacl.jsonld'],
+    'draft_construction_specification_id': ['construction-shapes.shacl.jsonld'],
+    'draft_electronics_specification_id': ['electronics-shapes.shacl.jsonld'],
+    'draft_textile_espr_specification_id': ['textile-shapes.shacl.jsonld']
+};
+
+/**
+ * Picks the SHACL shape files relevant for a DPP based on its contentSpecificationIds.
+ * @param {object} dppData - The DPP document.
+ * @returns {string[]} The shape file names (relative to the versioned `shacl/` directory).
+ */
+export function selectShapeFiles(dppData) {
+    const files = [...COMMON_SHACL_SHAPES];
+    const specIds = Array.isArray(dppData?.contentSpecificationIds) ? dppData.contentSpecificationIds : [];
+    for (const id of specIds) {
+        for (const file of SECTOR_SHACL_SHAPES[id] || []) {
+            if (!files.includes(file)) files.push(file);
+        }
+    }
+    return files;
+}
+
+// --- Conversion of jsonld.toRDF output into terms of the validator's RDF/JS environment ---
+// Shape files wrap their shapes in a named `@graph`; every quad is moved to the default graph
+// because the SHACL engine only looks at the default graph. jsonld restarts its blank node
+// labels (b0, b1...) for every document, so labels are scoped per document before merging.
+
+let documentCounter = 0;
+
+function toTerm(raw, scope) {
+    switch (raw.termType) {
+        case 'NamedNode': return rdf.namedNode(raw.value);
+        case 'BlankNode': return rdf.blankNode(`${scope}_${raw.value.replace(/^_:/, '')}`);
+        case 'Literal': return rdf.literal(raw.value, raw.language || rdf.namedNode(raw.datatype.value));
+        default: throw new Error(`Unsupported RDF term type: ${raw.termType}`);
+    }
+}
+
+async function documentToQuads(document, documentLoader) {
+    const options = documentLoader ? { documentLoader } : {};
+    const expanded = await _jsonld.expand(document, options);
+    const scope = `d${documentCounter++}`;
+    return (await _jsonld.toRDF(expanded, options)).map(raw => rdf.quad(
+        toTerm(raw.subject, scope), toTerm(raw.predicate, scope), toTerm(raw.object, scope), rdf.defaultGraph()));
+}
+
+// --- JSON pointer tracking ---
+
+const escapePointerToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+function isLanguageMap(obj) {
+    const entries = Object.entries(obj);
+    return entries.length > 0 && entries.every(([key, val]) =>
+        /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(key) &&
+        (typeof val === 'string' || (Array.isArray(val) && val.every(v => typeof v === 'string'))));
+}
+
+/**
+ * Returns a copy of the DPP in which every node object carries an `@id`, so that the
+ * focus nodes reported by the SHACL engine can be traced back to their JSON pointer.
+ */
+function tagNodes(value, pointer, nodePointers) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => tagNodes(item, `${pointer}/${index}`, nodePointers));
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (value['@value'] !== undefined || isLanguageMap(value)) return value;
+
+    const tagged = {};
+    for (const [key, val] of Object.entries(value)) {
+        if (key === '@context') {
+            tagged[key] = val;
+        } else if (key === '@list' || key === '@set') {
+            tagged[key] = tagNodes(val, pointer, nodePointers);
+        } else {
+            tagged[key] = tagNodes(val, `${pointer}/${escapePointerToken(key)}`, nodePointers);
+        }
+    }
+
+    if (value['@list'] === undefined && value['@set'] === undefined) {
+        if (typeof value['@id'] === 'string') {
+            if (!nodePointers.has(value['@id'])) nodePointers.set(value['@id'], pointer);
+        } else {
+            const id = `${NODE_ID_PREFIX}${nodePointers.size}`;
+            tagged['@id'] = id;
+            nodePointers.set(id, pointer);
+        }
+    }
+    return tagged;
+}
+
+function resolvePointer(dppData, pointer) {
+    if (!pointer) return dppData;
+    return pointer.substring(1).split('/').reduce((node, token) => {
+        if (node === undefined || node === null) return undefined;
+        return node[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }, dppData);
+}
+
+const localName = (iri) => iri.split(/[#/]/).pop();
+
+function toInstancePath(result, dppData, nodePointers) {
+    // The offending value is itself a node we tagged (e.g. a nested object failing sh:class)
+    if (result.value && nodePointers.has(result.value.value)) {
+        return nodePointers.get(result.value.value);
+    }
+
+    const focusPointer = result.focusNode ? nodePointers.get(result.focusNode.value) : undefined;
+    if (focusPointer === undefined) return '';
+
+    if (result.path && result.path.termType === 'NamedNode') {
+        const name = localName(result.path.value);
+        const focusObject = resolvePointer(dppData, focusPointer);
+        const key = focusObject && typeof focusObject === 'object'
+            ? Object.keys(focusObject).find(k => k === name || k.endsWith(`:${name}`))
+            : undefined;
+        return `${focusPointer}/${escapePointerToken(key || name)}`;
+    }
+    return focusPointer;
+}
+
+function toKeyword(result) {
+    const component = result.sourceConstraintComponent ? localName(result.sourceConstraintComponent.value) : '';
+    const name = component.replace(/ConstraintComponent$/, '');
+    return name ? name.charAt(0).toLowerCase() + name.slice(1) : 'shacl';
+}
+
+/**
+ * Validates a DPP against SHACL shape graphs.
+ * The DPP is expanded through its `@context`, converted to RDF and checked by the SHACL engine;
+ * every validation result is reported in the `{instancePath, keyword, message}` structure used by the other validators,
+ * with `sh:message` texts as messages and the focus node/path translated back to a JSON pointer into the original document.
+ *
+ * @param {object} dppData - The DPP JSON-LD document (must contain an `@context`).
+ * @param {object} options - The validation inputs.
+ * @param {Array<object>} options.shapes - The SHACL shape graphs as JSON-LD documents (see `selectShapeFiles`).
+ * @param {Array<object>} [options.ontologies] - Ontology documents merged into the data graph (e.g. class definitions referenced by `sh:in`/`sh:class`).
+ * @param {Function} [options.documentLoader] - The JSON-LD document loader used to resolve remote contexts.
+ * @returns {Promise<object>} An envelope with `valid` (no `sh:Violation` results) and the mapped `errors`.
+ */
+export async function validateShacl(dppData, { shapes = [], ontologies = [], documentLoader = null } = {}) {
+    const errors = [];
+    const nodePointers = new Map();
+
+    let dataQuads;
+    try {
+        dataQuads = await documentToQuads(tagNodes(dppData, '', nodePointers), documentLoader);
+        for (const ontology of ontologies) {
+            dataQuads = dataQuads.concat(await documentToQuads(ontology, documentLoader));
+        }
+    } catch (e) {
+        errors.push({
+            instancePath: '',
+            schemaPath: '',
+            keyword: 'format',
+            params: { format: 'json-ld' },
+            message: `JSON-LD Expansion Error: Payload could not be converted to RDF for SHACL validation. (${e.message})`
+        });
+        return { valid: false, errors };
+    }
+
+    let shapeQuads = [];
+    for (const shapeGraph of shapes) {
+        shapeQuads = shapeQuads.concat(await documentToQuads(shapeGraph, documentLoader));
+    }
+
+    const validator = new SHACLValidator(shapeQuads, { factory: rdf });
+    const report = validator.validate(rdf.dataset(dataQuads));
+
+    let valid = true;
+    for (const result of report.results) {
+        const severity = result.severity ? localName(result.severity.value) : 'Violation';
+        if (severity === 'Violation') valid = false;
+
+        const messages = (result.message || []).map(m => m.value).filter(Boolean);
+        const pathName = result.path && result.path.termType === 'NamedNode' ? localName(result.path.value) : null;
+        errors.push({
+            instancePath: toInstancePath(result, dppData, nodePointers),
+            schemaPath: result.sourceShape && result.sourceShape.termType === 'NamedNode' ? result.sourceShape.value : '',
+            keyword: toKeyword(result),
+            params: {
+                severity,
+                ...(result.sourceConstraintComponent && { constraint: result.sourceConstraintComponent.value.replace(SH, 'sh:') }),
+                ...(result.path && result.path.termType === 'NamedNode' && { path: result.path.value })
+            },
+            message: messages.length > 0
+                ? messages.join(' ')
+                : `${pathName || 'Value'} does not conform to ${toKeyword(result)} constraint`
+        });
+    }
+
+    return { valid, errors };
+}
@@ -0,0 +1,67 @@
+import { readBatchInput, splitBatch, passportIdOf, summarizeBatch, batchResultsToCsv } from '../batch-validation.js';
+
+describe('Batch Validation', () => {
+
+    const report = (issues, version = 'v2') => ({ valid: issues.every(issue => issue.severity !== 'error'), version, issues });
+
+    it('should split arrays and keep single passports', () => {
+        expect(splitBatch([{ a: 1 }, { a: 2 }], 'export.json')).toEqual([
+            { source: 'export.json [0]', data: { a: 1 } },
+            { source: 'export.json [1]', data: { a: 2 } }
+        ]);
+        expect(splitBatch({ a: 1 }, 'dpp.json')).toEqual([{ source: 'dpp.json', data: { a: 1 } }]);
+    });
+
+    it('should read JSON and NDJSON, keeping unparsable lines', () => {
+        expect(readBatchInput('[{"a": 1}, {"a": 2}]')).toHaveLength(2);
+        expect(readBatchInput('{"a": 1}', { source: 'dpp.json' })).toEqual([{ source: 'dpp.json', data: { a: 1 } }]);
+
+        const entries = readBatchInput('{"a": 1}\n\n{"a": 2}\n{"a": \n', { source: 'batch.ndjson' });
+        expect(entries.map(entry => entry.source)).toEqual(['batch.ndjson:1', 'batch.ndjson:3', 'batch.ndjson:4']);
+        expect(entries[1].data).toEqual({ a: 2 });
+        expect(entries[2].error).toEqual(expect.any(String));
+
+        // Custom parsers (e.g. for JSONC) apply to the whole input
+        const parse = (text) => JSON.parse(text.replace(/\/\/.*$/gm, ''));
+        expect(readBatchInput('// comment\n{"a": 1}', { parse })).toEqual([{ source: 'input', data: { a: 1 } }]);
+    });
+
+    it('should report broken JSON that is not NDJSON with the JSON error', () => {
+        expect(() => readBatchInput('{\n  "a": 1,\n  "b": \n}')).toThrow(SyntaxError);
+        expect(() => readBatchInput('not json')).toThrow(SyntaxError);
+    });
+
+    it('should list passports by their ID', () => {
+        expect(passportIdOf({ digitalProductPassportId: 'urn:uuid:1' })).toBe('urn:uuid:1');
+        expect(passportIdOf({ digitalProductPassportId: '' })).toBeNull();
+        expect(passportIdOf('urn:uuid:1')).toBeNull();
+    });
+
+    it('should summarize and export the results as CSV', () => {
+        const results = [
+            { source: 'export.json [0]', passportId: 'urn:uuid:1', report: report([]) },
+            {
+                source: 'export.json [1]',
+                passportId: 'urn:uuid:2',
+                report: report([
+                    { severity: 'error', pointer: '/lastUpdate', message: 'Must be a valid date, e.g. "2024-01-01"' },
+                    { severity: 'warning', pointer: '/fibreComposition', message: 'The fibre composition should add up to 100%.' },
+                    { severity: 'info', pointer: '', message: 'Component has no type' }
+                ])
+            },
+            { source: 'batch.ndjson:3', passportId: null, report: report([{ severity: 'error', pointer: '', message: 'Unexpected end of JSON input' }], null) }
+        ];
+
+        expect(summarizeBatch(results)).toEqual({ total: 3, valid: 1, invalid: 2, errors: 2, warnings: 1, infos: 1 });
+
+        const csv = batchResultsToCsv(results);
+        expect(csv.split('\n')).toEqual([
+            '#,digitalProductPassportId,source,version,status,errors,warnings,infos,issues',
+            '1,urn:uuid:1,export.json [0],v2,valid,0,0,0,',
+            '2,urn:uuid:2,export.json [1],v2,invalid,1,1,1,"[error] /lastUpdate: Must be a valid date, e.g. ""2024-01-01"" | [warning] /fibreComposition: The fibre composition should add up to 100%."',
+            '3,,batch.ndjson:3,,invalid,1,0,0,[error] /: Unexpected end of JSON input',
+            ''
+        ]);
+        expect(batchResultsToCsv(results, { delimiter: ';', bom: true }).startsWith('\uFEFF#;digitalProductPassportId;')).toBe(true);
+    });
+});
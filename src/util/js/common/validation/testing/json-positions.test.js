@@ -0,0 +1,46 @@
+import { indexJsonText, parsePointer } from '../json-positions.js';
+
+describe('JSON Positions', () => {
+
+    const text = [
+        '{',
+        '  // Passport of a battery',
+        '  "digitalProductPassportId": "urn:uuid:1",',
+        '  "batteryPerformance": {',
+        '    "capacity": { "value": "fifty", "unit": "Ah" },',
+        '  },',
+        '  "components": [ { "a/b": 1 }, 2 ]',
+        '}'
+    ].join('\n');
+    const index = indexJsonText(text);
+    const textAt = ({ offset, length }) => text.slice(offset, offset + length);
+
+    it('should split and unescape pointers', () => {
+        expect(parsePointer('')).toEqual([]);
+        expect(parsePointer('/components/0/a~1b/~0x')).toEqual(['components', '0', 'a/b', '~x']);
+    });
+
+    it('should locate values with their line and column in JSONC', () => {
+        const value = index.locate('/batteryPerformance/capacity/value');
+        expect(textAt(value)).toBe('"fifty"');
+        expect(value).toEqual(expect.objectContaining({ line: 5, column: 28, exact: true }));
+
+        expect(textAt(index.locate('/components/1'))).toBe('2');
+        expect(textAt(index.locate('/components/0/a~1b'))).toBe('1');
+    });
+
+    it('should locate objects and arrays by their property name or bracket', () => {
+        expect(textAt(index.locate('/batteryPerformance'))).toBe('"batteryPerformance"');
+        expect(index.locate('/batteryPerformance')).toEqual(expect.objectContaining({ line: 4, column: 3 }));
+        expect(textAt(index.locate('/components/0'))).toBe('{');
+        expect(index.locate('')).toEqual({ offset: 0, length: 1, line: 1, column: 1, exact: true });
+    });
+
+    it('should fall back to the nearest existing ancestor', () => {
+        const missing = index.locate('/batteryPerformance/capacity/minimum');
+        expect(textAt(missing)).toBe('"capacity"');
+        expect(missing.exact).toBe(false);
+        expect(textAt(index.locate('/components/7'))).toBe('"components"');
+        expect(indexJsonText('').locate('/a')).toBeNull();
+    });
+});
@@ -188,6 +188,37 @@ describe('Ontology Validator', () => {
         });
     });
 
+    describe('Quantity Validation', () => {
+        const ontologyMap = new Map([
+            ['netWeight', { range: 'decimal', unit: 'kg' }],
+            ['length', { range: 'decimal', unit: 'mm' }]
+        ]);
+
+        test('should accept quantities in units that convert to the declared unit', () => {
+            const data = {
+                netWeight: { value: 1250, unitCode: 'GRM' },
+                length: { value: 0.4, unit: 'm' }
+            };
+            expect(validateAgainstOntology(data, ontologyMap)).toEqual({ valid: true, errors: [] });
+        });
+
+        test('should reject quantities of another dimension', () => {
+            const data = { components: [{ length: { value: 2, unit: 'kg' } }] };
+            const result = validateAgainstOntology(data, ontologyMap);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([expect.objectContaining({
+                instancePath: '/components[0]/length',
+                keyword: 'unit',
+                params: { unit: 'kg', expectedUnit: 'mm', reason: 'incompatible-unit' }
+            })]);
+        });
+
+        test('should reject quantities without a numeric value', () => {
+            const result = validateAgainstOntology({ netWeight: { value: 'heavy', unit: 'kg' } }, ontologyMap);
+            expect(result.errors).toEqual([expect.objectContaining({ instancePath: '/netWeight/value', keyword: 'type' })]);
+        });
+    });
+
     // 4. Missing inputs 
     describe('Edge Cases', () => {
         test('should return valid if no ontologyMap is provided', () => {
@@ -0,0 +1,150 @@
+import { selectPath, assertRuleSet, evaluateRules } from '../rule-engine.js';
+
+describe('Business Rule Engine', () => {
+
+    const ruleSet = {
+        sector: 'test',
+        rules: [
+            {
+                id: 'T-SUM',
+                severity: 'error',
+                assert: { lte: [{ sum: { path: '/components/*/percentage' } }, 100] },
+                message: [
+                    { '@language': 'en', '@value': 'The percentages must not add up to more than 100%.' },
+                    { '@language': 'de', '@value': 'Die Prozentanteile dürfen zusammen 100 % nicht überschreiten.' }
+                ]
+            },
+            {
+                id: 'T-CAPACITY',
+                severity: 'error',
+                assert: { lte: [{ path: '/capacity/remaining' }, { path: '/capacity/rated' }] },
+                message: 'The remaining capacity must not exceed the rated capacity.'
+            },
+            {
+                id: 'T-DATES',
+                severity: 'warning',
+                forEach: '/certifications/*',
+                assert: { gt: [{ path: 'end' }, { path: 'start' }] },
+                message: 'The end date must be after the start date.'
+            },
+            {
+                id: 'T-RECYCLED',
+                severity: 'error',
+                when: { exists: '/recycled' },
+                assert: { lte: [{ sum: [{ path: '/preConsumer' }, { path: '/postConsumer' }] }, { path: '/recycled' }] },
+                message: 'Pre- and post-consumer content must not exceed the recycled content.'
+            }
+        ]
+    };
+
+    it('should select values with wildcards and relative paths', () => {
+        const data = { components: [{ percentage: 60 }, { name: 'cap' }, { percentage: 40 }] };
+
+        expect(selectPath(data, '/components/*/percentage')).toEqual([
+            { pointer: '/components/0/percentage', value: 60 },
+            { pointer: '/components/2/percentage', value: 40 }
+        ]);
+        const [second] = selectPath(data, '/components/1');
+        expect(selectPath(data, 'name', second)).toEqual([{ pointer: '/components/1/name', value: 'cap' }]);
+        expect(selectPath(data, '/missing/value')).toEqual([]);
+    });
+
+    it('should accept DPPs that satisfy the rules or lack the values', () => {
+        const result = evaluateRules({
+            components: [{ percentage: 0.1 }, { percentage: 0.2 }, { percentage: 99.7 }],
+            capacity: { rated: 100 },
+            certifications: [{ start: '2024-01-01', end: '2026-01-01' }, { start: '2024-01-01' }],
+            preConsumer: 20
+        }, [ruleSet]);
+
+        expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report violations with rule ID, severity, pointer and values', () => {
+        const result = evaluateRules({
+            components: [{ percentage: 70 }, { percentage: 40 }],
+            capacity: { rated: 100, remaining: 120 },
+            certifications: [{ start: '2024-01-01', end: '2026-01-01' }, { start: '2025-06-01', end: '2025-01-01T00:00:00Z' }],
+            preConsumer: 20,
+            postConsumer: 30,
+            recycled: 40
+        }, [ruleSet], { language: 'de' });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(error => [error.params.ruleId, error.params.severity, error.instancePath])).toEqual([
+            ['T-SUM', 'error', '/components'],
+            ['T-CAPACITY', 'error', '/capacity/remaining'],
+            ['T-DATES', 'warning', '/certifications/1/end'],
+            ['T-RECYCLED', 'error', '/preConsumer']
+        ]);
+        const [sum, capacity] = result.errors;
+        expect(sum).toEqual(expect.objectContaining({
+            keyword: 'rule',
+            schemaPath: 'test.rules.json#T-SUM',
+            message: 'Die Prozentanteile dürfen zusammen 100 % nicht überschreiten.'
+        }));
+        expect(sum.params.values).toEqual([110, 100]);
+        expect(sum.params.messages).toHaveLength(2);
+        expect(capacity.params.messages).toBeUndefined();
+    });
+
+    it('should not fail on warnings and combine conditions', () => {
+        const warnings = evaluateRules({ certifications: [{ start: '2025-01-01', end: '2024-01-01' }] }, [ruleSet]);
+        expect(warnings.valid).toBe(true);
+        expect(warnings.errors).toHaveLength(1);
+
+        const voltage = {
+            rules: [{
+                id: 'V-RANGE',
+                assert: { all: [{ lte: [{ path: '/min' }, { path: '/nominal' }] }, { lte: [{ path: '/nominal' }, { path: '/max' }] }] },
+                message: 'The nominal voltage must lie between the minimum and the maximum voltage.'
+            }]
+        };
+        expect(evaluateRules({ min: 3, nominal: 3.7, max: 4.2 }, [voltage]).valid).toBe(true);
+        expect(evaluateRules({ min: 3, nominal: 4.5 }, [voltage]).valid).toBe(true);
+        expect(evaluateRules({ min: 3, nominal: 4.5, max: 4.2 }, [voltage]).errors).toEqual([
+            expect.objectContaining({ instancePath: '/nominal', schemaPath: 'dpp.rules.json#V-RANGE', params: expect.objectContaining({ severity: 'error' }) })
+        ]);
+        expect(evaluateRules({ items: [] }, [{ rules: [{ id: 'C', message: 'At least one item', assert: { gte: [{ count: '/items/*' }, 1] } }] }]).valid).toBe(false);
+    });
+
+    it('should reject malformed rule files', () => {
+        const rule = { id: 'X', message: 'x', assert: { exists: '/a' } };
+
+        expect(assertRuleSet({ rules: [rule] })).toEqual({ rules: [rule] });
+        expect(() => assertRuleSet({})).toThrow(/"rules" list/);
+        expect(() => assertRuleSet({ rules: [rule, rule] })).toThrow(/Duplicate rule id X/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, severity: 'fatal' }] })).toThrow(/unknown severity 'fatal'/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, message: undefined }] })).toThrow(/needs a message/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, assert: { lt: [1] } }] })).toThrow(/exactly two operands/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, assert: { matches: ['/a', 'b'] } }] })).toThrow(/unknown condition 'matches'/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, assert: { lt: [{ path: '/a/*' }, 1] } }] })).toThrow(/wildcard paths/);
+        expect(() => assertRuleSet({ rules: [{ ...rule, assert: { lt: [{ avg: '/a' }, 1] } }] })).toThrow(/unknown operand 'avg'/);
+    });
+
+    describe('quantities', () => {
+        const ids = (dpp) => evaluateRules(dpp, [ruleSet]).errors.map(error => error.params.ruleId);
+
+        it('should compare quantities in a common unit', () => {
+            expect(ids({ capacity: { remaining: { value: 45000, unit: 'Wh' }, rated: { value: 50, unitCode: 'KWH' } } })).toEqual([]);
+            expect(ids({ capacity: { remaining: { value: 55000, unit: 'Wh' }, rated: { value: 50, unit: 'kWh' } } })).toEqual(['T-CAPACITY']);
+        });
+
+        it('should not apply comparisons of quantities that do not convert or lack a unit', () => {
+            expect(ids({ capacity: { remaining: { value: 55000, unit: 'g' }, rated: { value: 50, unit: 'kWh' } } })).toEqual([]);
+            expect(ids({ capacity: { remaining: { value: 55000, unit: 'Wh' }, rated: 50 } })).toEqual([]);
+            expect(ids({ capacity: { remaining: { amount: 55000 }, rated: { amount: 50 } } })).toEqual([]);
+        });
+
+        it('should add up quantities in the unit of the first one', () => {
+            const recycled = (preConsumer, postConsumer, total) => ({ preConsumer, postConsumer, recycled: total });
+
+            expect(ids(recycled({ value: 400, unit: 'g' }, { value: 0.7, unit: 'kg' }, { value: 1, unit: 'kg' }))).toEqual(['T-RECYCLED']);
+            expect(ids(recycled({ value: 400, unit: 'g' }, { value: 0.5, unit: 'kg' }, { value: 1, unit: 'kg' }))).toEqual([]);
+            // Mixed numbers and quantities, or quantities of different dimensions, do not add up
+            expect(ids(recycled(400, { value: 0.7, unit: 'kg' }, { value: 1, unit: 'kg' }))).toEqual([]);
+            expect(ids(recycled({ value: 400, unit: 'g' }, { value: 0.7, unit: 'm' }, { value: 1, unit: 'kg' }))).toEqual([]);
+            expect(ids({ components: [{ percentage: 60 }, { percentage: { value: 50, unit: '%' } }] })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import { validateShacl, selectShapeFiles, COMMON_SHACL_SHAPES } from '../shacl-validator.js';
+import { KEYSTONE_VERSION } from '../../../../../lib/keystone-version.js';
+
+const TERMS = `https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#`;
+
+describe('SHACL Validator', () => {
+
+    const context = {
+        "dppk": TERMS,
+        "DigitalProductPassport": "dppk:DigitalProductPassport",
+        "Organization": "dppk:Organization",
+        "digitalProductPassportId": "dppk:digitalProductPassportId",
+        "manufacturer": "dppk:manufacturer",
+        "organizationName": "dppk:organizationName",
+        "gln": "dppk:gln",
+        "otherParties": { "@id": "dppk:otherParties", "@container": "@set" }
+    };
+
+    // Shapes are wrapped in a named graph, like the files in spec/validation/v2/shacl/
+    const organizationShapes = {
+        "@context": {
+            "sh": "http://www.w3.org/ns/shacl#",
+            "dppk": TERMS,
+            "@vocab": "http://www.w3.org/ns/shacl#",
+            "path": { "@type": "@id" },
+            "targetClass": { "@type": "@id" }
+        },
+        "@id": "urn:test:Shapes",
+        "@graph": [
+            {
+                "@id": "urn:test:OrganizationShape",
+                "@type": "NodeShape",
+                "targetClass": "dppk:Organization",
+                "property": [
+                    { "path": "dppk:organizationName", "minCount": 1, "message": "Organization must have a name (dppk:organizationName)." },
+                    { "path": "dppk:gln", "pattern": "^[0-9]{13}$", "message": "GLN (dppk:gln) must be a 13-digit number." }
+                ]
+            }
+        ]
+    };
+    const passportShapes = {
+        "@context": organizationShapes["@context"],
+        "@id": "urn:test:PassportShapes",
+        "@graph": [
+            {
+                "@id": "urn:test:PassportShape",
+                "@type": "NodeShape",
+                "targetClass": "dppk:DigitalProductPassport",
+                "property": [
+                    { "path": "dppk:digitalProductPassportId", "minCount": 1, "severity": { "@id": "sh:Warning" } }
+                ]
+            }
+        ]
+    };
+
+    it('should accept data conforming to the shapes', async () => {
+        const payload = {
+            "@context": context,
+            "@type": "DigitalProductPassport",
+            "digitalProductPassportId": "urn:uuid:1",
+            "manufacturer": { "@type": "Organization", "organizationName": "ACME", "gln": "1234567890123" }
+        };
+
+        const result = await validateShacl(payload, { shapes: [organizationShapes, passportShapes] });
+
+        expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should map violations on nested nodes back to JSON pointers', async () => {
+        const payload = {
+            "@context": context,
+            "@type": "DigitalProductPassport",
+            "digitalProductPassportId": "urn:uuid:1",
+            "manufacturer": { "@type": "Organization", "organizationName": "ACME", "gln": "42" },
+            "otherParties": [
+                { "@type": "Organization", "organizationName": "Importer" },
+                { "@type": "Organization", "gln": "1234567890123" }
+            ]
+        };
+
+        const result = await validateShacl(payload, { shapes: [organizationShapes, passportShapes] });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toHaveLength(2);
+        expect(result.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({
+                instancePath: '/manufacturer/gln',
+                keyword: 'pattern',
+                message: 'GLN (dppk:gln) must be a 13-digit number.',
+                params: expect.objectContaining({ severity: 'Violation', path: `${TERMS}gln` })
+            }),
+            expect.objectContaining({
+                instancePath: '/otherParties/1/organizationName',
+                keyword: 'minCount',
+                message: 'Organization must have a name (dppk:organizationName).'
+            })
+        ]));
+    });
+
+    it('should report warnings without failing validation', async () => {
+        const payload = { "@context": context, "@type": "DigitalProductPassport" };
+
+        const result = await validateShacl(payload, { shapes: [passportShapes] });
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([
+            expect.objectContaining({
+                instancePath: '/digitalProductPassportId',
+                message: 'Less than 1 values',
+                keyword: 'minCount',
+                params: expect.objectContaining({ severity: 'Warning' })
+            })
+        ]);
+    });
+
+    it('should report payloads that cannot be converted to RDF', async () => {
+        const payload = { "@context": "https://example.invalid/context.jsonld", "name": "x" };
+        const documentLoader = async (url) => { throw new Error(`Blocked fetch of ${url}`); };
+
+        const result = await validateShacl(payload, { shapes: [organizationShapes], documentLoader });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toEqual(expect.objectContaining({ keyword: 'format', instancePath: '' }));
+    });
+
+    it('should only select sector shapes for the declared content specifications', () => {
+        expect(selectShapeFiles({})).toEqual(COMMON_SHACL_SHAPES);
+        expect(selectShapeFiles({
+            contentSpecificationIds: ['draft_battery_specification_id', 'draft_iron_and_steel_specification_id']
+        })).toEqual([...COMMON_SHACL_SHAPES, 'battery-shapes.shacl.jsonld']);
+    });
+});
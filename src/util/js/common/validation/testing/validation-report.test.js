@@ -0,0 +1,162 @@
+import { createValidationReport, filterIssues, groupIssuesByLayer, toJsonPointer, toSarif } from '../validation-report.js';
+
+describe('Validation Report', () => {
+
+    const ontologyMap = new Map([
+        ['granularity', { range: 'GranularityValue' }],
+        ['GranularityValue', { enum: ['Model', 'Batch', 'Item'] }],
+        ['lastUpdate', { range: 'dateTime' }]
+    ]);
+
+    const translations = {
+        'error-required': [
+            { '@language': 'en', '@value': 'This field is required' },
+            { '@language': 'de', '@value': 'Dieses Feld ist erforderlich' }
+        ],
+        'hint-use-one-of': [
+            { '@language': 'en', '@value': 'Use one of' },
+            { '@language': 'de', '@value': 'Verwenden Sie einen der Werte' }
+        ]
+    };
+
+    const pipelineResult = {
+        valid: false,
+        layers: {
+            schema: {
+                valid: false,
+                errors: [
+                    { instancePath: '', keyword: 'required', params: { missingProperty: 'digitalProductPassportId' }, message: "must have required property 'digitalProductPassportId'" },
+                    { instancePath: '/granularity', keyword: 'enum', params: { allowedValues: ['Model', 'Batch', 'Item'] }, message: 'must be equal to one of the allowed values' }
+                ]
+            },
+            ontology: {
+                valid: false,
+                errors: [
+                    { instancePath: '/lastUpdate', keyword: 'format', params: { format: 'dateTime' }, message: 'lastUpdate must be a valid dateTime' },
+                    { instancePath: '/granularity', keyword: 'pattern', params: { pattern: 'no control characters' }, message: 'Invalid characters detected in granularity' }
+                ]
+            },
+            shacl: {
+                valid: true,
+                errors: [
+                    { instancePath: '/batteryCategory', keyword: 'minCount', params: { severity: 'Warning', path: 'https://dpp-keystone.org/spec/v2/terms#batteryCategory' }, message: 'Battery category is recommended' },
+                    { instancePath: '/components/0', keyword: 'class', params: { severity: 'Info' }, message: 'Component has no type' }
+                ]
+            }
+        }
+    };
+
+    it('should convert the paths of every layer to JSON pointers', () => {
+        expect(toJsonPointer('')).toBe('');
+        expect(toJsonPointer('/components[1]/name')).toBe('/components/1/name');
+        expect(toJsonPointer('/components/1/name')).toBe('/components/1/name');
+    });
+
+    it('should assign layers, severities and counts', () => {
+        const report = createValidationReport(pipelineResult);
+
+        expect(report.valid).toBe(false);
+        expect(report.issues.map(issue => [issue.layer, issue.severity])).toEqual([
+            ['schema', 'error'], ['schema', 'error'], ['ontology', 'error'], ['ontology', 'error'], ['shacl', 'warning'], ['shacl', 'info']
+        ]);
+        expect(report.summary).toEqual({
+            total: 6,
+            bySeverity: { error: 4, warning: 1, info: 1 },
+            byLayer: { schema: 2, ontology: 2, context: 0, shacl: 2, rules: 0 }
+        });
+        expect(report.issues[5].pointer).toBe('/components/0');
+        expect(report.issues.slice(0, 2).map(issue => issue.property)).toEqual(['digitalProductPassportId', 'granularity']);
+    });
+
+    it('should not fail a report with warnings and notes only', () => {
+        const report = createValidationReport({ layers: { shacl: pipelineResult.layers.shacl } });
+
+        expect(report.valid).toBe(true);
+        expect(report.summary.bySeverity).toEqual({ error: 0, warning: 1, info: 1 });
+    });
+
+    it('should add term IRIs, localized messages and fix hints', () => {
+        const report = createValidationReport(pipelineResult, { ontologyMap, translations, language: 'de', version: 'v2' });
+        const [required, schemaEnum, dateTime, ontologyEnum, shaclWarning] = report.issues;
+
+        expect(required.message).toBe("Dieses Feld ist erforderlich: 'digitalProductPassportId'");
+        // Not part of the ontology map
+        expect(required.term).toBeNull();
+        expect(schemaEnum.term).toBe('https://dpp-keystone.org/spec/v2/terms#granularity');
+        expect(schemaEnum.hint).toEqual({ message: 'Verwenden Sie einen der Werte: Model, Batch, Item', allowedValues: ['Model', 'Batch', 'Item'] });
+        // Missing translations fall back to English
+        expect(dateTime.message).toBe('Must be a valid date and time (YYYY-MM-DDThh:mm:ssZ)');
+        expect(dateTime.hint).toBeNull();
+        // The allowed values of the range class (owl:oneOf)
+        expect(ontologyEnum.hint.allowedValues).toEqual(['Model', 'Batch', 'Item']);
+        expect(shaclWarning.term).toBe('https://dpp-keystone.org/spec/v2/terms#batteryCategory');
+        expect(shaclWarning.message).toBe('Battery category is recommended');
+    });
+
+    it('should report business rules with their own severity, ID and translations', () => {
+        const report = createValidationReport({
+            layers: {
+                rules: {
+                    valid: true,
+                    errors: [{
+                        instancePath: '/fibreComposition',
+                        keyword: 'rule',
+                        params: {
+                            ruleId: 'TEX-FIBRE-002',
+                            severity: 'warning',
+                            messages: [
+                                { '@language': 'en', '@value': 'The fibre composition should add up to 100%.' },
+                                { '@language': 'de', '@value': 'Die Faserzusammensetzung sollte zusammen 100 % ergeben.' }
+                            ]
+                        },
+                        message: 'The fibre composition should add up to 100%.'
+                    }]
+                }
+            }
+        }, { language: 'de' });
+
+        expect(report.valid).toBe(true);
+        expect(report.issues[0]).toEqual(expect.objectContaining({
+            severity: 'warning',
+            layer: 'rules',
+            ruleId: 'TEX-FIBRE-002',
+            message: 'Die Faserzusammensetzung sollte zusammen 100 % ergeben.'
+        }));
+        expect(toSarif(report).runs[0].results[0]).toEqual(expect.objectContaining({ ruleId: 'rules/TEX-FIBRE-002', level: 'warning' }));
+    });
+
+    it('should filter and group issues', () => {
+        const report = createValidationReport(pipelineResult);
+
+        expect(filterIssues(report, { layer: 'shacl' })).toHaveLength(2);
+        expect(filterIssues(report, { severity: 'warning' })).toEqual([expect.objectContaining({ pointer: '/batteryCategory' })]);
+        expect(groupIssuesByLayer(filterIssues(report, { severity: 'error' })).map(group => group.layer)).toEqual(['schema', 'ontology']);
+    });
+
+    it('should export reports as SARIF', () => {
+        const report = createValidationReport(pipelineResult, { ontologyMap, version: 'v2', source: 'passports/battery.json' });
+        const sarif = toSarif(report, { toolVersion: 'v2' });
+
+        expect(sarif.version).toBe('2.1.0');
+        const [run] = sarif.runs;
+        expect(run.tool.driver).toEqual(expect.objectContaining({ name: 'dpp-keystone-validator', version: 'v2' }));
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual([
+            'schema/required', 'schema/enum', 'ontology/format', 'ontology/pattern', 'shacl/minCount', 'shacl/class'
+        ]);
+        expect(run.results.map(result => result.level)).toEqual(['error', 'error', 'error', 'error', 'warning', 'note']);
+        expect(run.results[1]).toEqual(expect.objectContaining({
+            ruleId: 'schema/enum',
+            message: { text: 'Must be one of the allowed values. Use one of: Model, Batch, Item' },
+            locations: [{
+                logicalLocations: [{ fullyQualifiedName: '/granularity', kind: 'element' }],
+                physicalLocation: { artifactLocation: { uri: 'passports/battery.json' } }
+            }]
+        }));
+        expect(run.results[1].properties).toEqual({
+            layer: 'schema',
+            pointer: '/granularity',
+            term: 'https://dpp-keystone.org/spec/v2/terms#granularity',
+            allowedValues: ['Model', 'Batch', 'Item']
+        });
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * Validation Report
+ * Turns the per-layer results of the validation pipeline into a single report of issues with a
+ * severity, the layer that raised them, a JSON pointer, the ontology term, a localized message
+ * and, where the ontology or the schema knows the expected values, a suggested fix.
+ * The report is what the validator page renders and what gets exported as JSON or SARIF.
+ */
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+export const LAYERS = ['schema', 'ontology', 'context', 'shacl', 'rules'];
+
+const TERMS_BASE_URL = 'https://dpp-keystone.org/spec/{{VERSION}}/terms#';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SHACL severities (sh:Violation, sh:Warning, sh:Info) mapped to the report severities
+const SHACL_SEVERITIES = { Violation: 'error', Warning: 'warning', Info: 'info' };
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Converts the paths reported by the validators to JSON pointers.
+ * The ontology and context layers write array indexes as `[0]`, AJV and SHACL use `/0`.
+ * @param {string} path - The reported instance path.
+ * @returns {string} The JSON pointer ('' for the document root).
+ */
+export function toJsonPointer(path) {
+    if (!path) return '';
+    const pointer = path.replace(/\[(\d+)\]/g, '/$1');
+    return pointer.startsWith('/') ? pointer : `/${pointer}`;
+}
+
+// Business rules declare their severity directly
+function severityOf(error) {
+    const severity = error.params?.severity;
+    if (SEVERITIES.includes(severity)) return severity;
+    return SHACL_SEVERITIES[severity] || 'error';
+}
+
+// The property a problem is about: the missing one, the unexpected one or the last named segment of the pointer
+function propertyOf(error, pointer) {
+    if (error.params?.missingProperty) return error.params.missingProperty;
+    if (error.params?.additionalProperty) return error.params.additionalProperty;
+    const segments = pointer.split('/').filter(segment => segment && !/^\d+$/.test(segment));
+    return segments.length > 0 ? segments[segments.length - 1].replace(/~1/g, '/').replace(/~0/g, '~') : null;
+}
+
+function termOf(error, property, ontologyMap, version) {
+    // SHACL results carry the full IRI of the constrained property
+    if (error.params?.path) return error.params.path;
+    if (!property || !version) return null;
+    if (ontologyMap && !ontologyMap.has(property)) return null;
+    return `${TERMS_BASE_URL.replace('{{VERSION}}', version)}${property}`;
+}
+
+function pickTranslation(entries, language) {
+    if (!Array.isArray(entries)) return null;
+    const match = entries.find(t => t['@language'] === language) || entries.find(t => t['@language'] === 'en');
+    return match ? match['@value'] : null;
+}
+
+function bestTranslation(translations, key, language) {
+    return pickTranslation(translations?.[key], language);
+}
+
+// The `validation-errors.i18n.json` key of an error, with the English message used when it is not translated
+function messageKeyOf(error) {
+    const { keyword, params = {} } = error;
+    if (keyword === 'required' && params.missingProperty) {
+        return ['error-required', 'This field is required', `: '${params.missingProperty}'`];
+    }
+    if (keyword === 'type' && params.type === 'integer') return ['error-whole-number', 'Must be a whole number'];
+    if (keyword === 'type' && (params.type === 'number' || params.type === 'decimal')) return ['error-valid-number', 'Must be a valid number'];
+    if (keyword === 'format' && params.format === 'uri') return ['error-valid-uri', 'Must be a valid URI'];
+    if (keyword === 'format' && params.format === 'date') return ['error-valid-date', 'Must be a valid date (YYYY-MM-DD)'];
+    if (keyword === 'format' && params.format === 'dateTime') return ['error-valid-datetime', 'Must be a valid date and time (YYYY-MM-DDThh:mm:ssZ)'];
+    if (keyword === 'pattern' && params.pattern === 'country code') return ['error-country-code', 'Must be a valid 2 or 3-letter country code'];
+    if (keyword === 'pattern' && params.pattern === 'no control characters') return ['error-invalid-chars', 'Invalid characters detected'];
+    if (keyword === 'enum') return ['error-allowed-values', 'Must be one of the allowed values'];
+    if (keyword === 'unit' && params.expectedUnit) {
+        return ['error-incompatible-unit', 'The unit cannot be converted to the declared unit', `: '${params.unit}'`];
+    }
+    if (keyword === 'minimum' || keyword === 'maximum' || keyword === 'exclusiveMinimum' || keyword === 'exclusiveMaximum') {
+        return ['error-out-of-range', 'Value is out of range'];
+    }
+    return null;
+}
+
+function localizedMessage(error, translations, language) {
+    // Business rules carry their own translations
+    if (Array.isArray(error.params?.messages)) return pickTranslation(error.params.messages, language) || error.message;
+    const messageKey = messageKeyOf(error);
+    if (!messageKey) return error.message || 'Validation error';
+    const [key, fallback, suffix = ''] = messageKey;
+    return `${bestTranslation(translations, key, language) || fallback}${suffix}`;
+}
+
+// Expected values: from the schema (`enum`), or from the `owl:oneOf` enumeration of the term's range class.
+// Unit problems point to the declared unit (`dppk:unit`) of the term.
+function hintOf(error, property, ontologyMap, translations, language) {
+    if (error.keyword === 'unit' && error.params?.expectedUnit) {
+        const label = bestTranslation(translations, 'hint-expected-unit', language) || 'Expected unit';
+        return { message: `${label}: ${error.params.expectedUnit}`, expectedUnit: error.params.expectedUnit };
+    }
+    let allowedValues = error.params?.allowedValues;
+    if (!allowedValues && property && ontologyMap) {
+        const range = ontologyMap.get(property)?.range;
+        allowedValues = range ? ontologyMap.get(range)?.enum : null;
+    }
+    if (!Array.isArray(allowedValues) || allowedValues.length === 0) return null;
+    const label = bestTranslation(translations, 'hint-use-one-of', language) || 'Use one of';
+    return {
+        message: `${label}: ${allowedValues.join(', ')}`,
+        allowedValues: [...allowedValues]
+    };
+}
+
+/**
+ * Creates a validation report from the result of `runValidationPipeline`.
+ * @param {{valid: boolean, layers: object}} pipelineResult - The pipeline result, with the per-layer results under `layers`.
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.ontologyMap] - The ontology map of the DPP (see `buildOntologyMap`), for term IRIs and fix hints.
+ * @param {object} [options.translations] - The contents of `validation-errors.i18n.json`. Messages are English without them.
+ * @param {string} [options.language='en'] - The language of the messages.
+ * @param {string} [options.version] - The Keystone version the DPP was validated against, also used for the term IRIs (e.g. 'v2').
+ * @param {string} [options.source] - The validated file or URL, used as artifact location in SARIF.
+ * @returns {{valid: boolean, source: string|null, version: string|null, summary: object, issues: Array}} The report. `valid` is false only for issues of severity 'error'.
+ */
+export function createValidationReport(pipelineResult, {
+    ontologyMap = null,
+    translations = null,
+    language = 'en',
+    version = null,
+    source = null
+} = {}) {
+    // Callers may add layers of their own (e.g. the CLI reports unparsable files as an 'input' layer)
+    const layers = [...LAYERS, ...Object.keys(pipelineResult.layers || {}).filter(layer => !LAYERS.includes(layer))];
+    const issues = [];
+    for (const layer of layers) {
+        for (const error of pipelineResult.layers?.[layer]?.errors || []) {
+            const pointer = toJsonPointer(error.instancePath);
+            const property = propertyOf(error, pointer);
+            issues.push({
+                severity: severityOf(error),
+                layer,
+                pointer,
+                property,
+                term: termOf(error, property, ontologyMap, version),
+                keyword: error.keyword || null,
+                ...(error.params?.ruleId && { ruleId: error.params.ruleId }),
+                message: localizedMessage(error, translations, language),
+                hint: hintOf(error, property, ontologyMap, translations, language),
+                details: error.message || null
+            });
+        }
+    }
+
+    const count = (field, values) => Object.fromEntries(values.map(value => [value, issues.filter(issue => issue[field] === value).length]));
+    return {
+        valid: issues.every(issue => issue.severity !== 'error'),
+        source,
+        version,
+        summary: {
+            total: issues.length,
+            bySeverity: count('severity', SEVERITIES),
+            byLayer: count('layer', layers)
+        },
+        issues
+    };
+}
+
+/**
+ * Selects the issues of some layers and severities.
+ * @param {object} report - A validation report.
+ * @param {object} [filter]
+ * @param {string} [filter.layer] - Only issues of this layer.
+ * @param {string} [filter.severity] - Only issues of this severity.
+ * @returns {Array} The matching issues, in report order.
+ */
+export function filterIssues(report, { layer, severity } = {}) {
+    return report.issues.filter(issue => (!layer || issue.layer === layer) && (!severity || issue.severity === severity));
+}
+
+/**
+ * Groups issues by layer, in pipeline order. Layers without issues are left out.
+ * @param {Array} issues - Report issues.
+ * @returns {Array<{layer: string, issues: Array}>} The groups.
+ */
+export function groupIssuesByLayer(issues) {
+    const layers = [...new Set([...LAYERS, ...issues.map(issue => issue.layer)])];
+    return layers
+        .map(layer => ({ layer, issues: issues.filter(issue => issue.layer === layer) }))
+        .filter(group => group.issues.length > 0);
+}
+
+/**
+ * Converts validation reports to a SARIF 2.1.0 log, for code scanning tools and CI annotations.
+ * Each layer/keyword pair (layer/rule ID for business rules) becomes a rule; issues are located by their JSON pointer as a logical location.
+ * @param {object|object[]} reports - One or more validation reports.
+ * @param {object} [options]
+ * @param {string} [options.toolName='dpp-keystone-validator'] - The name of the reporting tool.
+ * @param {string} [options.toolVersion] - The version of the reporting tool.
+ * @returns {object} The SARIF log.
+ */
+export function toSarif(reports, { toolName = 'dpp-keystone-validator', toolVersion } = {}) {
+    const rules = new Map();
+    const results = [];
+
+    for (const report of [].concat(reports)) {
+        for (const issue of report.issues) {
+            // Business rules keep their own IDs
+            const ruleId = `${issue.layer}/${issue.ruleId || issue.keyword || 'error'}`;
+            if (!rules.has(ruleId)) {
+                rules.set(ruleId, {
+                    id: ruleId,
+                    shortDescription: { text: issue.ruleId ? issue.message : `${issue.layer} layer: ${issue.keyword || 'error'}` },
+                    properties: { layer: issue.layer }
+                });
+            }
+
+            const location = {
+                logicalLocations: [{ fullyQualifiedName: issue.pointer || '/', kind: 'element' }]
+            };
+            if (report.source) location.physicalLocation = { artifactLocation: { uri: report.source } };
+
+            results.push({
+                ruleId,
+                level: SARIF_LEVELS[issue.severity],
+                message: { text: issue.hint ? `${issue.message}. ${issue.hint.message}` : issue.message },
+                locations: [location],
+                properties: {
+                    layer: issue.layer,
+                    pointer: issue.pointer,
+                    ...(issue.term && { term: issue.term }),
+                    ...(issue.hint?.allowedValues && { allowedValues: issue.hint.allowedValues }),
+                    ...(issue.hint?.expectedUnit && { expectedUnit: issue.hint.expectedUnit })
+                }
+            });
+        }
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: toolName,
+                    ...(toolVersion && { version: toolVersion }),
+                    informationUri: 'https://dpp-keystone.org/',
+                    rules: [...rules.values()]
+                }
+            },
+            results
+        }]
+    };
+}
@@ -1,9 +1,17 @@
 import { parse as jsoncParse } from 'jsonc-parser';
 import { promises as fs } from 'fs';
-import { transform, buildDictionary } from '../common/transformation/dpp-schema-logic.js';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { transform, getCachedDictionary, primeDictionaryCache, precomputedOntologies, invalidateDictionaryCache, getCachedSectorTypes, registerProfile, listProfiles, profileRequiresDictionary } from '../common/transformation/dpp-schema-logic.js';
+import { createKeystoneDocumentLoader } from '../common/loading/keystone-document-loader.js';
+import { readBundleDocument } from '../common/loading/spec-bundle.js';
 
-// Using a global dictionary with memoization to avoid re-building on every call
-const dictionary = {};
+export { registerProfile, listProfiles };
+
+// Dictionaries of indicator metadata, cached per version and ontology set to avoid re-building on every call
+const dictionaries = new Map();
+// Content specification ID -> sector class IRIs, cached per version and set of sector schemas
+const sectorTypes = new Map();
 
 /**
  * Loader function for the server-side environment using fs.
@@ -15,18 +23,101 @@ async function loader(path) {
     return jsoncParse(content);
 }
 
+/**
+ * Returns the loader for ontology and schema paths: the bundle when one is given, otherwise `loader`.
+ * @param {object} [bundle] - The offline spec bundle.
+ * @returns {Function} The loader.
+ */
+function loaderFor(bundle) {
+    return bundle ? async (path) => readBundleDocument(bundle, path) : loader;
+}
+
+/**
+ * Imports profile modules (ES modules exporting a `profile`) and registers them.
+ * Directories are scanned for `.js` and `.mjs` files. The profile is registered under its `name`
+ * property, or under the module file name without extension.
+ * @param {string[]} profilePaths - File system paths of profile modules or directories containing them.
+ * @returns {Promise<string[]>} The names of the registered profiles.
+ */
+export async function loadProfiles(profilePaths) {
+    const files = [];
+    for (const profilePath of profilePaths) {
+        const stat = await fs.stat(profilePath);
+        if (stat.isDirectory()) {
+            const entries = (await fs.readdir(profilePath)).filter(entry => /\.m?js$/.test(entry)).sort();
+            files.push(...entries.map(entry => path.join(profilePath, entry)));
+        } else {
+            files.push(profilePath);
+        }
+    }
+
+    const names = [];
+    for (const file of files) {
+        const module = await import(pathToFileURL(path.resolve(file)).href);
+        if (!module.profile) {
+            throw new Error(`Profile module ${file} does not export a "profile".`);
+        }
+        const name = module.profile.name || path.basename(file).replace(/\.m?js$/, '');
+        registerProfile(name, module.profile);
+        names.push(name);
+    }
+    return names;
+}
+
+/**
+ * Loads the precomputed dictionary produced at build time (`spec/ontology/<version>/dpp-dictionary.json`) and caches
+ * it under the ontologies it was built from, next to the dictionary. Transformations passing the returned
+ * `ontologyPaths` do not have to load and expand the ontologies.
+ * @param {string} dictionaryPath - The file system path of the precomputed dictionary.
+ * @param {object} [options]
+ * @param {object} [options.bundle] - The offline spec bundle to read the dictionary from, see `transformDpp`.
+ * @returns {Promise<{version: string, ontologyPaths: string[]}>} The Keystone version of the dictionary and its ontology set.
+ */
+export async function loadPrecomputedDictionary(dictionaryPath, { bundle } = {}) {
+    const precomputed = await loaderFor(bundle)(dictionaryPath);
+    const ontologyPaths = precomputedOntologies(precomputed).map(ontology => path.join(path.dirname(dictionaryPath), ontology));
+    primeDictionaryCache(dictionaries, ontologyPaths, precomputed.version, precomputed.dictionary);
+    return { version: precomputed.version, ontologyPaths };
+}
+
+/**
+ * Removes cached dictionaries, e.g. after the ontologies changed. Without options the whole cache is cleared.
+ * @param {object} [options] - Restricts what is removed.
+ * @param {string} [options.version] - Only remove the dictionaries of this Keystone version.
+ * @param {string[]} [options.ontologyPaths] - Only remove the dictionary of this ontology set.
+ */
+export function invalidateDictionaries(options) {
+    invalidateDictionaryCache(dictionaries, options);
+}
+
 /**
  * The server-side DPP transformer. It uses a profile-based engine to transform DPP data.
  * @param {object} productDoc - The raw DPP JSON document.
  * @param {object} options - The transformation options.
- * @param {string} options.profile - The name of the target profile (e.g., 'schema.org').
+ * @param {string} options.profile - The name of the target profile (e.g., 'schema.org'). See `listProfiles`.
  * @param {string[]} options.ontologyPaths - An array of paths to ontology files.
- * @param {Function} options.documentLoader - The JSON-LD document loader.
+ * @param {string[]} [options.sectorSchemaPaths] - Paths to the sector JSON schemas. The sector types of the DPP are
+ * inferred from its contentSpecificationIds using these schemas and the matching sector ontologies.
+ * @param {Function} [options.documentLoader] - The JSON-LD document loader. Required unless a `bundle` is given.
+ * @param {object} [options.bundle] - The offline spec bundle (`spec/keystone-spec-bundle-<version>.json`). When given,
+ * the ontology and schema paths are read from the bundle and, without a `documentLoader`, so are the JSON-LD contexts.
+ * @param {string} options.version - The Keystone version (e.g., 'v2'). Dictionaries are cached per version and ontology set.
+ * @param {string} [options.language] - The language of the names in the output (e.g., 'de'), taken from the ontology labels with English fallback.
  * @returns {Promise<Array>} A promise that resolves to an array of transformed objects.
  */
 export async function transformDpp(productDoc, options) {
-    const { ontologyPaths, documentLoader } = options;
-    await buildDictionary(ontologyPaths, loader, documentLoader, dictionary);
-    
-    return transform(productDoc, options, dictionary);
+    const { ontologyPaths, sectorSchemaPaths, bundle, version } = options;
+    const specLoader = loaderFor(bundle);
+    const documentLoader = options.documentLoader
+        || (bundle && createKeystoneDocumentLoader({ bundle, version, allowNetwork: false }));
+    let dictionary = {};
+    if (profileRequiresDictionary(options.profile)) {
+        dictionary = await getCachedDictionary(dictionaries, ontologyPaths, specLoader, documentLoader, version);
+    }
+
+    const types = sectorSchemaPaths
+        ? await getCachedSectorTypes(sectorTypes, sectorSchemaPaths, specLoader, documentLoader, version)
+        : undefined;
+
+    return transform(productDoc, { ...options, documentLoader, sectorTypes: types }, dictionary);
 }
@@ -54,5 +54,16 @@ describe('DPP HTML Renderer - Pure Localization', () => {
             expect(html).toContain('Batteriekapazität');
             expect(html).not.toContain('Passport Status');
         });
+
+        it('should show quantity objects in the declared unit', () => {
+            const html = renderProductPage({
+                dppData: { ...mockDpp, batteryCapacity: { value: 4500, unitCode: 'E09' } },
+                ontologyMap: mockOntologyMap,
+                language: 'en'
+            });
+
+            expect(html).toContain('4.5 Ah');
+            expect(html).not.toContain('E09');
+        });
     });
 });
@@ -1,5 +1,8 @@
 import { jest } from '@jest/globals';
-import { transformDpp } from '../dpp-schema-adapter.js';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { transformDpp, registerProfile, listProfiles, loadProfiles, loadPrecomputedDictionary, invalidateDictionaries } from '../dpp-schema-adapter.js';
 
 describe('Server Adapter Loader Integration', () => {
     
@@ -39,4 +42,196 @@ describe('Server Adapter Loader Integration', () => {
         const calledWithContext = mockLoader.mock.calls.some(args => args[0].includes('https://example.com/my-context.jsonld'));
         expect(calledWithContext).toBe(true);
     });
-});
\ No newline at end of file
+});
+describe('Server Adapter Profile Registry', () => {
+    const contextLoader = async (url) => ({
+        contextUrl: null,
+        document: {
+            "@context": {
+                "dppk": "https://dpp-keystone.org/spec/v2/terms#",
+                "DigitalProductPassport": "dppk:DigitalProductPassport",
+                "digitalProductPassportId": "dppk:digitalProductPassportId",
+                "productName": "dppk:productName"
+            }
+        },
+        documentUrl: url
+    });
+
+    const input = {
+        "@context": "https://example.com/my-context.jsonld",
+        "@type": "DigitalProductPassport",
+        "digitalProductPassportId": "urn:uuid:123",
+        "productName": "Test Product"
+    };
+
+    it('should list the built-in schema.org profile', () => {
+        expect(listProfiles()).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'schema.org', mediaType: 'application/ld+json', dictionaryFields: ['unit', 'label'] })
+        ]));
+    });
+
+    it('should transform with a registered profile without building the dictionary', async () => {
+        registerProfile('test-erp', {
+            mediaType: 'application/json',
+            transformations: [{
+                source: 'productName',
+                transformer: (sourceData, dictionary, rootNode, version) => ({ itemName: sourceData['@value'], version })
+            }]
+        });
+
+        // No ontologyPaths: the profile does not declare any dictionary fields
+        const result = await transformDpp(input, { profile: 'test-erp', documentLoader: contextLoader, version: 'v2' });
+
+        expect(result).toEqual([{ itemName: 'Test Product', version: 'v2' }]);
+        expect(listProfiles()).toEqual(expect.arrayContaining([
+            { name: 'test-erp', mediaType: 'application/json', description: '', dictionaryFields: [] }
+        ]));
+    });
+
+    it('should reject profiles that break the contract', () => {
+        expect(() => registerProfile('', { transformations: [] })).toThrow(/non-empty name/);
+        expect(() => registerProfile('broken', {})).toThrow(/"transformations" array/);
+        expect(() => registerProfile('broken', { transformations: [{ source: 'productName' }] })).toThrow(/"transformer" function/);
+    });
+
+    it('should discover profile modules in a directory', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dppk-profiles-'));
+        try {
+            await fs.writeFile(path.join(dir, 'acme.mjs'),
+                "export const profile = { transformations: [{ source: 'digitalProductPassportId', transformer: (d) => ({ id: d['@value'] }) }] };");
+            await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+            const names = await loadProfiles([dir]);
+
+            expect(names).toEqual(['acme']);
+            const result = await transformDpp(input, { profile: 'acme', documentLoader: contextLoader, version: 'v2' });
+            expect(result).toEqual([{ id: 'urn:uuid:123' }]);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should list the available profiles when an unknown profile is requested', async () => {
+        await expect(transformDpp(input, { profile: 'unknown', documentLoader: contextLoader, version: 'v2' }))
+            .rejects.toThrow(/Transformation profile "unknown" not found. Available profiles: schema.org/);
+    });
+});
+
+describe('Server Adapter Dictionary Cache', () => {
+    const contextLoader = async (url) => ({
+        contextUrl: null,
+        document: { "@context": { "digitalProductPassportId": "https://dpp-keystone.org/spec/v2/terms#digitalProductPassportId" } },
+        documentUrl: url
+    });
+
+    const input = {
+        "@context": "https://example.com/my-context.jsonld",
+        "digitalProductPassportId": "urn:uuid:123"
+    };
+
+    const ontology = (version, term, unit) => JSON.stringify({
+        "@context": { "dppk": `https://dpp-keystone.org/spec/${version}/terms#`, "rdfs": "http://www.w3.org/2000/01/rdf-schema#" },
+        "@graph": [{ "@id": `dppk:${term}`, "dppk:unit": unit, "rdfs:label": { "@value": term, "@language": "en" } }]
+    });
+
+    const dictionaryOf = async (version, ontologyPaths) => {
+        const [{ dictionary }] = await transformDpp(input, { profile: 'test-dictionary', documentLoader: contextLoader, ontologyPaths, version });
+        return dictionary;
+    };
+
+    let dir;
+
+    beforeAll(() => {
+        // Returns the dictionary it was handed
+        registerProfile('test-dictionary', {
+            dictionaryFields: ['unit'],
+            transformations: [{
+                source: 'https://dpp-keystone.org/spec/v2/terms#digitalProductPassportId',
+                transformer: (sourceData, dictionary) => ({ dictionary })
+            }]
+        });
+    });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dppk-dictionary-'));
+        invalidateDictionaries();
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should cache dictionaries per version and ontology set', async () => {
+        const strength = path.join(dir, 'strength.jsonld');
+        const mass = path.join(dir, 'mass.jsonld');
+        const strengthV3 = path.join(dir, 'strength-v3.jsonld');
+        await fs.writeFile(strength, ontology('v2', 'tearStrength', 'N'));
+        await fs.writeFile(mass, ontology('v2', 'mass', 'kg'));
+        await fs.writeFile(strengthV3, ontology('v3', 'tearStrength', 'kN'));
+
+        expect(await dictionaryOf('v2', [strength])).toEqual({
+            'https://dpp-keystone.org/spec/v2/terms#tearStrength': { unit: 'N', label: 'tearStrength', labels: { en: 'tearStrength' } }
+        });
+        expect(Object.keys(await dictionaryOf('v2', [mass, strength]))).toEqual([
+            'https://dpp-keystone.org/spec/v2/terms#mass',
+            'https://dpp-keystone.org/spec/v2/terms#tearStrength'
+        ]);
+        expect(await dictionaryOf('v3', [strengthV3])).toEqual({
+            'https://dpp-keystone.org/spec/v3/terms#tearStrength': { unit: 'kN', label: 'tearStrength', labels: { en: 'tearStrength' } }
+        });
+
+        // The order of the paths does not matter, and the v2 dictionary is still served after building the v3 one
+        expect(await dictionaryOf('v2', [strength, mass])).toBe(await dictionaryOf('v2', [mass, strength]));
+        expect(await dictionaryOf('v2', [strength])).toEqual({
+            'https://dpp-keystone.org/spec/v2/terms#tearStrength': { unit: 'N', label: 'tearStrength', labels: { en: 'tearStrength' } }
+        });
+    });
+
+    it('should rebuild a dictionary after it was invalidated', async () => {
+        const strength = path.join(dir, 'strength.jsonld');
+        await fs.writeFile(strength, ontology('v2', 'tearStrength', 'N'));
+        await dictionaryOf('v2', [strength]);
+
+        await fs.writeFile(strength, ontology('v2', 'tearStrength', 'daN'));
+        expect((await dictionaryOf('v2', [strength]))['https://dpp-keystone.org/spec/v2/terms#tearStrength'].unit).toBe('N');
+
+        invalidateDictionaries({ version: 'v3' });
+        expect((await dictionaryOf('v2', [strength]))['https://dpp-keystone.org/spec/v2/terms#tearStrength'].unit).toBe('N');
+
+        invalidateDictionaries({ version: 'v2', ontologyPaths: [strength] });
+        expect((await dictionaryOf('v2', [strength]))['https://dpp-keystone.org/spec/v2/terms#tearStrength'].unit).toBe('daN');
+    });
+
+    it('should not cache a dictionary that failed to build', async () => {
+        const strength = path.join(dir, 'strength.jsonld');
+
+        await expect(dictionaryOf('v2', [strength])).rejects.toThrow(/ENOENT/);
+
+        await fs.writeFile(strength, ontology('v2', 'tearStrength', 'N'));
+        expect(Object.keys(await dictionaryOf('v2', [strength]))).toHaveLength(1);
+    });
+
+    it('should use a precomputed dictionary for the ontologies it was built from without loading them', async () => {
+        const precomputedPath = path.join(dir, 'dpp-dictionary.json');
+        const dictionary = { 'https://dpp-keystone.org/spec/v2/terms#mass': { unit: 'kg', label: 'Mass' } };
+        const ontologies = ['https://dpp-keystone.org/spec/ontology/v2/dpp-ontology.jsonld', 'https://dpp-keystone.org/spec/ontology/v2/core/Mass.jsonld'];
+        await fs.writeFile(precomputedPath, JSON.stringify({ version: 'v2', ontologies, dictionary }));
+
+        const { version, ontologyPaths } = await loadPrecomputedDictionary(precomputedPath);
+        expect(version).toBe('v2');
+        expect(ontologyPaths).toEqual([path.join(dir, 'dpp-ontology.jsonld'), path.join(dir, 'core', 'Mass.jsonld')]);
+        expect(await dictionaryOf('v2', [...ontologyPaths].reverse())).toEqual(dictionary);
+
+        // Only part of the ontology set is built from the ontologies, which are not on disk
+        await expect(dictionaryOf('v2', [path.join(dir, 'dpp-ontology.jsonld')])).rejects.toThrow(/ENOENT/);
+    });
+
+    it('should reject a precomputed dictionary that does not list its ontologies', async () => {
+        const precomputedPath = path.join(dir, 'dpp-dictionary.json');
+        await fs.writeFile(precomputedPath, JSON.stringify({ version: 'v2', ontologies: [], dictionary: {} }));
+        await expect(loadPrecomputedDictionary(precomputedPath)).rejects.toThrow(/does not list the ontologies/);
+
+        await fs.writeFile(precomputedPath, JSON.stringify({ version: 'v2', ontologies: ['https://dpp-keystone.org/spec/ontology/v1/dpp-ontology.jsonld'], dictionary: {} }));
+        await expect(loadPrecomputedDictionary(precomputedPath)).rejects.toThrow(/is not a "v2" ontology/);
+    });
+});
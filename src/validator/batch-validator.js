@@ -0,0 +1,108 @@
+import { loadOntology } from '../lib/ontology-loader.js';
+import { loadSchemaContext, runValidationPipeline } from '../lib/validation-pipeline.js';
+import { KEYSTONE_VERSION, KEYSTONE_VERSIONS, resolveKeystoneVersion } from '../lib/keystone-version.js';
+import { createKeystoneDocumentLoader } from '../util/js/common/loading/keystone-document-loader.js';
+import { createValidationReport } from '../util/js/common/validation/validation-report.js';
+import { passportIdOf } from '../util/js/common/validation/batch-validation.js';
+
+const SPEC_BASE_URL = '../spec/';
+
+/**
+ * Creates the result of a batch entry that could not be validated, reported like the CLI does, as an 'input' layer issue.
+ * @param {object} entry - The batch entry.
+ * @param {string} message - Why the entry could not be validated.
+ * @param {object} [options]
+ * @param {object} [options.translations] - See `createValidationReport`.
+ * @param {string} [options.language='en'] - See `createValidationReport`.
+ * @param {string} [options.version] - The Keystone version the entry was validated against, if known.
+ * @returns {{source: string, passportId: string|null, report: object}} The result.
+ */
+export function createInputResult(entry, message, { translations = null, language = 'en', version = null } = {}) {
+    return {
+        source: entry.source,
+        passportId: passportIdOf(entry.data),
+        report: createValidationReport({
+            valid: false,
+            layers: { input: { valid: false, errors: [{ instancePath: '', keyword: 'parse', params: {}, message }] } }
+        }, { translations, language, source: entry.source, version })
+    };
+}
+
+/**
+ * Creates the function validating the entries of a batch (see `readBatchInput`) one by one.
+ * It runs in the validation worker and, where workers are not available (e.g. pages opened from file://), in the page.
+ * Every passport is validated against the Keystone version it declares (see `resolveKeystoneVersion`); schemas and
+ * ontologies are loaded once per version, not once per passport.
+ * @param {object} [options]
+ * @param {Function} [options.specFetch=fetch] - The fetch used for the spec documents (e.g. `createBundleFetch(bundle)`).
+ * @param {object} [options.bundle] - The offline spec bundle, for the JSON-LD document loader. Only its version is available then.
+ * @param {object} [options.schemaContext] - Already loaded schemas of the latest version (see `loadSchemaContext`).
+ * @returns {Function} An async function taking an entry and `{translations, language}` and returning `{source, passportId, report}`.
+ */
+export function createBatchValidator({ specFetch = (...args) => fetch(...args), bundle, schemaContext } = {}) {
+    const fetchJson = async (url) => {
+        const res = await specFetch(url);
+        if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.statusText}`);
+        return res.json();
+    };
+    const available = bundle ? [bundle.version] : KEYSTONE_VERSIONS;
+
+    // The schemas, ontologies and document loader of each version, created on first use
+    const specs = new Map();
+    const specOf = (version) => {
+        if (!specs.has(version)) {
+            const ontologies = new Map();
+            specs.set(version, {
+                schemas: schemaContext && version === KEYSTONE_VERSION ? Promise.resolve(schemaContext) : null,
+                ontologyLoader: (sector) => {
+                    if (!ontologies.has(sector)) ontologies.set(sector, loadOntology(sector, { fetch: specFetch, version }));
+                    return ontologies.get(sector);
+                },
+                documentLoader: createKeystoneDocumentLoader({ version, baseUrl: SPEC_BASE_URL, bundle })
+            });
+        }
+        return specs.get(version);
+    };
+
+    return async function validateEntry(entry, { translations = null, language = 'en' } = {}) {
+        const reportOptions = { translations, language, source: entry.source };
+        const inputReport = (message, version = null) => createInputResult(entry, message, { translations, language, version });
+
+        // Unparsable lines, non-objects and unavailable versions are reported like the CLI does, as an 'input' layer
+        if (entry.error) return inputReport(entry.error);
+        if (entry.data === null || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+            return inputReport('A DPP must be a single JSON object.');
+        }
+        let version;
+        try {
+            ({ version } = resolveKeystoneVersion(entry.data, { available }));
+        } catch (e) {
+            return inputReport(e.message);
+        }
+
+        // An entry that cannot be validated (e.g. a spec document failed to load) must not abort the rest of the batch
+        try {
+            const spec = specOf(version);
+            // A failed load is not kept, so that the next entry retries it
+            spec.schemas ??= loadSchemaContext(filename => fetchJson(`${SPEC_BASE_URL}validation/${version}/json-schema/${filename}`))
+                .catch(e => {
+                    spec.schemas = null;
+                    throw e;
+                });
+            const result = await runValidationPipeline(entry.data, {
+                schemaContext: await spec.schemas,
+                ontologyLoader: spec.ontologyLoader,
+                documentLoader: spec.documentLoader,
+                specLoader: path => fetchJson(SPEC_BASE_URL + path),
+                version
+            });
+            return {
+                source: entry.source,
+                passportId: passportIdOf(entry.data),
+                report: createValidationReport(result, { ...reportOptions, version, ontologyMap: result.ontologyMap })
+            };
+        } catch (e) {
+            return inputReport(`The passport could not be validated: ${e.message}`, version);
+        }
+    };
+}
@@ -0,0 +1,135 @@
+import { indexJsonText } from '../util/js/common/validation/json-positions.js';
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+/**
+ * Turns a textarea into a lightweight JSON editor with line numbers, in which validation issues are underlined
+ * at the value their JSON pointer refers to, show their message on hover and can be jumped to.
+ * The underlines are drawn in a backdrop behind the transparent textarea, so editing stays native. While the text
+ * is edited, issues follow their pointers; replacing the whole value (e.g. loading another passport) clears them.
+ * @param {HTMLTextAreaElement} textarea - The textarea, which is wrapped in place.
+ * @returns {{setIssues: Function, clearIssues: Function, locate: Function, reveal: Function}} The editor:
+ * `setIssues(issues)` underlines report issues, `clearIssues()` removes them, `locate(pointer)` returns the
+ * position of a pointer in the text (see `indexJsonText`) and `reveal(pointer)` selects and scrolls to it.
+ */
+export function createJsonEditor(textarea) {
+    const doc = textarea.ownerDocument;
+    const element = (className) => {
+        const div = doc.createElement('div');
+        div.className = className;
+        return div;
+    };
+    const wrapper = element('json-editor');
+    const gutter = element('json-editor-gutter');
+    const body = element('json-editor-body');
+    const backdrop = element('json-editor-backdrop');
+    gutter.setAttribute('aria-hidden', 'true');
+    backdrop.setAttribute('aria-hidden', 'true');
+    textarea.parentNode.insertBefore(wrapper, textarea);
+    body.append(backdrop, textarea);
+    wrapper.append(gutter, body);
+    textarea.classList.add('json-editor-input');
+    // Soft wrapping would make the backdrop and the gutter drift from the text
+    textarea.setAttribute('wrap', 'off');
+    textarea.spellcheck = false;
+
+    let issues = [];
+    let marks = [];
+    let renderScheduled = false;
+
+    const syncScroll = () => {
+        backdrop.scrollTop = textarea.scrollTop;
+        backdrop.scrollLeft = textarea.scrollLeft;
+        gutter.scrollTop = textarea.scrollTop;
+    };
+
+    const render = () => {
+        renderScheduled = false;
+        const text = textarea.value;
+        const lineCount = text.split('\n').length;
+        gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+
+        // Issues at the same place share one mark
+        const ranges = new Map();
+        if (issues.length > 0) {
+            const index = indexJsonText(text);
+            for (const issue of issues) {
+                const location = index.locate(issue.pointer || '');
+                if (!location) continue;
+                const key = `${location.offset}:${location.length}`;
+                if (!ranges.has(key)) ranges.set(key, { ...location, issues: [] });
+                ranges.get(key).issues.push(issue);
+            }
+        }
+
+        backdrop.textContent = '';
+        marks = [];
+        let position = 0;
+        for (const range of [...ranges.values()].sort((a, b) => a.offset - b.offset)) {
+            if (range.offset < position) continue;
+            const mark = doc.createElement('mark');
+            const severity = SEVERITY_ORDER.find(s => range.issues.some(issue => issue.severity === s)) || 'error';
+            mark.className = `json-editor-mark severity-${severity}`;
+            mark.textContent = text.slice(range.offset, range.offset + range.length);
+            backdrop.append(text.slice(position, range.offset), mark);
+            marks.push({ mark, message: range.issues.map(issue => issue.message).join('\n') });
+            position = range.offset + range.length;
+        }
+        // The extra line keeps the backdrop as tall as the text when it ends with a line break
+        backdrop.append(`${text.slice(position)}\n`);
+        syncScroll();
+    };
+
+    const scheduleRender = () => {
+        if (renderScheduled) return;
+        renderScheduled = true;
+        (globalThis.requestAnimationFrame || setTimeout)(render);
+    };
+
+    // Assigning the value does not fire input events, so the property is wrapped to keep the view current
+    const valueProperty = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(textarea), 'value');
+    Object.defineProperty(textarea, 'value', {
+        configurable: true,
+        get() {
+            return valueProperty.get.call(this);
+        },
+        set(value) {
+            valueProperty.set.call(this, value);
+            issues = [];
+            render();
+        }
+    });
+
+    textarea.addEventListener('input', scheduleRender);
+    textarea.addEventListener('scroll', syncScroll);
+    textarea.addEventListener('mousemove', (e) => {
+        const within = (rect) => e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+        const hit = marks.find(({ mark }) => [...mark.getClientRects()].some(within));
+        const title = hit ? hit.message : '';
+        if (textarea.title !== title) textarea.title = title;
+    });
+    render();
+
+    const locate = (pointer) => indexJsonText(textarea.value).locate(pointer || '');
+
+    return {
+        setIssues(newIssues) {
+            issues = [...newIssues];
+            render();
+        },
+        clearIssues() {
+            issues = [];
+            render();
+        },
+        locate,
+        reveal(pointer) {
+            const location = locate(pointer);
+            if (!location) return;
+            textarea.focus();
+            textarea.setSelectionRange(location.offset, location.offset + location.length);
+            const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+            textarea.scrollTop = Math.max(0, (location.line - 1) * lineHeight - textarea.clientHeight / 3);
+            syncScroll();
+        }
+    };
+}
@@ -0,0 +1,34 @@
+import { createBatchValidator, createInputResult } from './batch-validator.js';
+
+/**
+ * Web worker validating batches of DPPs off the main thread, so that the page stays responsive for large
+ * CSV adapter exports. The build bundles this file with its dependencies, as workers cannot use the page's import map.
+ *
+ * Messages:
+ * - in:  `{ type: 'validate', entries, translations, language }`
+ * - out: `{ type: 'result', index, result }` per entry, then `{ type: 'done' }`, or `{ type: 'error', message }`
+ */
+
+let validateEntry = null;
+
+self.addEventListener('message', async ({ data: message }) => {
+    if (message?.type !== 'validate') return;
+    validateEntry ??= createBatchValidator();
+
+    try {
+        const options = { translations: message.translations, language: message.language };
+        for (const [index, entry] of message.entries.entries()) {
+            let result;
+            try {
+                result = await validateEntry(entry, options);
+            } catch (e) {
+                // One failing entry does not abort the batch
+                result = createInputResult(entry, `The passport could not be validated: ${e.message}`, options);
+            }
+            self.postMessage({ type: 'result', index, result });
+        }
+        self.postMessage({ type: 'done' });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+});
@@ -1,62 +1,65 @@
-import { validateDpp } from '../util/js/common/validation/schema-validator.js';
 import stripJsonComments from 'strip-json-comments';
 import { EXAMPLES } from '../lib/example-registry.js';
 import { generateHTML } from '../lib/html-generator.js';
-import { transformDpp } from '../util/js/client/dpp-schema-adapter.js';
+import { transformDpp, listProfiles, loadPrecomputedDictionary } from '../util/js/client/dpp-schema-adapter.js';
 import { loadHeader } from '../branding/header.js';
 loadHeader('dpp-header-container', '..');
-import * as jsonld from 'jsonld'; // Import jsonld for the default loader
 import { loadOntology } from '../lib/ontology-loader.js';
-import { validateAgainstOntology } from '../util/js/common/validation/ontology-validator.js';
-import { validateContextAwarePayload } from '../util/js/common/validation/context-semantic-validator.js';
-import { KEYSTONE_VERSION } from '../lib/keystone-version.js';
+import { loadSchemaContext, buildOntologyMap, SECTOR_MAP } from '../lib/validation-pipeline.js';
+import { redactDpp } from '../util/js/common/redaction/dpp-redactor.js';
+import { KEYSTONE_VERSION, KEYSTONE_VERSIONS, resolveKeystoneVersion } from '../lib/keystone-version.js';
 import { LanguageManager } from '../lib/language-manager.js';
-
-// Configuration: Map Spec IDs to Schema filenames
-// This assumes the schemas are available at ../spec/validation/${KEYSTONE_VERSION}/json-schema/
-// NOTE: This must match the IDs used in the "contentSpecificationIds" of the DPP JSON.
-const SECTOR_MAP = {
-    'draft_battery_specification_id': 'sector/battery.schema.json',
-    'draft_construction_specification_id': 'sector/construction.schema.json',
-    'draft_electronics_specification_id': 'sector/electronics.schema.json',
-    'draft_iron_and_steel_specification_id': 'sector/iron-steel.schema.json',
-    'draft_textile_espr_specification_id': 'sector/textile.schema.json'
-};
-
-// Common schemas that should always be loaded for $ref resolution
-const COMMON_SCHEMAS = [
-    'shared/dopc.schema.json',
-    'shared/epd.schema.json',
-    'shared/organization.schema.json',
-    'shared/packaging.schema.json',
-    'shared/postal-address.schema.json',
-    'shared/product-characteristic.schema.json',
-    'shared/related-resource.schema.json',
-    'shared/general-product.schema.json',
-    'shared/component.schema.json',
-    'shared/mtc.schema.json',
-    'shared/certification.schema.json'
-];
-
-const BASE_SCHEMA_FILE = 'dpp.schema.json';
-const SCHEMA_BASE_URL = `../spec/validation/${KEYSTONE_VERSION}/json-schema/`;
+import { renderIssue } from '../lib/issue-renderer.js';
+import { createKeystoneDocumentLoader } from '../util/js/common/loading/keystone-document-loader.js';
+import { createBundleFetch, SPEC_BUNDLE_GLOBAL } from '../util/js/common/loading/spec-bundle.js';
+import { fetchPassport } from '../util/js/common/loading/passport-fetch.js';
+import { createValidationReport, filterIssues, groupIssuesByLayer, toSarif, LAYERS, SEVERITIES } from '../util/js/common/validation/validation-report.js';
+import { readBatchInput, splitBatch, summarizeBatch, batchResultsToCsv } from '../util/js/common/validation/batch-validation.js';
+import { createBatchValidator } from './batch-validator.js';
+import { createJsonEditor } from './json-editor.js';
+
+const SPEC_BASE_URL = '../spec/';
+const SCHEMA_BASE_URL = `${SPEC_BASE_URL}validation/${KEYSTONE_VERSION}/json-schema/`;
+
+// The offline spec bundle, when the page includes `spec/keystone-spec-bundle-<version>.js` (offline.html, which runs from file://)
+const specBundle = globalThis[SPEC_BUNDLE_GLOBAL] || undefined;
+// Spec documents come from the bundle, or from the copies deployed next to the validator
+const specFetch = specBundle ? createBundleFetch(specBundle) : (...args) => fetch(...args);
+const specDocumentLoader = createKeystoneDocumentLoader({ version: KEYSTONE_VERSION, baseUrl: SPEC_BASE_URL, bundle: specBundle });
+const loadSpecOntology = (sector) => loadOntology(sector, { fetch: specFetch });
+// Offline, only the version of the bundle can be validated against
+const AVAILABLE_VERSIONS = specBundle ? [specBundle.version] : KEYSTONE_VERSIONS;
+// The files the picker offers; dropped files are filtered by name alike
+const PASSPORT_FILE_PATTERN = /\.(?:json|jsonld|jsonc|jsonl|ndjson)$/i;
 
 // State to hold loaded schemas
-const schemaContext = {
+let schemaContext = {
     baseSchema: null,
     sectorSchemas: {},
     commonSchemas: []
 };
 
+// Loaded once, on the first transformation
+let precomputedDictionary = null;
+
+// Validates single passports, and batches when the validation worker is not available
+let pageValidator = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
     const validateBtn = document.getElementById('validate-btn');
     const previewSchemaBtn = document.getElementById('preview-schema-btn');
     const previewNoSchemaBtn = document.getElementById('preview-no-schema-btn');
     const schemaBtn = document.getElementById('schema-btn');
+    const transformProfileSelector = document.getElementById('transform-profile-selector');
     const cssUrlInput = document.getElementById('css-url');
+    const audienceSelector = document.getElementById('audience-selector');
     const jsonInput = document.getElementById('json-input');
     const resultBox = document.getElementById('validation-result');
     const exampleSelector = document.getElementById('example-selector');
+    const fileInput = document.getElementById('file-input');
+    const urlInput = document.getElementById('passport-url');
+    const loadUrlBtn = document.getElementById('load-url-btn');
+    const editor = createJsonEditor(jsonInput);
 
     const langWrapper = document.getElementById('language-widget-wrapper');
     if (langWrapper) {
@@ -69,6 +72,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         await loadSchemas();
         console.log('Schemas loaded successfully');
         validateBtn.disabled = false;
+        if (fileInput) fileInput.disabled = false;
+        if (urlInput) urlInput.disabled = false;
+        if (loadUrlBtn) loadUrlBtn.disabled = false;
         if (previewSchemaBtn) previewSchemaBtn.disabled = false;
         if (previewNoSchemaBtn) previewNoSchemaBtn.disabled = false;
         if (schemaBtn) schemaBtn.disabled = false;
@@ -121,6 +127,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         resultBox.hidden = true;
         resultBox.innerHTML = '';
         resultBox.className = 'result-box';
+        editor.clearIssues();
 
         if (!inputStr) {
             showError(LanguageManager.t('error-no-json', 'Please paste a JSON object to validate.'));
@@ -138,77 +145,61 @@ document.addEventListener('DOMContentLoaded', async () => {
                 dppData = JSON.parse(stripped);
                 isJsonc = true;
             } catch (jsoncError) {
+                // One DPP per line (NDJSON) is validated as a batch
+                let entries = null;
+                try {
+                    entries = readBatchInput(inputStr);
+                } catch (ndjsonError) {
+                    // Not NDJSON either
+                }
+                if (entries) {
+                    await runBatchValidation(entries);
+                    return;
+                }
                 // If both fail, show the original error (or maybe the JSONC one if it's cleaner, but original is safer)
                 showError(`${LanguageManager.t('error-invalid-json', 'Invalid JSON format:')} ${e.message}`);
                 return;
             }
         }
 
+        // Arrays of DPPs (e.g. the exports of the CSV adapter) are validated as a batch
+        if (Array.isArray(dppData)) {
+            await runBatchValidation(splitBatch(dppData, 'input'));
+            return;
+        }
+
+        // Passports are validated against the Keystone version they declare
+        let keystoneVersion;
+        try {
+            keystoneVersion = resolveKeystoneVersion(dppData, { available: AVAILABLE_VERSIONS });
+        } catch (e) {
+            showError(versionErrorMessage(e));
+            return;
+        }
+
         // Validate
         validateBtn.disabled = true;
         try {
-            const result = validateDpp(dppData, schemaContext);
-            let isValid = result.valid;
-            let allErrors = result.errors ? [...result.errors] : [];
-
-            // Branch dynamic Ontology validation to intercept `@context` specifically!
-            if (dppData['@context']) {
-                const localContextLoader = async (url) => {
-                    const CONTEXT_PROD_PREFIX = 'https://dpp-keystone.org/spec/contexts/';
-                    let fetchUrl = url;
-                    if (url.startsWith(CONTEXT_PROD_PREFIX)) {
-                        fetchUrl = url.replace(CONTEXT_PROD_PREFIX, '../spec/contexts/');
-                    }
-                    const response = await fetch(fetchUrl);
-                    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-                    return {
-                        contextUrl: null,
-                        documentUrl: url,
-                        document: await response.json()
-                    };
-                };
-
-                const contextResult = await validateContextAwarePayload(dppData, localContextLoader);
-                if (!contextResult.valid) {
-                    isValid = false;
-                    allErrors = allErrors.concat(contextResult.errors);
-                }
-
-            } else {
-                // Compile dynamic Ontology Map tracking short key replacements for Legacy/Wizard Draft Fallbacks
-                const aggregatedMap = new Map();
-                const dppOntology = await loadOntology('dpp');
-                if (dppOntology) dppOntology.forEach((v, k) => aggregatedMap.set(k, v));
-
-                if (dppData.contentSpecificationIds && Array.isArray(dppData.contentSpecificationIds)) {
-                    for (const id of dppData.contentSpecificationIds) {
-                        const schemaFile = SECTOR_MAP[id];
-                        if (schemaFile) {
-                            const sectorName = schemaFile.replace('sector/', '').replace('.schema.json', '');
-                            const sectorOntology = await loadOntology(sectorName);
-                            if (sectorOntology) sectorOntology.forEach((v, k) => aggregatedMap.set(k, v));
-                        }
-                    }
-                }
-
-                const ontologyResult = validateAgainstOntology(dppData, aggregatedMap);
-
-                if (!ontologyResult.valid) {
-                    isValid = false;
-                    allErrors = allErrors.concat(ontologyResult.errors);
-                }
-            }
+            // Schema, ontology and (when an @context is present) JSON-LD context and SHACL layers
+            const { report } = await getPageValidator()({ source: 'input', data: dppData }, {
+                translations: LanguageManager.translations,
+                language: LanguageManager.getPreferredLanguage()
+            });
 
-            if (isValid) {
+            if (report.valid) {
                 const msg = LanguageManager.t('validation-successful-msg', 'The DPP data conforms to all schemas and strict ontology logic.');
                 if (isJsonc) {
                     showSuccessWithWarning(LanguageManager.t('validation-successful-comments', 'Validation Successful! (Note: Comments were stripped from valid JSONC)'), msg);
                 } else {
                     showSuccess(`${LanguageManager.t('validation-successful', 'Validation Successful!')} ${msg}`);
                 }
+                // SHACL warnings and infos do not fail the validation, but are still worth a look
+                if (report.issues.length > 0) showValidationReport(report);
             } else {
-                showValidationErrors(allErrors, isJsonc);
+                showValidationReport(report);
             }
+            editor.setIssues(report.issues);
+            showVersionNote(keystoneVersion);
         } catch (e) {
             console.error(e);
             showError(`${LanguageManager.t('error-unexpected', 'An unexpected error occurred during validation:')} ${e.message}`);
@@ -217,6 +208,104 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // 3b. Setup File Selection: one file is validated like pasted input, several files as a batch
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';
+            await validateFiles(files);
+        });
+    }
+
+    // 3c. Setup Drag and Drop of files onto the input field; dropped text is left to the text area
+    const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+    jsonInput.addEventListener('dragover', (e) => {
+        if (!hasFiles(e) || validateBtn.disabled) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        jsonInput.classList.add('drag-over');
+    });
+    jsonInput.addEventListener('dragleave', () => jsonInput.classList.remove('drag-over'));
+    jsonInput.addEventListener('drop', async (e) => {
+        jsonInput.classList.remove('drag-over');
+        if (!hasFiles(e) || validateBtn.disabled) return;
+        e.preventDefault();
+        const files = [...e.dataTransfer.files];
+        const passportFiles = files.filter(file => PASSPORT_FILE_PATTERN.test(file.name));
+        if (passportFiles.length === 0) {
+            showError(LanguageManager.t('error-drop-file-type', 'Only .json, .jsonld, .jsonc, .jsonl and .ndjson files can be validated.'));
+            return;
+        }
+        await validateFiles(passportFiles);
+    });
+
+    // 3d. Setup Loading from a URL, e.g. a passport endpoint or a GS1 Digital Link
+    if (urlInput && loadUrlBtn) {
+        loadUrlBtn.addEventListener('click', loadFromUrl);
+        urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                loadFromUrl();
+            }
+        });
+    }
+
+    async function loadFromUrl() {
+        const url = urlInput.value.trim();
+        if (!url || loadUrlBtn.disabled) return;
+        loadUrlBtn.disabled = true;
+        urlInput.disabled = true;
+        try {
+            const { text } = await fetchPassport(url);
+            jsonInput.value = formatJsonText(text);
+            validateBtn.click();
+        } catch (e) {
+            console.warn('Failed to load passport from URL:', e);
+            showError(urlErrorMessage(e));
+        } finally {
+            loadUrlBtn.disabled = false;
+            urlInput.disabled = false;
+        }
+    }
+
+    async function validateFiles(files) {
+        if (files.length === 0) return;
+        const texts = await Promise.all(files.map(file => file.text()));
+        if (files.length === 1) {
+            const entries = readFileEntries(files[0].name, texts[0]);
+            if (entries.length === 1 && !entries[0].error) {
+                jsonInput.value = texts[0];
+                validateBtn.click();
+                return;
+            }
+        }
+        await runBatchValidation(files.flatMap((file, i) => readFileEntries(file.name, texts[i])));
+    }
+
+    function readFileEntries(name, text) {
+        try {
+            return readBatchInput(text, { source: name, parse: parseJsonOrJsonc });
+        } catch (e) {
+            return [{ source: name, error: e.message }];
+        }
+    }
+
+    async function runBatchValidation(entries) {
+        validateBtn.disabled = true;
+        if (fileInput) fileInput.disabled = true;
+        const view = showBatchResults(entries.length);
+        try {
+            await validateBatch(entries, view.add);
+            view.finish();
+        } catch (e) {
+            console.error(e);
+            view.fail(`${LanguageManager.t('error-unexpected', 'An unexpected error occurred during validation:')} ${e.message}`);
+        } finally {
+            validateBtn.disabled = false;
+            if (fileInput) fileInput.disabled = false;
+        }
+    }
+
     // 4. Setup HTML Preview Helper
     const handleHtmlPreview = async (includeSchema, btn) => {
         const inputStr = jsonInput.value.trim();
@@ -252,10 +341,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 });
             }
 
+            // Only show what the selected audience is allowed to see
+            const audience = audienceSelector ? audienceSelector.value : 'Authority';
+            if (audience !== 'Authority') {
+                const ontologyMap = await buildOntologyMap(dppData, loadSpecOntology);
+                dppData = redactDpp(dppData, audience, ontologyMap);
+            }
+
             const customCssUrl = cssUrlInput ? cssUrlInput.value.trim() : '';
             const html = await generateHTML(dppData, { 
                 customCssUrl, 
                 includeSchema, 
+                bundle: specBundle,
                 language: LanguageManager.getPreferredLanguage() 
             });
 
@@ -281,7 +378,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         previewNoSchemaBtn.addEventListener('click', () => handleHtmlPreview(false, previewNoSchemaBtn));
     }
 
-    // 5. Setup Schema.org Event Listener
+    // 5. Setup Transformation Event Listener
+    if (transformProfileSelector) {
+        listProfiles().forEach(({ name, description }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            if (description) option.title = description;
+            transformProfileSelector.appendChild(option);
+        });
+    }
+
     if (schemaBtn) {
         schemaBtn.addEventListener('click', async () => {
             const inputStr = jsonInput.value.trim();
@@ -304,59 +411,43 @@ document.addEventListener('DOMContentLoaded', async () => {
                 schemaBtn.disabled = true;
                 schemaBtn.textContent = 'Transforming...';
 
-                // Configure document loader to resolve specific URLs locally
-                const documentLoader = async (url, options) => {
-                    // Intercept spec URLs and redirect to local files if possible
-                    if (url.startsWith('https://dpp-keystone.org/spec/')) {
-                        const relativePath = url.replace('https://dpp-keystone.org/spec/', '../spec/');
-
-                        // Try to fetch locally
-                        try {
-                            const res = await fetch(relativePath);
-                            if (res.ok) {
-                                const document = await res.json();
-                                return {
-                                    contextUrl: null,
-                                    document,
-                                    documentUrl: url
-                                };
-                            }
-                        } catch (e) {
-                            console.warn(`Failed to fetch local spec for ${url}, falling back to network/default.`);
-                        }
-                    }
-
-                    // Fallback to standard jsonld loader (which uses fetch/node)
-                    // Note: jsonld in browser environment usually uses XHR/fetch
-                    // We can use the default or a simple fetch wrapper.
-                    // Accessing the global jsonld object or the imported one.
-                    return (jsonld.documentLoaders ? jsonld.documentLoaders.xhr() : (u) => fetch(u).then(r => r.json()).then(d => ({ document: d, documentUrl: u })))(url);
-                };
+                // Units and labels of the indicators come from the dictionary precomputed at build time, which is cached under the ontologies it was built from
+                precomputedDictionary ??= loadPrecomputedDictionary(`../spec/ontology/${KEYSTONE_VERSION}/dpp-dictionary.json`, { bundle: specBundle })
+                    .catch(e => {
+                        console.warn('Precomputed dictionary not available, building it from the ontologies.', e);
+                        return null;
+                    });
+                const precomputed = await precomputedDictionary;
 
+                const profileName = transformProfileSelector?.value || 'schema.org';
                 const options = {
-                    profile: 'schema.org',
-                    // Point to the full ontology file. 
-                    // Note: dpp-ontology.jsonld might be an aggregate or imports others.
-                    // If imports are used, the documentLoader must handle them.
-                    ontologyPaths: [`../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`],
-                    documentLoader,
-                    version: KEYSTONE_VERSION
+                    profile: profileName,
+                    // Without the precomputed dictionary, the full ontology: the dictionary is built from it and the ontologies it imports
+                    ontologyPaths: precomputed?.ontologyPaths ?? [`../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`],
+                    sectorSchemaPaths: Object.values(SECTOR_MAP).map(file => `../spec/validation/${KEYSTONE_VERSION}/json-schema/${file}`),
+                    documentLoader: specDocumentLoader,
+                    bundle: specBundle,
+                    version: KEYSTONE_VERSION,
+                    language: LanguageManager.getPreferredLanguage()
                 };
 
                 const transformed = await transformDpp(dppData, options);
 
-                // Open in new tab as formatted JSON
-                const jsonStr = JSON.stringify(transformed, null, 2);
-                const blob = new Blob([jsonStr], { type: 'application/ld+json' });
+                // Open in new tab as formatted JSON. Text formats (CSV, XML) are returned as a single string and opened as is
+                const content = transformed.length === 1 && typeof transformed[0] === 'string'
+                    ? transformed[0]
+                    : JSON.stringify(transformed, null, 2);
+                const mediaType = listProfiles().find(p => p.name === profileName)?.mediaType || 'application/ld+json';
+                const blob = new Blob([content], { type: mediaType });
                 const url = URL.createObjectURL(blob);
                 window.open(url, '_blank');
 
             } catch (e) {
                 console.error(e);
-                showError('Failed to generate Schema.org JSON-LD: ' + e.message);
+                showError(`Failed to transform DPP with the "${transformProfileSelector?.value || 'schema.org'}" profile: ` + e.message);
             } finally {
                 schemaBtn.disabled = false;
-                schemaBtn.textContent = 'Preview Schema.org';
+                schemaBtn.textContent = LanguageManager.t('preview-transformation', 'Preview Transformation');
             }
         });
     }
@@ -388,87 +479,318 @@ document.addEventListener('DOMContentLoaded', async () => {
         resultBox.appendChild(span);
     }
 
-    function showValidationErrors(errors, isJsonc) {
+    function versionErrorMessage(error) {
+        if (error.code === 'EVERSIONCONFLICT') {
+            const versions = error.declarations.map(d => `${d.version} (${d.source})`).join(', ');
+            return LanguageManager.t('error-version-conflict', 'This passport declares conflicting Keystone versions: {versions}.')
+                .replace('{versions}', versions);
+        }
+        if (error.code === 'EVERSIONUNAVAILABLE') {
+            const [{ version, source }] = error.declarations;
+            return LanguageManager.t('error-version-unavailable', 'This passport declares Keystone version {version} ({source}), which this validator does not provide. Available versions: {available}.')
+                .replace('{version}', version).replace('{source}', source).replace('{available}', error.available.join(', '));
+        }
+        return error.message;
+    }
+
+    function urlErrorMessage(error) {
+        const url = error.url || urlInput.value.trim();
+        switch (error.code) {
+            case 'EURL':
+                return LanguageManager.t('error-url-invalid', 'Please enter an http:// or https:// URL.');
+            case 'ENETWORK':
+                return LanguageManager.t('error-url-network', 'Could not load {url}. The server is unreachable or does not allow this page to read the passport (CORS). Download the passport and open it as a file instead.')
+                    .replace('{url}', url);
+            case 'EHTTP':
+                // HTTP/2 responses have no status text
+                return LanguageManager.t('error-url-http', 'The server answered {status} {statusText} for {url}.')
+                    .replace('{status}', error.status).replace(' {statusText}', error.statusText ? ` ${error.statusText}` : '').replace('{url}', url);
+            case 'ECONTENT':
+                return LanguageManager.t('error-url-content', '{url} did not return a passport in JSON or JSON-LD (received {contentType}).')
+                    .replace('{url}', url).replace('{contentType}', error.contentType);
+            default:
+                return error.message;
+        }
+    }
+
+    function showVersionNote({ version, source }) {
+        const note = document.createElement('p');
+        note.className = 'report-version';
+        note.textContent = source === 'default'
+            ? LanguageManager.t('validated-against-latest-version', 'Validated against Keystone {version}, the latest version, as the passport declares none.').replace('{version}', version)
+            : LanguageManager.t('validated-against-version', 'Validated against Keystone {version}, as declared by {source}.').replace('{version}', version).replace('{source}', source);
+        resultBox.appendChild(note);
+    }
+
+    function showValidationReport(report) {
         resultBox.hidden = false;
-        resultBox.className = 'result-box error';
+        if (!report.valid) {
+            resultBox.className = 'result-box error';
+            const heading = document.createElement('h3');
+            const countText = LanguageManager.t('errors-count', '({count} errors)').replace('{count}', report.summary.bySeverity.error);
+            heading.textContent = `${LanguageManager.t('validation-failed', 'Validation Failed')} ${countText}`;
+            resultBox.appendChild(heading);
+        } else {
+            const heading = document.createElement('h4');
+            heading.textContent = LanguageManager.t('validation-notes', 'Warnings and notes');
+            resultBox.appendChild(heading);
+        }
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'report-toolbar';
+        const layerFilter = createFilterSelect('filter-layer', 'Layer', 'all-layers', 'All layers',
+            LAYERS.filter(layer => report.summary.byLayer[layer] > 0), 'layer');
+        const severityFilter = createFilterSelect('filter-severity', 'Severity', 'all-severities', 'All severities',
+            SEVERITIES.filter(severity => report.summary.bySeverity[severity] > 0), 'severity');
+        toolbar.append(layerFilter.label, severityFilter.label,
+            createExportButton('export-report-json', 'Export report (JSON)', () => downloadJson(report, 'dpp-validation-report.json', 'application/json')),
+            createExportButton('export-report-sarif', 'Export report (SARIF)', () => downloadJson(toSarif(report, { toolVersion: KEYSTONE_VERSION }), 'dpp-validation-report.sarif', 'application/sarif+json')));
+        resultBox.appendChild(toolbar);
+
+        const issueList = document.createElement('div');
+        resultBox.appendChild(issueList);
+
+        const render = () => {
+            issueList.innerHTML = '';
+            const issues = filterIssues(report, { layer: layerFilter.select.value, severity: severityFilter.select.value });
+            groupIssuesByLayer(issues).forEach(({ layer, issues: layerIssues }) => {
+                const heading = document.createElement('h4');
+                heading.textContent = `${LanguageManager.t(`layer-${layer}`, layer)} (${layerIssues.length})`;
+                issueList.appendChild(heading);
+
+                const ul = document.createElement('ul');
+                layerIssues.forEach(issue => ul.appendChild(renderEditorIssue(issue, editor)));
+                issueList.appendChild(ul);
+            });
+        };
+        layerFilter.select.addEventListener('change', render);
+        severityFilter.select.addEventListener('change', render);
+        render();
+    }
+
+    function showBatchResults(total) {
+        resultBox.hidden = false;
+        resultBox.innerHTML = '';
+        resultBox.className = 'result-box batch-result';
 
         const heading = document.createElement('h3');
-        const countText = LanguageManager.t('errors-count', '({count} errors)').replace('{count}', errors.length);
-        heading.textContent = `${LanguageManager.t('validation-failed', 'Validation Failed')} ${countText}`;
-        resultBox.appendChild(heading);
-
-        if (isJsonc) {
-            const note = document.createElement('p');
-            note.style.fontSize = '0.9em';
-            note.style.fontStyle = 'italic';
-            note.textContent = LanguageManager.t('validation-failed-note', '(Note: Input was parsed as JSONC. Line numbers in errors refer to the structure, not the original text lines.)');
-            resultBox.appendChild(note);
-        }
+        heading.textContent = LanguageManager.t('batch-validation', 'Batch validation');
+        const progress = document.createElement('p');
+        progress.className = 'batch-progress';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'report-toolbar';
+        const results = [];
+        const csvButton = createExportButton('export-results-csv', 'Export results (CSV)',
+            () => download(batchResultsToCsv(results, { bom: true }), 'dpp-batch-validation.csv', 'text/csv'));
+        csvButton.disabled = true;
+        toolbar.appendChild(csvButton);
+
+        const table = document.createElement('table');
+        table.className = 'batch-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            ['#', '#'],
+            ['batch-column-passport', 'Passport ID'],
+            ['batch-column-source', 'Source'],
+            ['batch-column-status', 'Status'],
+            ['batch-column-errors', 'Errors'],
+            ['batch-column-warnings', 'Warnings']
+        ].forEach(([key, text]) => {
+            const th = document.createElement('th');
+            th.textContent = key === '#' ? text : LanguageManager.t(key, text);
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+
+        resultBox.append(heading, progress, toolbar, table);
+
+        const updateProgress = () => {
+            progress.textContent = LanguageManager.t('batch-progress', 'Validating {done} of {total} passports...')
+                .replace('{done}', results.length).replace('{total}', total);
+        };
+        updateProgress();
+
+        const add = (result, index) => {
+            results.push(result);
+            const { report } = result;
+            const errors = report.issues.filter(issue => issue.severity === 'error').length;
+            const warnings = report.issues.filter(issue => issue.severity === 'warning').length;
+
+            const row = body.insertRow();
+            row.className = `batch-row ${report.valid ? 'batch-valid' : 'batch-invalid'}`;
+            row.tabIndex = 0;
+            const status = document.createElement('span');
+            status.className = 'batch-status';
+            status.textContent = report.valid ? LanguageManager.t('batch-status-valid', 'Valid') : LanguageManager.t('batch-status-invalid', 'Invalid');
+            [index + 1, result.passportId || '—', result.source, status, errors, warnings].forEach(value => {
+                const cell = row.insertCell();
+                if (value instanceof Node) cell.appendChild(value);
+                else cell.textContent = value;
+            });
 
-        const ul = document.createElement('ul');
-        errors.forEach(err => {
-            const li = document.createElement('li');
-            const strong = document.createElement('strong');
-            strong.textContent = err.instancePath || 'root';
-            li.appendChild(strong);
-
-            let translatedMsg = err.message;
-            if (err.keyword === 'required' && err.params && err.params.missingProperty) {
-                translatedMsg = `${LanguageManager.t('error-required', 'Missing required property')}: '${err.params.missingProperty}'`;
-            } else if (err.keyword === 'type' && err.params && err.params.type) {
-                if (err.params.type === 'integer') {
-                    translatedMsg = LanguageManager.t('error-whole-number', 'Must be a whole number');
-                } else if (err.params.type === 'number' || err.params.type === 'decimal') {
-                    translatedMsg = LanguageManager.t('error-valid-number', 'Must be a valid number');
-                } else {
-                    translatedMsg = `Must be of type ${err.params.type}`;
-                }
-            } else if (err.keyword === 'format' && err.params && err.params.format) {
-                if (err.params.format === 'uri') {
-                    translatedMsg = LanguageManager.t('error-valid-uri', 'Must be a valid URI');
-                } else if (err.params.format === 'date' || err.params.format === 'dateTime') {
-                    // Fallback to English for date formats if no specific translation available
-                    translatedMsg = `Must be a valid ${err.params.format}`; 
-                } else {
-                    translatedMsg = `Must match format ${err.params.format}`;
-                }
-            } else if (err.keyword === 'pattern' && err.params && err.params.pattern) {
-                if (err.params.pattern === 'country code') {
-                    translatedMsg = LanguageManager.t('error-country-code', 'Must be a valid 2 or 3-letter country code');
-                } else if (err.params.pattern === 'no control characters') {
-                    translatedMsg = LanguageManager.t('error-invalid-chars', 'Invalid characters detected');
-                } else {
-                    translatedMsg = err.message;
-                }
+            // Drill-down: the issues of the passport, grouped by layer
+            const detailsRow = body.insertRow();
+            detailsRow.className = 'batch-details';
+            detailsRow.hidden = true;
+            const detailsCell = detailsRow.insertCell();
+            detailsCell.colSpan = headerRow.cells.length;
+            if (report.issues.length === 0) {
+                detailsCell.textContent = LanguageManager.t('batch-no-issues', 'No issues');
             }
+            groupIssuesByLayer(report.issues).forEach(({ layer, issues }) => {
+                const layerHeading = document.createElement('h4');
+                layerHeading.textContent = `${LanguageManager.t(`layer-${layer}`, layer)} (${issues.length})`;
+                const ul = document.createElement('ul');
+                issues.forEach(issue => ul.appendChild(renderIssue(issue)));
+                detailsCell.append(layerHeading, ul);
+            });
 
-            li.appendChild(document.createTextNode(`: ${translatedMsg}`));
-            ul.appendChild(li);
-        });
-        resultBox.appendChild(ul);
+            const toggle = () => {
+                detailsRow.hidden = !detailsRow.hidden;
+                row.classList.toggle('expanded', !detailsRow.hidden);
+            };
+            row.addEventListener('click', toggle);
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggle();
+                }
+            });
+            updateProgress();
+        };
+
+        const finish = () => {
+            const summary = summarizeBatch(results);
+            resultBox.classList.add(summary.invalid > 0 ? 'error' : 'success');
+            progress.textContent = LanguageManager.t('batch-summary', '{valid} of {total} passports are valid.')
+                .replace('{valid}', summary.valid).replace('{total}', summary.total);
+            csvButton.disabled = false;
+        };
+
+        const fail = (message) => {
+            resultBox.classList.add('error');
+            progress.textContent = message;
+            csvButton.disabled = results.length === 0;
+        };
+
+        return { add, finish, fail };
+    }
+
+    // Issues of the passport in the editor link to their location in it
+    function renderEditorIssue(issue, editor) {
+        const location = editor?.locate(issue.pointer);
+        return renderIssue(issue, location ? { location, reveal: () => editor.reveal(issue.pointer) } : {});
+    }
+
+    function createFilterSelect(labelKey, labelText, allKey, allText, values, prefix) {
+        const label = document.createElement('label');
+        label.textContent = `${LanguageManager.t(labelKey, labelText)} `;
+        const select = document.createElement('select');
+        select.appendChild(new Option(LanguageManager.t(allKey, allText), ''));
+        values.forEach(value => select.appendChild(new Option(LanguageManager.t(`${prefix}-${value}`, value), value)));
+        label.appendChild(select);
+        return { label, select };
+    }
+
+    function createExportButton(key, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'secondary';
+        button.textContent = LanguageManager.t(key, text);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function downloadJson(data, filename, mediaType) {
+        download(JSON.stringify(data, null, 2), filename, mediaType);
+    }
+
+    function download(content, filename, mediaType) {
+        const blob = new Blob([content], { type: mediaType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
     }
 });
 
+function parseJsonOrJsonc(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return JSON.parse(stripJsonComments(text));
+    }
+}
+
+// Pretty-prints fetched JSON, which servers often send minified; anything else (e.g. NDJSON) is kept as is
+function formatJsonText(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Validates batch entries in the validation worker, one result at a time. Pages using the offline spec bundle
+ * (opened from file://, where workers cannot be started) and browsers without module workers validate in the page;
+ * if the worker fails, the page takes over from the first entry without a result.
+ */
+function validateBatch(entries, onResult) {
+    const options = { translations: LanguageManager.translations, language: LanguageManager.getPreferredLanguage() };
+    const validateInPage = async (start) => {
+        for (let index = start; index < entries.length; index++) {
+            onResult(await getPageValidator()(entries[index], options), index);
+        }
+    };
+
+    if (specBundle || typeof Worker === 'undefined') return validateInPage(0);
+
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('validation-worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            validateInPage(0).then(resolve, reject);
+            return;
+        }
+        let next = 0;
+        worker.addEventListener('message', ({ data: message }) => {
+            if (message.type === 'result') {
+                next = message.index + 1;
+                onResult(message.result, message.index);
+            } else {
+                worker.terminate();
+                if (message.type === 'done') resolve();
+                else reject(new Error(message.message));
+            }
+        });
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            worker.terminate();
+            console.warn('Validation worker not available, validating in the page:', event.message);
+            validateInPage(next).then(resolve, reject);
+        });
+        worker.postMessage({ type: 'validate', entries, ...options });
+    });
+}
+
+function getPageValidator() {
+    pageValidator ??= createBatchValidator({ specFetch, bundle: specBundle, schemaContext });
+    return pageValidator;
+}
+
 async function loadSchemas() {
     // Helper to fetch JSON
     const fetchJson = async (filename) => {
-        const res = await fetch(SCHEMA_BASE_URL + filename);
+        const res = await specFetch(SCHEMA_BASE_URL + filename);
         if (!res.ok) throw new Error(`Failed to fetch ${filename}: ${res.statusText}`);
         return res.json();
     };
 
-    // Load Base
-    schemaContext.baseSchema = await fetchJson(BASE_SCHEMA_FILE);
-
-    // Load Common
-    const commonPromises = COMMON_SCHEMAS.map(filename => fetchJson(filename));
-    schemaContext.commonSchemas = await Promise.all(commonPromises);
-
-    // Load Sectors (We load all known mapped sectors so they are ready)
-    // In a larger system, we might lazy load, but for this tool, eager loading is fine.
-    const sectorPromises = Object.entries(SECTOR_MAP).map(async ([id, filename]) => {
-        const schema = await fetchJson(filename);
-        schemaContext.sectorSchemas[id] = schema;
-    });
-    await Promise.all(sectorPromises);
+    // Load Base, Common and all known Sector schemas
+    schemaContext = await loadSchemaContext(fetchJson);
 }
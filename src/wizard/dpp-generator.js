@@ -135,7 +135,8 @@ export function generateDpp(sectors, coreFormContainer, formContainer, voluntary
         const inputs = container.querySelectorAll('input, select');
         inputs.forEach(input => {
             const key = input.name;
-            if (!key) return;
+            // Fields hidden by conditional schema rules are left out
+            if (!key || input.closest('.grid-row[hidden]')) return;
 
             let value;
             switch (input.type) {
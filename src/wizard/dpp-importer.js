@@ -0,0 +1,257 @@
+// src/wizard/dpp-importer.js
+
+import { getSectorNames } from '../lib/validation-pipeline.js';
+import { validateKey } from './validator.js';
+
+// e.g. https://dpp-keystone.org/spec/contexts/v2/dpp-battery.context.jsonld
+const KEYSTONE_CONTEXT_PATTERN = /^https:\/\/dpp-keystone\.org\/spec\/contexts\/[^/]+\/dpp-([a-z-]+)\.context\.jsonld$/;
+// The IDs the generator writes for forms without a specification ID of their own, e.g. packaging-product-dpp-v2
+const GENERATED_SPECIFICATION_ID_PATTERN = /^([a-z-]+)-product-dpp-v\d+$/;
+
+const attributeValue = (value) => String(value).replace(/["\\]/g, '\\$&');
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Selects the inputs, array add buttons and optional object rows of a path, or of the paths below it
+function fieldSelector(path, { nested = false } = {}) {
+    const operator = nested ? '^=' : '=';
+    const value = attributeValue(nested ? `${path}.` : path);
+    return [
+        `[name${operator}"${value}"]`,
+        `button.add-array-item-btn[data-array-name${operator}"${value}"]`,
+        `.grid-row[data-object-path${operator}"${value}"]`
+    ].join(', ');
+}
+
+/**
+ * Lists the wizard forms (sectors and voluntary modules) a DPP declares, through its `contentSpecificationIds`
+ * and the Keystone `@context` URLs.
+ * @param {object} dpp - The DPP document.
+ * @param {string[]} knownSectors - The sectors the wizard offers (the `data-sector` values of its buttons).
+ * @returns {string[]} The declared sectors the wizard knows, without duplicates.
+ */
+export function detectSectors(dpp, knownSectors) {
+    const sectors = getSectorNames(dpp);
+    const declare = (sector) => {
+        if (!sectors.includes(sector)) sectors.push(sector);
+    };
+    for (const id of Array.isArray(dpp?.contentSpecificationIds) ? dpp.contentSpecificationIds : []) {
+        const match = typeof id === 'string' && id.match(GENERATED_SPECIFICATION_ID_PATTERN);
+        if (match) declare(match[1]);
+    }
+    for (const context of [dpp?.['@context']].flat()) {
+        const match = typeof context === 'string' && context.match(KEYSTONE_CONTEXT_PATTERN);
+        if (match) declare(match[1]);
+    }
+    return sectors.filter(sector => knownSectors.includes(sector));
+}
+
+/**
+ * Picks the contexts of a DPP that the wizard lists as external contexts. The Keystone contexts are left out,
+ * as the generator derives them from the selected sectors.
+ * @param {string|Array|object} context - The `@context` of the DPP.
+ * @returns {{uris: string[], prefixes: Object<string, string>}} The context URIs and the prefix definitions.
+ */
+export function splitContexts(context) {
+    const uris = [];
+    const prefixes = {};
+    for (const entry of [context].flat()) {
+        if (typeof entry === 'string') {
+            if (!entry.startsWith('https://dpp-keystone.org/spec/contexts/')) uris.push(entry);
+        } else if (isPlainObject(entry)) {
+            Object.entries(entry)
+                .filter(([, uri]) => typeof uri === 'string')
+                .forEach(([prefix, uri]) => { prefixes[prefix] = uri; });
+        }
+    }
+    return { uris, prefixes };
+}
+
+/**
+ * Tells whether any of the forms has a field, array or object for a path.
+ * @param {HTMLElement[]} containers - The forms.
+ * @param {string} path - The dot-notation path, e.g. `manufacturerInfo.address`.
+ * @returns {boolean} True if a value at the path can be entered.
+ */
+export function hasFormField(containers, path) {
+    const selector = `${fieldSelector(path)}, ${fieldSelector(path, { nested: true })}`;
+    return containers.some(container => container?.querySelector(selector));
+}
+
+// Enters a value into a form input; false if the input cannot hold it
+function setInputValue(input, value) {
+    if (input.type === 'checkbox') {
+        if (typeof value !== 'boolean') return false;
+        input.checked = value;
+        return true;
+    }
+    if (input.tagName === 'SELECT') {
+        const option = [...input.options].find(o => !o.disabled && o.value === String(value));
+        if (!option) return false;
+        input.value = option.value;
+        return true;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    let text = String(value);
+    // datetime-local inputs hold the time as written, without its offset
+    if (input.type === 'datetime-local') text = text.replace(/(?:Z|[+-]\d{2}:?\d{2})$/, '');
+    input.value = text;
+    // Inputs clear values they cannot hold (e.g. text in number or date inputs)
+    return input.value !== '' || text === '';
+}
+
+// The JSON types of a value, as in the `data-type` of the options of oneOf branch selects
+const typesOf = (value) => {
+    if (isPlainObject(value)) return ['object'];
+    if (Number.isInteger(value)) return ['integer', 'number'];
+    return [typeof value];
+};
+
+// Selects the oneOf branch of the value's type declaring most of the value's properties
+function chooseBranch(select, value) {
+    const keys = isPlainObject(value) ? Object.keys(value) : [];
+    const types = typesOf(value);
+    let best = null;
+    let bestScore = -1;
+    for (const option of select.options) {
+        if (option.value === '') continue;
+        if (option.dataset.type && !option.dataset.type.split(' ').some(type => types.includes(type))) continue;
+        const properties = (option.dataset.properties || '').split(' ');
+        const score = keys.filter(key => properties.includes(key)).length;
+        if (score > bestScore) {
+            best = option;
+            bestScore = score;
+        }
+    }
+    if (!best) return;
+    select.value = best.value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Puts the values of a DPP into the wizard's forms. Array items and optional objects are created with the forms'
+ * own buttons, and for objects with alternative types the alternative declaring most of the object's properties
+ * is chosen (for simple values, the alternative of their type). The forms must be open (see `detectSectors`).
+ * @param {HTMLElement[]} containers - The forms: the core form, the sector forms and the voluntary modules.
+ * @param {object} data - The DPP properties, without `@context` and `contentSpecificationIds`.
+ * @returns {{unknown: Array<{path: string, value: *}>, unplaced: Array<{path: string, value: *}>}} The top-level
+ * properties none of the forms has (for the voluntary fields), and the values that could not be entered, e.g.
+ * nested properties the forms do not have, or values an input cannot hold.
+ */
+export function fillForms(containers, data) {
+    const unknown = [];
+    const unplaced = [];
+    const find = (selector) => containers.filter(Boolean).flatMap(container => [...container.querySelectorAll(selector)]);
+
+    const place = (path, value) => {
+        const inputs = find(`[name="${attributeValue(path)}"]`).filter(el => el.matches('input, select'));
+        if (inputs.length > 0) {
+            // Fields with the same path in several forms are kept in sync, so all of them get the value
+            if (!inputs.map(input => setInputValue(input, value)).every(Boolean)) unplaced.push({ path, value });
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            const [addButton] = find(`button.add-array-item-btn[data-array-name="${attributeValue(path)}"]`);
+            if (addButton) {
+                value.forEach((item, index) => {
+                    const itemPath = `${path}.${index}`;
+                    if (!hasFormField(containers, itemPath)) addButton.click();
+                    place(itemPath, item);
+                });
+                return;
+            }
+        }
+
+        if (isPlainObject(value)) {
+            const [row] = find(`.grid-row[data-object-path="${attributeValue(path)}"]`);
+            row?.querySelector('button[data-optional-object]')?.click();
+            const branchSelect = row?.querySelector('select[data-pending-optional-object]');
+            if (branchSelect && branchSelect.value === '') chooseBranch(branchSelect, value);
+
+            if (find(fieldSelector(path, { nested: true })).length > 0) {
+                Object.entries(value).forEach(([key, child]) => place(`${path}.${key}`, child));
+                return;
+            }
+        }
+
+        if (value !== null && !isPlainObject(value) && !Array.isArray(value)) {
+            // Objects with an alternative of a simple type (e.g. a text instead of a related resource) take the value
+            const [row] = find(`.grid-row[data-object-path="${attributeValue(path)}"]`);
+            if (row?.dataset.branchTypes?.split(' ').some(type => typesOf(value).includes(type))) {
+                row.querySelector('button[data-optional-object]')?.click();
+                const branchSelect = row.querySelector('select[data-pending-optional-object]');
+                if (branchSelect) chooseBranch(branchSelect, value);
+                if (find(`[name="${attributeValue(path)}"]`).length > 0) {
+                    place(path, value);
+                    return;
+                }
+            }
+        }
+
+        if (!path.includes('.') && value !== null && !hasFormField(containers, path)) unknown.push({ path, value });
+        else unplaced.push({ path, value });
+    };
+
+    Object.entries(data).forEach(([key, value]) => place(key, value));
+    return { unknown, unplaced };
+}
+
+/**
+ * Tells whether a property can be entered as a voluntary field: its name must be a valid field name, and lists
+ * and nulls cannot be entered (also not within groups).
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ * @returns {boolean} True if `fillVoluntaryField` can enter the property.
+ */
+export function isVoluntaryValue(key, value) {
+    return validateKey(key).isValid && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Enters a property into an empty voluntary field row (see `createVoluntaryFieldRow`): text, numbers, booleans,
+ * quantities (`{value, unit}`) and objects of these, which become groups (see `isVoluntaryValue`).
+ * @param {HTMLElement} row - The voluntary field row.
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ * @param {string} [path=key] - The path of the property in the DPP, for the returned values.
+ * @returns {Array<{path: string, value: *}>} The values that could not be entered, e.g. arrays.
+ */
+export function fillVoluntaryField(row, key, value, path = key) {
+    const nameInput = row.querySelector('.voluntary-name');
+    const typeSelect = row.querySelector('.voluntary-type');
+    const setType = (type) => {
+        typeSelect.value = type;
+        typeSelect.dispatchEvent(new Event('change'));
+    };
+    nameInput.value = key;
+    nameInput.dispatchEvent(new Event('change'));
+
+    const isQuantity = isPlainObject(value) && Object.keys(value).length === 2 && typeof value.value === 'number' && typeof value.unit === 'string';
+    if (typeof value === 'string') {
+        row.querySelector('.voluntary-value').value = value;
+    } else if (typeof value === 'number' || isQuantity) {
+        setType('Number');
+        row.querySelector('.voluntary-value').value = String(isQuantity ? value.value : value);
+        if (isQuantity) row.querySelector('.voluntary-unit').value = value.unit;
+    } else if (typeof value === 'boolean') {
+        setType('True/False');
+        row.querySelector('.voluntary-value').value = String(value);
+    } else if (isPlainObject(value)) {
+        setType('Group');
+        const addButton = row.querySelector('.voluntary-group-container .add-voluntary-prop-btn');
+        const unplaced = [];
+        for (const [childKey, child] of Object.entries(value)) {
+            const childPath = `${path}.${childKey}`;
+            if (!isVoluntaryValue(childKey, child)) {
+                unplaced.push({ path: childPath, value: child });
+                continue;
+            }
+            addButton.click();
+            unplaced.push(...fillVoluntaryField(addButton.previousElementSibling, childKey, child, childPath));
+        }
+        return unplaced;
+    } else {
+        return [{ path, value }];
+    }
+    return [];
+}
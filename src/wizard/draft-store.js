@@ -0,0 +1,118 @@
+// src/wizard/draft-store.js
+
+export const DRAFT_FILE_FORMAT = 'dpp-keystone-wizard-draft';
+export const DRAFT_FILE_EXTENSION = '.dppdraft.json';
+
+const draftError = (message) => Object.assign(new Error(message), { code: 'EDRAFT' });
+
+/**
+ * Creates a store of named wizard sessions, used for the wizard's drafts and its model templates. All entries
+ * are kept as one item of the storage, each with the wizard session it was last saved with (see `saveSession`
+ * in wizard.js).
+ * @param {Storage} storage - The storage, e.g. `localStorage`.
+ * @param {string} key - The storage key of the drafts.
+ * @param {Function} [now=Date.now] - Returns the current time in milliseconds, for the timestamps.
+ * @returns {{list: Function, get: Function, create: Function, update: Function, rename: Function, duplicate: Function, remove: Function}}
+ * The store: `list()` returns the drafts without their sessions, most recently updated first; `get(id)` returns
+ * a draft or null; `create(name, session)` and `duplicate(id, name)` return the new draft; `update(id, session)`
+ * and `rename(id, name)` return the changed draft or null if it does not exist; `remove(id)` deletes a draft.
+ */
+export function createDraftStore(storage, key, now = Date.now) {
+    const read = () => {
+        try {
+            const drafts = JSON.parse(storage.getItem(key));
+            return drafts && typeof drafts === 'object' ? drafts : {};
+        } catch (e) {
+            return {};
+        }
+    };
+    const write = (drafts) => storage.setItem(key, JSON.stringify(drafts));
+    const newId = () => `${now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const change = (id, changes) => {
+        const drafts = read();
+        if (!drafts[id]) return null;
+        drafts[id] = { ...drafts[id], ...changes, updated: now() };
+        write(drafts);
+        return drafts[id];
+    };
+
+    const create = (name, session) => {
+        const drafts = read();
+        const timestamp = now();
+        const draft = { id: newId(), name, created: timestamp, updated: timestamp, session };
+        drafts[draft.id] = draft;
+        write(drafts);
+        return draft;
+    };
+
+    return {
+        list() {
+            return Object.values(read())
+                .map(({ session, ...draft }) => draft)
+                .sort((a, b) => b.updated - a.updated);
+        },
+        get(id) {
+            return read()[id] || null;
+        },
+        create,
+        update: (id, session) => change(id, { session }),
+        rename: (id, name) => change(id, { name }),
+        duplicate(id, name) {
+            const draft = read()[id];
+            return draft ? create(name, draft.session) : null;
+        },
+        remove(id) {
+            const drafts = read();
+            delete drafts[id];
+            write(drafts);
+        }
+    };
+}
+
+/**
+ * Serializes a draft as a `.dppdraft.json` file, to hand it to someone else.
+ * @param {{name: string, created: number, updated: number, session: object}} draft - The draft.
+ * @param {string} version - The Keystone version the draft was made with.
+ * @returns {string} The file content.
+ */
+export function serializeDraft(draft, version) {
+    const { name, created, updated, session } = draft;
+    return JSON.stringify({ format: DRAFT_FILE_FORMAT, version, name, created, updated, session }, null, 2);
+}
+
+/**
+ * Reads a `.dppdraft.json` file.
+ * @param {string} text - The file content.
+ * @returns {{name: string, version: string, created: number, updated: number, session: object}} The draft.
+ * @throws {Error} With code EDRAFT if the text is not a draft file.
+ */
+export function parseDraftFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw draftError(`Not a draft file: ${e.message}`);
+    }
+    if (file?.format !== DRAFT_FILE_FORMAT) throw draftError('Not a draft file: the format is missing or unknown');
+    if (!file.session || typeof file.session !== 'object' || Array.isArray(file.session)) {
+        throw draftError('Not a draft file: the session is missing');
+    }
+    return {
+        name: typeof file.name === 'string' && file.name.trim() ? file.name.trim() : 'Draft',
+        version: file.version,
+        created: Number.isFinite(file.created) ? file.created : null,
+        updated: Number.isFinite(file.updated) ? file.updated : null,
+        session: file.session
+    };
+}
+
+/**
+ * Returns the file name a draft is exported under.
+ * @param {string} name - The draft name.
+ * @returns {string} The name with characters unsafe in file names replaced, and the draft extension.
+ */
+export function draftFileName(name) {
+    const base = name.trim().replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '') || 'draft';
+    return `${base}${DRAFT_FILE_EXTENSION}`;
+}
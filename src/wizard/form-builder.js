@@ -1,6 +1,8 @@
 // src/wizard/form-builder.js
 import { isURI, isCountryCode, isNumber, isInteger, validateText, validateKey } from './validator.js';
 import { LanguageManager } from '../lib/language-manager.js';
+import { setProperty } from '../lib/dpp-data-utils.js';
+import { hasConditions, formProperties, evaluateConditions } from './schema-conditions.js';
 
 function triggerLocalization() {
     document.dispatchEvent(new CustomEvent('languageChanged', { detail: { language: LanguageManager.getPreferredLanguage() } }));
@@ -250,13 +252,15 @@ function getInheritedOntologyInfo(currentPath, ontologyMap) {
  * Attaches validation event listeners to an input element.
  * @param {HTMLElement} input - The input element.
  * @param {object} prop - The schema property for this input.
- * @param {boolean} isRequired - Whether the field is required.
+ * @param {boolean} isRequired - Whether the field is required. Conditional schema rules change it later through
+ * the input's `aria-required` attribute (see `applyConditionalRules`).
  * @param {object} ontologyInfo - The ontology information for the property.
  */
 function attachValidationHandlers(input, prop, isRequired, ontologyInfo) {
     if (!input || input.tagName === 'DIV' || input.type === 'checkbox' || input.type === 'button') {
         return;
     }
+    if (isRequired) input.setAttribute('aria-required', 'true');
 
     const handleValidation = (e) => {
         const { target } = e;
@@ -269,10 +273,12 @@ function attachValidationHandlers(input, prop, isRequired, ontologyInfo) {
 
         let validationResult = { isValid: true };
 
-        if ((prop.type === 'number' || prop.type === 'integer') && !target.validity.valid && value === '') {
+        if (target.closest('.grid-row[hidden]')) {
+            // Fields hidden by a conditional schema rule are not part of the passport
+        } else if ((prop.type === 'number' || prop.type === 'integer') && !target.validity.valid && value === '') {
             validationResult = { isValid: false, key: 'error-valid-number', message: 'Must be a valid number' };
         } else if (value === '') {
-            if (isRequired) {
+            if (target.getAttribute('aria-required') === 'true') {
                 validationResult = { isValid: false, key: 'error-required', message: 'This field is required' };
             }
         } else if (prop.type === 'string' && !validateText(value).isValid) {
@@ -526,6 +532,11 @@ function reindexArrayItems(arrayName, indexRemoved) {
                 row.dataset.objectPath = row.dataset.objectPath.replace(oldPrefix, newPrefix);
             }
             
+            // Update the paths of conditional objects and their fields
+            ['conditionalObject', 'conditionField'].forEach(attribute => {
+                if (row.dataset[attribute]) row.dataset[attribute] = row.dataset[attribute].replace(oldPrefix, newPrefix);
+            });
+
             // Update any child elements with data-object-path
             row.querySelectorAll('[data-object-path]').forEach(child => {
                 child.dataset.objectPath = child.dataset.objectPath.replace(oldPrefix, newPrefix);
@@ -723,6 +734,7 @@ function renderArrayProperty(fragment, { prop, currentPath, indentationLevel, on
             const newObjectPath = `${arrayName}.${itemIndex}`;
             
             const newObjectFragment = document.createDocumentFragment();
+            const controlRow = createArrayItemControlRow(arrayName, newObjectPath);
 
             if (prop.items.oneOf || prop.items.anyOf) {
                 const itemProp = { ...prop.items }; 
@@ -730,11 +742,12 @@ function renderArrayProperty(fragment, { prop, currentPath, indentationLevel, on
                 placeholder.dataset.arrayGroup = newObjectPath;
                 newObjectFragment.appendChild(placeholder);
             } else {
-                generateRows(newObjectFragment, prop.items.properties, ontologyMap, prop.items.required || [], newObjectPath, indentationLevel + 1, lang);
+                // The control row stands for the item in the conditional rules of its schema
+                generateObjectRows(newObjectFragment, prop.items, controlRow, { ontologyMap, parentPath: newObjectPath, indentationLevel: indentationLevel + 1, lang });
                 [...newObjectFragment.children].forEach(r => { r.dataset.arrayGroup = newObjectPath; });
             }
             
-            newObjectFragment.appendChild(createArrayItemControlRow(arrayName, newObjectPath));
+            newObjectFragment.appendChild(controlRow);
             
             const allItemControls = document.querySelectorAll(`.array-item-control-row[data-array-group^="${arrayName}."]`);
             let insertionPoint = addButton.closest('.grid-row');
@@ -750,6 +763,7 @@ function renderArrayProperty(fragment, { prop, currentPath, indentationLevel, on
 
             triggerLocalization();
             triggerValidationForGroup(insertionPoint, newObjectPath);
+            applyConditionalRules(insertionPoint.closest('.sector-form-grid'));
         });
     } else {
         // Array of simple types (e.g., strings)
@@ -850,18 +864,18 @@ function createObjectHeaderRow({ currentPath, indentationLevel, ontologyMap, lan
  * @param {object} context - The rendering context.
  */
 function renderObjectProperty(fragment, { key, prop, currentPath, isRequired, indentationLevel, ontologyMap, lang }) {
-    if (!isRequired) {
+    if (!isRequired || prop.oneOf || prop.anyOf) {
         // Optional object: Render a placeholder row with an "Add" button by calling our new helper.
+        // Required objects with alternative types get the row too, with the type select instead of the button.
         fragment.appendChild(
-            createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationLevel, ontologyMap, lang)
+            createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationLevel, ontologyMap, lang, isRequired)
         );
     } else {
         // Required object: Render a header and recurse.
-        fragment.appendChild(
-            createObjectHeaderRow({ currentPath, indentationLevel, ontologyMap, lang })
-        );
+        const headerRow = createObjectHeaderRow({ currentPath, indentationLevel, ontologyMap, lang });
+        fragment.appendChild(headerRow);
 
-        generateRows(fragment, prop.properties, ontologyMap, prop.required || [], currentPath, indentationLevel + 1, lang);
+        generateObjectRows(fragment, prop, headerRow, { ontologyMap, parentPath: currentPath, indentationLevel: indentationLevel + 1, lang });
     }
 }
 
@@ -904,22 +918,207 @@ function generateRows(fragment, properties, ontologyMap, requiredFields = [], pa
 }
 
 
+// The object schemas with conditional rules, by the element standing for the object (see `generateObjectRows`)
+const conditionalSchemas = new WeakMap();
+let applyingConditionalRules = false;
+
+/**
+ * Generates the form rows of an object schema. For schemas with conditional rules (see `hasConditions`), the
+ * properties of their `then`/`else` branches are rendered too, the rows of each property are tagged with its path,
+ * and the schema is registered on the element standing for the object, for `applyConditionalRules`.
+ * @param {DocumentFragment} fragment - The fragment to append generated rows to.
+ * @param {object} schema - The object schema.
+ * @param {HTMLElement} anchor - The element standing for the object: its header row, the control row of an array
+ * item, or the grid for the root object.
+ * @param {object} context - The `ontologyMap`, `parentPath`, `indentationLevel` and `lang`, as for `generateRows`.
+ */
+function generateObjectRows(fragment, schema, anchor, { ontologyMap, parentPath = '', indentationLevel = 0, lang = 'en' }) {
+    if (!hasConditions(schema)) {
+        delete anchor.dataset.conditionalObject;
+        generateRows(fragment, schema.properties, ontologyMap, schema.required || [], parentPath, indentationLevel, lang);
+        return;
+    }
+
+    anchor.dataset.conditionalObject = parentPath;
+    conditionalSchemas.set(anchor, schema);
+    for (const [key, prop] of Object.entries(formProperties(schema))) {
+        const propertyRows = document.createDocumentFragment();
+        generateRows(propertyRows, { [key]: prop }, ontologyMap, schema.required || [], parentPath, indentationLevel, lang);
+        [...propertyRows.children].forEach(row => { row.dataset.conditionField = parentPath ? `${parentPath}.${key}` : key; });
+        fragment.appendChild(propertyRows);
+    }
+}
+
+// The paths a form row belongs to: its property, array item, objects and fields
+const rowPaths = (row) => [
+    row.dataset.conditionField,
+    row.dataset.arrayGroup,
+    row.dataset.objectPath,
+    ...(row.dataset.optionalObjectGroups || '').split(' '),
+    ...[...row.querySelectorAll('[name], [data-array-name]')].map(element => element.name || element.dataset.arrayName)
+].filter(Boolean);
+
+const isWithinPath = (paths, path) => paths.some(p => p === path || p.startsWith(`${path}.`));
 
 /**
- * Creates a placeholder row for an optional object, including the "Add" button and its logic.
+ * Reads the value of an object from the fields of a form grid, as the DPP generator would.
+ * @param {HTMLElement} grid - The form grid.
+ * @param {string} path - The path of the object, '' for the root object.
+ * @returns {object} The object; fields in hidden rows are left out.
+ */
+function readObjectValue(grid, path) {
+    const prefix = path ? `${path}.` : '';
+    const value = {};
+    grid.querySelectorAll('input, select').forEach(input => {
+        if (!input.name || !input.name.startsWith(prefix) || input.closest('.grid-row[hidden]')) return;
+        let fieldValue = input.value;
+        if (input.type === 'checkbox') {
+            fieldValue = input.checked;
+        } else if (input.type === 'number') {
+            fieldValue = isNaN(input.valueAsNumber) ? null : input.valueAsNumber;
+        }
+        setProperty(value, input.name.slice(prefix.length), fieldValue);
+    });
+    return value;
+}
+
+/**
+ * Applies the conditional rules of the objects of a form grid to their current values (see `evaluateConditions`):
+ * the rows of properties only the branch not taken declares are hidden, which leaves them out of the passport, and
+ * the fields the rules make required are validated as such. Outer objects are evaluated first, as their rules may
+ * hide inner objects.
+ * @param {HTMLElement} grid - The form grid.
+ */
+function applyConditionalRules(grid) {
+    if (!grid || applyingConditionalRules) return;
+    const depth = (anchor) => (anchor.dataset.conditionalObject ? anchor.dataset.conditionalObject.split('.').length : 0);
+    const anchors = [grid, ...grid.querySelectorAll('[data-conditional-object]')]
+        .filter(anchor => anchor.hasAttribute('data-conditional-object') && conditionalSchemas.has(anchor))
+        .sort((a, b) => depth(a) - depth(b));
+    if (anchors.length === 0) return;
+
+    applyingConditionalRules = true;
+    try {
+        const rows = [...grid.querySelectorAll('.grid-row')].map(row => ({ row, paths: rowPaths(row) }));
+        for (const anchor of anchors) {
+            if (anchor.hidden) continue;
+            const path = anchor.dataset.conditionalObject;
+            const schema = conditionalSchemas.get(anchor);
+            const { required, hidden } = evaluateConditions(schema, readObjectValue(grid, path));
+
+            for (const key of Object.keys(formProperties(schema))) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                const toValidate = new Set();
+
+                rows.filter(({ row, paths }) => row.hidden !== hidden.has(key) && isWithinPath(paths, fieldPath)).forEach(({ row }) => {
+                    row.hidden = hidden.has(key);
+                    row.querySelectorAll('input:not([type="checkbox"]), select').forEach(input => toValidate.add(input));
+                });
+
+                const input = grid.querySelector(`input[name="${fieldPath}"]:not([type="checkbox"]), select[name="${fieldPath}"]`);
+                if (input && (input.getAttribute('aria-required') === 'true') !== required.has(key)) {
+                    if (required.has(key)) input.setAttribute('aria-required', 'true');
+                    else input.removeAttribute('aria-required');
+                    toValidate.add(input);
+                }
+
+                // Validating hidden fields clears their errors
+                toValidate.forEach(field => field.dispatchEvent(new Event('blur', { bubbles: true, cancelable: true })));
+            }
+        }
+    } finally {
+        applyingConditionalRules = false;
+    }
+}
+
+// The wizard's labels of the simple types an alternative of a `oneOf` can have
+const SIMPLE_TYPE_LABELS = {
+    string: { text: 'Text', key: 'type-text' },
+    number: { text: 'Number', key: 'type-number' },
+    integer: { text: 'Number', key: 'type-number' },
+    boolean: { text: 'True/False', key: 'type-boolean' }
+};
+
+/**
+ * Lists the alternative types of a property with `oneOf` or `anyOf`. Properties declared next to the
+ * alternatives are part of each of them.
+ * @param {object} prop - The schema property.
+ * @returns {object[]|null} The schemas of the alternatives, or null if the property has none.
+ */
+function getBranches(prop) {
+    const branches = prop.oneOf || prop.anyOf;
+    if (!Array.isArray(branches)) return null;
+    if (!prop.properties) return branches;
+    return branches.map(branch => ({
+        ...branch,
+        properties: { ...prop.properties, ...branch.properties },
+        required: [...(prop.required || []), ...(branch.required || [])]
+    }));
+}
+
+/**
+ * Creates the select to pick one of the alternative types of a property. The options carry the properties
+ * (`data-properties`) and the JSON type (`data-type`) of their alternative, which lets the importer pick the
+ * alternative matching existing data.
+ * @param {string} key - The property key.
+ * @param {object[]} branches - The alternatives (see `getBranches`).
+ * @returns {HTMLSelectElement} The select, marked as pending until an alternative is chosen.
+ */
+function createBranchSelect(key, branches) {
+    const select = document.createElement('select');
+    select.className = 'type-selector';
+    select.dataset.pendingOptionalObject = key;
+    const defaultOpt = document.createElement('option');
+    defaultOpt.text = 'Select Type...';
+    defaultOpt.value = '';
+    defaultOpt.setAttribute('data-i18n-key', 'select-type');
+    select.appendChild(defaultOpt);
+
+    branches.forEach((branch, idx) => {
+        const option = document.createElement('option');
+        option.value = idx;
+        option.dataset.properties = Object.keys(branch.properties || {}).join(' ');
+        option.dataset.type = [].concat(branch.type || 'object').join(' ');
+        if (branch.title) {
+            option.text = branch.title;
+            option.setAttribute('data-i18n-key', 'custom-type-' + branch.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+        } else if (SIMPLE_TYPE_LABELS[branch.type]) {
+            option.text = SIMPLE_TYPE_LABELS[branch.type].text;
+            option.setAttribute('data-i18n-key', SIMPLE_TYPE_LABELS[branch.type].key);
+        } else {
+            option.text = `Option ${idx + 1}`;
+        }
+        select.appendChild(option);
+    });
+    return select;
+}
+
+/**
+ * Creates a placeholder row for an optional object, including the "Add" button and its logic. For objects with
+ * alternative types (`oneOf`/`anyOf`), the type is picked first; the select stays in the header of the expanded
+ * object, and picking another type swaps the object's fields.
  * @param {string} key - The property key for the optional object.
  * @param {object} prop - The schema property for the optional object.
  * @param {string} currentPath - The full path to the object.
  * @param {number} indentationLevel - The current UI indentation level.
  * @param {Map} ontologyMap - The map of all ontology terms.
  * @param {string} lang - The current language code.
+ * @param {boolean} [isRequired=false] - Whether the object is required: required objects with alternative types
+ * show the type select instead of the "Add" button, and cannot be removed.
  * @returns {HTMLDivElement} The placeholder row element.
  */
-function createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationLevel, ontologyMap, lang) {
+function createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationLevel, ontologyMap, lang, isRequired = false) {
+    const branches = getBranches(prop);
+    const branchSelect = branches ? createBranchSelect(key, branches) : null;
+
     const placeholderRow = document.createElement('div');
     placeholderRow.className = 'grid-row';
     placeholderRow.dataset.optionalObjectPlaceholder = key;
     placeholderRow.dataset.objectPath = currentPath; // Store path for updates
+    if (branches) {
+        // Lets the importer tell whether a simple value fits one of the types
+        placeholderRow.dataset.branchTypes = branches.map(branch => [].concat(branch.type || 'object').join(' ')).join(' ');
+    }
 
     const pathCell = document.createElement('div');
     pathCell.className = 'grid-cell';
@@ -934,7 +1133,7 @@ function createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationL
     addButton.textContent = 'Add';
     addButton.setAttribute('data-i18n-key', 'add');
     addButton.dataset.optionalObject = key;
-    valueCell.appendChild(addButton);
+    valueCell.appendChild(isRequired && branchSelect ? branchSelect : addButton);
     placeholderRow.appendChild(valueCell);
 
     // Populate the ontology and tooltip cells for the placeholder row.
@@ -960,77 +1159,27 @@ function createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationL
 
     placeholderRow.appendChild(createTooltipCell(ontologyInfo, governedBy, source, lang));
 
-    // Shared logic to expand the row once a schema is chosen
-    const expandRow = (schemaToUse) => {
+    // Renders the fields of the chosen schema below the header row
+    const renderGroupRows = (schemaToUse) => {
         const dynamicPath = placeholderRow.dataset.objectPath;
-        // Get existing groups from the placeholder row itself.
-        const existingGroups = placeholderRow.dataset.optionalObjectGroups || '';
-
+        const group = placeholderRow.dataset.optionalObjectGroups;
         const newFieldsFragment = document.createDocumentFragment();
-        const newGroup = `${existingGroups} ${dynamicPath}`.trim();
-
-        // 1. Transform the placeholder row into a header row.
-        placeholderRow.classList.add('grid-row-header');
-        placeholderRow.removeAttribute('data-optional-object-placeholder');
-        placeholderRow.dataset.optionalObjectGroups = newGroup;
-        populateHeaderRow(placeholderRow, { currentPath: dynamicPath, indentationLevel, ontologyMap, lang });
-
-        // Add Remove Button to the header (replacing the empty value cell content)
-        const headerValueCell = placeholderRow.children[1]; // Value cell is at index 1
-        headerValueCell.innerHTML = ''; // Clear any existing buttons/selects
-        const removeButton = document.createElement('button');
-        removeButton.type = 'button';
-        removeButton.textContent = 'Remove';
-        removeButton.setAttribute('data-i18n-key', 'remove');
-        removeButton.dataset.removeOptionalObject = key;
-        
-        removeButton.addEventListener('click', () => {
-             const grid = removeButton.closest('.sector-form-grid');
-             if (!grid) return;
-
-             // The row containing the button is the header row
-             const headerRow = removeButton.closest('.grid-row');
-             
-             // Use the current path from the header row (it may have changed due to array reindexing)
-             const currentDynamicPath = headerRow.dataset.objectPath || dynamicPath;
-
-             // Find all rows belonging to this specific group
-             const rowsToRemove = grid.querySelectorAll(`[data-optional-object-groups~="${currentDynamicPath}"]`);
-             
-             // Calculate parent groups
-             const allGroups = headerRow.dataset.optionalObjectGroups || '';
-             const parentGroups = allGroups.split(' ').filter(g => g !== currentDynamicPath).join(' ').trim();
-
-             // Re-create placeholder
-             const newPlaceholder = createOptionalObjectPlaceholderRow(key, prop, currentDynamicPath, indentationLevel, ontologyMap, lang);
-             if (parentGroups) {
-                 newPlaceholder.dataset.optionalObjectGroups = parentGroups;
-             }
-             if (headerRow.dataset.arrayGroup) {
-                 newPlaceholder.dataset.arrayGroup = headerRow.dataset.arrayGroup;
-             }
-
-             // Insert before and remove old
-             headerRow.before(newPlaceholder);
-             rowsToRemove.forEach(row => row.remove());
-             triggerLocalization();
-        });
-        
-        headerValueCell.appendChild(removeButton);
 
-        // Generate and add the child fields.
         // Check if schemaToUse has properties or needs further resolution (oneOf selected schemas are usually objects with properties)
         if (schemaToUse && schemaToUse.properties) {
-             generateRows(newFieldsFragment, schemaToUse.properties, ontologyMap, schemaToUse.required || [], dynamicPath, indentationLevel + 1, lang);
+            generateObjectRows(newFieldsFragment, schemaToUse, placeholderRow, { ontologyMap, parentPath: dynamicPath, indentationLevel: indentationLevel + 1, lang });
+        } else if (SIMPLE_TYPE_LABELS[schemaToUse?.type] || Array.isArray(schemaToUse?.type)) {
+            // An alternative of a simple type (e.g. a text instead of a related resource) is a single field named by the path
+            renderSimpleInputProperty(newFieldsFragment, { key, prop: schemaToUse, currentPath: dynamicPath, isRequired, indentationLevel: indentationLevel + 1, ontologyMap, lang });
         } else {
-             // Fallback or error handling if the selected schema doesn't have properties (e.g. empty object)
-             console.warn(`[FormBuilder] Expanded schema for ${key} has no properties.`);
+            // Fallback or error handling if the selected schema doesn't have properties (e.g. empty object)
+            console.warn(`[FormBuilder] Expanded schema for ${key} has no properties.`);
         }
-        
+
         // Mark all new rows as belonging to the group.
         [...newFieldsFragment.children].forEach(row => {
             // Add the new group and preserve any existing parent groups.
-            row.dataset.optionalObjectGroups = newGroup;
+            row.dataset.optionalObjectGroups = group;
             if (placeholderRow.dataset.arrayGroup) {
                 row.dataset.arrayGroup = placeholderRow.dataset.arrayGroup;
             }
@@ -1046,45 +1195,118 @@ function createOptionalObjectPlaceholderRow(key, prop, currentPath, indentationL
             // Dispatch a 'blur' event to trigger the existing validation handler.
             input.dispatchEvent(new Event('blur', { bubbles: true, cancelable: true }));
         });
+        applyConditionalRules(placeholderRow.closest('.sector-form-grid'));
     };
 
-    addButton.addEventListener('click', (event) => {
-        // Handle OneOf / AnyOf Selection
-        if (prop.oneOf && Array.isArray(prop.oneOf)) {
-             // Create selector UI in the value cell
-             valueCell.innerHTML = ''; // Clear "Add" button
-
-             const select = document.createElement('select');
-             select.className = 'type-selector';
-             select.dataset.pendingOptionalObject = key;
-             const defaultOpt = document.createElement('option');
-             defaultOpt.text = 'Select Type...';
-             defaultOpt.value = '';
-             defaultOpt.setAttribute('data-i18n-key', 'select-type');
-             select.appendChild(defaultOpt);
-
-             prop.oneOf.forEach((opt, idx) => {
-                 const option = document.createElement('option');
-                 option.value = idx;
-                 option.text = opt.title || `Option ${idx + 1}`;
-                 if (opt.title) {
-                     const key = 'custom-type-' + opt.title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-                     option.setAttribute('data-i18n-key', key);
+    // Removes the fields below the header row, including nested objects and array items, e.g. to swap the type
+    const removeGroupRows = () => {
+        const dynamicPath = placeholderRow.dataset.objectPath;
+        [...placeholderRow.parentElement.querySelectorAll('.grid-row')]
+            .filter(row => row !== placeholderRow && isWithinPath(rowPaths(row), dynamicPath))
+            .forEach(row => {
+                row.querySelectorAll('input, select').forEach(input => {
+                    if (!input.name) return;
+                    input.dispatchEvent(new CustomEvent('fieldValidityChange', {
+                        bubbles: true, composed: true, detail: { path: input.name, isValid: true },
+                    }));
+                });
+                row.remove();
+            });
+    };
+
+    // Shared logic to expand the row once a schema is chosen
+    const expandRow = (schemaToUse) => {
+        const dynamicPath = placeholderRow.dataset.objectPath;
+        // Get existing groups from the placeholder row itself.
+        const existingGroups = placeholderRow.dataset.optionalObjectGroups || '';
+        const newGroup = `${existingGroups} ${dynamicPath}`.trim();
+
+        // 1. Transform the placeholder row into a header row.
+        placeholderRow.classList.add('grid-row-header');
+        placeholderRow.removeAttribute('data-optional-object-placeholder');
+        placeholderRow.dataset.optionalObjectGroups = newGroup;
+        populateHeaderRow(placeholderRow, { currentPath: dynamicPath, indentationLevel, ontologyMap, lang });
+
+        // Add Remove Button to the header (replacing the empty value cell content)
+        const headerValueCell = placeholderRow.children[1]; // Value cell is at index 1
+        headerValueCell.innerHTML = ''; // Clear any existing buttons/selects
+
+        if (branchSelect) {
+            // The type stays selectable in the header: choosing another one swaps the fields
+            branchSelect.removeAttribute('data-pending-optional-object');
+            branchSelect.dataset.oneofBranch = key;
+            branchSelect.querySelector('option[value=""]')?.remove();
+            headerValueCell.appendChild(branchSelect);
+        }
+
+        if (!isRequired) {
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('data-i18n-key', 'remove');
+            removeButton.dataset.removeOptionalObject = key;
+
+            removeButton.addEventListener('click', () => {
+                 const grid = removeButton.closest('.sector-form-grid');
+                 if (!grid) return;
+
+                 // The row containing the button is the header row
+                 const headerRow = removeButton.closest('.grid-row');
+
+                 // Use the current path from the header row (it may have changed due to array reindexing)
+                 const currentDynamicPath = headerRow.dataset.objectPath || dynamicPath;
+
+                 // Find all rows belonging to this specific group
+                 const rowsToRemove = grid.querySelectorAll(`[data-optional-object-groups~="${currentDynamicPath}"]`);
+
+                 // Calculate parent groups
+                 const allGroups = headerRow.dataset.optionalObjectGroups || '';
+                 const parentGroups = allGroups.split(' ').filter(g => g !== currentDynamicPath).join(' ').trim();
+
+                 // Re-create placeholder
+                 const newPlaceholder = createOptionalObjectPlaceholderRow(key, prop, currentDynamicPath, indentationLevel, ontologyMap, lang);
+                 if (parentGroups) {
+                     newPlaceholder.dataset.optionalObjectGroups = parentGroups;
+                 }
+                 if (headerRow.dataset.arrayGroup) {
+                     newPlaceholder.dataset.arrayGroup = headerRow.dataset.arrayGroup;
                  }
-                 select.appendChild(option);
-             });
-
-             valueCell.appendChild(select);
-             triggerLocalization();
-             
-             // Handle selection
-             select.addEventListener('change', () => {
-                 if (select.value === '') return;
-                 placeholderRow.dataset.oneofSelection = select.value;
-                 const selectedSchema = prop.oneOf[parseInt(select.value, 10)];
-                 expandRow(selectedSchema); 
-             });
-             return;
+
+                 // Insert before and remove old
+                 headerRow.before(newPlaceholder);
+                 rowsToRemove.forEach(row => row.remove());
+                 triggerLocalization();
+                 applyConditionalRules(grid);
+            });
+
+            headerValueCell.appendChild(removeButton);
+        }
+
+        // Generate and add the child fields.
+        renderGroupRows(schemaToUse);
+    };
+
+    branchSelect?.addEventListener('change', () => {
+        if (branchSelect.value === '') return;
+        placeholderRow.dataset.oneofSelection = branchSelect.value;
+        const selectedSchema = branches[parseInt(branchSelect.value, 10)];
+        if (placeholderRow.classList.contains('grid-row-header')) {
+            // Swap the fields of the previous type for those of the chosen one
+            removeGroupRows();
+            renderGroupRows(selectedSchema);
+        } else {
+            expandRow(selectedSchema);
+        }
+    });
+
+    addButton.addEventListener('click', () => {
+        // Handle OneOf / AnyOf Selection
+        if (branchSelect) {
+            // Create selector UI in the value cell
+            valueCell.innerHTML = ''; // Clear "Add" button
+            valueCell.appendChild(branchSelect);
+            triggerLocalization();
+            return;
         }
 
         // Default expansion
@@ -1113,20 +1335,17 @@ export function buildForm(schema, ontologyMap = new Map(), contextMap = new Map(
     ontologyMap.contextMap = contextMap;
     // console.log('[FormBuilder] buildForm received schema:', JSON.stringify(schema, null, 2));
     const fragment = document.createDocumentFragment();
-    let properties = null;
-    let requiredFields = [];
+    let rootSchema = null;
 
     if (schema?.properties) {
-        properties = schema.properties;
-        requiredFields = schema.required || [];
+        rootSchema = schema;
     } else if (schema?.then?.properties) {
-        properties = schema.then.properties;
-        requiredFields = schema.then.required || [];
+        rootSchema = schema.then;
     }
 
-    // console.log('[FormBuilder] Extracted properties:', JSON.stringify(properties, null, 2));
+    // console.log('[FormBuilder] Extracted properties:', JSON.stringify(rootSchema?.properties, null, 2));
 
-    if (properties) {
+    if (rootSchema) {
         const grid = document.createElement('div');
         grid.className = 'sector-form-grid';
 
@@ -1141,9 +1360,13 @@ export function buildForm(schema, ontologyMap = new Map(), contextMap = new Map(
         
         // Create a temporary fragment for rows to be appended to the grid
         const rowsFragment = document.createDocumentFragment();
-        generateRows(rowsFragment, properties, ontologyMap, requiredFields, '', 0, lang);
+        generateObjectRows(rowsFragment, rootSchema, grid, { ontologyMap, lang });
         grid.appendChild(rowsFragment);
 
+        // Fields become required or hidden as the values their conditional rules test are entered
+        ['input', 'change', 'blur'].forEach(type => grid.addEventListener(type, () => applyConditionalRules(grid), true));
+        applyConditionalRules(grid);
+
         fragment.appendChild(grid);
     } else {
         // Fallback for schemas without properties
@@ -0,0 +1,165 @@
+// src/wizard/live-validation.js
+import { createBatchValidator } from '../validator/batch-validator.js';
+
+const FOCUSABLE = 'input, select, textarea, button';
+
+// Quotes and backslashes escaped for attribute selectors (CSS.escape is not available everywhere)
+const attributeValue = (value) => String(value).replace(/["\\]/g, '\\$&');
+
+/**
+ * Creates the function validating the passport generated by the wizard with all validators of the validator page:
+ * the JSON schemas with their sector `if/then` rules, the ontology, the JSON-LD context, the SHACL shapes and the
+ * business rules. It runs in the validator's web worker, so that typing stays responsive; where workers are not
+ * available, or the worker fails to start, it runs in the page.
+ * @returns {Function} An async function taking the DPP and `{translations, language}` and returning its validation
+ * report (see `createValidationReport`).
+ */
+export function createPassportValidator() {
+    let worker = null;
+    let pageValidator = null;
+
+    const validateInPage = async (dpp, options) => {
+        pageValidator ??= createBatchValidator();
+        return (await pageValidator({ source: 'wizard', data: dpp }, options)).report;
+    };
+
+    const validateInWorker = (dpp, options) => new Promise((resolve, reject) => {
+        const onMessage = ({ data: message }) => {
+            if (message.type === 'result') resolve(message.result.report);
+            else if (message.type === 'error') reject(new Error(message.message));
+            if (message.type !== 'result') cleanUp();
+        };
+        const onError = (event) => {
+            event.preventDefault();
+            cleanUp();
+            reject(Object.assign(new Error(event.message || 'The validation worker failed'), { code: 'EWORKER' }));
+        };
+        const cleanUp = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage({ type: 'validate', entries: [{ source: 'wizard', data: dpp }], ...options });
+    });
+
+    return async function validatePassport(dpp, options = {}) {
+        if (worker === null && typeof Worker !== 'undefined') {
+            try {
+                worker = new Worker(new URL('../validator/validation-worker.js', import.meta.url), { type: 'module' });
+            } catch (e) {
+                worker = false;
+            }
+        }
+        if (!worker) return validateInPage(dpp, options);
+
+        try {
+            return await validateInWorker(dpp, options);
+        } catch (e) {
+            if (e.code !== 'EWORKER') throw e;
+            console.warn('Validation worker not available, validating in the page:', e.message);
+            worker.terminate();
+            worker = false;
+            return validateInPage(dpp, options);
+        }
+    };
+}
+
+/**
+ * Debounces a validation run: a run starts once no new one was scheduled for `delay` milliseconds, runs never
+ * overlap, and results of runs scheduled over in the meantime are dropped.
+ * @param {Function} run - The async function to run.
+ * @param {object} handlers
+ * @param {Function} [handlers.onStart] - Called when a run starts.
+ * @param {Function} handlers.onResult - Called with the result of the latest run.
+ * @param {Function} [handlers.onError] - Called with the error of the latest run.
+ * @param {number} [delay=500] - The debounce delay in milliseconds.
+ * @returns {{schedule: Function, cancel: Function}} `schedule()` (re)starts the delay; `cancel()` drops pending and running runs.
+ */
+export function createDebouncedRunner(run, { onStart = () => {}, onResult, onError = () => {} }, delay = 500) {
+    let timer = null;
+    let generation = 0;
+    let queue = Promise.resolve();
+
+    const start = () => {
+        timer = null;
+        const current = generation;
+        queue = queue.then(async () => {
+            if (current !== generation) return;
+            onStart();
+            try {
+                const result = await run();
+                if (current === generation) onResult(result);
+            } catch (e) {
+                if (current === generation) onError(e);
+            }
+        });
+    };
+
+    return {
+        schedule() {
+            generation++;
+            clearTimeout(timer);
+            timer = setTimeout(start, delay);
+        },
+        cancel() {
+            generation++;
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+// The element to focus for a form row: the field itself, or the first control of an array or object row
+const focusableOf = (element) => (element.matches(FOCUSABLE) ? element : element.querySelector(FOCUSABLE));
+
+// The custom field row of a path: the rows of groups are nested in the group's container
+function findCustomField(wrapper, segments) {
+    let container = wrapper;
+    let row = null;
+    for (const segment of segments) {
+        const child = [...container.children].find(element => element.classList.contains('voluntary-field-row')
+            && element.querySelector('.voluntary-name')?.value === segment);
+        if (!child) break;
+        row = child;
+        container = row.querySelector(':scope > .voluntary-group-container');
+        if (!container) break;
+    }
+    if (!row) return null;
+    const isGroup = Boolean(row.querySelector(':scope > .voluntary-group-container'));
+    return (!isGroup && row.querySelector('.voluntary-value')) || row.querySelector('.voluntary-name');
+}
+
+/**
+ * Finds the form field a validation issue is about, to focus it. Missing required properties are located at their
+ * parent object, so the missing property is appended to the pointer. Issues inside values the form has no field for
+ * (e.g. an unknown array item) lead to the nearest enclosing field, array or object row.
+ * @param {{pointer: string, keyword: string|null, property: string|null}} issue - An issue of a validation report.
+ * @param {HTMLElement[]} forms - The core, sector and voluntary module forms.
+ * @param {HTMLElement} [customFields] - The wrapper of the custom (voluntary) fields.
+ * @returns {HTMLElement|null} The focusable element, or null if the issue is about nothing in the forms.
+ */
+export function findIssueField(issue, forms, customFields = null) {
+    const segments = (issue.pointer || '').split('/').slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (issue.keyword === 'required' && issue.property) segments.push(issue.property);
+
+    // The fields of custom fields with a Keystone type are named by their path like form fields
+    const containers = [...forms, customFields];
+    for (let length = segments.length; length > 0; length--) {
+        const path = attributeValue(segments.slice(0, length).join('.'));
+        const selectors = [
+            `[name="${path}"]`,
+            `.grid-row[data-object-path="${path}"]`,
+            `button.add-array-item-btn[data-array-name="${path}"]`
+        ];
+        for (const selector of selectors) {
+            for (const container of containers) {
+                const element = container?.querySelector(selector);
+                const focusable = element && focusableOf(element);
+                if (focusable) return focusable;
+            }
+        }
+    }
+    return customFields && segments.length > 0 ? findCustomField(customFields, segments) : null;
+}
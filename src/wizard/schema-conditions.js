@@ -0,0 +1,83 @@
+// src/wizard/schema-conditions.js
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+// The compiled `if` schemas; null for conditions that cannot be compiled
+const compiledConditions = new WeakMap();
+
+function compileCondition(condition) {
+    if (!compiledConditions.has(condition)) {
+        // A compiler per condition, as resolved schemas repeat the `$id`s of the schemas they reference
+        const ajv = new Ajv2020({ allowMatchingProperties: true, allowUnionTypes: true, strict: false });
+        addFormats(ajv);
+        try {
+            compiledConditions.set(condition, ajv.compile(condition));
+        } catch (e) {
+            console.warn('[SchemaConditions] Cannot evaluate the condition of a schema, all its fields are shown:', e.message);
+            compiledConditions.set(condition, null);
+        }
+    }
+    return compiledConditions.get(condition);
+}
+
+// The properties only a `then` or `else` branch declares
+const branchProperties = (schema, branch) => Object.keys(branch?.properties || {})
+    .filter(key => !schema.properties?.[key]);
+
+/**
+ * Tells whether an object schema has rules making its fields required or hidden depending on its value:
+ * `if/then/else` or `dependentRequired`.
+ * @param {object} schema - The object schema.
+ * @returns {boolean} True if the fields of the schema have to be updated as the object is edited.
+ */
+export function hasConditions(schema) {
+    return Boolean((schema?.if && (schema.then || schema.else)) || schema?.dependentRequired);
+}
+
+/**
+ * Lists the properties the form offers for an object schema: its own properties, then the properties only its
+ * `then` or `else` branch declares.
+ * @param {object} schema - The object schema.
+ * @returns {object} The properties by name.
+ */
+export function formProperties(schema) {
+    const properties = { ...schema.properties };
+    for (const branch of [schema.then, schema.else]) {
+        branchProperties(schema, branch).forEach(key => { properties[key] ??= branch.properties[key]; });
+    }
+    return properties;
+}
+
+/**
+ * Evaluates the conditional rules of an object schema against the object's value: the `required` list of the
+ * branch the `if` schema selects, and the `dependentRequired` lists of the properties present (also those of the
+ * branch), add to the required properties, and the properties only the other branch declares are hidden.
+ * @param {object} schema - The object schema.
+ * @param {object} [value={}] - The object as entered so far.
+ * @returns {{required: Set<string>, hidden: Set<string>}} The names of the required and of the hidden properties.
+ */
+export function evaluateConditions(schema, value = {}) {
+    const required = new Set(schema.required || []);
+    const hidden = new Set();
+
+    let branch = null;
+    if (schema.if && (schema.then || schema.else)) {
+        const condition = compileCondition(schema.if);
+        if (condition) {
+            const matches = condition(value);
+            branch = matches ? schema.then : schema.else;
+            const shown = branchProperties(schema, branch);
+            branchProperties(schema, matches ? schema.else : schema.then)
+                .filter(key => !shown.includes(key))
+                .forEach(key => hidden.add(key));
+        }
+    }
+
+    (branch?.required || []).forEach(key => required.add(key));
+    for (const rules of [schema.dependentRequired, branch?.dependentRequired]) {
+        Object.entries(rules || {})
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([, keys]) => keys.forEach(key => required.add(key)));
+    }
+    return { required, hidden };
+}
@@ -0,0 +1,80 @@
+// src/wizard/variant-template.js
+
+/** The granularities of the passports derived from a model template. */
+export const VARIANT_GRANULARITIES = ['Batch', 'Item'];
+
+/**
+ * The top-level fields a batch or item passport sets itself; all other fields are inherited from its model.
+ * The serial number of an item is part of its uniqueProductIdentifier.
+ */
+export const VARIANT_FIELDS = [
+    'digitalProductPassportId', 'uniqueProductIdentifier', 'granularity', 'lastUpdate', 'facilityId',
+    'manufacturingDate', 'lotNumber'
+];
+
+// Variant fields whose model values do not apply to any batch or item
+const CLEARED_FIELDS = ['manufacturingDate', 'lotNumber'];
+
+/** The custom field through which a derived passport links back to its model passport. */
+export const MODEL_LINK_KEY = 'modelPassport';
+
+/**
+ * Checks whether a form field is set by each batch or item passport rather than inherited.
+ * @param {string} name - The field name, i.e. its dotted path.
+ * @returns {boolean} True for the top-level variant fields.
+ */
+export const isVariantField = (name) => VARIANT_FIELDS.includes(name);
+
+/**
+ * Returns the passport ID of a derived passport: the UUID of the model's ID is replaced, or the UUID appended.
+ * @param {string} modelId - The digitalProductPassportId of the model passport.
+ * @param {string} uuid - A new UUID.
+ * @returns {string} The ID.
+ */
+export function childPassportId(modelId, uuid) {
+    const uuidPattern = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!modelId) return `urn:uuid:${uuid}`;
+    if (uuidPattern.test(modelId)) return modelId.replace(uuidPattern, uuid);
+    return modelId.startsWith('urn:') ? `${modelId}:${uuid}` : `${modelId.replace(/\/?$/, '/')}${uuid}`;
+}
+
+/**
+ * Derives the wizard session of a batch or item passport from a model template (see `collectSession` in
+ * wizard.js). The child gets a new passport ID and the granularity, its manufacturing date and lot are left
+ * empty, and a Related Resource custom field links it to the model passport. The session's `variant` lists
+ * what the wizard locks: everything but the variant fields and the custom fields added to the child.
+ * @param {{name: string, session: object}} template - The template.
+ * @param {string} granularity - 'Batch' or 'Item'.
+ * @param {string} uuid - A new UUID for the passport ID.
+ * @returns {object} The session.
+ */
+export function createVariantSession(template, granularity, uuid) {
+    const { core = {}, sectorData = {}, voluntary = [] } = template.session;
+    const modelId = core.digitalProductPassportId || '';
+    const clear = (state) => Object.fromEntries(Object.entries(state).filter(([name]) => !CLEARED_FIELDS.includes(name)));
+
+    const inherited = voluntary.filter(field => field.key !== MODEL_LINK_KEY);
+    const link = {
+        key: MODEL_LINK_KEY,
+        type: 'Related Resource',
+        fields: {
+            [`${MODEL_LINK_KEY}.url`]: modelId,
+            [`${MODEL_LINK_KEY}.resourceTitle`]: template.name,
+            [`${MODEL_LINK_KEY}.contentType`]: 'application/ld+json'
+        }
+    };
+
+    return {
+        ...template.session,
+        core: clear({ ...core, digitalProductPassportId: childPassportId(modelId, uuid), granularity }),
+        sectorData: Object.fromEntries(Object.entries(sectorData).map(([sector, state]) => [sector, clear(state)])),
+        voluntary: [...inherited, link],
+        variant: {
+            model: template.name,
+            modelId,
+            granularity,
+            inheritedFields: [...inherited.map(field => field.key), MODEL_LINK_KEY]
+        },
+        timestamp: Date.now()
+    };
+}
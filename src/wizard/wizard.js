@@ -5,11 +5,22 @@ import { loadSchema } from '../lib/schema-loader.js';
 import { loadOntology, loadContext } from '../lib/ontology-loader.js';
 import { buildForm, createVoluntaryFieldRow } from './form-builder.js';
 import { generateDpp } from './dpp-generator.js';
+import { detectSectors, splitContexts, hasFormField, fillForms, fillVoluntaryField, isVoluntaryValue } from './dpp-importer.js';
+import { createDraftStore, serializeDraft, parseDraftFile, draftFileName } from './draft-store.js';
+import { isVariantField, createVariantSession } from './variant-template.js';
+import { createPassportValidator, createDebouncedRunner, findIssueField } from './live-validation.js';
 import { generateHTML } from '../lib/html-generator.js';
 import { transformDpp } from '../util/js/client/dpp-schema-adapter.js';
-import * as jsonld from 'jsonld';
+import { redactDpp } from '../util/js/common/redaction/dpp-redactor.js';
+import { createKeystoneDocumentLoader } from '../util/js/common/loading/keystone-document-loader.js';
 import { KEYSTONE_VERSION } from '../lib/keystone-version.js';
+import { SECTOR_MAP } from '../lib/validation-pipeline.js';
 import { LanguageManager } from '../lib/language-manager.js';
+import { renderIssue } from '../lib/issue-renderer.js';
+import { EXAMPLES } from '../lib/example-registry.js';
+import { readBatchInput } from '../util/js/common/validation/batch-validation.js';
+import { groupIssuesByLayer } from '../util/js/common/validation/validation-report.js';
+import stripJsonComments from 'strip-json-comments';
 
 // --- Module-level state ---
 let currentLanguage = LanguageManager.getPreferredLanguage();
@@ -30,6 +41,37 @@ const SUPPORTED_CUSTOM_TYPES = [
     { label: 'Related Resource', schemaName: 'related-resource' }
 ];
 const STORAGE_KEY = `dpp_wizard_state_${KEYSTONE_VERSION}`;
+const DRAFTS_KEY = `dpp_wizard_drafts_${KEYSTONE_VERSION}`;
+const TEMPLATES_KEY = `dpp_wizard_templates_${KEYSTONE_VERSION}`;
+
+// Resolves the spec contexts and ontologies to the copies deployed next to the wizard
+const specDocumentLoader = createKeystoneDocumentLoader({ version: KEYSTONE_VERSION, baseUrl: '../spec/' });
+
+/**
+ * Loads the schema, ontology and context of a sector or voluntary module, or returns them from the cache.
+ * @param {string} sector - The sector name, e.g. 'battery'.
+ * @param {string} schemaType - 'sector', or 'shared' for voluntary modules.
+ * @returns {Promise<{schema: object, ontologyMap: Map, contextMap: Map}>} The sector data.
+ */
+async function loadSectorData(sector, schemaType) {
+    let data = sectorDataCache.get(sector);
+    if (!data) {
+        const schema = await loadSchema(sector, schemaType);
+        const ontologyMap = await loadOntology(sector);
+        const contextMap = await loadContext(sector);
+        data = { schema, ontologyMap, contextMap };
+        sectorDataCache.set(sector, data);
+    }
+    return data;
+}
+
+// Sector schemas declare their properties in their `then` branch
+function hasSchemaProperty(schema, prop) {
+    if (!schema) return false;
+    if (schema.properties && schema.properties[prop]) return true;
+    if (schema.then && schema.then.properties && schema.then.properties[prop]) return true;
+    return false;
+}
 
 // --- DOM Element References ---
 let coreFormContainer, sectorsFormContainer, voluntaryModulesContainer, addVoluntaryFieldBtn,
@@ -70,12 +112,14 @@ function saveFormState(container) {
         arrayIndexes[arrayName].indexes.push(index);
     });
 
-    const expandedElements = container.querySelectorAll('[data-remove-optional-object], [data-pending-optional-object]');
+    const expandedElements = container.querySelectorAll('[data-remove-optional-object], [data-pending-optional-object], [data-oneof-branch]');
     const optionalObjects = [];
     expandedElements.forEach(el => {
-        const key = el.dataset.removeOptionalObject || el.dataset.pendingOptionalObject;
+        const key = el.dataset.removeOptionalObject || el.dataset.pendingOptionalObject || el.dataset.oneofBranch;
         const row = el.closest('.grid-row');
         if (!row || !row.dataset.objectPath) return;
+        // Optional objects with alternative types have both a Remove button and a type select
+        if (optionalObjects.some(obj => obj.path === row.dataset.objectPath)) return;
 
         let oneOfSelection = undefined;
         if (row.hasAttribute('data-oneof-selection')) {
@@ -149,16 +193,14 @@ function restoreFormState(container, state) {
             // Find the specific row for this optional object
             const row = container.querySelector(`.grid-row[data-object-path="${task.path}"]`);
             if (row) {
-                // Find the specific add button within that row
+                // Find the specific add button within that row; required objects with alternative types have none
                 const addBtn = row.querySelector(`button[data-optional-object="${task.key}"]`);
-                if (addBtn) {
-                    addBtn.click();
-                    if (task.oneOfSelection !== undefined) {
-                        const select = row.querySelector(`select[data-pending-optional-object="${task.key}"]`);
-                        if (select) {
-                            select.value = task.oneOfSelection;
-                            select.dispatchEvent(new Event('change', { bubbles: true }));
-                        }
+                if (addBtn) addBtn.click();
+                if (task.oneOfSelection !== undefined) {
+                    const select = row.querySelector(`select[data-pending-optional-object="${task.key}"], select[data-oneof-branch="${task.key}"]`);
+                    if (select && select.value !== task.oneOfSelection) {
+                        select.value = task.oneOfSelection;
+                        select.dispatchEvent(new Event('change', { bubbles: true }));
                     }
                 }
             }
@@ -180,6 +222,88 @@ function restoreFormState(container, state) {
     });
 }
 
+/**
+ * Saves the custom (voluntary) fields of a container, including groups and the fields of custom types.
+ * @param {HTMLElement} container - The voluntary fields wrapper or a group container.
+ * @returns {Array<{key: string, type: string, value?: string, unit?: string, children?: Array, fields?: object}>}
+ * The fields in order: groups keep their `children`, custom types their form state as `fields`.
+ */
+function saveVoluntaryState(container) {
+    if (!container) return [];
+    return [...container.children].filter(el => el.classList.contains('voluntary-field-row')).map(row => {
+        const field = { key: row.querySelector('.voluntary-name').value, type: row.querySelector('.voluntary-type').value };
+        const groupContainer = row.querySelector(':scope > .voluntary-group-container');
+        if (field.type === 'Group') {
+            field.children = saveVoluntaryState(groupContainer);
+        } else if (groupContainer) {
+            field.fields = Object.fromEntries(saveFormState(groupContainer));
+        } else {
+            field.value = row.querySelector('.voluntary-value')?.value ?? '';
+            const unit = row.querySelector('.voluntary-unit')?.value;
+            if (unit) field.unit = unit;
+        }
+        return field;
+    });
+}
+
+// Resolves once an element matching the selector exists below the root, or with null after the timeout
+function waitForElement(root, selector, timeout = 10000) {
+    return new Promise(resolve => {
+        const found = root.querySelector(selector);
+        if (found) return resolve(found);
+        const observer = new MutationObserver(() => {
+            const element = root.querySelector(selector);
+            if (!element) return;
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(element);
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            resolve(null);
+        }, timeout);
+        observer.observe(root, { childList: true, subtree: true });
+    });
+}
+
+/**
+ * Restores custom fields saved with `saveVoluntaryState`.
+ * @param {HTMLElement} container - The voluntary fields wrapper or a group container.
+ * @param {Array} fields - The saved fields.
+ * @param {Function} addRow - Adds an empty field row to the container and returns it.
+ */
+async function restoreVoluntaryState(container, fields, addRow) {
+    for (const field of fields) {
+        const row = addRow();
+        const nameInput = row.querySelector('.voluntary-name');
+        nameInput.value = field.key || '';
+        nameInput.dispatchEvent(new Event('change'));
+
+        const typeSelect = row.querySelector('.voluntary-type');
+        if (field.type && field.type !== typeSelect.value) {
+            typeSelect.value = field.type;
+            typeSelect.dispatchEvent(new Event('change'));
+        }
+
+        if (field.type === 'Group') {
+            const addButton = row.querySelector('.voluntary-group-container .add-voluntary-prop-btn');
+            await restoreVoluntaryState(row.querySelector('.voluntary-group-container'), field.children || [], () => {
+                addButton.click();
+                return addButton.previousElementSibling;
+            });
+        } else if (field.fields) {
+            // Custom types render their form once their schema has loaded
+            const grid = await waitForElement(row, '.voluntary-group-container .sector-form-grid');
+            if (grid) restoreFormState(row.querySelector('.voluntary-group-container'), new Map(Object.entries(field.fields)));
+        } else {
+            const valueInput = row.querySelector('.voluntary-value');
+            if (valueInput) valueInput.value = field.value ?? '';
+            const unitInput = row.querySelector('.voluntary-unit');
+            if (unitInput) unitInput.value = field.unit || '';
+        }
+    }
+}
+
 /**
  * Re-renders all active forms with the current language.
  */
@@ -231,6 +355,12 @@ async function rerenderAllForms() {
 
 export async function initializeWizard() {
     const invalidFields = new Set();
+    const drafts = createDraftStore(localStorage, DRAFTS_KEY);
+    let currentDraftId = null;
+    // Model templates are kept like drafts; `variant` is set while editing a passport derived from one
+    const templates = createDraftStore(localStorage, TEMPLATES_KEY);
+    let variant = null;
+    const t = (key, fallback) => LanguageManager.t(key, fallback);
 
     // --- Get all UI elements ---
     coreFormContainer = document.getElementById('core-form-container');
@@ -457,79 +587,87 @@ export async function initializeWizard() {
     });
 
 
-    sectorButtons.forEach(button => {
-        button.addEventListener('click', async () => {
-            const sector = button.dataset.sector;
-            const sectorContainerId = `sector-form-${sector}`;
-            const existingContainer = document.getElementById(sectorContainerId);
-
-            const sectorDisplayNames = {
-                'general-product': 'General Product Information',
-                'textile': 'Textile',
-                'iron-steel': 'Iron or Steel'
-            };
-            const displayName = sectorDisplayNames[sector] || (sector.charAt(0).toUpperCase() + sector.slice(1));
-
-            const schemaType = button.dataset.schemaType || 'sector';
-
-            if (existingContainer) {
-                // The MutationObserver will handle clearing validation errors when the container is removed.
-                existingContainer.remove();
-                button.setAttribute('data-i18n-key', button.getAttribute('data-i18n-key').replace('remove-', 'add-'));
-                button.classList.remove('remove-btn-active');
-                triggerLocalization();
-            } else {
-                // Add Sector
-                try {
-                    let data = sectorDataCache.get(sector);
-                    if (!data) {
-                        const schema = await loadSchema(sector, schemaType);
-                        const ontologyMap = await loadOntology(sector);
-                        const contextMap = await loadContext(sector);
-                        data = { schema, ontologyMap, contextMap };
-                        sectorDataCache.set(sector, data);
-                    }
+    const sectorDisplayNames = {
+        'general-product': 'General Product Information',
+        'textile': 'Textile',
+        'iron-steel': 'Iron or Steel'
+    };
 
-                    const { schema, ontologyMap, contextMap } = data;
-                    const formFragment = buildForm(schema, ontologyMap, contextMap, currentLanguage);
+    /**
+     * Opens the form of a sector or voluntary module, loading its schema on first use.
+     * @param {HTMLButtonElement} button - The sector button.
+     */
+    async function openSector(button) {
+        const sector = button.dataset.sector;
+        const schemaType = button.dataset.schemaType || 'sector';
+        const displayName = sectorDisplayNames[sector] || (sector.charAt(0).toUpperCase() + sector.slice(1));
 
-                    const sectorContainer = document.createElement('div');
-                    sectorContainer.id = sectorContainerId;
-                    sectorContainer.className = 'sector-form-container';
-                    sectorContainer.dataset.schemaType = schemaType;
+        try {
+            const { schema, ontologyMap, contextMap } = await loadSectorData(sector, schemaType);
+            const formFragment = buildForm(schema, ontologyMap, contextMap, currentLanguage);
 
-                    const sectorHeader = document.createElement('h3');
-                    sectorHeader.textContent = displayName;
-                    sectorContainer.appendChild(sectorHeader);
+            const sectorContainer = document.createElement('div');
+            sectorContainer.id = `sector-form-${sector}`;
+            sectorContainer.className = 'sector-form-container';
+            sectorContainer.dataset.schemaType = schemaType;
 
-                    sectorContainer.appendChild(formFragment);
+            const sectorHeader = document.createElement('h3');
+            sectorHeader.textContent = displayName;
+            sectorContainer.appendChild(sectorHeader);
 
-                    if (schemaType === 'shared') {
-                        voluntaryModulesContainer.appendChild(sectorContainer);
-                    } else {
-                        sectorsFormContainer.appendChild(sectorContainer);
-                    }
+            sectorContainer.appendChild(formFragment);
 
-                    // Trigger validation for the new sector form
-                    validateAllFields(sectorContainer);
+            if (schemaType === 'shared') {
+                voluntaryModulesContainer.appendChild(sectorContainer);
+            } else {
+                sectorsFormContainer.appendChild(sectorContainer);
+            }
 
-                    button.setAttribute('data-i18n-key', button.getAttribute('data-i18n-key').replace('add-', 'remove-'));
-                    button.classList.add('remove-btn-active');
-                    triggerLocalization();
+            // Trigger validation for the new sector form
+            validateAllFields(sectorContainer);
 
-                } catch (error) {
-                    const targetContainer = (schemaType === 'shared') ? voluntaryModulesContainer : sectorsFormContainer;
-                    targetContainer.innerHTML += `<p class="error">Could not load the form for the ${sector} sector.</p>`;
-                    console.error(`Failed to build form for sector ${sector}:`, error);
-                }
+            button.setAttribute('data-i18n-key', button.getAttribute('data-i18n-key').replace('add-', 'remove-'));
+            button.classList.add('remove-btn-active');
+            triggerLocalization();
+
+        } catch (error) {
+            const targetContainer = (schemaType === 'shared') ? voluntaryModulesContainer : sectorsFormContainer;
+            targetContainer.innerHTML += `<p class="error">Could not load the form for the ${sector} sector.</p>`;
+            console.error(`Failed to build form for sector ${sector}:`, error);
+        }
+    }
+
+    /**
+     * Closes the form of a sector or voluntary module.
+     * @param {HTMLButtonElement} button - The sector button.
+     */
+    function closeSector(button) {
+        // The MutationObserver will handle clearing validation errors when the container is removed.
+        document.getElementById(`sector-form-${button.dataset.sector}`)?.remove();
+        button.setAttribute('data-i18n-key', button.getAttribute('data-i18n-key').replace('remove-', 'add-'));
+        button.classList.remove('remove-btn-active');
+        triggerLocalization();
+    }
+
+    /**
+     * Re-evaluates all voluntary fields now that the active sectors have changed.
+     * This prevents the validation state from being one cycle behind the DOM updates.
+     */
+    function revalidateVoluntaryNames() {
+        document.querySelectorAll('.voluntary-name').forEach(input => {
+            input.dispatchEvent(new Event('blur', { bubbles: true, cancelable: true }));
+        });
+    }
+
+    sectorButtons.forEach(button => {
+        button.addEventListener('click', async () => {
+            if (document.getElementById(`sector-form-${button.dataset.sector}`)) {
+                closeSector(button);
+            } else {
+                await openSector(button);
             }
             saveSession();
-
-            // Re-evaluate all voluntary fields now that the active sectors have changed.
-            // This prevents the validation state from being one cycle behind the DOM updates.
-            document.querySelectorAll('.voluntary-name').forEach(input => {
-                input.dispatchEvent(new Event('blur', { bubbles: true, cancelable: true }));
-            });
+            revalidateVoluntaryNames();
         });
     });
 
@@ -547,14 +685,7 @@ export async function initializeWizard() {
     async function getConflictingSectors(key) {
         const conflicts = [];
 
-        const hasProperty = (schema, prop) => {
-            if (!schema) return false;
-            if (schema.properties && schema.properties[prop]) return true;
-            if (schema.then && schema.then.properties && schema.then.properties[prop]) return true;
-            return false;
-        };
-
-        if (hasProperty(coreSchema, key)) {
+        if (hasSchemaProperty(coreSchema, key)) {
             conflicts.push('Core');
         }
 
@@ -563,21 +694,15 @@ export async function initializeWizard() {
         for (const container of activeContainers) {
             const sector = container.id.replace('sector-form-', '');
             const schemaType = container.dataset.schemaType || 'sector';
-            let data = sectorDataCache.get(sector);
-            if (!data) {
-                try {
-                    const schema = await loadSchema(sector, schemaType);
-                    const ontologyMap = await loadOntology(sector);
-                    const contextMap = await loadContext(sector);
-                    data = { schema, ontologyMap, contextMap };
-                    sectorDataCache.set(sector, data);
-                } catch (error) {
-                    console.warn(`Failed to load schema for sector ${sector} during collision check`, error);
-                    continue;
-                }
+            let data;
+            try {
+                data = await loadSectorData(sector, schemaType);
+            } catch (error) {
+                console.warn(`Failed to load schema for sector ${sector} during collision check`, error);
+                continue;
             }
 
-            if (data && hasProperty(data.schema, key)) {
+            if (hasSchemaProperty(data.schema, key)) {
                 conflicts.push(sector.charAt(0).toUpperCase() + sector.slice(1));
             }
         }
@@ -605,6 +730,7 @@ export async function initializeWizard() {
         const fieldRow = createVoluntaryFieldRow(getConflictingSectors, SUPPORTED_CUSTOM_TYPES, loadSchema, coreOntologyMap, getDefinedPrefixes);
         voluntaryFieldsWrapper.appendChild(fieldRow);
         triggerLocalization();
+        return fieldRow;
     }
 
     function addExternalContext() {
@@ -634,17 +760,225 @@ export async function initializeWizard() {
 
         externalContextsWrapper.appendChild(row);
         triggerLocalization();
+        return row;
     }
 
     if (addExternalContextBtn && externalContextsWrapper) {
-        addExternalContextBtn.addEventListener('click', addExternalContext);
+        addExternalContextBtn.addEventListener('click', () => addExternalContext());
+    }
+
+    /**
+     * Empties the wizard: closes all forms, and removes the custom fields and external contexts.
+     */
+    async function resetWizard() {
+        setVariant(null);
+        sectorButtons.forEach(button => {
+            if (button.classList.contains('remove-btn-active')) closeSector(button);
+        });
+        voluntaryFieldsWrapper.innerHTML = '';
+        externalContextsWrapper.innerHTML = '';
+        await initializeCoreForm();
+    }
+
+    /**
+     * Replaces the content of the wizard with an existing DPP, e.g. one produced by the CSV adapter: the declared
+     * sector forms and the voluntary modules holding its properties are opened and filled in, external contexts
+     * are listed, and top-level properties no form has become custom fields.
+     * @param {object} dpp - The DPP.
+     * @returns {Promise<{sectors: string[], customFields: string[], unplaced: Array<{path: string, value: *}>}>}
+     * The opened forms, the custom fields added, and the values that could not be placed.
+     */
+    async function importDpp(dpp) {
+        if (!dpp || typeof dpp !== 'object' || Array.isArray(dpp)) {
+            throw new Error(LanguageManager.t('import-not-a-passport', 'The file does not contain a passport object.'));
+        }
+
+        await resetWizard();
+        // The imported passport is new work, which must not overwrite the open draft
+        currentDraftId = null;
+
+        const buttons = [...sectorButtons];
+        const knownSectors = buttons.map(button => button.dataset.sector);
+        const sectors = detectSectors(dpp, knownSectors);
+        for (const sector of sectors) {
+            await openSector(buttons.find(button => button.dataset.sector === sector));
+        }
+
+        const { '@context': context, contentSpecificationIds, ...data } = dpp;
+        const forms = () => [coreFormContainer, sectorsFormContainer, voluntaryModulesContainer];
+
+        // Voluntary modules are not declared in contentSpecificationIds, so they are opened for the properties they hold
+        for (const button of buttons.filter(b => b.dataset.schemaType === 'shared' && !sectors.includes(b.dataset.sector))) {
+            const { schema } = await loadSectorData(button.dataset.sector, 'shared');
+            if (Object.keys(data).some(key => hasSchemaProperty(schema, key) && !hasFormField(forms(), key))) {
+                await openSector(button);
+                sectors.push(button.dataset.sector);
+            }
+        }
+
+        const { uris, prefixes } = splitContexts(context);
+        uris.forEach(uri => {
+            addExternalContext().querySelector('.context-uri').value = uri;
+        });
+        Object.entries(prefixes).forEach(([prefix, uri]) => {
+            const row = addExternalContext();
+            row.querySelector('.context-prefix').value = prefix;
+            row.querySelector('.context-uri').value = uri;
+        });
+
+        const { unknown, unplaced } = fillForms(forms(), data);
+        const customFields = [];
+        for (const { path, value } of unknown) {
+            if (!isVoluntaryValue(path, value)) {
+                unplaced.push({ path, value });
+                continue;
+            }
+            unplaced.push(...fillVoluntaryField(addVoluntaryField(), path, value));
+            customFields.push(path);
+        }
+        // IDs of specifications the wizard has no form for are not generated again
+        (Array.isArray(contentSpecificationIds) ? contentSpecificationIds : []).forEach((id, index) => {
+            if (detectSectors({ contentSpecificationIds: [id] }, knownSectors).length === 0) {
+                unplaced.push({ path: `contentSpecificationIds.${index}`, value: id });
+            }
+        });
+
+        [...forms(), voluntaryFieldsWrapper, externalContextsWrapper].forEach(validateAllFields);
+        revalidateVoluntaryNames();
+        saveSession();
+        triggerLocalization();
+        return { sectors, customFields, unplaced };
+    }
+
+    const importExampleSelector = document.getElementById('import-example-selector');
+    const importFileInput = document.getElementById('import-file-input');
+    const importPassportChoice = document.getElementById('import-passport-choice');
+    const importPassportSelector = document.getElementById('import-passport-selector');
+    const importReport = document.getElementById('import-report');
+    let importEntries = [];
+
+    const showImportReport = (source, result, error) => {
+        importReport.innerHTML = '';
+        importReport.hidden = false;
+        importReport.classList.toggle('import-failed', Boolean(error));
+
+        const summary = document.createElement('p');
+        summary.textContent = error
+            ? t('import-failed', 'Could not import {source}: {message}').replace('{source}', source).replace('{message}', error.message)
+            : t('import-summary', 'Imported {source}.').replace('{source}', source);
+        importReport.appendChild(summary);
+        if (error) return;
+
+        const addLine = (text) => {
+            const p = document.createElement('p');
+            p.textContent = text;
+            importReport.appendChild(p);
+        };
+        if (result.sectors.length > 0) {
+            addLine(t('import-sectors', 'Forms opened: {sectors}.').replace('{sectors}', result.sectors.join(', ')));
+        }
+        if (result.customFields.length > 0) {
+            addLine(t('import-custom-fields', 'Added as custom fields: {fields}.').replace('{fields}', result.customFields.join(', ')));
+        }
+        if (result.unplaced.length === 0) {
+            addLine(t('import-all-placed', 'All values were placed in the forms.'));
+            return;
+        }
+        addLine(t('import-unplaced', 'These values could not be placed in the forms:'));
+        const list = document.createElement('ul');
+        list.className = 'import-unplaced';
+        result.unplaced.forEach(({ path, value }) => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = path;
+            const json = JSON.stringify(value) ?? String(value);
+            item.append(code, `: ${json.length > 80 ? `${json.slice(0, 77)}...` : json}`);
+            list.appendChild(item);
+        });
+        importReport.appendChild(list);
+    };
+
+    const importEntry = async (entry) => {
+        try {
+            if (entry.error) throw new Error(entry.error);
+            showImportReport(entry.source, await importDpp(entry.data));
+        } catch (error) {
+            console.warn('Failed to import DPP:', error);
+            showImportReport(entry.source, null, error);
+        }
+    };
+
+    // A file can hold several passports (e.g. a CSV adapter export); the first is imported and the others can be picked
+    const importText = async (text, source) => {
+        try {
+            importEntries = readBatchInput(text, { source, parse: (json) => JSON.parse(stripJsonComments(json)) });
+        } catch (error) {
+            importEntries = [{ source, error: error.message }];
+        }
+        importPassportSelector.innerHTML = '';
+        importEntries.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = entry.data?.digitalProductPassportId || entry.source;
+            importPassportSelector.appendChild(option);
+        });
+        importPassportChoice.hidden = importEntries.length < 2;
+        await importEntry(importEntries[0]);
+    };
+
+    if (importExampleSelector && importFileInput && importReport) {
+        Object.entries(EXAMPLES).forEach(([name, url]) => {
+            const option = document.createElement('option');
+            option.value = url;
+            option.textContent = name;
+            importExampleSelector.appendChild(option);
+        });
+
+        importExampleSelector.addEventListener('change', async () => {
+            const url = importExampleSelector.value;
+            if (!url) return;
+            const name = importExampleSelector.selectedOptions[0].textContent;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+                await importText(await response.text(), name);
+            } catch (error) {
+                console.warn('Failed to load example:', error);
+                showImportReport(name, null, error);
+            }
+            importExampleSelector.value = '';
+        });
+
+        importFileInput.addEventListener('change', async () => {
+            const [file] = importFileInput.files;
+            if (!file) return;
+            await importText(await file.text(), file.name);
+            importFileInput.value = '';
+        });
+
+        importPassportSelector.addEventListener('change', () => importEntry(importEntries[importPassportSelector.value]));
     }
 
+    const getActiveSectors = () => [...document.querySelectorAll('.sector-form-container')]
+        .map(container => container.id.replace('sector-form-', ''));
+
+    // The passport as entered, before any redaction
+    const generateFullDpp = (activeSectors = getActiveSectors()) => generateDpp(activeSectors, coreFormContainer, sectorsFormContainer, voluntaryFieldsWrapper, voluntaryModulesContainer, externalContextsWrapper, sectorDataCache);
+
     // Helper to gather data and handle previews
     const getDppData = () => {
-        const activeSectors = [...document.querySelectorAll('.sector-form-container')]
-            .map(container => container.id.replace('sector-form-', ''));
-        return generateDpp(activeSectors, coreFormContainer, sectorsFormContainer, voluntaryFieldsWrapper, voluntaryModulesContainer, externalContextsWrapper, sectorDataCache);
+        const activeSectors = getActiveSectors();
+        const dppObject = generateFullDpp(activeSectors);
+
+        // Only output what the selected audience is allowed to see
+        const audience = document.getElementById('audience-selector')?.value || 'Authority';
+        if (audience === 'Authority') return dppObject;
+
+        const ontologyMap = new Map(coreOntologyMap || []);
+        for (const sector of activeSectors) {
+            sectorDataCache.get(sector)?.ontologyMap?.forEach((v, k) => ontologyMap.set(k, v));
+        }
+        return redactDpp(dppObject, audience, ontologyMap);
     };
 
     if (generateBtn) {
@@ -695,35 +1029,13 @@ export async function initializeWizard() {
 
                 const dppData = getDppData();
 
-                // Configure document loader to resolve specific URLs locally
-                const documentLoader = async (url, options) => {
-                    // Intercept spec URLs and redirect to local files if possible
-                    if (url.startsWith('https://dpp-keystone.org/spec/')) {
-                        const relativePath = url.replace('https://dpp-keystone.org/spec/', '../spec/');
-
-                        // Try to fetch locally
-                        try {
-                            const res = await fetch(relativePath);
-                            if (res.ok) {
-                                const document = await res.json();
-                                return {
-                                    contextUrl: null,
-                                    document,
-                                    documentUrl: url
-                                };
-                            }
-                        } catch (e) {
-                            console.warn(`Failed to fetch local spec for ${url}, falling back to network/default.`);
-                        }
-                    }
-                    return (jsonld.documentLoaders ? jsonld.documentLoaders.xhr() : (u) => fetch(u).then(r => r.json()).then(d => ({ document: d, documentUrl: u })))(url);
-                };
-
                 const options = {
                     profile: 'schema.org',
                     ontologyPaths: [`../spec/ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`],
-                    documentLoader,
-                    version: KEYSTONE_VERSION
+                    sectorSchemaPaths: Object.values(SECTOR_MAP).map(file => `../spec/validation/${KEYSTONE_VERSION}/json-schema/${file}`),
+                    documentLoader: specDocumentLoader,
+                    version: KEYSTONE_VERSION,
+                    language: currentLanguage
                 };
 
                 const transformed = await transformDpp(dppData, options);
@@ -744,9 +1056,10 @@ export async function initializeWizard() {
     }
 
     /**
-     * Saves the current session state (Core + Sectors) to localStorage.
+     * Collects the state of the wizard: the core form, the open sector forms, the custom fields and the external contexts.
+     * @returns {object} The session, which `applySession` restores.
      */
-    function saveSession() {
+    function collectSession() {
         const coreState = Object.fromEntries(saveFormState(coreFormContainer));
         // Capture from both main sectors container and voluntary modules container
         const activeSectors = [...document.querySelectorAll('.sector-form-container')]
@@ -758,14 +1071,72 @@ export async function initializeWizard() {
             sectorStates[sector] = Object.fromEntries(saveFormState(container));
         });
 
-        const session = {
+        const externalContexts = [...externalContextsWrapper.querySelectorAll('.external-context-row')].map(row => ({
+            prefix: row.querySelector('.context-prefix').value,
+            uri: row.querySelector('.context-uri').value
+        }));
+
+        return {
             core: coreState,
             sectors: activeSectors,
             sectorData: sectorStates,
+            voluntary: saveVoluntaryState(voluntaryFieldsWrapper),
+            externalContexts,
+            ...(variant && { variant }),
             timestamp: Date.now()
         };
+    }
 
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    /**
+     * Saves the current session state to localStorage, and to the open draft.
+     */
+    function saveSession() {
+        const session = collectSession();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, draftId: currentDraftId }));
+        if (currentDraftId) {
+            drafts.update(currentDraftId, session);
+            renderDraftList();
+        }
+    }
+
+    /**
+     * Restores a session into the empty wizard.
+     * @param {object} session - The session, see `collectSession`.
+     */
+    async function applySession(session) {
+        // 1. Restore Core Form
+        if (session.core) {
+            restoreFormState(coreFormContainer, new Map(Object.entries(session.core)));
+            validateAllFields(coreFormContainer);
+        }
+
+        // 2. Restore Sectors
+        if (session.sectors && Array.isArray(session.sectors)) {
+            for (const sector of session.sectors) {
+                const btn = document.querySelector(`button[data-sector="${sector}"]`);
+                if (btn && !btn.classList.contains('remove-btn-active')) {
+                    await openSector(btn);
+
+                    // Restore data for this sector
+                    if (session.sectorData && session.sectorData[sector]) {
+                        const container = document.getElementById(`sector-form-${sector}`);
+                        restoreFormState(container, new Map(Object.entries(session.sectorData[sector])));
+                        validateAllFields(container);
+                    }
+                }
+            }
+        }
+
+        // 3. Restore external contexts before the custom fields, whose prefixes they define
+        (session.externalContexts || []).forEach(({ prefix, uri }) => {
+            const row = addExternalContext();
+            row.querySelector('.context-prefix').value = prefix || '';
+            row.querySelector('.context-uri').value = uri || '';
+        });
+        await restoreVoluntaryState(voluntaryFieldsWrapper, session.voluntary || [], addVoluntaryField);
+        validateAllFields(voluntaryFieldsWrapper);
+        revalidateVoluntaryNames();
+        setVariant(session.variant || null);
     }
 
     /**
@@ -777,38 +1148,367 @@ export async function initializeWizard() {
 
         try {
             const session = JSON.parse(raw);
+            if (session.draftId && drafts.get(session.draftId)) currentDraftId = session.draftId;
+            await applySession(session);
+        } catch (e) {
+            console.warn('Failed to restore session:', e);
+        }
+    }
 
-            // 1. Restore Core Form
-            if (session.core) {
-                restoreFormState(coreFormContainer, new Map(Object.entries(session.core)));
-                validateAllFields(coreFormContainer);
+    // --- Drafts ---
+
+    const draftSelector = document.getElementById('draft-selector');
+    const draftNameInput = document.getElementById('draft-name');
+    const draftImportInput = document.getElementById('draft-import-input');
+    const draftMessage = document.getElementById('draft-message');
+
+    function renderDraftList() {
+        if (!draftSelector) return;
+        draftSelector.innerHTML = '';
+        const unsaved = document.createElement('option');
+        unsaved.value = '';
+        unsaved.setAttribute('data-i18n-key', 'draft-unsaved');
+        unsaved.textContent = t('draft-unsaved', '(Unsaved work)');
+        draftSelector.appendChild(unsaved);
+        drafts.list().forEach(draft => {
+            const option = document.createElement('option');
+            option.value = draft.id;
+            option.textContent = `${draft.name} (${new Date(draft.updated).toLocaleString(currentLanguage)})`;
+            draftSelector.appendChild(option);
+        });
+        draftSelector.value = currentDraftId || '';
+        const current = currentDraftId && drafts.get(currentDraftId);
+        if (document.activeElement !== draftNameInput) draftNameInput.value = current ? current.name : '';
+        document.querySelectorAll('[data-requires-draft]').forEach(button => { button.disabled = !current; });
+    }
+
+    const showDraftMessage = (text, isError = false) => {
+        draftMessage.textContent = text;
+        draftMessage.classList.toggle('import-failed', isError);
+        draftMessage.hidden = !text;
+    };
+
+    const draftName = () => draftNameInput.value.trim() || t('draft-untitled', 'Untitled draft');
+
+    // Work that is not in a draft is only kept until something else is opened
+    const confirmDiscardUnsaved = () => Boolean(currentDraftId)
+        || window.confirm(t('draft-discard-confirm', 'The current work is not saved as a draft and will be discarded. Continue?'));
+
+    async function openDraft(id) {
+        const draft = drafts.get(id);
+        if (!draft) return;
+        await resetWizard();
+        currentDraftId = id;
+        await applySession(draft.session);
+        saveSession();
+        triggerLocalization();
+    }
+
+    if (draftSelector && draftNameInput) {
+        draftSelector.addEventListener('change', async () => {
+            showDraftMessage('');
+            if (draftSelector.value) {
+                if (!confirmDiscardUnsaved()) {
+                    draftSelector.value = '';
+                    return;
+                }
+                await openDraft(draftSelector.value);
+            } else {
+                // Detach from the draft; the work stays in the wizard
+                currentDraftId = null;
+                saveSession();
             }
+            renderDraftList();
+        });
 
-            // 2. Restore Sectors
-            if (session.sectors && Array.isArray(session.sectors)) {
-                for (const sector of session.sectors) {
-                    // Trigger the add button click to load the sector form
-                    const btn = document.querySelector(`button[data-sector="${sector}"]`);
-                    if (btn && !btn.classList.contains('remove-btn-active')) {
-                        await btn.click(); // This is async because it fetches schemas
-
-                        // Restore data for this sector
-                        if (session.sectorData && session.sectorData[sector]) {
-                            const container = document.getElementById(`sector-form-${sector}`);
-                            restoreFormState(container, new Map(Object.entries(session.sectorData[sector])));
-                            validateAllFields(container);
-                        }
-                    }
+        // Renaming the open draft; typing the name of new work does not save it yet
+        draftNameInput.addEventListener('change', () => {
+            if (currentDraftId) drafts.rename(currentDraftId, draftName());
+            renderDraftList();
+        });
+
+        document.getElementById('new-draft-btn')?.addEventListener('click', async () => {
+            if (!confirmDiscardUnsaved()) return;
+            showDraftMessage('');
+            await resetWizard();
+            currentDraftId = drafts.create(t('draft-untitled', 'Untitled draft'), collectSession()).id;
+            saveSession();
+            renderDraftList();
+            triggerLocalization();
+        });
+
+        document.getElementById('save-draft-btn')?.addEventListener('click', () => {
+            if (currentDraftId) {
+                drafts.rename(currentDraftId, draftName());
+            } else {
+                currentDraftId = drafts.create(draftName(), collectSession()).id;
+            }
+            saveSession();
+            renderDraftList();
+            showDraftMessage(t('draft-saved', 'Saved as "{name}". Changes are saved to the draft as you edit.').replace('{name}', drafts.get(currentDraftId).name));
+        });
+
+        document.getElementById('duplicate-draft-btn')?.addEventListener('click', () => {
+            const draft = currentDraftId && drafts.get(currentDraftId);
+            if (!draft) return;
+            saveSession();
+            currentDraftId = drafts.duplicate(draft.id, t('draft-copy-name', '{name} (copy)').replace('{name}', draft.name)).id;
+            saveSession();
+            renderDraftList();
+        });
+
+        document.getElementById('delete-draft-btn')?.addEventListener('click', () => {
+            const draft = currentDraftId && drafts.get(currentDraftId);
+            if (!draft) return;
+            if (!window.confirm(t('draft-delete-confirm', 'Delete the draft "{name}"? The form keeps its content.').replace('{name}', draft.name))) return;
+            drafts.remove(draft.id);
+            currentDraftId = null;
+            saveSession();
+            renderDraftList();
+        });
+
+        document.getElementById('export-draft-btn')?.addEventListener('click', () => {
+            const timestamp = Date.now();
+            const draft = (currentDraftId && drafts.get(currentDraftId)) || { name: draftName(), created: timestamp };
+            const content = serializeDraft({ ...draft, updated: timestamp, session: collectSession() }, KEYSTONE_VERSION);
+            const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = draftFileName(draft.name);
+            a.click();
+            URL.revokeObjectURL(url);
+        });
+
+        draftImportInput?.addEventListener('change', async () => {
+            const [file] = draftImportInput.files;
+            if (!file) return;
+            try {
+                const draft = parseDraftFile(await file.text());
+                if (!confirmDiscardUnsaved()) {
+                    draftImportInput.value = '';
+                    return;
                 }
+                await resetWizard();
+                currentDraftId = drafts.create(draft.name, draft.session).id;
+                await applySession(draft.session);
+                saveSession();
+                renderDraftList();
+                triggerLocalization();
+                showDraftMessage(draft.version && draft.version !== KEYSTONE_VERSION
+                    ? t('draft-imported-other-version', 'Imported "{name}", made for Keystone {version}: fields that changed since may be empty.')
+                        .replace('{name}', draft.name).replace('{version}', draft.version)
+                    : t('draft-imported', 'Imported "{name}".').replace('{name}', draft.name));
+            } catch (error) {
+                console.warn('Failed to import draft:', error);
+                showDraftMessage(t('draft-import-failed', 'Could not import {file}: {message}')
+                    .replace('{file}', file.name).replace('{message}', error.message), true);
+            }
+            draftImportInput.value = '';
+        });
+    }
+
+    // --- Product variants ---
+
+    const templateSelector = document.getElementById('template-selector');
+    const templateNameInput = document.getElementById('template-name');
+    const variantGranularity = document.getElementById('variant-granularity');
+    const variantStatus = document.getElementById('variant-status');
+    const variantMessage = document.getElementById('variant-message');
+
+    /**
+     * Locks the fields a batch or item passport inherits from its model template, or unlocks them all when no
+     * derived passport is being edited. Runs again whenever the forms are rebuilt.
+     */
+    function applyVariantLock() {
+        document.querySelectorAll('.inherited-field').forEach(element => {
+            element.disabled = false;
+            element.classList.remove('inherited-field');
+        });
+        if (!variant) return;
+
+        const formElements = [coreFormContainer, sectorsFormContainer, voluntaryModulesContainer]
+            .flatMap(container => [...container.querySelectorAll('input, select, textarea, button:not(.tooltip-button)')])
+            .filter(element => !isVariantField(element.name));
+        // Custom fields added to the derived passport stay editable
+        const customElements = [...voluntaryFieldsWrapper.children]
+            .filter(row => variant.inheritedFields.includes(row.querySelector('.voluntary-name')?.value))
+            .flatMap(row => [...row.querySelectorAll('input, select, button')]);
+
+        [...formElements, ...customElements, ...sectorButtons].filter(element => !element.disabled).forEach(element => {
+            element.disabled = true;
+            element.classList.add('inherited-field');
+        });
+    }
+
+    function setVariant(value) {
+        variant = value;
+        applyVariantLock();
+        if (!variantStatus) return;
+        variantStatus.hidden = !variant;
+        if (variant) {
+            document.getElementById('variant-status-text').textContent = t('variant-status', '{granularity} passport derived from "{model}": the inherited fields are locked.')
+                .replace('{granularity}', variant.granularity).replace('{model}', variant.model);
+        }
+    }
+
+    function renderTemplateList(selectedId = templateSelector?.value) {
+        if (!templateSelector) return;
+        templateSelector.innerHTML = '';
+        const list = templates.list();
+        if (list.length === 0) {
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.setAttribute('data-i18n-key', 'no-templates');
+            empty.textContent = t('no-templates', 'No templates yet');
+            templateSelector.appendChild(empty);
+        }
+        list.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            templateSelector.appendChild(option);
+        });
+        if (selectedId && templates.get(selectedId)) templateSelector.value = selectedId;
+        document.querySelectorAll('[data-requires-template]').forEach(button => { button.disabled = !templateSelector.value; });
+    }
+
+    const showVariantMessage = (text) => {
+        variantMessage.textContent = text;
+        variantMessage.hidden = !text;
+    };
+
+    if (templateSelector && variantGranularity) {
+        templateSelector.addEventListener('change', () => renderTemplateList());
+
+        document.getElementById('save-template-btn')?.addEventListener('click', () => {
+            const session = collectSession();
+            delete session.variant;
+            const name = templateNameInput.value.trim() || session.core.digitalProductPassportId
+                || t('template-untitled', 'Untitled template');
+            const template = templates.create(name, session);
+            templateNameInput.value = '';
+            renderTemplateList(template.id);
+            showVariantMessage(t('template-saved', 'Saved the template "{name}".').replace('{name}', name));
+        });
+
+        document.getElementById('new-variant-btn')?.addEventListener('click', async () => {
+            const template = templates.get(templateSelector.value);
+            if (!template || !confirmDiscardUnsaved()) return;
+            showVariantMessage('');
+            await resetWizard();
+            // The derived passport is new work, like an imported one
+            currentDraftId = null;
+            await applySession(createVariantSession(template, variantGranularity.value, crypto.randomUUID()));
+            saveSession();
+            renderDraftList();
+            triggerLocalization();
+        });
+
+        document.getElementById('delete-template-btn')?.addEventListener('click', () => {
+            const template = templates.get(templateSelector.value);
+            if (!template) return;
+            if (!window.confirm(t('template-delete-confirm', 'Delete the template "{name}"? Passports derived from it keep their content.').replace('{name}', template.name))) return;
+            templates.remove(template.id);
+            showVariantMessage('');
+            renderTemplateList();
+        });
+
+        document.getElementById('unlock-variant-btn')?.addEventListener('click', () => {
+            setVariant(null);
+            saveSession();
+        });
+    }
+
+    // --- Live validation ---
+
+    const liveValidationToggle = document.getElementById('live-validation-toggle');
+    const liveValidationStatus = document.getElementById('live-validation-status');
+    const liveValidationIssues = document.getElementById('live-validation-issues');
+    const validatePassport = createPassportValidator();
+    const fieldForms = () => [coreFormContainer, sectorsFormContainer, voluntaryModulesContainer];
+
+    const setLiveValidationStatus = (text, state = '') => {
+        liveValidationStatus.textContent = text;
+        liveValidationStatus.className = state && `live-validation-${state}`;
+    };
+
+    function focusIssueField(issue) {
+        const field = findIssueField(issue, fieldForms(), voluntaryFieldsWrapper);
+        if (!field) return;
+        field.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        field.focus();
+    }
+
+    // Issues about a form field link to it
+    function renderLiveIssue(issue) {
+        const hasField = Boolean(findIssueField(issue, fieldForms(), voluntaryFieldsWrapper));
+        return renderIssue(issue, hasField ? { reveal: focusIssueField } : {});
+    }
+
+    function renderLiveReport(report) {
+        liveValidationIssues.innerHTML = '';
+        if (report.summary.total === 0) {
+            setLiveValidationStatus(t('live-validation-valid', 'No issues: the passport passes all validators.'), 'valid');
+            return;
+        }
+        const { error, warning, info } = report.summary.bySeverity;
+        setLiveValidationStatus(t('live-validation-summary', 'Errors: {errors}, warnings: {warnings}, notes: {infos}')
+            .replace('{errors}', error).replace('{warnings}', warning).replace('{infos}', info), report.valid ? 'valid' : 'invalid');
+        groupIssuesByLayer(report.issues).forEach(({ layer, issues }) => {
+            const heading = document.createElement('h3');
+            heading.textContent = `${t(`layer-${layer}`, layer)} (${issues.length})`;
+            const ul = document.createElement('ul');
+            issues.forEach(issue => ul.appendChild(renderLiveIssue(issue)));
+            liveValidationIssues.append(heading, ul);
+        });
+    }
+
+    const liveValidation = createDebouncedRunner(
+        () => validatePassport(generateFullDpp(), {
+            translations: LanguageManager.translations,
+            language: LanguageManager.getPreferredLanguage()
+        }),
+        {
+            onStart: () => setLiveValidationStatus(t('live-validation-running', 'Validating…')),
+            onResult: renderLiveReport,
+            onError: (error) => {
+                console.warn('Live validation failed:', error);
+                liveValidationIssues.innerHTML = '';
+                setLiveValidationStatus(t('live-validation-failed', 'The passport could not be validated: {message}')
+                    .replace('{message}', error.message), 'failed');
             }
-        } catch (e) {
-            console.warn('Failed to restore session:', e);
         }
+    );
+    const scheduleLiveValidation = () => {
+        if (liveValidationToggle?.checked) liveValidation.schedule();
+    };
+
+    if (liveValidationToggle && liveValidationStatus && liveValidationIssues) {
+        // Any edit of the forms, including added or removed fields, array items and sectors, validates again
+        const formContainers = [...fieldForms(), voluntaryFieldsWrapper, externalContextsWrapper];
+        const isFormEdit = (target) => formContainers.some(container => container?.contains(target));
+        ['input', 'change'].forEach(type => document.addEventListener(type, (e) => {
+            if (isFormEdit(e.target)) scheduleLiveValidation();
+        }));
+        const formObserver = new MutationObserver(scheduleLiveValidation);
+        formContainers.filter(Boolean).forEach(container => formObserver.observe(container, { childList: true, subtree: true }));
+
+        liveValidationToggle.addEventListener('change', () => {
+            if (liveValidationToggle.checked) {
+                liveValidation.schedule();
+                return;
+            }
+            liveValidation.cancel();
+            liveValidationIssues.innerHTML = '';
+            setLiveValidationStatus(t('live-validation-off', 'Live validation is off.'));
+        });
     }
 
     // Initial setup
     await initializeCoreForm();
     await restoreSession();
+    renderDraftList();
+    renderTemplateList();
 
     if (langWrapper) {
         langWrapper.innerHTML = '';
@@ -827,14 +1527,19 @@ export async function initializeWizard() {
                 validateAllFields(voluntaryModulesContainer);
                 validateAllFields(voluntaryFieldsWrapper);
                 validateAllFields(externalContextsWrapper);
+                applyVariantLock();
+                // The messages of the report are localized
+                scheduleLiveValidation();
             }
         });
     }
+    scheduleLiveValidation();
 
     // Expose schemas for the testing environment
     window.testing = {
         getCoreSchema: () => coreSchema,
         getSectorData: () => sectorDataCache,
+        importDpp,
     };
 }
 
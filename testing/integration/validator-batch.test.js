@@ -0,0 +1,71 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+global.URL.revokeObjectURL = jest.fn();
+
+describe('DPP Validator - Batch Validation', () => {
+    let validatorHtml;
+
+    beforeAll(async () => {
+        validatorHtml = await loadFile('dist/validator/index.html');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = validatorHtml;
+        jest.resetModules();
+        localStorage.clear();
+    });
+
+    it('should validate arrays of DPPs passport by passport and list the results', async () => {
+        // Serve the spec from the build, as the page would; jsdom has no workers, so the batch is validated in the page
+        global.fetch = jest.fn(serveFromDist('validator'));
+        const battery = JSON.parse(await loadFile('dist/spec/examples/battery-dpp-v1.json'));
+
+        await import('../../dist/validator/validator.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const validateBtn = await waitFor(() => {
+            const b = document.getElementById('validate-btn');
+            return (b && !b.disabled) ? b : null;
+        });
+
+        document.getElementById('json-input').value = JSON.stringify([
+            battery,
+            { ...battery, digitalProductPassportId: 'urn:uuid:broken', lastUpdate: 'yesterday' }
+        ]);
+        validateBtn.click();
+
+        const resultBox = document.getElementById('validation-result');
+        await waitFor(() => resultBox.classList.contains('error'));
+
+        const rows = [...resultBox.querySelectorAll('tr.batch-row')];
+        expect(rows.map(row => [...row.cells].map(cell => cell.textContent))).toEqual([
+            ['1', battery.digitalProductPassportId, 'input [0]', 'Valid', '0', '0'],
+            ['2', 'urn:uuid:broken', 'input [1]', 'Invalid', '3', '0']
+        ]);
+        expect(resultBox.querySelector('.batch-progress').textContent).toBe('1 of 2 passports are valid.');
+
+        // Drill-down into the errors of a passport
+        const details = rows[1].nextElementSibling;
+        expect(details.hidden).toBe(true);
+        rows[1].click();
+        expect(details.hidden).toBe(false);
+        expect(details.textContent).toContain('/lastUpdate');
+
+        const csvButton = resultBox.querySelector('.report-toolbar button');
+        expect(csvButton.disabled).toBe(false);
+        csvButton.click();
+        expect(URL.createObjectURL).toHaveBeenCalledWith(expect.objectContaining({ type: 'text/csv' }));
+    });
+});
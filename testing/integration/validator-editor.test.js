@@ -0,0 +1,73 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+global.URL.revokeObjectURL = jest.fn();
+
+describe('DPP Validator - JSON Editor', () => {
+    let validatorHtml;
+
+    beforeAll(async () => {
+        validatorHtml = await loadFile('dist/validator/index.html');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = validatorHtml;
+        jest.resetModules();
+        localStorage.clear();
+    });
+
+    it('should underline issues at their location, jump to them and follow edits', async () => {
+        // Serve the spec from the build, as the page would
+        global.fetch = jest.fn(serveFromDist('validator'));
+        const battery = JSON.parse(await loadFile('dist/spec/examples/battery-dpp-v1.json'));
+
+        await import('../../dist/validator/validator.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const validateBtn = await waitFor(() => {
+            const b = document.getElementById('validate-btn');
+            return (b && !b.disabled) ? b : null;
+        });
+        const jsonInput = document.getElementById('json-input');
+        const resultBox = document.getElementById('validation-result');
+        expect(jsonInput.closest('.json-editor')).not.toBeNull();
+
+        // Comments keep their lines, so locations refer to the text as written
+        const text = `// Exported battery passport\n${JSON.stringify({ ...battery, lastUpdate: 'yesterday' }, null, 2)}`;
+        jsonInput.value = text;
+        validateBtn.click();
+        await waitFor(() => resultBox.classList.contains('error'));
+
+        const marks = [...document.querySelectorAll('.json-editor-backdrop mark.severity-error')];
+        expect(marks.map(mark => mark.textContent)).toContain('"yesterday"');
+        expect(document.querySelector('.json-editor-backdrop').textContent).toBe(`${text}\n`);
+
+        const issue = [...resultBox.querySelectorAll('li.issue')].find(li => li.querySelector('.issue-pointer')?.textContent === '/lastUpdate');
+        const line = text.split('\n').findIndex(l => l.includes('"lastUpdate"')) + 1;
+        expect(issue.querySelector('.issue-location').textContent).toBe(`line ${line}, column 17`);
+
+        issue.querySelector('.issue-pointer').click();
+        expect(document.activeElement).toBe(jsonInput);
+        expect(jsonInput.value.slice(jsonInput.selectionStart, jsonInput.selectionEnd)).toBe('"yesterday"');
+
+        // Edits move the underline along with the value; loading another passport clears it
+        jsonInput.setRangeText('  \n', 0, 0);
+        jsonInput.dispatchEvent(new Event('input'));
+        await waitFor(() => document.querySelector('.json-editor-gutter').textContent.endsWith(`\n${text.split('\n').length + 1}`));
+        expect([...document.querySelectorAll('.json-editor-backdrop mark')].map(mark => mark.textContent)).toContain('"yesterday"');
+
+        jsonInput.value = JSON.stringify(battery);
+        expect(document.querySelectorAll('.json-editor-backdrop mark')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor } from '../scripts/test-helpers.mjs';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+describe('DPP Validator - Offline Page', () => {
+    it('should load the spec bundle and the validator as classic scripts', async () => {
+        const html = await loadFile('dist/validator/offline.html');
+        document.documentElement.innerHTML = html;
+
+        expect(document.querySelector('script[type="importmap"], script[type="module"]')).toBeNull();
+        expect([...document.querySelectorAll('script[src]')].map(script => script.getAttribute('src'))).toEqual([
+            `../spec/keystone-spec-bundle-${KEYSTONE_VERSION}.js`,
+            'validator.offline.js'
+        ]);
+    });
+
+    it('should validate a passport without fetching the spec, as when opened from file://', async () => {
+        document.body.innerHTML = await loadFile('dist/validator/offline.html');
+        // Browsers refuse fetch requests from file:// pages
+        global.fetch = jest.fn(async (url) => { throw new TypeError(`Failed to fetch ${url}`); });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        // The scripts of the page, in their order
+        (0, eval)(await loadFile(`dist/spec/keystone-spec-bundle-${KEYSTONE_VERSION}.js`));
+        (0, eval)(await loadFile('dist/validator/validator.offline.js'));
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const validateBtn = await waitFor(() => {
+            const b = document.getElementById('validate-btn');
+            return (b && !b.disabled) ? b : null;
+        });
+        document.getElementById('json-input').value = await loadFile('dist/spec/examples/battery-dpp-v1.json');
+        validateBtn.click();
+
+        const resultBox = document.getElementById('validation-result');
+        await waitFor(() => !resultBox.hidden);
+
+        expect(resultBox.classList.contains('success')).toBe(true);
+        // Only the page translations were requested
+        expect(fetch.mock.calls.map(([url]) => url).every(url => /\.i18n\.json/.test(url))).toBe(true);
+        warn.mockRestore();
+    });
+});
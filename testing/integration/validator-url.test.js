@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+global.URL.revokeObjectURL = jest.fn();
+
+describe('DPP Validator - URL and File Input', () => {
+    let validatorHtml;
+
+    beforeAll(async () => {
+        validatorHtml = await loadFile('dist/validator/index.html');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = validatorHtml;
+        jest.resetModules();
+        localStorage.clear();
+    });
+
+    it('should load passports from GS1 Digital Links and dropped files, and explain failed requests', async () => {
+        const battery = JSON.parse(await loadFile('dist/spec/examples/battery-dpp-v1.json'));
+        const linkset = {
+            linkset: [{
+                anchor: 'https://id.gs1.org/01/09506000134352',
+                'https://gs1.org/voc/sustainabilityInfo': [{ href: 'https://dpp.example.com/09506000134352', type: 'application/ld+json' }]
+            }]
+        };
+        const jsonResponse = (document, contentType) => ({
+            ok: true,
+            status: 200,
+            headers: { get: () => contentType },
+            text: async () => JSON.stringify(document)
+        });
+        // Serve the spec from the build, as the page would; the passport server is mocked
+        const serveSpec = serveFromDist('validator');
+        global.fetch = jest.fn(async (url) => {
+            if (url === 'https://id.gs1.org/01/09506000134352') return jsonResponse(linkset, 'application/linkset+json');
+            if (url === 'https://dpp.example.com/09506000134352') return jsonResponse(battery, 'application/ld+json');
+            if (url.startsWith('https://blocked.example.com/')) throw new TypeError('Failed to fetch');
+            return serveSpec(url);
+        });
+
+        await import('../../dist/validator/validator.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const loadUrlBtn = await waitFor(() => {
+            const b = document.getElementById('load-url-btn');
+            return (b && !b.disabled) ? b : null;
+        });
+        const urlInput = document.getElementById('passport-url');
+        const jsonInput = document.getElementById('json-input');
+        const resultBox = document.getElementById('validation-result');
+
+        urlInput.value = 'https://id.gs1.org/01/09506000134352';
+        loadUrlBtn.click();
+        await waitFor(() => resultBox.classList.contains('success'));
+        expect(JSON.parse(jsonInput.value)).toEqual(battery);
+        expect(global.fetch).toHaveBeenCalledWith('https://id.gs1.org/01/09506000134352',
+            { headers: { 'Accept': expect.stringMatching(/^application\/ld\+json/) } });
+
+        urlInput.value = 'https://blocked.example.com/dpp/1';
+        urlInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+        await waitFor(() => resultBox.classList.contains('error'));
+        expect(resultBox.textContent).toContain('Could not load https://blocked.example.com/dpp/1.');
+        expect(resultBox.textContent).toContain('(CORS)');
+
+        // Dropped files are validated like selected ones
+        const drop = (files) => {
+            const event = new Event('drop', { bubbles: true, cancelable: true });
+            event.dataTransfer = { types: ['Files'], files };
+            jsonInput.dispatchEvent(event);
+            return event;
+        };
+        expect(drop([{ name: 'notes.txt', text: async () => 'hello' }]).defaultPrevented).toBe(true);
+        expect(resultBox.textContent).toBe('Only .json, .jsonld, .jsonc, .jsonl and .ndjson files can be validated.');
+
+        const broken = { ...battery, lastUpdate: 'yesterday' };
+        drop([{ name: 'dpp.jsonld', text: async () => JSON.stringify(broken) }]);
+        await waitFor(() => resultBox.classList.contains('error') && resultBox.textContent.includes('/lastUpdate'));
+        expect(JSON.parse(jsonInput.value)).toEqual(broken);
+    });
+});
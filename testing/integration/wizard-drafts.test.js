@@ -0,0 +1,184 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.revokeObjectURL = jest.fn();
+
+const setValue = (name, value) => {
+    const input = document.querySelector(`[name="${name}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+};
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+const valueOf = (name) => document.querySelector(`[name="${name}"]`)?.value;
+
+describe('DPP Wizard - Drafts', () => {
+    let wizardHtml;
+    let exported;
+
+    beforeAll(async () => {
+        wizardHtml = await loadFile('dist/wizard/index.html');
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = wizardHtml;
+        jest.resetModules();
+        localStorage.clear();
+        delete window.testing;
+        window.confirm = jest.fn(() => true);
+        // Capture exported files instead of downloading them
+        exported = null;
+        global.URL.createObjectURL = jest.fn((blob) => {
+            exported = blob;
+            return 'blob:mock-url';
+        });
+        // Serve the schemas and ontologies from the build, as the page would
+        global.fetch = jest.fn(serveFromDist('wizard'));
+
+        await import('../../dist/wizard/wizard.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        // The wizard exposes its testing hooks once initialized
+        await waitFor(() => window.testing);
+    });
+
+    const addVoluntaryField = async (key, type) => {
+        const wrapper = document.getElementById('voluntary-fields-wrapper');
+        const count = wrapper.children.length;
+        document.getElementById('add-voluntary-field-btn').click();
+        const row = await waitFor(() => wrapper.children.length > count && wrapper.lastElementChild);
+        row.querySelector('.voluntary-name').value = key;
+        row.querySelector('.voluntary-name').dispatchEvent(new Event('change'));
+        const typeSelect = row.querySelector('.voluntary-type');
+        typeSelect.value = type;
+        typeSelect.dispatchEvent(new Event('change'));
+        return row;
+    };
+
+    const draftOptions = () => [...document.querySelectorAll('#draft-selector option')]
+        .filter(option => option.value)
+        .map(option => option.textContent.replace(/ \([^()]*\)$/, ''));
+
+    const selectDraft = async (name, waitForValue) => {
+        const selector = document.getElementById('draft-selector');
+        selector.value = [...selector.options].find(option => option.textContent.startsWith(`${name} (`)).value;
+        selector.dispatchEvent(new Event('change'));
+        await waitFor(() => waitForValue());
+    };
+
+    it('should save named drafts and switch between them with core, sector and custom fields', async () => {
+        setValue('digitalProductPassportId', 'urn:dpp:cell-pack');
+        document.querySelector('button[data-sector="battery"]').click();
+        await waitFor(() => document.querySelector('#sector-form-battery [name="batteryCategory"]'));
+        setValue('batteryCategory', 'LMT');
+
+        const group = await addVoluntaryField('repairInfo', 'Group');
+        group.querySelector('.add-voluntary-prop-btn').click();
+        const child = group.querySelector('.voluntary-group-container .voluntary-field-row');
+        child.querySelector('.voluntary-name').value = 'spareParts';
+        const childType = child.querySelector('.voluntary-type');
+        childType.value = 'Number';
+        childType.dispatchEvent(new Event('change'));
+        child.querySelector('.voluntary-value').value = '7';
+        child.querySelector('.voluntary-unit').value = 'years';
+
+        document.getElementById('draft-name').value = 'Battery model';
+        document.getElementById('save-draft-btn').click();
+
+        expect(draftOptions()).toEqual(['Battery model']);
+        expect(document.getElementById('draft-message').textContent).toContain('Battery model');
+        expect(document.getElementById('delete-draft-btn').disabled).toBe(false);
+
+        document.getElementById('new-draft-btn').click();
+        await waitFor(() => draftOptions().length === 2 && !document.getElementById('sector-form-battery'));
+        // The open draft was saved, so nothing had to be confirmed
+        expect(window.confirm).not.toHaveBeenCalled();
+        expect(valueOf('digitalProductPassportId')).not.toBe('urn:dpp:cell-pack');
+        expect(document.getElementById('voluntary-fields-wrapper').children).toHaveLength(0);
+
+        setValue('digitalProductPassportId', 'urn:dpp:jacket');
+        document.getElementById('draft-name').value = 'Textile batch';
+        document.getElementById('draft-name').dispatchEvent(new Event('change'));
+        expect(draftOptions()).toEqual(['Textile batch', 'Battery model']);
+
+        await selectDraft('Battery model', () => valueOf('batteryCategory') === 'LMT');
+        expect(valueOf('digitalProductPassportId')).toBe('urn:dpp:cell-pack');
+        const restored = document.querySelector('#voluntary-fields-wrapper > .voluntary-field-row');
+        expect(restored.querySelector('.voluntary-name').value).toBe('repairInfo');
+        expect(restored.querySelector('.voluntary-type').value).toBe('Group');
+        const restoredChild = restored.querySelector('.voluntary-group-container .voluntary-field-row');
+        expect(restoredChild.querySelector('.voluntary-type').value).toBe('Number');
+        expect(restoredChild.querySelector('.voluntary-value').value).toBe('7');
+        expect(restoredChild.querySelector('.voluntary-unit').value).toBe('years');
+
+        await selectDraft('Textile batch', () => valueOf('digitalProductPassportId') === 'urn:dpp:jacket');
+        expect(document.getElementById('sector-form-battery')).toBeNull();
+    });
+
+    it('should duplicate, export, delete and import a draft', async () => {
+        setValue('digitalProductPassportId', 'urn:dpp:drill');
+        document.getElementById('draft-name').value = 'Drill model';
+        document.getElementById('save-draft-btn').click();
+        document.getElementById('duplicate-draft-btn').click();
+        expect(draftOptions()).toEqual(['Drill model (copy)', 'Drill model']);
+
+        // jsdom does not navigate, so the download link is only checked
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('Drill-model-(copy).dppdraft.json');
+        });
+        document.getElementById('export-draft-btn').click();
+        expect(click).toHaveBeenCalledTimes(1);
+        click.mockRestore();
+        const file = JSON.parse(await readBlob(exported));
+        expect(file).toMatchObject({ format: 'dpp-keystone-wizard-draft', name: 'Drill model (copy)' });
+        expect(file.session.core.digitalProductPassportId).toBe('urn:dpp:drill');
+
+        document.getElementById('delete-draft-btn').click();
+        expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Drill model (copy)'));
+        expect(draftOptions()).toEqual(['Drill model']);
+        expect(document.getElementById('draft-selector').value).toBe('');
+
+        // Importing over unsaved work asks first
+        window.confirm.mockClear();
+        file.name = 'Drill from a colleague';
+        file.session.core.digitalProductPassportId = 'urn:dpp:hammer-drill';
+        const input = document.getElementById('draft-import-input');
+        Object.defineProperty(input, 'files', {
+            configurable: true,
+            value: [{ name: 'drill.dppdraft.json', text: async () => JSON.stringify(file) }]
+        });
+        input.dispatchEvent(new Event('change'));
+        await waitFor(() => valueOf('digitalProductPassportId') === 'urn:dpp:hammer-drill');
+
+        expect(window.confirm).toHaveBeenCalledTimes(1);
+        await waitFor(() => !document.getElementById('draft-message').hidden);
+        expect(document.getElementById('draft-message').textContent).toContain('Drill from a colleague');
+        expect(draftOptions()).toEqual(['Drill from a colleague', 'Drill model']);
+
+        Object.defineProperty(input, 'files', {
+            configurable: true,
+            value: [{ name: 'passport.json', text: async () => JSON.stringify({ productName: 'Drill' }) }]
+        });
+        input.dispatchEvent(new Event('change'));
+        const message = await waitFor(() => {
+            const element = document.getElementById('draft-message');
+            return element.classList.contains('import-failed') && element;
+        });
+        expect(message.textContent).toContain('passport.json');
+        expect(valueOf('digitalProductPassportId')).toBe('urn:dpp:hammer-drill');
+    });
+});
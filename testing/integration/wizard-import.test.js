@@ -0,0 +1,72 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+
+describe('DPP Wizard - Import', () => {
+    let wizardHtml;
+
+    beforeAll(async () => {
+        wizardHtml = await loadFile('dist/wizard/index.html');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = wizardHtml;
+        jest.resetModules();
+        localStorage.clear();
+    });
+
+    it('should open and fill the forms of an example passport and report what it could not place', async () => {
+        const battery = JSON.parse(await loadFile('dist/spec/examples/battery-dpp-v1.json'));
+        // Serve the schemas, ontologies and examples from the build, as the page would
+        global.fetch = jest.fn(serveFromDist('wizard'));
+
+        await import('../../dist/wizard/wizard.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        const exampleSelector = await waitFor(() => {
+            const select = document.getElementById('import-example-selector');
+            return document.querySelector('#core-form-container [name="digitalProductPassportId"]') && select.options.length > 1 && select;
+        });
+        exampleSelector.value = [...exampleSelector.options].find(option => option.textContent === 'Battery').value;
+        exampleSelector.dispatchEvent(new Event('change'));
+
+        const report = await waitFor(() => {
+            const element = document.getElementById('import-report');
+            return !element.hidden && element;
+        });
+
+        expect(report.textContent).toContain('Imported Battery.');
+        expect(document.getElementById('sector-form-battery')).not.toBeNull();
+        expect(document.getElementById('sector-form-general-product')).not.toBeNull();
+        expect(document.querySelector('button[data-sector="battery"]').classList.contains('remove-btn-active')).toBe(true);
+
+        const valueOf = (name) => document.querySelector(`[name="${name}"]`)?.value;
+        expect(valueOf('digitalProductPassportId')).toBe(battery.digitalProductPassportId);
+        expect(valueOf('productName')).toBe(battery.productName);
+        expect(valueOf('manufacturerInfo.address.addressLocality')).toBe('Berlin');
+        expect(valueOf('materialComposition.5.name')).toBe('Separator (PP/PE)');
+
+        // The wizard does not write @type, so the importer lists it
+        const unplaced = [...report.querySelectorAll('.import-unplaced li code')].map(code => code.textContent);
+        expect(unplaced).toEqual(['@type']);
+
+        document.getElementById('generate-dpp-btn').click();
+        const generated = JSON.parse(document.getElementById('json-output').textContent);
+        expect(generated.contentSpecificationIds).toContain('draft_battery_specification_id');
+        expect(generated.productName).toBe(battery.productName);
+        expect(generated.manufacturerInfo).toEqual(battery.manufacturerInfo);
+        expect(generated.materialComposition).toEqual(battery.materialComposition);
+        expect(generated.performance.capacity).toEqual(battery.performance.capacity);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+const setValue = (name, value) => {
+    const input = document.querySelector(`[name="${name}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+describe('DPP Wizard - Live validation', () => {
+    let wizardHtml;
+
+    beforeAll(async () => {
+        wizardHtml = await loadFile('dist/wizard/index.html');
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = wizardHtml;
+        jest.resetModules();
+        localStorage.clear();
+        delete window.testing;
+        // Serve the schemas, ontologies and contexts from the build, as the page would
+        global.fetch = jest.fn(serveFromDist('wizard'));
+
+        await import('../../dist/wizard/wizard.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        // The wizard exposes its testing hooks once initialized
+        await waitFor(() => window.testing);
+    });
+
+    const status = () => document.getElementById('live-validation-status');
+    const issueFor = (pointer) => [...document.querySelectorAll('#live-validation-issues .issue')]
+        .find(issue => issue.querySelector('.issue-pointer, strong')?.textContent === pointer);
+
+    it('should validate the generated passport as it is edited and focus the field of an issue', async () => {
+        setValue('digitalProductPassportId', '');
+
+        // The missing passport ID is reported by the JSON schema at the document root
+        const issue = await waitFor(() => status().classList.contains('live-validation-invalid') && issueFor('root'));
+        expect(issue.classList).toContain('issue-error');
+        expect(issue.closest('#live-validation-issues').querySelector('h3').textContent).toMatch(/^JSON Schema \(\d+\)$/);
+        expect(status().textContent).toMatch(/^Errors: [1-9]\d*, warnings: \d+, notes: \d+$/);
+
+        const pointer = [...document.querySelectorAll('#live-validation-issues .issue-pointer')]
+            .find(button => button.closest('.issue').textContent.includes("'digitalProductPassportId'"));
+        pointer.click();
+        expect(document.activeElement).toBe(document.querySelector('#core-form-container [name="digitalProductPassportId"]'));
+
+        // Entering the ID validates again
+        setValue('digitalProductPassportId', 'https://dpp.example.com/dpp/6f1c2a0e-2f0e-4c55-9f5e-0d6c1d7e8a42');
+        await waitFor(() => status().textContent !== 'Validating…'
+            && ![...document.querySelectorAll('#live-validation-issues .issue')].some(li => li.textContent.includes("'digitalProductPassportId'")));
+    });
+
+    it('should stop validating when switched off', async () => {
+        await waitFor(() => status().className);
+        const toggle = document.getElementById('live-validation-toggle');
+        toggle.checked = false;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(status().textContent).toBe('Live validation is off.');
+        expect(document.getElementById('live-validation-issues').children).toHaveLength(0);
+        setValue('digitalProductPassportId', '');
+        await new Promise(resolve => setTimeout(resolve, 700));
+        expect(status().textContent).toBe('Live validation is off.');
+        expect(document.getElementById('live-validation-issues').children).toHaveLength(0);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { waitFor, serveFromDist } from '../scripts/test-helpers.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadFile = (filePath) => fs.readFile(path.resolve(__dirname, '../../', filePath), 'utf-8');
+
+global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+
+const setValue = (name, value) => {
+    const input = document.querySelector(`[name="${name}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+describe('DPP Wizard - Product variants', () => {
+    let wizardHtml;
+
+    beforeAll(async () => {
+        wizardHtml = await loadFile('dist/wizard/index.html');
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = wizardHtml;
+        jest.resetModules();
+        localStorage.clear();
+        delete window.testing;
+        window.confirm = jest.fn(() => true);
+        // Serve the schemas and ontologies from the build, as the page would
+        global.fetch = jest.fn(serveFromDist('wizard'));
+
+        await import('../../dist/wizard/wizard.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        // The wizard exposes its testing hooks once initialized
+        await waitFor(() => window.testing);
+    });
+
+    const field = (name) => document.querySelector(`[name="${name}"]`);
+
+    it('should derive item passports from a model template with locked inherited fields', async () => {
+        const modelId = 'https://dpp.example.com/model/cell-pack-x';
+        setValue('digitalProductPassportId', modelId);
+        document.querySelector('button[data-sector="battery"]').click();
+        await waitFor(() => field('batteryCategory'));
+        setValue('batteryCategory', 'LMT');
+        setValue('manufacturingDate', '2024-01-15');
+
+        const wrapper = document.getElementById('voluntary-fields-wrapper');
+        document.getElementById('add-voluntary-field-btn').click();
+        const custom = wrapper.lastElementChild;
+        custom.querySelector('.voluntary-name').value = 'warrantyTerms';
+        custom.querySelector('.voluntary-name').dispatchEvent(new Event('change'));
+        custom.querySelector('.voluntary-value').value = 'Two years';
+
+        expect(document.getElementById('new-variant-btn').disabled).toBe(true);
+        document.getElementById('template-name').value = 'Cell pack X';
+        document.getElementById('save-template-btn').click();
+
+        const templateSelector = document.getElementById('template-selector');
+        expect([...templateSelector.options].map(option => option.textContent)).toEqual(['Cell pack X']);
+        expect(document.getElementById('variant-message').textContent).toContain('Cell pack X');
+
+        document.getElementById('variant-granularity').value = 'Item';
+        document.getElementById('new-variant-btn').click();
+        const status = await waitFor(() => {
+            const element = document.getElementById('variant-status');
+            return !element.hidden && field('modelPassport.url')?.value && element;
+        });
+        expect(status.textContent).toContain('Cell pack X');
+
+        // Inherited fields are locked, the variant fields are the item's own
+        expect(field('batteryCategory').value).toBe('LMT');
+        expect(field('batteryCategory').disabled).toBe(true);
+        expect(field('manufacturingDate').disabled).toBe(false);
+        expect(field('manufacturingDate').value).toBe('');
+        expect(field('uniqueProductIdentifier').disabled).toBe(false);
+        expect(field('digitalProductPassportId').value).toMatch(new RegExp(`^${modelId}/[0-9a-f-]{36}$`));
+        expect(field('granularity').value).toBe('Item');
+        expect(document.querySelector('button[data-sector="battery"]').disabled).toBe(true);
+        const inheritedCustom = wrapper.querySelector('.voluntary-field-row');
+        expect(inheritedCustom.querySelector('.voluntary-value').value).toBe('Two years');
+        expect(inheritedCustom.querySelector('.voluntary-value').disabled).toBe(true);
+        expect(field('modelPassport.url').disabled).toBe(true);
+        expect(document.getElementById('add-voluntary-field-btn').disabled).toBe(false);
+
+        setValue('uniqueProductIdentifier', 'https://id.example.com/01/09506000134352/21/SN-0001');
+        setValue('manufacturingDate', '2024-03-02');
+        document.getElementById('generate-dpp-btn').click();
+        const generated = JSON.parse(document.getElementById('json-output').textContent);
+        expect(generated).toMatchObject({
+            granularity: 'Item',
+            uniqueProductIdentifier: 'https://id.example.com/01/09506000134352/21/SN-0001',
+            batteryCategory: 'LMT',
+            manufacturingDate: '2024-03-02',
+            warrantyTerms: 'Two years',
+            modelPassport: { url: modelId, resourceTitle: 'Cell pack X', contentType: 'application/ld+json' }
+        });
+        expect(generated.digitalProductPassportId).not.toBe(modelId);
+
+        // The lock is kept with the session
+        expect(JSON.parse(localStorage.getItem(Object.keys(localStorage).find(key => key.startsWith('dpp_wizard_state_')))).variant)
+            .toMatchObject({ model: 'Cell pack X', modelId, granularity: 'Item' });
+
+        document.getElementById('unlock-variant-btn').click();
+        expect(document.getElementById('variant-status').hidden).toBe(true);
+        expect(field('batteryCategory').disabled).toBe(false);
+        expect(inheritedCustom.querySelector('.voluntary-value').disabled).toBe(false);
+        expect(document.querySelector('.inherited-field')).toBeNull();
+    });
+});
@@ -3,27 +3,20 @@ import { Readable } from 'stream';
 import jsonld from 'jsonld';
 import N3Parser from '@rdfjs/parser-n3';
 import datasetFactory from '@rdfjs/dataset';
-import { CONTEXT_URL_TO_LOCAL_PATH_MAP, PROJECT_ROOT } from './test-helpers.mjs';
+import path from 'path';
+import { PROJECT_ROOT } from './test-helpers.mjs';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import { createKeystoneDocumentLoader } from '../../src/util/js/common/loading/keystone-document-loader.js';
 
 // Re-export for consumers of this module
 export { PROJECT_ROOT };
 
-export const localFileDocumentLoader = async (url) => {
-    // --- DIAGNOSTIC LOGGING ---
-    // console.log(`[Document Loader] Intercepted request for URL: ${url}`);
-
-    if (url in CONTEXT_URL_TO_LOCAL_PATH_MAP) {
-        // console.log(`[Document Loader] SUCCESS: Found local mapping for ${url}`);
-        const localPath = CONTEXT_URL_TO_LOCAL_PATH_MAP[url];
-        // console.log(`[Document Loader] Attempting to read local file: ${localPath}`);
-        const fileContent = await fs.readFile(localPath, 'utf-8');
-        const parsedDocument = JSON.parse(fileContent);
-        return { contextUrl: null, documentUrl: url, document: parsedDocument };
-    }
-
-    console.error(`[Document Loader] FAILURE: No local mapping for ${url}. Falling back to network request.`);
-    return jsonld.documentLoaders.node()(url);
-};
+// Serves every spec document from the build output; tests never touch the network
+export const localFileDocumentLoader = createKeystoneDocumentLoader({
+    version: KEYSTONE_VERSION,
+    fsRoot: path.join(PROJECT_ROOT, 'dist', 'spec'),
+    allowNetwork: false
+});
 
 
 // --- Helper Functions for SHACL ---
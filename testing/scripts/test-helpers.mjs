@@ -7,6 +7,40 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 export const PROJECT_ROOT = path.join(__dirname, '..', '..');
 
+/**
+ * Polls until the callback returns a truthy value, e.g. an element the page renders asynchronously.
+ * @param {Function} callback - Returns the awaited value, or a falsy value while it is not there yet.
+ * @returns {Promise<*>} The value the callback returned.
+ */
+export const waitFor = (callback) => {
+    return new Promise(resolve => {
+        const check = () => {
+            const result = callback();
+            if (result) resolve(result);
+            else setTimeout(check, 10);
+        };
+        check();
+    });
+};
+
+/**
+ * Creates a fetch replacement serving the build output, as the web server would for a page of the site:
+ * relative URLs are resolved against the page directory (e.g. '../spec/...' from 'validator').
+ * @param {string} page - The directory of the page in `dist` (e.g. 'validator' or 'wizard').
+ * @returns {Function} The fetch function, resolving to `{ok, text(), json()}` or to a 404 response.
+ */
+export function serveFromDist(page) {
+    return async (url) => {
+        const { pathname } = new URL(String(url), `http://localhost/${page}/`);
+        try {
+            const content = await fs.readFile(path.join(PROJECT_ROOT, 'dist', decodeURIComponent(pathname)), 'utf-8');
+            return { ok: true, text: async () => content, json: async () => JSON.parse(content) };
+        } catch {
+            return { ok: false, status: 404, statusText: 'Not Found' };
+        }
+    };
+}
+
 export async function setupTestEnvironment(testDirName) {
     const FIXTURES_DIR = path.resolve(PROJECT_ROOT, 'testing', 'fixtures', 'spec-docs');
     const TEMP_DIR = path.resolve(PROJECT_ROOT, 'testing', 'tmp', testDirName);
@@ -1,4 +1,25 @@
 import { afterEach } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
+import { ReadableStream } from 'stream/web';
+import v8 from 'v8';
+
+const initializers = [];
+
+if (typeof window !== 'undefined') {
+    // Polyfill setImmediate, TextEncoder/ReadableStream and structuredClone for jsonld and the document loader in jsdom environment
+    global.setImmediate ??= global.setTimeout;
+    global.TextEncoder ??= TextEncoder;
+    global.TextDecoder ??= TextDecoder;
+    global.ReadableStream ??= ReadableStream;
+    global.structuredClone ??= (value) => v8.deserialize(v8.serialize(value));
+
+    // Each import of a page script registers its initializer on the shared document, which must not run again in later tests
+    const addEventListener = document.addEventListener;
+    document.addEventListener = function (type, listener, options) {
+        if (type === 'DOMContentLoaded') initializers.push([listener, options]);
+        return addEventListener.call(this, type, listener, options);
+    };
+}
 
 const originalConsoleError = console.error;
 const currentTestErrors = [];
@@ -29,3 +50,18 @@ afterEach(() => {
         throw new Error(`Test failed because console.error was called during execution:\n${errorsToReport.join('\n')}`);
     }
 });
+
+afterEach(() => {
+    // Live validation of the wizard still running in the background must not outlive the test environment
+    const liveValidationToggle = typeof document !== 'undefined' && document.getElementById('live-validation-toggle');
+    if (liveValidationToggle?.checked) {
+        liveValidationToggle.checked = false;
+        liveValidationToggle.dispatchEvent(new Event('change'));
+    }
+});
+
+afterEach(() => {
+    if (typeof document !== 'undefined') {
+        initializers.splice(0).forEach(([listener, options]) => document.removeEventListener('DOMContentLoaded', listener, options));
+    }
+});
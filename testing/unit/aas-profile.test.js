@@ -0,0 +1,98 @@
+import { transform, listProfiles } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { aasEnvironmentToDpp } from '../../dist/util/js/common/transformation/profiles/aas.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import jsonld from 'jsonld';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const EXAMPLES_DIR = path.join(PROJECT_ROOT, 'dist', 'spec', 'examples');
+const TERMS = `https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#`;
+
+const loadExample = async (name) => JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, name), 'utf-8'));
+
+const transformToAas = async (dpp) => {
+    const result = await transform(structuredClone(dpp), {
+        profile: 'aas',
+        documentLoader: localFileDocumentLoader,
+        version: KEYSTONE_VERSION
+    }, {});
+    expect(result).toHaveLength(1);
+    return result[0];
+};
+
+const canonize = (doc) => jsonld.canonize(doc, { algorithm: 'URDNA2015', format: 'application/n-quads' });
+
+const findElement = (elements, idShort) => elements.find(element => element.idShort === idShort);
+
+const semanticIdOf = (element) => element.semanticId.keys[0].value;
+
+describe('AAS Submodel Profile', () => {
+
+    it('should be registered as a built-in profile', () => {
+        expect(listProfiles()).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'aas', mediaType: 'application/json' })
+        ]));
+    });
+
+    it('should split the battery example into Nameplate, Technical Data and Carbon Footprint submodels', async () => {
+        const environment = await transformToAas(await loadExample('battery-dpp-v1.json'));
+
+        const [shell] = environment.assetAdministrationShells;
+        expect(shell.id).toBe('urn:uuid:f81d4fae-7dec-11d0-a765-00a0c91e6bf6');
+        expect(shell.assetInformation.globalAssetId).toBe('https://dpp-keystone.org/spec/examples/html/battery-dpp-v1.html');
+        expect(shell.submodels.map(ref => ref.keys[0].value)).toEqual(environment.submodels.map(submodel => submodel.id));
+        expect(environment.submodels.map(submodel => submodel.idShort)).toEqual(['Nameplate', 'TechnicalData', 'CarbonFootprint']);
+
+        const [nameplate, technicalData, carbonFootprint] = environment.submodels.map(submodel => submodel.submodelElements);
+        expect(findElement(nameplate, 'digitalProductPassportId')).toEqual(expect.objectContaining({
+            modelType: 'ReferenceElement',
+            semanticId: { type: 'ExternalReference', keys: [{ type: 'GlobalReference', value: `${TERMS}digitalProductPassportId` }] }
+        }));
+
+        const lifetime = findElement(findElement(technicalData, 'performance').value, 'lifetime');
+        expect(lifetime.modelType).toBe('SubmodelElementCollection');
+        expect(semanticIdOf(lifetime)).toBe(`${TERMS}lifetime`);
+        expect(findElement(lifetime.value, 'expectedLifetimeCycles')).toEqual(expect.objectContaining({
+            modelType: 'Property', valueType: 'xs:integer', value: '3000'
+        }));
+
+        const materialComposition = findElement(technicalData, 'materialComposition');
+        expect(materialComposition.modelType).toBe('SubmodelElementList');
+        expect(materialComposition.value).toHaveLength(6);
+
+        expect(findElement(carbonFootprint, 'carbonFootprintAbsolute')).toEqual(expect.objectContaining({
+            modelType: 'Property', valueType: 'xs:double', value: '120'
+        }));
+    });
+
+    it('should round-trip the battery example without losing data', async () => {
+        const battery = await loadExample('battery-dpp-v1.json');
+        const expanded = await jsonld.expand(structuredClone(battery), { documentLoader: localFileDocumentLoader });
+
+        const environment = await transformToAas(battery);
+        const roundTripped = aasEnvironmentToDpp(JSON.parse(JSON.stringify(environment)));
+
+        expect(await canonize(roundTripped)).toBe(await canonize(expanded));
+    });
+
+    it('should map the manufacturer and EPD indicators of the construction example', async () => {
+        const environment = await transformToAas(await loadExample('construction-product-dpp-v1.json'));
+
+        const nameplate = environment.submodels.find(submodel => submodel.idShort === 'Nameplate').submodelElements;
+        const manufacturer = findElement(nameplate, 'manufacturer');
+        expect(manufacturer.modelType).toBe('SubmodelElementCollection');
+        expect(findElement(manufacturer.value, 'organizationName')).toEqual(expect.objectContaining({ value: 'ExampleCorp' }));
+
+        const carbonFootprint = environment.submodels.find(submodel => submodel.idShort === 'CarbonFootprint').submodelElements;
+        const adpe = findElement(findElement(carbonFootprint, 'epd').value, 'adpe');
+        expect(semanticIdOf(adpe)).toBe(`${TERMS}adpe`);
+        expect(findElement(adpe.value, 'a1')).toEqual(expect.objectContaining({
+            modelType: 'Property', valueType: 'xs:double', value: '5.53E-05'
+        }));
+    });
+
+    it('should reject environments without a shell', () => {
+        expect(() => aasEnvironmentToDpp({ submodels: [] })).toThrow(/does not contain an Asset Administration Shell/);
+    });
+});
@@ -0,0 +1,92 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createBatchValidator } from '../../src/validator/batch-validator.js';
+import { createBundleFetch } from '../../src/util/js/common/loading/spec-bundle.js';
+import { readBatchInput } from '../../src/util/js/common/validation/batch-validation.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import { PROJECT_ROOT } from '../scripts/test-helpers.mjs';
+
+const SPEC_DIR = path.join(PROJECT_ROOT, 'dist', 'spec');
+
+describe('Validator - Batch Validation', () => {
+    let validateEntry;
+    let bundle;
+    let battery;
+    let originalFetch;
+
+    beforeAll(async () => {
+        bundle = JSON.parse(await fs.readFile(path.join(SPEC_DIR, `keystone-spec-bundle-${KEYSTONE_VERSION}.json`), 'utf-8'));
+        battery = JSON.parse(await fs.readFile(path.join(SPEC_DIR, 'examples', 'battery-dpp-v1.json'), 'utf-8'));
+        // Like the page opened from file://, everything comes from the bundle
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => { throw new Error(`Unexpected network access to ${url}`); };
+        validateEntry = createBatchValidator({ specFetch: createBundleFetch(bundle), bundle });
+    });
+
+    afterAll(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('should validate every passport of a CSV adapter export', async () => {
+        const broken = { ...battery, digitalProductPassportId: 'urn:uuid:broken', lastUpdate: 'yesterday' };
+        const entries = readBatchInput(JSON.stringify([battery, broken]), { source: 'dpp-batch-export-battery.json' });
+
+        const results = [];
+        for (const entry of entries) results.push(await validateEntry(entry, { language: 'en' }));
+
+        expect(results.map(({ source, passportId, report }) => [source, passportId, report.version, report.valid])).toEqual([
+            ['dpp-batch-export-battery.json [0]', battery.digitalProductPassportId, KEYSTONE_VERSION, true],
+            ['dpp-batch-export-battery.json [1]', 'urn:uuid:broken', KEYSTONE_VERSION, false]
+        ]);
+        expect(results[1].report.issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ layer: 'ontology', pointer: '/lastUpdate', severity: 'error' })
+        ]));
+        // The results are sent from the worker to the page
+        expect(structuredClone(results)).toEqual(results);
+    });
+
+    it('should report unparsable lines and non-objects as input errors', async () => {
+        const entries = readBatchInput('{"digitalProductPassportId": "urn:uuid:1"\n"just a string"', { source: 'batch.ndjson' });
+
+        const [unparsable, string] = await Promise.all(entries.map(entry => validateEntry(entry)));
+
+        expect(unparsable.report).toEqual(expect.objectContaining({ valid: false, source: 'batch.ndjson:1' }));
+        expect(unparsable.report.issues).toEqual([expect.objectContaining({ layer: 'input', severity: 'error' })]);
+        expect(string.report.issues[0].message).toBe('A DPP must be a single JSON object.');
+    });
+
+    it('should only validate against the version of the offline bundle', async () => {
+        const context = battery['@context'].replace(`/${KEYSTONE_VERSION}/`, '/v1/');
+        const { report } = await validateEntry({ source: 'archived.json', data: { ...battery, '@context': context, dppSchemaVersion: 'v1.0' } });
+
+        expect(report.issues).toEqual([expect.objectContaining({
+            layer: 'input',
+            message: `The passport declares Keystone version v1 (dppSchemaVersion), which is not available. Available versions: ${KEYSTONE_VERSION}.`
+        })]);
+    });
+
+    it('should report an entry that cannot be validated and go on with the next ones', async () => {
+        const bundleFetch = createBundleFetch(bundle);
+        let outage = true;
+        // The schemas are not available for the first passport only
+        const specFetch = async (url) => {
+            if (outage && String(url).endsWith('/dpp.schema.json')) {
+                outage = false;
+                return { ok: false, status: 503, statusText: 'Service Unavailable' };
+            }
+            return bundleFetch(url);
+        };
+        const validate = createBatchValidator({ specFetch, bundle });
+
+        const failed = await validate({ source: 'batch [0]', data: battery });
+        const retried = await validate({ source: 'batch [1]', data: battery });
+
+        expect(failed.passportId).toBe(battery.digitalProductPassportId);
+        expect(failed.report.valid).toBe(false);
+        expect(failed.report.issues).toEqual([expect.objectContaining({
+            layer: 'input',
+            message: expect.stringMatching(/^The passport could not be validated: Failed to fetch .*dpp\.schema\.json: Service Unavailable$/)
+        })]);
+        expect(retried.report.valid).toBe(true);
+    });
+});
@@ -22,6 +22,21 @@ describe('DPP Generation Logic', () => {
         const keys = Object.keys(result[0]).filter(k => k !== '@context');
         expect(keys).toEqual(['field1']);
     });
+
+    test('should convert quantities to the declared unit of their field', () => {
+        const csvData = [{ 'Weight': '1500 g', 'Capacity': '2.5 kWh', 'Note': '12 pcs' }];
+        const mapping = { 'Weight': 'netWeight', 'Capacity': 'batteries[0].energy', 'Note': 'note' };
+        const schemaFieldMap = new Map([
+            ['netWeight', { path: 'netWeight', ontology: { unit: 'kg' } }],
+            ['batteries.energy', { path: 'batteries.energy', ontology: { unit: 'Wh' } }]
+        ]);
+
+        const [dpp] = generateDPPsFromCsv(csvData, mapping, 'battery', schemaFieldMap);
+
+        expect(dpp.netWeight).toBe(1.5);
+        expect(dpp.batteries[0].energy).toBe(2500);
+        expect(dpp.note).toBe('12 pcs');
+    });
 });
 
 describe('CSV Adapter Logic - analyzeColumnData', () => {
@@ -110,6 +125,16 @@ describe('CSV Adapter Logic - analyzeColumnData', () => {
         expect(analyzeColumnData(rows, 'val')).toEqual({ type: 'integer' });
     });
 
+    test('should identify quantities with units', () => {
+        const rows = [
+            { weight: '500 g' },
+            { weight: '1.2 kg' },
+            { weight: '3' }
+        ];
+        expect(analyzeColumnData(rows, 'weight')).toEqual({ type: 'number', format: 'quantity' });
+        expect(analyzeColumnData([{ size: '3 XL' }], 'size')).toEqual({ type: 'string' });
+    });
+
     test('should return empty type for completely empty columns', () => {
         const rows = [
             { empty: '' },
@@ -250,6 +275,13 @@ describe('validateValue', () => {
         expect(validateValue('2', numericEnumField)).toBe(true);
         expect(validateValue(4, numericEnumField)).toBe(false);
     });
+
+    test('should check the unit of quantities against the declared unit', () => {
+        const weightField = { path: 'netWeight', type: 'number', ontology: { unit: 'kg' } };
+        expect(validateValue('500 g', weightField)).toBe(true);
+        expect(validateValue('12', weightField)).toBe(true);
+        expect(validateValue('5 m', weightField)).toBe(false);
+    });
 });
 
 describe('validateMappingConstraints', () => {
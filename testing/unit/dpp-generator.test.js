@@ -45,6 +45,20 @@ describe('DPP Generator', () => {
         }));
     });
 
+    it('should leave out fields hidden by conditional schema rules', () => {
+        formContainer.innerHTML = `
+            <div class="sector-form-grid">
+                <div class="grid-row"><input name="shipping.method" value="pickup"></div>
+                <div class="grid-row" hidden><input name="shipping.street" value="Main St 1"></div>
+                <div class="grid-row"><input name="shipping.store" value="Berlin"></div>
+            </div>
+        `;
+
+        const dpp = generateDpp(['test'], coreFormContainer, formContainer, voluntaryFieldsWrapper);
+
+        expect(dpp.shipping).toEqual({ method: 'pickup', store: 'Berlin' });
+    });
+
     it('should correctly nest properties with dot notation', () => {
         formContainer.innerHTML = `
             <input name="address.street" value="123 Main St">
@@ -0,0 +1,195 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { TextDecoder, TextEncoder } from 'util';
+import { ReadableStream } from 'stream/web';
+import { buildForm, createVoluntaryFieldRow } from '../../src/wizard/form-builder.js';
+
+// The importer reads sector IDs through the validation pipeline, which loads jsonld
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+global.ReadableStream = ReadableStream;
+global.setImmediate = global.setImmediate || ((fn, ...args) => global.setTimeout(fn, 0, ...args));
+
+describe('DPP Wizard - Importer', () => {
+    let detectSectors, splitContexts, fillForms, fillVoluntaryField, isVoluntaryValue;
+
+    beforeAll(async () => {
+        ({ detectSectors, splitContexts, fillForms, fillVoluntaryField, isVoluntaryValue } = await import('../../src/wizard/dpp-importer.js'));
+    });
+
+    const schema = {
+        type: 'object',
+        required: ['productName'],
+        properties: {
+            productName: { type: 'string' },
+            weight: { type: 'number' },
+            isRecyclable: { type: 'boolean' },
+            granularity: { type: 'string', enum: ['Model', 'Batch', 'Item'] },
+            lastUpdate: { type: 'string', format: 'date-time' },
+            keywords: { type: 'array', items: { type: 'string' } },
+            image: {
+                type: 'array',
+                items: { type: 'object', properties: { url: { type: 'string' }, caption: { type: 'string' } } }
+            },
+            manufacturer: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    address: { type: 'object', properties: { city: { type: 'string' } } }
+                }
+            },
+            certification: {
+                oneOf: [
+                    { title: 'Label', type: 'object', properties: { labelName: { type: 'string' } } },
+                    { title: 'Certificate', type: 'object', properties: { certificateNumber: { type: 'string' }, issuer: { type: 'string' } } }
+                ]
+            }
+        }
+    };
+
+    const renderForm = () => {
+        document.body.innerHTML = '<div id="form"></div>';
+        const container = document.getElementById('form');
+        container.appendChild(buildForm(schema, new Map(), new Map(), 'en'));
+        return container;
+    };
+    const valueOf = (name) => document.querySelector(`[name="${name}"]`)?.value;
+
+    it('should detect sectors from contentSpecificationIds and Keystone context URLs', () => {
+        const dpp = {
+            '@context': [
+                'https://dpp-keystone.org/spec/contexts/v1/dpp-core.context.jsonld',
+                'https://dpp-keystone.org/spec/contexts/v1/dpp-general-product.context.jsonld',
+                'https://dpp-keystone.org/spec/contexts/v1/dpp-textile.context.jsonld'
+            ],
+            contentSpecificationIds: ['battery-product-dpp-v1', 'packaging-product-dpp-v1', 'urn:example:unknown']
+        };
+        const known = ['battery', 'textile', 'general-product', 'packaging'];
+
+        expect(detectSectors(dpp, known)).toEqual(['battery', 'packaging', 'general-product', 'textile']);
+        expect(detectSectors({}, known)).toEqual([]);
+    });
+
+    it('should keep only external contexts and prefix definitions', () => {
+        const { uris, prefixes } = splitContexts([
+            'https://dpp-keystone.org/spec/contexts/v1/dpp-battery.context.jsonld',
+            'https://schema.org/',
+            { ex: 'https://example.com/vocab#', ignored: { '@id': 'ex:ignored' } }
+        ]);
+
+        expect(uris).toEqual(['https://schema.org/']);
+        expect(prefixes).toEqual({ ex: 'https://example.com/vocab#' });
+    });
+
+    it('should fill fields, create array items and expand optional objects', () => {
+        const container = renderForm();
+
+        const { unknown, unplaced } = fillForms([container], {
+            productName: 'Drill',
+            weight: 1.5,
+            isRecyclable: true,
+            granularity: 'Batch',
+            lastUpdate: '2024-05-21T10:00:00Z',
+            keywords: ['tool', 'power'],
+            image: [{ url: 'https://example.com/1.png' }, { url: 'https://example.com/2.png', caption: 'Side' }],
+            manufacturer: { name: 'ACME', address: { city: 'Berlin' } },
+            certification: { certificateNumber: 'C-1', issuer: 'TÜV' },
+            warrantyYears: 2
+        });
+
+        expect(valueOf('productName')).toBe('Drill');
+        expect(valueOf('weight')).toBe('1.5');
+        expect(document.querySelector('[name="isRecyclable"]').checked).toBe(true);
+        expect(valueOf('granularity')).toBe('Batch');
+        expect(valueOf('lastUpdate')).toBe('2024-05-21T10:00');
+        expect([valueOf('keywords.0'), valueOf('keywords.1')]).toEqual(['tool', 'power']);
+        expect([valueOf('image.0.url'), valueOf('image.1.url'), valueOf('image.1.caption')])
+            .toEqual(['https://example.com/1.png', 'https://example.com/2.png', 'Side']);
+        expect([valueOf('manufacturer.name'), valueOf('manufacturer.address.city')]).toEqual(['ACME', 'Berlin']);
+        expect(document.querySelector('.grid-row[data-object-path="certification"]').dataset.oneofSelection).toBe('1');
+        expect([valueOf('certification.certificateNumber'), valueOf('certification.issuer')]).toEqual(['C-1', 'TÜV']);
+
+        expect(unknown).toEqual([{ path: 'warrantyYears', value: 2 }]);
+        expect(unplaced).toEqual([]);
+    });
+
+    it('should choose the alternative of the type of simple values', () => {
+        document.body.innerHTML = '<div id="form"></div>';
+        const container = document.getElementById('form');
+        container.appendChild(buildForm({
+            type: 'object',
+            properties: {
+                careInstructions: {
+                    oneOf: [
+                        { title: 'Related Resource', type: 'object', properties: { url: { type: 'string' } } },
+                        { type: 'string' }
+                    ]
+                },
+                repairInstructions: {
+                    oneOf: [{ title: 'Related Resource', type: 'object', properties: { url: { type: 'string' } } }]
+                }
+            }
+        }));
+
+        const { unplaced } = fillForms([container], { careInstructions: 'Wash at 30 °C', repairInstructions: 'See manual' });
+
+        expect(document.querySelector('.grid-row[data-object-path="careInstructions"]').dataset.oneofSelection).toBe('1');
+        expect(valueOf('careInstructions')).toBe('Wash at 30 °C');
+        // Objects without an alternative of the value's type are left as they are
+        expect(unplaced).toEqual([{ path: 'repairInstructions', value: 'See manual' }]);
+        expect(document.querySelector('button[data-optional-object="repairInstructions"]')).not.toBeNull();
+    });
+
+    it('should report values the forms cannot hold', () => {
+        const container = renderForm();
+
+        const { unknown, unplaced } = fillForms([container], {
+            weight: 'heavy',
+            granularity: 'Lot',
+            manufacturer: { name: 'ACME', vatNumber: 'DE123' },
+            productName: { en: 'Drill' },
+            notes: null
+        });
+
+        expect(unknown).toEqual([]);
+        expect(unplaced).toEqual([
+            { path: 'weight', value: 'heavy' },
+            { path: 'granularity', value: 'Lot' },
+            { path: 'manufacturer.vatNumber', value: 'DE123' },
+            { path: 'productName', value: { en: 'Drill' } },
+            { path: 'notes', value: null }
+        ]);
+        expect(valueOf('manufacturer.name')).toBe('ACME');
+    });
+
+    it('should enter unknown properties as voluntary fields and groups', () => {
+        const row = createVoluntaryFieldRow(jest.fn().mockResolvedValue([]), [], null, new Map(), () => new Set());
+        document.body.innerHTML = '';
+        document.body.appendChild(row);
+
+        const unplaced = fillVoluntaryField(row, 'repairInfo', {
+            repairable: true,
+            spareParts: { value: 7, unit: 'years' },
+            contact: 'repair@example.com',
+            steps: ['open', 'fix'],
+            '@id': 'ex:1'
+        });
+
+        expect(row.querySelector('.voluntary-name').value).toBe('repairInfo');
+        expect(row.querySelector('.voluntary-type').value).toBe('Group');
+        const children = [...row.querySelectorAll('.voluntary-group-container .voluntary-field-row')];
+        expect(children.map(child => [child.querySelector('.voluntary-name').value, child.querySelector('.voluntary-type').value]))
+            .toEqual([['repairable', 'True/False'], ['spareParts', 'Number'], ['contact', 'Text']]);
+        expect(children[1].querySelector('.voluntary-value').value).toBe('7');
+        expect(children[1].querySelector('.voluntary-unit').value).toBe('years');
+        expect(unplaced).toEqual([
+            { path: 'repairInfo.steps', value: ['open', 'fix'] },
+            { path: 'repairInfo.@id', value: 'ex:1' }
+        ]);
+
+        expect(isVoluntaryValue('@type', 'Product')).toBe(false);
+        expect(isVoluntaryValue('ex:note', 'text')).toBe(true);
+    });
+});
@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    parseJsonOrJsonc,
+    globToRegExp,
+    expandFileArgs,
+    validateFiles,
+    formatHuman,
+    formatJson,
+    formatJunit,
+    formatSarif,
+    parseValidateArgs,
+    createBundleSpecLoaders,
+    main,
+    EXIT_OK,
+    EXIT_INVALID,
+    EXIT_USAGE
+} from '../../scripts/dppk.mjs';
+import { PROJECT_ROOT } from '../scripts/test-helpers.mjs';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+
+const EXAMPLES_DIR = path.join(PROJECT_ROOT, 'dist', 'spec', 'examples');
+
+const createStream = () => {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+};
+
+describe('dppk CLI - input handling', () => {
+    it('should parse strict JSON and JSONC', () => {
+        expect(parseJsonOrJsonc('{"a": 1}')).toEqual({ data: { a: 1 }, isJsonc: false });
+        expect(parseJsonOrJsonc('{"a": 1, // comment\n}')).toEqual({ data: { a: 1 }, isJsonc: true });
+        expect(() => parseJsonOrJsonc('{"a": ')).toThrow(/Invalid JSON format/);
+    });
+
+    it('should convert glob patterns into regular expressions', () => {
+        expect(globToRegExp('*.json').test('battery.json')).toBe(true);
+        expect(globToRegExp('*.json').test('sub/battery.json')).toBe(false);
+        expect(globToRegExp('**/*.json').test('battery.json')).toBe(true);
+        expect(globToRegExp('**/*.json').test('a/b/battery.json')).toBe(true);
+        expect(globToRegExp('dpp-?.json').test('dpp-1.json')).toBe(true);
+    });
+
+    it('should expand globs and report arguments without matches', async () => {
+        const { files, unmatched } = await expandFileArgs([
+            path.join(EXAMPLES_DIR, '*-dpp-v1.json'),
+            path.join(EXAMPLES_DIR, 'does-not-exist.json')
+        ]);
+
+        expect(files).toContain(path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'));
+        expect(files).not.toContain(path.join(EXAMPLES_DIR, 'sock-dpp-v2.json'));
+        expect(unmatched).toEqual([path.join(EXAMPLES_DIR, 'does-not-exist.json')]);
+    });
+
+    it('should parse validate options', () => {
+        expect(parseValidateArgs(['-f', 'junit', '--output=report.xml', 'a.json'])).toEqual({
+            format: 'junit', output: 'report.xml', specRoot: null, bundle: null, help: false, patterns: ['a.json']
+        });
+        expect(parseValidateArgs(['--bundle', 'spec.json', 'a.json']).bundle).toBe('spec.json');
+        expect(() => parseValidateArgs(['--format', 'yaml'])).toThrow(/Unknown format/);
+        expect(() => parseValidateArgs(['--bogus'])).toThrow(/Unknown option/);
+    });
+});
+
+describe('dppk CLI - validation', () => {
+    let tempDir;
+    let invalidFile;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dppk-'));
+        const battery = JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), 'utf-8'));
+        delete battery.digitalProductPassportId;
+        battery.lastUpdate = 'yesterday';
+        invalidFile = path.join(tempDir, 'invalid-battery.jsonc');
+        await fs.writeFile(invalidFile, `// Broken on purpose\n${JSON.stringify(battery, null, 2)}`);
+    });
+
+    afterAll(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should run every layer and accept a valid example', async () => {
+        const [result] = await validateFiles([path.join(EXAMPLES_DIR, 'battery-dpp-v1.json')]);
+
+        expect(result.valid).toBe(true);
+        expect(Object.keys(result.layers)).toEqual(['schema', 'ontology', 'context', 'shacl', 'rules']);
+    });
+
+    it('should accept quantities given in a convertible unit in every layer', async () => {
+        const battery = JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), 'utf-8'));
+        const gramsFile = path.join(tempDir, 'battery-in-grams.json');
+        await fs.writeFile(gramsFile, JSON.stringify({ ...battery, batteryMass: { value: battery.batteryMass * 1000, unit: 'g' } }));
+        const metresFile = path.join(tempDir, 'battery-in-metres.json');
+        await fs.writeFile(metresFile, JSON.stringify({ ...battery, batteryMass: { value: 45.5, unit: 'm' } }));
+
+        const [grams, metres] = await validateFiles([gramsFile, metresFile]);
+
+        expect(grams.errors).toEqual([]);
+        expect(grams.valid).toBe(true);
+        // A quantity that does not convert is explained by the ontology layer
+        expect(metres.valid).toBe(false);
+        expect(metres.layers.ontology.errors).toEqual([
+            expect.objectContaining({ instancePath: '/batteryMass', keyword: 'unit' })
+        ]);
+    });
+
+    it('should validate from the offline spec bundle without network access', async () => {
+        const bundlePath = path.join(PROJECT_ROOT, 'dist', 'spec', `keystone-spec-bundle-${KEYSTONE_VERSION}.json`);
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => { throw new Error(`Unexpected network access to ${url}`); };
+        try {
+            const [valid, invalid] = await validateFiles([path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), invalidFile], { bundle: bundlePath });
+
+            expect(valid.valid).toBe(true);
+            expect(Object.keys(valid.layers)).toEqual(['schema', 'ontology', 'context', 'shacl', 'rules']);
+            expect(invalid.layers.ontology.errors).toEqual(expect.arrayContaining([
+                expect.objectContaining({ instancePath: '/lastUpdate' })
+            ]));
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    it('should reject a bundle of an unknown Keystone version', () => {
+        expect(() => createBundleSpecLoaders({ format: 'keystone-spec-bundle', version: 'v0', documents: {} }))
+            .toThrow(/The spec bundle is for v0, which this dppk does not know/);
+        expect(() => createBundleSpecLoaders({ version: KEYSTONE_VERSION })).toThrow(/Not a Keystone spec bundle/);
+    });
+
+    it('should report schema and ontology errors for an invalid JSONC file', async () => {
+        const [result] = await validateFiles([invalidFile]);
+
+        expect(result.valid).toBe(false);
+        expect(result.isJsonc).toBe(true);
+        expect(result.layers.schema.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ keyword: 'required', params: { missingProperty: 'digitalProductPassportId' } })
+        ]));
+        expect(result.layers.ontology.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ instancePath: '/lastUpdate' })
+        ]));
+    });
+
+    it('should validate each file against the Keystone version it declares', async () => {
+        const battery = JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), 'utf-8'));
+        const futureFile = path.join(tempDir, 'future-battery.json');
+        const context = battery['@context'].replace(`/${KEYSTONE_VERSION}/`, '/v99/');
+        await fs.writeFile(futureFile, JSON.stringify({ ...battery, '@context': context, dppSchemaVersion: 'v99.0' }));
+
+        const [current, future] = await validateFiles([path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), futureFile]);
+
+        expect(current.version).toBe(KEYSTONE_VERSION);
+        expect(future.valid).toBe(false);
+        expect(future.version).toBeNull();
+        expect(future.layers.input.errors[0].message)
+            .toMatch(/^The passport declares Keystone version v99 \(dppSchemaVersion\), which is not available\. Available versions: /);
+    });
+
+    it('should format results as human readable text, JSON, JUnit and SARIF', async () => {
+        const results = await validateFiles([path.join(EXAMPLES_DIR, 'battery-dpp-v1.json'), invalidFile]);
+
+        const human = formatHuman(results, tempDir);
+        expect(human).toContain('❌ invalid-battery.jsonc');
+        expect(human).toContain("Missing required property: 'digitalProductPassportId'");
+        expect(human).toContain('2 file(s) checked: 1 valid, 1 invalid.');
+
+        const json = JSON.parse(formatJson(results));
+        expect(json.valid).toBe(false);
+        expect(json.summary).toEqual({ total: 2, valid: 1, invalid: 1 });
+        expect(json.files[1].errors[0]).toEqual(expect.objectContaining({ layer: 'schema', instancePath: '' }));
+
+        const junit = formatJunit(results, tempDir);
+        expect(junit).toContain('<testsuites name="dppk validate" tests="2" failures="1"');
+        expect(junit).toContain('<testcase classname="dppk.validate" name="invalid-battery.jsonc"');
+        expect(junit).toContain('<failure message=');
+
+        const sarif = JSON.parse(formatSarif(results, tempDir));
+        expect(sarif.runs[0].tool.driver.name).toBe('dppk');
+        expect(sarif.runs[0].results).toEqual(expect.arrayContaining([
+            expect.objectContaining({
+                ruleId: 'schema/required',
+                level: 'error',
+                locations: [expect.objectContaining({ physicalLocation: { artifactLocation: { uri: 'invalid-battery.jsonc' } } })]
+            }),
+            expect.objectContaining({ ruleId: 'ontology/format', properties: expect.objectContaining({ pointer: '/lastUpdate' }) })
+        ]));
+    });
+
+    it('should return exit codes for valid, invalid and unusable input', async () => {
+        const stdout = createStream();
+        const stderr = createStream();
+        const io = { stdout, stderr };
+
+        expect(await main(['validate', path.join(EXAMPLES_DIR, 'battery-dpp-v1.json')], io)).toBe(EXIT_OK);
+        expect(await main(['validate', '--format', 'json', invalidFile], io)).toBe(EXIT_INVALID);
+        expect(await main(['validate', path.join(tempDir, 'missing-*.json')], io)).toBe(EXIT_USAGE);
+        expect(await main(['lint'], io)).toBe(EXIT_USAGE);
+        expect(stderr.text()).toContain('No files found for');
+    });
+
+    it('should exit with the usage code when the Keystone resources cannot be loaded', async () => {
+        const stderr = createStream();
+        const io = { stdout: createStream(), stderr };
+        const example = path.join(EXAMPLES_DIR, 'battery-dpp-v1.json');
+
+        expect(await main(['validate', '--spec-root', path.join(tempDir, 'missing-spec'), example], io)).toBe(EXIT_USAGE);
+        expect(stderr.text()).toMatch(/^Failed to load the Keystone validation resources: Cannot read validation\//);
+
+        // A spec root with the schemas, shapes and rules, but without the ontologies
+        const partialRoot = path.join(tempDir, 'partial-spec');
+        await fs.mkdir(partialRoot);
+        await fs.symlink(path.join(PROJECT_ROOT, 'dist', 'spec', 'validation'), path.join(partialRoot, 'validation'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            await expect(validateFiles([example], { specRoot: partialRoot }))
+                .rejects.toMatchObject({ code: 'ESPEC', message: expect.stringMatching(/^Cannot load the dpp ontology/) });
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,94 @@
+import {
+    createDraftStore, serializeDraft, parseDraftFile, draftFileName, DRAFT_FILE_FORMAT
+} from '../../src/wizard/draft-store.js';
+
+// A minimal in-memory Storage
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+};
+
+describe('DPP Wizard - Draft store', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = 1000;
+    });
+
+    it('should create, list and update drafts with timestamps', () => {
+        const store = createDraftStore(memoryStorage(), 'drafts', now);
+        const first = store.create('Battery model', { core: { productName: 'Cell' } });
+        clock = 2000;
+        const second = store.create('Textile batch', { core: {} });
+
+        expect(first).toMatchObject({ name: 'Battery model', created: 1000, updated: 1000 });
+        expect(store.list().map(draft => draft.name)).toEqual(['Textile batch', 'Battery model']);
+        expect(store.list()[0]).not.toHaveProperty('session');
+
+        clock = 3000;
+        expect(store.update(first.id, { core: { productName: 'Pack' } })).toMatchObject({ created: 1000, updated: 3000 });
+        expect(store.get(first.id).session.core.productName).toBe('Pack');
+        expect(store.list()[0].id).toBe(first.id);
+
+        expect(store.rename(second.id, 'Textile lot').name).toBe('Textile lot');
+        expect(store.update('missing', {})).toBeNull();
+        expect(store.get('missing')).toBeNull();
+    });
+
+    it('should duplicate and remove drafts', () => {
+        const storage = memoryStorage();
+        const store = createDraftStore(storage, 'drafts', now);
+        const original = store.create('Model', { core: { productName: 'Drill' } });
+        clock = 2000;
+        const copy = store.duplicate(original.id, 'Model (copy)');
+
+        expect(copy.id).not.toBe(original.id);
+        expect(copy).toMatchObject({ name: 'Model (copy)', created: 2000, session: original.session });
+        expect(store.duplicate('missing', 'x')).toBeNull();
+
+        store.remove(original.id);
+        expect(store.list().map(draft => draft.id)).toEqual([copy.id]);
+        // A second store on the same storage sees the same drafts
+        expect(createDraftStore(storage, 'drafts').get(copy.id).name).toBe('Model (copy)');
+    });
+
+    it('should ignore unreadable storage content', () => {
+        const storage = memoryStorage();
+        storage.setItem('drafts', '{not json');
+
+        expect(createDraftStore(storage, 'drafts').list()).toEqual([]);
+    });
+
+    it('should serialize and parse draft files', () => {
+        const session = { core: { productName: 'Drill' }, sectors: ['battery'], voluntary: [{ key: 'note', type: 'Text', value: 'x' }] };
+        const text = serializeDraft({ id: 'a', name: 'Drill', created: 1, updated: 2, session }, 'v1');
+
+        expect(JSON.parse(text)).toEqual({ format: DRAFT_FILE_FORMAT, version: 'v1', name: 'Drill', created: 1, updated: 2, session });
+        expect(parseDraftFile(text)).toEqual({ name: 'Drill', version: 'v1', created: 1, updated: 2, session });
+        expect(parseDraftFile(JSON.stringify({ format: DRAFT_FILE_FORMAT, session: {} })).name).toBe('Draft');
+    });
+
+    it('should reject files that are not drafts', () => {
+        const rejects = (text) => {
+            try {
+                parseDraftFile(text);
+            } catch (error) {
+                return error.code;
+            }
+            return null;
+        };
+
+        expect(rejects('{')).toBe('EDRAFT');
+        expect(rejects(JSON.stringify({ productName: 'Drill' }))).toBe('EDRAFT');
+        expect(rejects(JSON.stringify({ format: DRAFT_FILE_FORMAT, session: [] }))).toBe('EDRAFT');
+    });
+
+    it('should name exported files after the draft', () => {
+        expect(draftFileName('Battery: model / 2024')).toBe('Battery-model-2024.dppdraft.json');
+        expect(draftFileName('  ')).toBe('draft.dppdraft.json');
+    });
+});
@@ -0,0 +1,119 @@
+import { transform, buildDictionary, listProfiles } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const SPEC_DIR = path.join(PROJECT_ROOT, 'dist', 'spec');
+const TERMS = `https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#`;
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+describe('EPD Export Profiles', () => {
+    let construction;
+    const dictionary = {};
+
+    const transformEpd = async (profile) => {
+        const result = await transform(structuredClone(construction), {
+            profile,
+            documentLoader: localFileDocumentLoader,
+            version: KEYSTONE_VERSION
+        }, dictionary);
+        expect(result).toHaveLength(1);
+        return result[0];
+    };
+
+    beforeAll(async () => {
+        construction = await readJson(path.join(SPEC_DIR, 'examples', 'construction-product-dpp-v1.json'));
+        const ontologyPath = path.join(SPEC_DIR, 'ontology', KEYSTONE_VERSION, 'core', 'EPDIndicators.jsonld');
+        await buildDictionary([ontologyPath], readJson, localFileDocumentLoader, dictionary, KEYSTONE_VERSION);
+    });
+
+    it('should register one profile per export format', () => {
+        const profiles = Object.fromEntries(listProfiles().map(profile => [profile.name, profile]));
+        expect(profiles['epd']).toEqual(expect.objectContaining({ mediaType: 'application/json', dictionaryFields: ['unit', 'label'] }));
+        expect(profiles['epd-csv'].mediaType).toBe('text/csv');
+        expect(profiles['epd-csv-excel'].mediaType).toBe('text/csv');
+        expect(profiles['epd-ilcd'].mediaType).toBe('application/json');
+        expect(profiles['epd-ilcd-xml'].mediaType).toBe('application/xml');
+    });
+
+    it('should build the EN 15804 indicator × module table of the construction example', async () => {
+        const table = await transformEpd('epd');
+
+        expect(table.standard).toBe('EN 15804+A2');
+        expect(table.product.digitalProductPassportId).toBe(construction.digitalProductPassportId);
+        expect(table.modules.map(module => module.code)).toEqual([
+            'A1', 'A2', 'A3', 'A4', 'A5', 'B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'C1', 'C2', 'C3', 'C4', 'D', 'Total'
+        ]);
+        expect(table.indicators.map(indicator => indicator.indicator)).toEqual([
+            'GWP-total', 'GWP-fossil', 'GWP-biogenic', 'GWP-luluc', 'ODP', 'AP', 'EP-freshwater', 'EP-marine',
+            'EP-terrestrial', 'POCP', 'ADPE', 'ADPF', 'WDP', 'GWP-GHG'
+        ]);
+
+        const [gwp] = table.indicators;
+        expect(gwp).toEqual(expect.objectContaining({
+            term: `${TERMS}gwp`,
+            label: 'Global Warming Potential',
+            unit: 'kg CO₂ eq'
+        }));
+        expect(gwp.values).toEqual(expect.objectContaining({ a1: 348, a3: 120, a5: null, b1: null, c4: 0.732, d: 458, total: 719 }));
+    });
+
+    it('should export the table as CSV with undeclared modules marked', async () => {
+        const csv = await transformEpd('epd-csv');
+        const [header, gwp] = csv.split('\n');
+
+        expect(header).toBe('Indicator,Description,Unit,A1,A2,A3,A4,A5,B1,B2,B3,B4,B5,B6,B7,C1,C2,C3,C4,D,Total');
+        expect(gwp).toBe('GWP-total,Global Warming Potential,kg CO₂ eq,348,119,120,67.2,MND,MND,MND,MND,MND,MND,MND,MND,38.2,24.4,1.93,0.732,458,719');
+        expect(csv.trim().split('\n')).toHaveLength(15);
+
+        // Labels containing the delimiter are quoted
+        expect(csv).toContain('"Global Warming Potential, Fossil"');
+    });
+
+    it('should export Excel compatible CSV', async () => {
+        const csv = await transformEpd('epd-csv-excel');
+
+        expect(csv.startsWith('\uFEFFIndicator,')).toBe(true);
+        expect(csv.split('\r\n')).toHaveLength(16);
+    });
+
+    it('should export the indicators as ILCD+EPD LCIA results', async () => {
+        const ilcd = await transformEpd('epd-ilcd');
+
+        const results = ilcd.LCIAResults.LCIAResult;
+        expect(results).toHaveLength(14);
+        expect(results[0].referenceToLCIAMethodDataSet).toEqual({
+            type: 'LCIA method data set',
+            uri: `${TERMS}gwp`,
+            shortDescription: [{ value: 'GWP-total: Global Warming Potential', lang: 'en' }]
+        });
+
+        const [unitGroup, ...amounts] = results[0].other.anies;
+        expect(unitGroup.value.shortDescription).toEqual([{ value: 'kg CO₂ eq', lang: 'en' }]);
+        expect(amounts.map(amount => amount.module)).toEqual(['A1', 'A2', 'A3', 'A4', 'C1', 'C2', 'C3', 'C4', 'D']);
+        expect(amounts[0]).toEqual({ name: 'amount', module: 'A1', value: '348' });
+    });
+
+    it('should export the ILCD+EPD data set as XML', async () => {
+        const xml = await transformEpd('epd-ilcd-xml');
+
+        expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+        expect(xml).toContain('xmlns:epd="http://www.iai.kit.edu/EPD/2013"');
+        expect(xml).toContain(`<referenceToLCIAMethodDataSet type="LCIA method data set" uri="${TERMS}gwp">`);
+        expect(xml).toContain('<epd:amount epd:module="A1">348</epd:amount>');
+        expect(xml).not.toContain('epd:module="Total"');
+        expect(xml.match(/<LCIAResult>/g)).toHaveLength(14);
+    });
+
+    it('should return nothing for a DPP without an EPD block', async () => {
+        const result = await transform({
+            "@context": `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-core.context.jsonld`,
+            "@type": "DigitalProductPassport",
+            "digitalProductPassportId": "urn:uuid:1234"
+        }, { profile: 'epd-csv', documentLoader: localFileDocumentLoader, version: KEYSTONE_VERSION }, dictionary);
+
+        expect(result).toEqual([]);
+    });
+});
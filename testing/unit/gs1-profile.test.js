@@ -0,0 +1,107 @@
+import { transform, listProfiles } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const EXAMPLES_DIR = path.join(PROJECT_ROOT, 'dist', 'spec', 'examples');
+
+const transformToGs1 = async (dpp) => {
+    const result = await transform(dpp, {
+        profile: 'gs1',
+        documentLoader: localFileDocumentLoader,
+        version: KEYSTONE_VERSION
+    }, {});
+    expect(result).toHaveLength(1);
+    return result[0];
+};
+
+describe('GS1 Web Vocabulary Profile', () => {
+
+    it('should be registered as a built-in profile', () => {
+        expect(listProfiles()).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'gs1', mediaType: 'application/ld+json', dictionaryFields: [] })
+        ]));
+    });
+
+    it('should transform the drill example into a gs1:Product', async () => {
+        const drill = JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, 'drill-dpp-v1.json'), 'utf-8'));
+
+        const product = await transformToGs1(drill);
+
+        expect(product['@context'].gs1).toBe('https://ref.gs1.org/voc/');
+        expect(product['@type']).toBe('gs1:Product');
+        expect(product['@id']).toBe('https://id.gs1.org/01/05012345101064');
+        expect(product['gs1:gtin']).toBe('05012345101064');
+        expect(product['gs1:productName']).toEqual([{ "@value": "Drills 4 U Cordless drill GSB 451", "@language": "en-uk" }]);
+        expect(product['gs1:brand']).toEqual({ "@type": "gs1:Brand", "gs1:brandName": ["Drills 4 U"] });
+        expect(product['gs1:netWeight']).toEqual({ "@type": "gs1:QuantitativeValue", "gs1:value": 1.8, "gs1:unitCode": "KGM" });
+
+        expect(product['gs1:manufacturer']).toEqual({
+            "@type": "gs1:Organization",
+            "gs1:organizationName": "Drills R Us SE",
+            "gs1:globalLocationNumber": "5012345100036",
+            "gs1:additionalOrganizationIdentification": "urn:lei:ABCDE123456789012345",
+            "gs1:additionalOrganizationIdentificationType": "URN:LEI",
+            "gs1:address": {
+                "@type": "gs1:PostalAddress",
+                "gs1:streetAddress": "4 Black Street",
+                "gs1:postalCode": "12345",
+                "gs1:addressLocality": "London",
+                "gs1:addressCountry": "UK"
+            }
+        });
+
+        expect(product['gs1:productImage']).toEqual([expect.objectContaining({
+            "@type": "gs1:ReferencedFileDetails",
+            "gs1:referencedFileURL": { "@id": "/spec/examples/images/drill.png" },
+            "gs1:fileFormatName": "image/png"
+        })]);
+
+        expect(product['gs1:certification']).toEqual([expect.objectContaining({
+            "@type": "gs1:CertificationDetails",
+            "gs1:certificationStandard": "CE Mark",
+            "gs1:certificationIdentification": "CE-2024-98765",
+            "gs1:certificationAgency": "Self-declared",
+            "gs1:certificationStartDate": "2024-01-01"
+        })]);
+    });
+
+    it('should map dimensions and packaging materials', async () => {
+        const product = await transformToGs1({
+            "@context": [
+                `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-core.context.jsonld`,
+                `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-general-product.context.jsonld`,
+                `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-packaging.context.jsonld`
+            ],
+            "@type": "DigitalProductPassport",
+            "digitalProductPassportId": "urn:uuid:1234",
+            "uniqueProductIdentifier": "https://example.com/product/1234",
+            "width": 0.3,
+            "height": 0.25,
+            "depth": 0.08,
+            "packagingMaterials": [
+                {
+                    "packagingMaterialType": "Cardboard",
+                    "packagingMaterialCompositionQuantity": 0.12,
+                    "packagingRecyclingProcessType": "Recyclable"
+                }
+            ]
+        });
+
+        expect(product['@id']).toBe('https://example.com/product/1234');
+        expect(product).not.toHaveProperty('gs1:gtin');
+        expect(product['gs1:outOfPackageWidth']).toEqual({ "@type": "gs1:QuantitativeValue", "gs1:value": 0.3, "gs1:unitCode": "MTR" });
+        expect(product['gs1:outOfPackageHeight']['gs1:value']).toBe(0.25);
+        expect(product['gs1:outOfPackageDepth']['gs1:value']).toBe(0.08);
+        expect(product['gs1:packaging']).toEqual({
+            "@type": "gs1:PackagingDetails",
+            "gs1:packagingMaterial": [{
+                "@type": "gs1:PackagingMaterialDetails",
+                "gs1:packagingMaterialType": "Cardboard",
+                "gs1:packagingMaterialCompositionQuantity": { "@type": "gs1:QuantitativeValue", "gs1:value": 0.12, "gs1:unitCode": "KGM" },
+                "gs1:packagingRecyclingProcessType": "Recyclable"
+            }]
+        });
+    });
+});
@@ -386,6 +386,7 @@ describe('HTML Generator', () => {
         expect(transformDppMock).toHaveBeenCalledWith(mockDpp, expect.objectContaining({
             profile: 'schema.org',
             ontologyPaths: expect.arrayContaining([expect.stringMatching(new RegExp(`ontology/${KEYSTONE_VERSION}/dpp-ontology\\.jsonld`))]),
+            sectorSchemaPaths: expect.arrayContaining([`../spec/validation/${KEYSTONE_VERSION}/json-schema/sector/construction.schema.json`]),
             documentLoader: expect.any(Function)
         }));
 
@@ -422,5 +423,7 @@ describe('HTML Generator', () => {
         const html = await generateHTML(mockDpp, { language: 'fr' });
         expect(html).toContain('Statut du Passeport');
         expect(html).not.toContain('Passport Status');
+        // The schema.org JSON-LD is localized as well
+        expect(transformDppMock).toHaveBeenCalledWith(mockDpp, expect.objectContaining({ language: 'fr' }));
     });
 });
@@ -0,0 +1,54 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runRulesValidation, RULE_FILES } from '../../../src/lib/validation-pipeline.js';
+import { assertRuleSet } from '../../../src/util/js/common/validation/rule-engine.js';
+import { KEYSTONE_VERSION } from '../../../src/lib/keystone-version.js';
+import { PROJECT_ROOT } from '../../scripts/test-helpers.mjs';
+
+const SPEC_ROOT = path.join(PROJECT_ROOT, 'dist', 'spec');
+const EU_LANGUAGES = ['bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'ga', 'hr', 'hu', 'it', 'lt', 'lv', 'mt', 'nl', 'pl', 'pt', 'ro', 'sk', 'sl', 'sv'];
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf-8'));
+const specLoader = (specPath) => readJson(path.join(SPEC_ROOT, specPath));
+const readExample = (name) => readJson(path.join(SPEC_ROOT, 'examples', name));
+
+describe('Business Rules', () => {
+
+    it('should ship well-formed rule files with translated messages', async () => {
+        for (const [sector, file] of Object.entries(RULE_FILES)) {
+            const ruleSet = await specLoader(`validation/${KEYSTONE_VERSION}/rules/${file}`);
+
+            expect(ruleSet.sector).toBe(sector);
+            expect(() => assertRuleSet(ruleSet)).not.toThrow();
+            for (const rule of ruleSet.rules) {
+                expect(rule.message.map(t => t['@language']).sort()).toEqual(EU_LANGUAGES);
+            }
+        }
+    });
+
+    it('should accept the examples', async () => {
+        for (const name of ['battery-dpp-v1.json', 'sock-dpp-v2.json', 'iron-steel-dpp-v1.json', 'drill-dpp-v1.json']) {
+            const result = await runRulesValidation(await readExample(name), specLoader);
+            expect(result.errors.filter(error => error.params.severity === 'error')).toEqual([]);
+        }
+    });
+
+    it('should apply the rules of the declared sectors', async () => {
+        const battery = await readExample('battery-dpp-v1.json');
+        battery.performance.capacity.remaining = battery.performance.capacity.rated + 1;
+        battery.materialComposition.push({ name: 'Filler', percentage: 5 });
+
+        const result = await runRulesValidation(battery, specLoader, { language: 'de' });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(error => [error.params.ruleId, error.instancePath])).toEqual([
+            ['BAT-CAP-001', '/performance/capacity/remaining'],
+            ['BAT-COMP-001', '/materialComposition']
+        ]);
+        expect(result.errors[0].message).toBe('Die Restkapazität darf die Nennkapazität nicht überschreiten.');
+
+        // Without the battery specification only the general rules apply
+        battery.contentSpecificationIds = [];
+        expect((await runRulesValidation(battery, specLoader)).errors).toEqual([]);
+    });
+});
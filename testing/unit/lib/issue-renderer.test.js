@@ -0,0 +1,35 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { renderIssue } from '../../../src/lib/issue-renderer.js';
+
+describe('Issue Renderer', () => {
+    const issue = {
+        severity: 'error', pointer: '/batteryMass', term: 'dppk:batteryMass', message: 'must be a number',
+        ruleId: 'battery-mass', hint: { message: 'Enter the mass in kilograms.' }
+    };
+
+    it('should render the severity, pointer, message, rule and hint of an issue', () => {
+        const li = renderIssue(issue);
+        expect(li.className).toBe('issue issue-error');
+        expect(li.querySelector('.issue-severity').textContent).toBe('error');
+        expect(li.querySelector('strong').textContent).toBe('/batteryMass');
+        expect(li.querySelector('strong').title).toBe('dppk:batteryMass');
+        expect(li.textContent).toContain(': must be a number');
+        expect(li.querySelector('.issue-rule').textContent).toBe('battery-mass');
+        expect(li.querySelector('.issue-hint').textContent).toBe('Enter the mass in kilograms.');
+        expect(li.querySelector('button, .issue-location')).toBeNull();
+    });
+
+    it('should make the pointer reveal the issue and show its location when given', () => {
+        const reveal = jest.fn();
+        const li = renderIssue({ severity: 'warning', pointer: '', message: 'check this' }, { reveal, location: { line: 3, column: 7 } });
+        const pointer = li.querySelector('button.issue-pointer');
+        expect(pointer.textContent).toBe('root');
+        expect(li.querySelector('.issue-location').textContent).toBe('line 3, column 7');
+        pointer.click();
+        expect(reveal).toHaveBeenCalledWith(expect.objectContaining({ message: 'check this' }));
+    });
+});
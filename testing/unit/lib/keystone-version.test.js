@@ -0,0 +1,75 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { KEYSTONE_VERSION, KEYSTONE_VERSIONS, detectKeystoneVersions, resolveKeystoneVersion } from '../../../src/lib/keystone-version.js';
+import { loadOntology } from '../../../src/lib/ontology-loader.js';
+import { runRulesValidation } from '../../../src/lib/validation-pipeline.js';
+import { PROJECT_ROOT } from '../../scripts/test-helpers.mjs';
+
+const context = (version, sector = 'battery') => `https://dpp-keystone.org/spec/contexts/${version}/dpp-${sector}.context.jsonld`;
+
+describe('Keystone Versions', () => {
+
+    it('should keep the directories of every published version', async () => {
+        expect(KEYSTONE_VERSIONS[KEYSTONE_VERSIONS.length - 1]).toBe(KEYSTONE_VERSION);
+        for (const version of KEYSTONE_VERSIONS) {
+            for (const area of ['contexts', 'ontology', 'validation']) {
+                await expect(fs.access(path.join(PROJECT_ROOT, 'src', area, version))).resolves.toBeUndefined();
+            }
+        }
+    });
+
+    it('should detect the version from dppSchemaVersion and the @context URLs', () => {
+        expect(detectKeystoneVersions({ dppSchemaVersion: 'v2.0' })).toEqual([{ version: 'v2', source: 'dppSchemaVersion' }]);
+        expect(detectKeystoneVersions({ '@context': context('v3') })).toEqual([{ version: 'v3', source: '@context' }]);
+        expect(detectKeystoneVersions({
+            dppSchemaVersion: 'V2',
+            '@context': [context('v2'), context('v2', 'textile'), { dppk: 'https://dpp-keystone.org/spec/v2/terms#' }]
+        })).toEqual([
+            { version: 'v2', source: 'dppSchemaVersion' },
+            { version: 'v2', source: '@context' }
+        ]);
+    });
+
+    it('should ignore placeholders and other schema versions', () => {
+        expect(detectKeystoneVersions({ '@context': context('{{VERSION}}'), dppSchemaVersion: '0.1' })).toEqual([]);
+        expect(detectKeystoneVersions({ dppSchemaVersion: 'ENXXX:v1.0' })).toEqual([]);
+        expect(detectKeystoneVersions(null)).toEqual([]);
+    });
+
+    it('should fall back to the latest version', () => {
+        expect(resolveKeystoneVersion({ digitalProductPassportId: 'urn:uuid:1' })).toEqual({ version: KEYSTONE_VERSION, source: 'default' });
+        expect(resolveKeystoneVersion({ '@context': context('v2') })).toEqual({ version: 'v2', source: '@context' });
+    });
+
+    it('should explain unavailable and conflicting versions', () => {
+        let error;
+        try {
+            resolveKeystoneVersion({ dppSchemaVersion: 'v9.1' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe(`The passport declares Keystone version v9 (dppSchemaVersion), which is not available. Available versions: ${KEYSTONE_VERSIONS.join(', ')}.`);
+        expect(error).toEqual(expect.objectContaining({ code: 'EVERSIONUNAVAILABLE', available: KEYSTONE_VERSIONS }));
+
+        expect(() => resolveKeystoneVersion({ dppSchemaVersion: 'v1', '@context': context('v2') }))
+            .toThrow('The passport declares conflicting Keystone versions: v1 (dppSchemaVersion), v2 (@context).');
+        expect(resolveKeystoneVersion({ '@context': context('v1') }, { available: ['v1', 'v2'] })).toEqual({ version: 'v1', source: '@context' });
+    });
+
+    it('should load the ontology and rules of the requested version', async () => {
+        const requested = [];
+        const fetch = async (url) => {
+            requested.push(url);
+            return { ok: true, json: async () => ({ '@graph': [] }) };
+        };
+        await loadOntology('battery', { fetch, version: 'v1' });
+        expect(requested).toEqual(['../spec/ontology/v1/sectors/Battery.jsonld']);
+
+        const specLoader = async (specPath) => {
+            requested.push(specPath);
+            return { sector: 'dpp', rules: [] };
+        };
+        await runRulesValidation({ contentSpecificationIds: ['draft_battery_specification_id'] }, specLoader, { version: 'v1' });
+        expect(requested.slice(1)).toEqual(['validation/v1/rules/dpp.rules.json', 'validation/v1/rules/battery.rules.json']);
+    });
+});
@@ -191,6 +191,25 @@ describe('DPP Wizard - Ontology Loader', () => {
         expect(prop.comment).toEqual({ en: 'A comment.' });
     });
 
+    it('should extract the visibility of a term as a short name', async () => {
+        const mockOntology = {
+            "@graph": [
+                { "@id": "dppk:dppStatus", "rdfs:label": "Status", "dppk:visibility": { "@id": "dppk:LegitimateInterestOrAuthority" } },
+                { "@id": "dppk:hsCode", "rdfs:label": "HS Code" }
+            ]
+        };
+
+        fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => mockOntology,
+        });
+
+        const ontologyMap = await loadOntology('visibility');
+
+        expect(ontologyMap.get('dppStatus').visibility).toBe('LegitimateInterestOrAuthority');
+        expect(ontologyMap.get('hsCode').visibility).toBeNull();
+    });
+
     it('should recursively load imported ontologies and merge their terms', async () => {
         const importedOntology = {
             "@id": `https://dpp-keystone.org/ontology/${KEYSTONE_VERSION}/core/Imported.jsonld`,
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { TextDecoder, TextEncoder } from 'util';
+import { ReadableStream } from 'stream/web';
+
+// The page validator of the module loads jsonld
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+global.ReadableStream = ReadableStream;
+global.setImmediate = global.setImmediate || ((fn, ...args) => global.setTimeout(fn, 0, ...args));
+
+describe('DPP Wizard - Live validation', () => {
+    let createDebouncedRunner, findIssueField;
+
+    beforeAll(async () => {
+        ({ createDebouncedRunner, findIssueField } = await import('../../src/wizard/live-validation.js'));
+    });
+
+    describe('findIssueField', () => {
+        let core, sector, custom;
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div id="core">
+                    <input name="digitalProductPassportId">
+                    <input name="uniqueProductIdentifier">
+                </div>
+                <div id="sector">
+                    <input name="manufacturer.address.country">
+                    <input name="components.0.name">
+                    <button class="add-array-item-btn" data-array-name="components"></button>
+                    <div class="grid-row" data-object-path="warranty"><button data-optional-object></button></div>
+                    <input name="a/b">
+                </div>
+                <div id="custom">
+                    <div class="voluntary-field-row">
+                        <input class="voluntary-name" value="repairInfo">
+                        <div class="voluntary-group-container">
+                            <div class="voluntary-field-row">
+                                <input class="voluntary-name" value="spareParts">
+                                <input class="voluntary-value">
+                            </div>
+                        </div>
+                    </div>
+                    <div class="voluntary-field-row">
+                        <input class="voluntary-name" value="modelPassport">
+                        <input name="modelPassport.url">
+                    </div>
+                </div>`;
+            [core, sector, custom] = ['core', 'sector', 'custom'].map(id => document.getElementById(id));
+        });
+
+        const find = (issue) => findIssueField({ keyword: null, property: null, ...issue }, [core, sector], custom);
+
+        it('should find the field of a pointer, also inside objects and arrays', () => {
+            expect(find({ pointer: '/uniqueProductIdentifier' }).name).toBe('uniqueProductIdentifier');
+            expect(find({ pointer: '/manufacturer/address/country' }).name).toBe('manufacturer.address.country');
+            expect(find({ pointer: '/components/0/name' }).name).toBe('components.0.name');
+            expect(find({ pointer: '/a~1b' }).name).toBe('a/b');
+        });
+
+        it('should find the missing property of required errors', () => {
+            expect(find({ pointer: '', keyword: 'required', property: 'digitalProductPassportId' }).name).toBe('digitalProductPassportId');
+        });
+
+        it('should fall back to the enclosing array or optional object', () => {
+            expect(find({ pointer: '/components/3/name' })).toBe(sector.querySelector('.add-array-item-btn'));
+            expect(find({ pointer: '/warranty/durationYears' })).toBe(sector.querySelector('[data-optional-object]'));
+            expect(find({ pointer: '' })).toBeNull();
+            expect(find({ pointer: '/unknown' })).toBeNull();
+        });
+
+        it('should find custom fields by their keys', () => {
+            expect(find({ pointer: '/repairInfo/spareParts' })).toBe(custom.querySelector('.voluntary-value'));
+            expect(find({ pointer: '/repairInfo/other' })).toBe(custom.querySelector('.voluntary-name'));
+            expect(find({ pointer: '/modelPassport/url' }).name).toBe('modelPassport.url');
+        });
+    });
+
+    describe('createDebouncedRunner', () => {
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+
+        it('should run once after the last schedule and only report the latest result', async () => {
+            let calls = 0;
+            const run = jest.fn(async () => ++calls);
+            const onResult = jest.fn();
+            const runner = createDebouncedRunner(run, { onResult }, 500);
+
+            runner.schedule();
+            jest.advanceTimersByTime(300);
+            runner.schedule();
+            jest.advanceTimersByTime(499);
+            expect(run).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(1);
+            await jest.runAllTimersAsync();
+            expect(run).toHaveBeenCalledTimes(1);
+            expect(onResult).toHaveBeenCalledWith(1);
+
+            // A run scheduled over while running is not reported
+            let finish;
+            run.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+            runner.schedule();
+            await jest.advanceTimersByTimeAsync(500);
+            expect(run).toHaveBeenCalledTimes(2);
+            runner.schedule();
+            finish('stale');
+            await jest.runAllTimersAsync();
+            expect(run).toHaveBeenCalledTimes(3);
+            expect(onResult.mock.calls).toEqual([[1], [2]]);
+        });
+
+        it('should report errors and drop cancelled runs', async () => {
+            const onResult = jest.fn();
+            const onError = jest.fn();
+            const runner = createDebouncedRunner(async () => { throw new Error('offline'); }, { onResult, onError });
+
+            runner.schedule();
+            await jest.runAllTimersAsync();
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'offline' }));
+
+            runner.schedule();
+            runner.cancel();
+            await jest.runAllTimersAsync();
+            expect(onError).toHaveBeenCalledTimes(1);
+            expect(onResult).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,103 @@
+import { transform, buildDictionary } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const SPEC_DIR = path.join(PROJECT_ROOT, 'dist', 'spec');
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+describe('Localized Transformation Output', () => {
+    let dictionary;
+    let drill;
+    let construction;
+
+    const transformTo = async (dpp, profile, language) => {
+        const [result] = await transform(structuredClone(dpp), {
+            profile,
+            documentLoader: localFileDocumentLoader,
+            version: KEYSTONE_VERSION,
+            language
+        }, dictionary);
+        return result;
+    };
+
+    const propertyNames = (product) => product.additionalProperty.map(property => property.name);
+
+    beforeAll(async () => {
+        // The dictionary precomputed by the build from all ontologies
+        ({ dictionary } = await readJson(path.join(SPEC_DIR, 'ontology', KEYSTONE_VERSION, 'dpp-dictionary.json')));
+        drill = await readJson(path.join(SPEC_DIR, 'examples', 'drill-dpp-v1.json'));
+        construction = await readJson(path.join(SPEC_DIR, 'examples', 'construction-product-dpp-v1.json'));
+    });
+
+    it('should keep the English names when no language is requested', async () => {
+        const product = await transformTo(drill, 'schema.org');
+
+        expect(propertyNames(product)).toEqual(expect.arrayContaining(['DPP Status', 'DPP Content Specifications']));
+        expect([product.identifier].flat()).toEqual(expect.arrayContaining([
+            { "@type": "PropertyValue", "propertyID": "HS Code", "value": drill.hsCode }
+        ]));
+    });
+
+    it('should take the PropertyValue names from the German ontology labels', async () => {
+        const product = await transformTo(drill, 'schema.org', 'de');
+
+        expect(propertyNames(product)).toEqual(expect.arrayContaining(['DPP-Status', 'Zeitstempel der letzten Aktualisierung']));
+        expect(propertyNames(product)).not.toContain('DPP Status');
+
+        // Identifiers keep their propertyID and get a localized name
+        expect([product.identifier].flat()).toEqual(expect.arrayContaining([{
+            "@type": "PropertyValue",
+            "propertyID": "HS Code",
+            "name": "Code des Harmonisierten Systems (HS-Code) oder TARIC",
+            "value": drill.hsCode
+        }]));
+    });
+
+    it('should localize the EPD certification and measurement names', async () => {
+        const product = await transformTo(construction, 'schema.org', 'fr');
+
+        const [epd] = product.hasCertification;
+        expect(epd.name).toBe('Déclaration Environnementale de Produit');
+        expect(epd.hasMeasurement.find(measurement => measurement.propertyID === 'gwp-a1')).toEqual(expect.objectContaining({
+            name: 'Potentiel de réchauffement global (a1)',
+            unitText: 'kg CO₂ eq'
+        }));
+    });
+
+    it('should fall back to English for languages without labels and match region subtags', async () => {
+        const unknown = await transformTo(drill, 'schema.org', 'xx');
+        expect(propertyNames(unknown)).toEqual(expect.arrayContaining(['DPP Status']));
+
+        const regional = await transformTo(drill, 'schema.org', 'pl-PL');
+        expect(propertyNames(regional)).toEqual(expect.arrayContaining(['Status DPP']));
+    });
+
+    it('should localize the indicator labels of the EPD table and ILCD+EPD export', async () => {
+        const table = await transformTo(construction, 'epd', 'de');
+        expect(table.indicators[0]).toEqual(expect.objectContaining({ label: 'Globales Erwärmungspotential', labelLanguage: 'de' }));
+
+        const ilcd = await transformTo(construction, 'epd-ilcd', 'de');
+        expect(ilcd.LCIAResults.LCIAResult[0].referenceToLCIAMethodDataSet.shortDescription).toEqual([
+            { value: 'GWP-total: Globales Erwärmungspotential', lang: 'de' }
+        ]);
+    });
+
+    it('should build the labels of the imported ontologies from the complete ontology alone', async () => {
+        const ontologyDir = path.join(SPEC_DIR, 'ontology', KEYSTONE_VERSION);
+        const loaded = [];
+        const loader = async (filePath) => { loaded.push(path.relative(ontologyDir, filePath)); return readJson(filePath); };
+        const fromImports = {};
+
+        await buildDictionary([path.join(ontologyDir, 'dpp-ontology.jsonld')], loader, localFileDocumentLoader, fromImports, KEYSTONE_VERSION);
+
+        expect(loaded).toEqual(expect.arrayContaining(['dpp-ontology.jsonld', 'core/Header.jsonld', 'sectors/Battery.jsonld']));
+        expect(new Set(loaded).size).toBe(loaded.length);
+        expect(fromImports[`https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#dppStatus`].labels.de).toBe('DPP-Status');
+
+        dictionary = fromImports;
+        expect(propertyNames(await transformTo(drill, 'schema.org', 'de'))).toEqual(expect.arrayContaining(['DPP-Status']));
+    });
+});
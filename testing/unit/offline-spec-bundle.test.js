@@ -0,0 +1,75 @@
+import { transformDpp, loadPrecomputedDictionary } from '../../src/util/js/server/dpp-schema-adapter.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import { SECTOR_MAP } from '../../src/lib/validation-pipeline.js';
+import fs from 'fs/promises';
+import path from 'path';
+import vm from 'vm';
+import { PROJECT_ROOT } from '../scripts/test-helpers.mjs';
+
+const SPEC_DIR = path.join(PROJECT_ROOT, 'dist', 'spec');
+
+describe('Offline Spec Bundle', () => {
+    let bundle;
+    let originalFetch;
+
+    beforeAll(async () => {
+        bundle = JSON.parse(await fs.readFile(path.join(SPEC_DIR, `keystone-spec-bundle-${KEYSTONE_VERSION}.json`), 'utf-8'));
+        // Everything below must work without an HTTP server
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => { throw new Error(`Unexpected network access to ${url}`); };
+    });
+
+    afterAll(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('should contain every context, ontology and validation artifact of the version', async () => {
+        expect(bundle).toEqual(expect.objectContaining({ format: 'keystone-spec-bundle', version: KEYSTONE_VERSION }));
+
+        const paths = Object.keys(bundle.documents);
+        expect(paths).toEqual(expect.arrayContaining([
+            `contexts/${KEYSTONE_VERSION}/dpp-core.context.jsonld`,
+            `ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`,
+            `ontology/${KEYSTONE_VERSION}/sectors/Battery.jsonld`,
+            `validation/${KEYSTONE_VERSION}/json-schema/dpp.schema.json`,
+            `validation/${KEYSTONE_VERSION}/shacl/battery-shapes.shacl.jsonld`
+        ]));
+        expect(paths.every(bundlePath => bundlePath.split('/')[1] === KEYSTONE_VERSION)).toBe(true);
+        expect(JSON.stringify(bundle)).not.toContain('{{VERSION}}');
+
+        const sourceContexts = await fs.readdir(path.join(PROJECT_ROOT, 'src', 'contexts', KEYSTONE_VERSION));
+        expect(paths.filter(bundlePath => bundlePath.startsWith('contexts/'))).toHaveLength(sourceContexts.length);
+    });
+
+    it('should provide the same bundle as a classic script for file:// pages', async () => {
+        const script = await fs.readFile(path.join(SPEC_DIR, `keystone-spec-bundle-${KEYSTONE_VERSION}.js`), 'utf-8');
+        const sandbox = {};
+        vm.runInNewContext(script, { globalThis: sandbox });
+
+        expect(sandbox.KEYSTONE_SPEC_BUNDLE).toEqual(bundle);
+    });
+
+    it('should run the transformer from the bundle', async () => {
+        const battery = JSON.parse(await fs.readFile(path.join(SPEC_DIR, 'examples', 'battery-dpp-v1.json'), 'utf-8'));
+
+        const [product] = await transformDpp(battery, {
+            profile: 'schema.org',
+            ontologyPaths: [`ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`],
+            sectorSchemaPaths: Object.values(SECTOR_MAP).map(file => `validation/${KEYSTONE_VERSION}/json-schema/${file}`),
+            bundle,
+            version: KEYSTONE_VERSION
+        });
+
+        expect(product['@type']).toBe('Product');
+        expect(product.name).toBeDefined();
+    });
+
+    it('should cache the precomputed dictionary under all ontologies of the version', async () => {
+        const { version, ontologyPaths } = await loadPrecomputedDictionary(`ontology/${KEYSTONE_VERSION}/dpp-dictionary.json`, { bundle });
+
+        expect(version).toBe(KEYSTONE_VERSION);
+        const ontologies = Object.keys(bundle.documents).filter(file => file.startsWith(`ontology/${KEYSTONE_VERSION}/`) && file.endsWith('.jsonld'));
+        expect([...ontologyPaths].sort()).toEqual(ontologies.sort());
+        expect(ontologyPaths).toEqual(expect.arrayContaining([`ontology/${KEYSTONE_VERSION}/dpp-ontology.jsonld`, `ontology/${KEYSTONE_VERSION}/sectors/Battery.jsonld`]));
+    });
+});
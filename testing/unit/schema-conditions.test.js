@@ -0,0 +1,214 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { buildForm } from '../../src/wizard/form-builder.js';
+import { hasConditions, formProperties, evaluateConditions } from '../../src/wizard/schema-conditions.js';
+
+const input = (name) => document.querySelector(`[name="${name}"]`);
+const rowOf = (name) => input(name).closest('.grid-row');
+
+const setValue = (name, value) => {
+    const field = input(name);
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+const choose = (select, value) => {
+    select.value = value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+const render = (schema) => {
+    document.body.innerHTML = '';
+    document.body.appendChild(buildForm(schema));
+};
+
+describe('DPP Wizard - Conditional schema rules', () => {
+    const shippingSchema = {
+        type: 'object',
+        required: ['method'],
+        properties: {
+            method: { type: 'string', enum: ['post', 'pickup'] },
+            note: { type: 'string' },
+            phone: { type: 'string' }
+        },
+        if: { properties: { method: { const: 'post' } }, required: ['method'] },
+        then: { required: ['street'], properties: { street: { type: 'string' } } },
+        else: { properties: { store: { type: 'string' } } },
+        dependentRequired: { note: ['phone'] }
+    };
+
+    describe('evaluateConditions', () => {
+        it('should list the own properties first, then those of the branches', () => {
+            expect(Object.keys(formProperties(shippingSchema))).toEqual(['method', 'note', 'phone', 'street', 'store']);
+            expect(hasConditions(shippingSchema)).toBe(true);
+            expect(hasConditions({ properties: { a: { type: 'string' } } })).toBe(false);
+        });
+
+        it('should require and show the properties of the branch the condition selects', () => {
+            const post = evaluateConditions(shippingSchema, { method: 'post' });
+            expect([...post.required]).toEqual(['method', 'street']);
+            expect([...post.hidden]).toEqual(['store']);
+
+            const pickup = evaluateConditions(shippingSchema, { method: 'pickup' });
+            expect([...pickup.required]).toEqual(['method']);
+            expect([...pickup.hidden]).toEqual(['street']);
+        });
+
+        it('should require the dependencies of the properties present', () => {
+            expect(evaluateConditions(shippingSchema, { method: 'pickup', note: 'Ring twice' }).required).toEqual(new Set(['method', 'phone']));
+            const schema = { if: { required: ['a'] }, then: { dependentRequired: { b: ['c'] } } };
+            expect([...evaluateConditions(schema, { a: 1, b: 2 }).required]).toEqual(['c']);
+            expect([...evaluateConditions(schema, { b: 2 }).required]).toEqual([]);
+        });
+
+        it('should show all fields if the condition cannot be evaluated', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const schema = { if: { $ref: 'missing.schema.json' }, then: { properties: { a: {} } }, else: { properties: { b: {} } } };
+            expect([...evaluateConditions(schema, {}).hidden]).toEqual([]);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
+    describe('form-builder', () => {
+        it('should hide the fields of the branch not taken and require those of the branch taken, live', () => {
+            render({ type: 'object', properties: { shipping: shippingSchema }, required: ['shipping'] });
+
+            // No method chosen yet: the `else` branch applies
+            expect(rowOf('shipping.street').hidden).toBe(true);
+            expect(rowOf('shipping.store').hidden).toBe(false);
+
+            choose(input('shipping.method'), 'post');
+            expect(rowOf('shipping.street').hidden).toBe(false);
+            expect(rowOf('shipping.store').hidden).toBe(true);
+            expect(input('shipping.street').getAttribute('aria-required')).toBe('true');
+            expect(input('shipping.street').classList.contains('invalid')).toBe(true);
+
+            choose(input('shipping.method'), 'pickup');
+            expect(rowOf('shipping.street').hidden).toBe(true);
+            // Hidden fields are not validated
+            expect(input('shipping.street').classList.contains('invalid')).toBe(false);
+
+            // Entering a note requires a phone number
+            expect(input('shipping.phone').hasAttribute('aria-required')).toBe(false);
+            setValue('shipping.note', 'Ring twice');
+            expect(input('shipping.phone').getAttribute('aria-required')).toBe('true');
+            expect(input('shipping.phone').classList.contains('invalid')).toBe(true);
+            setValue('shipping.note', '');
+            expect(input('shipping.phone').hasAttribute('aria-required')).toBe(false);
+            expect(input('shipping.phone').classList.contains('invalid')).toBe(false);
+        });
+
+        it('should apply the rules of array items and optional objects once they are added', () => {
+            render({ type: 'object', properties: { shipments: { type: 'array', items: shippingSchema }, delivery: shippingSchema } });
+
+            document.querySelector('button.add-array-item-btn[data-array-name="shipments"]').click();
+            document.querySelector('button.add-array-item-btn[data-array-name="shipments"]').click();
+            choose(input('shipments.1.method'), 'post');
+            expect(rowOf('shipments.0.street').hidden).toBe(true);
+            expect(rowOf('shipments.1.street').hidden).toBe(false);
+
+            // Removing the first item moves the rules of the second one to its new path
+            document.querySelector('.array-item-control-row[data-array-group="shipments.0"] button').click();
+            choose(input('shipments.0.method'), 'pickup');
+            expect(rowOf('shipments.0.street').hidden).toBe(true);
+
+            document.querySelector('button[data-optional-object="delivery"]').click();
+            expect(rowOf('delivery.street').hidden).toBe(true);
+            choose(input('delivery.method'), 'post');
+            expect(rowOf('delivery.street').hidden).toBe(false);
+        });
+
+        const instructionsSchema = {
+            type: 'object',
+            required: ['dopc'],
+            properties: {
+                dopc: {
+                    oneOf: [
+                        { title: 'DoPC', type: 'object', required: ['declarationCode'], properties: { declarationCode: { type: 'string' } } },
+                        { title: 'Related Resource', type: 'object', properties: { url: { type: 'string' }, resourceTitle: { type: 'string' } } }
+                    ]
+                },
+                careInstructions: {
+                    oneOf: [
+                        { title: 'Related Resource', type: 'object', properties: { url: { type: 'string' } } },
+                        { type: 'string' }
+                    ]
+                }
+            }
+        };
+
+        it('should offer the types of a required oneOf right away and swap its fields', () => {
+            render(instructionsSchema);
+            const invalid = new Set();
+            const track = (e) => (e.detail.isValid ? invalid.delete(e.detail.path) : invalid.add(e.detail.path));
+            document.addEventListener('fieldValidityChange', track);
+
+            const row = document.querySelector('.grid-row[data-object-path="dopc"]');
+            expect(row.querySelector('button[data-optional-object]')).toBeNull();
+            const select = row.querySelector('select[data-pending-optional-object="dopc"]');
+            expect([...select.options].map(option => option.text)).toEqual(['Select Type...', 'DoPC', 'Related Resource']);
+
+            choose(select, '0');
+            expect(select.dataset.oneofBranch).toBe('dopc');
+            expect(select.hasAttribute('data-pending-optional-object')).toBe(false);
+            expect(row.querySelector('button[data-remove-optional-object]')).toBeNull();
+            expect(invalid).toEqual(new Set(['dopc.declarationCode']));
+
+            choose(select, '1');
+            expect(row.dataset.oneofSelection).toBe('1');
+            expect(input('dopc.declarationCode')).toBeNull();
+            expect(input('dopc.url')).not.toBeNull();
+            expect(input('dopc.resourceTitle')).not.toBeNull();
+            // The errors of the swapped out fields are cleared
+            expect(invalid).toEqual(new Set());
+            document.removeEventListener('fieldValidityChange', track);
+        });
+
+        it('should keep the type of an optional oneOf selectable and render simple types as one field', () => {
+            render(instructionsSchema);
+
+            document.querySelector('button[data-optional-object="careInstructions"]').click();
+            const select = document.querySelector('select[data-pending-optional-object="careInstructions"]');
+            expect([...select.options].map(option => [option.text, option.dataset.type])).toEqual([
+                ['Select Type...', undefined], ['Related Resource', 'object'], ['Text', 'string']
+            ]);
+
+            choose(select, '0');
+            expect(input('careInstructions.url')).not.toBeNull();
+            expect(document.querySelector('button[data-remove-optional-object="careInstructions"]')).not.toBeNull();
+
+            choose(select, '1');
+            expect(input('careInstructions.url')).toBeNull();
+            expect(input('careInstructions').type).toBe('text');
+
+            document.querySelector('button[data-remove-optional-object="careInstructions"]').click();
+            expect(input('careInstructions')).toBeNull();
+            expect(document.querySelector('button[data-optional-object="careInstructions"]')).not.toBeNull();
+        });
+
+        it('should include the properties declared next to the alternatives in each of them', () => {
+            render({
+                type: 'object',
+                required: ['contact'],
+                properties: {
+                    contact: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: { name: { type: 'string' } },
+                        oneOf: [{ properties: { email: { type: 'string' } } }, { properties: { phone: { type: 'string' } } }]
+                    }
+                }
+            });
+
+            choose(document.querySelector('select[data-pending-optional-object="contact"]'), '1');
+            expect(input('contact.name').getAttribute('aria-required')).toBe('true');
+            expect(input('contact.phone')).not.toBeNull();
+            expect(input('contact.email')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,164 @@
+import { transform } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { importSchemaOrgProduct } from '../../dist/util/js/common/transformation/schema-org-importer.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const EXAMPLES_DIR = path.join(PROJECT_ROOT, 'dist', 'spec', 'examples');
+const BASE_SCHEMA_PATH = path.join(PROJECT_ROOT, 'dist', 'spec', 'validation', KEYSTONE_VERSION, 'json-schema', 'dpp.schema.json');
+
+describe('schema.org Product Importer', () => {
+    let baseSchema;
+
+    beforeAll(async () => {
+        baseSchema = JSON.parse(await fs.readFile(BASE_SCHEMA_PATH, 'utf-8'));
+    });
+
+    const productPage = {
+        "@context": "https://schema.org",
+        "@graph": [
+            {
+                "@type": "Organization",
+                "@id": "https://acme.example/#org",
+                "name": "ACME Tools GmbH",
+                "alternateName": "ACME",
+                "url": "https://acme.example",
+                "globalLocationNumber": "4012345000009",
+                "address": {
+                    "@type": "PostalAddress",
+                    "streetAddress": "Hauptstrasse 1",
+                    "postalCode": "10115",
+                    "addressLocality": "Berlin",
+                    "addressCountry": "DE",
+                    "addressRegion": "Berlin"
+                }
+            },
+            {
+                "@type": "IndividualProduct",
+                "@id": "https://acme.example/p/hammer-42",
+                "name": "Claw Hammer",
+                "gtin13": "4012345000016",
+                "brand": { "@type": "Brand", "name": "ACME" },
+                "manufacturer": { "@id": "https://acme.example/#org" },
+                "weight": { "@type": "QuantitativeValue", "value": 650, "unitCode": "GRM" },
+                "width": { "@type": "QuantitativeValue", "value": 32, "unitCode": "CMT" },
+                "height": { "@type": "QuantitativeValue", "value": 3, "unitCode": "E37" },
+                "image": [{ "@type": "ImageObject", "contentUrl": "https://acme.example/img/hammer.jpg", "encodingFormat": "image/jpeg" }],
+                "hasCertification": {
+                    "@type": "Certification",
+                    "name": "GS Mark",
+                    "certificationIdentification": "GS-123",
+                    "issuedBy": { "@type": "Organization", "name": "TÜV" },
+                    "validFrom": "2024-03-01"
+                },
+                "identifier": [
+                    { "@type": "PropertyValue", "propertyID": "DPP ID", "value": "https://dpp.acme.example/hammer-42" },
+                    { "@type": "PropertyValue", "propertyID": `https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#economicOperatorId`, "value": "urn:gln:4012345000009" }
+                ],
+                "additionalProperty": [
+                    { "@type": "PropertyValue", "name": "DPP Status", "value": "Active" },
+                    { "@type": "PropertyValue", "name": "Handle Material", "value": "Hickory" }
+                ],
+                "offers": { "@type": "Offer", "price": "19.99" }
+            }
+        ]
+    };
+
+    it('should map identifiers, dimensions, manufacturer and certifications to Keystone terms', () => {
+        const { dpp } = importSchemaOrgProduct(productPage, { version: KEYSTONE_VERSION });
+
+        expect(dpp['@context']).toEqual([
+            `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-core.context.jsonld`,
+            `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-general-product.context.jsonld`
+        ]);
+        expect(dpp).toEqual(expect.objectContaining({
+            "@type": "DigitalProductPassport",
+            "uniqueProductIdentifier": "https://acme.example/p/hammer-42",
+            "digitalProductPassportId": "https://dpp.acme.example/hammer-42",
+            "economicOperatorId": "urn:gln:4012345000009",
+            "granularity": "Item",
+            "dppStatus": "Active",
+            "productName": "Claw Hammer",
+            "gtin": "4012345000016",
+            "brand": "ACME",
+            "netWeight": 0.65,
+            "width": 0.32
+        }));
+        expect(dpp.manufacturer).toEqual({
+            organizationName: 'ACME Tools GmbH',
+            tradingName: 'ACME',
+            website: 'https://acme.example',
+            gln: '4012345000009',
+            address: { streetAddress: 'Hauptstrasse 1', postalCode: '10115', addressLocality: 'Berlin', addressCountry: 'DE' }
+        });
+        expect(dpp.image).toEqual([{ url: 'https://acme.example/img/hammer.jpg', contentType: 'image/jpeg' }]);
+        expect(dpp.additionalCertifications).toEqual([{
+            name: 'GS Mark',
+            identifier: 'GS-123',
+            certificationBodyName: 'TÜV',
+            certificationStartDate: '2024-03-01'
+        }]);
+    });
+
+    it('should report unmapped properties with JSON pointers into the input', () => {
+        const { dpp, unmapped } = importSchemaOrgProduct(productPage, { version: KEYSTONE_VERSION });
+
+        expect(dpp).not.toHaveProperty('height');
+        expect(unmapped.map(({ pointer, reason }) => ({ pointer, reason }))).toEqual(expect.arrayContaining([
+            { pointer: '/@graph/1/height', reason: "Unsupported unit code 'E37'." },
+            { pointer: '/@graph/1/additionalProperty/1', reason: 'No matching Keystone term.' },
+            { pointer: '/@graph/1/offers', reason: 'No matching Keystone term.' },
+            { pointer: '/@graph/0/address/addressRegion', reason: 'No matching Keystone term.' }
+        ]));
+        expect(unmapped).toHaveLength(4);
+    });
+
+    it('should list the missing required fields and accept defaults for them', () => {
+        const { validation } = importSchemaOrgProduct(productPage, { version: KEYSTONE_VERSION, baseSchema });
+
+        expect(validation.valid).toBe(false);
+        expect(validation.missingRequired.sort()).toEqual(['contentSpecificationIds', 'dppSchemaVersion', 'lastUpdate']);
+
+        const completed = importSchemaOrgProduct(productPage, {
+            version: KEYSTONE_VERSION,
+            baseSchema,
+            defaults: {
+                dppSchemaVersion: 'v2.0',
+                lastUpdate: '2025-01-01T00:00:00Z',
+                contentSpecificationIds: [],
+                dppStatus: 'Draft'
+            }
+        });
+        expect(completed.validation).toEqual({ valid: true, errors: null, missingRequired: [] });
+        expect(completed.dpp.dppStatus).toBe('Active');
+    });
+
+    it('should import the output of the schema.org profile', async () => {
+        const drill = JSON.parse(await fs.readFile(path.join(EXAMPLES_DIR, 'drill-dpp-v1.json'), 'utf-8'));
+        const [product] = await transform(drill, {
+            profile: 'schema.org',
+            documentLoader: localFileDocumentLoader,
+            version: KEYSTONE_VERSION
+        }, {});
+
+        const { dpp } = importSchemaOrgProduct(JSON.parse(JSON.stringify(product)), { version: KEYSTONE_VERSION });
+
+        expect(dpp).toEqual(expect.objectContaining({
+            uniqueProductIdentifier: drill.uniqueProductIdentifier,
+            gtin: drill.gtin,
+            brand: drill.brand,
+            hsCode: drill.hsCode,
+            dppStatus: drill.dppStatus,
+            lastUpdate: drill.lastUpdate,
+            contentSpecificationIds: drill.contentSpecificationIds
+        }));
+        expect(dpp.manufacturer.organizationName).toBe(drill.manufacturer.organizationName);
+        expect(dpp.manufacturer.address).toEqual(drill.manufacturer.address);
+    });
+
+    it('should reject input without a Product', () => {
+        expect(() => importSchemaOrgProduct({ "@type": "Organization" }, { version: KEYSTONE_VERSION }))
+            .toThrow(/No schema.org Product found/);
+    });
+});
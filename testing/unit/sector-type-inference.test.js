@@ -0,0 +1,100 @@
+import { transform, registerProfile, buildSectorTypes, getCachedSectorTypes, getSectorOntologyPath, getSectorSpecIds } from '../../dist/util/js/common/transformation/dpp-schema-logic.js';
+import { KEYSTONE_VERSION } from '../../src/lib/keystone-version.js';
+import { parse as jsoncParse } from 'jsonc-parser';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFileDocumentLoader, PROJECT_ROOT } from '../scripts/shacl-helpers.mjs';
+
+const SPEC_DIR = path.join(PROJECT_ROOT, 'dist', 'spec');
+const SECTOR_SCHEMA_DIR = path.join(SPEC_DIR, 'validation', KEYSTONE_VERSION, 'json-schema', 'sector');
+const TERMS = `https://dpp-keystone.org/spec/${KEYSTONE_VERSION}/terms#`;
+
+const fileLoader = async (filePath) => jsoncParse(await fs.readFile(filePath, 'utf-8'));
+
+describe('Sector Type Inference', () => {
+    const sectorTypes = {};
+
+    beforeAll(async () => {
+        const schemaPaths = (await fs.readdir(SECTOR_SCHEMA_DIR)).sort().map(file => path.join(SECTOR_SCHEMA_DIR, file));
+        await buildSectorTypes(schemaPaths, fileLoader, localFileDocumentLoader, sectorTypes, KEYSTONE_VERSION);
+
+        // Exposes the root node types the profiles see
+        registerProfile('test-root-types', {
+            transformations: [{ source: 'digitalProductPassportId', transformer: (data, dictionary, rootNode) => [rootNode['@type']] }]
+        });
+    });
+
+    it('should read the content specification IDs from the schema conditions', () => {
+        const condition = (id) => ({ properties: { contentSpecificationIds: { contains: { const: id } } } });
+        expect(getSectorSpecIds({ if: condition('a'), allOf: [{ if: condition('b') }, { required: ['x'] }] })).toEqual(['a', 'b']);
+        expect(getSectorSpecIds({ type: 'object' })).toEqual([]);
+    });
+
+    it('should locate the sector ontology next to the schema', () => {
+        expect(getSectorOntologyPath('../spec/validation/v2/json-schema/sector/iron-steel.schema.json'))
+            .toBe('../spec/ontology/v2/sectors/IronSteel.jsonld');
+        expect(() => getSectorOntologyPath('battery.schema.json')).toThrow(/Cannot locate the sector ontology/);
+    });
+
+    it('should map every sector specification to its product class', () => {
+        expect(sectorTypes).toEqual({
+            draft_battery_specification_id: [`${TERMS}BatteryProduct`],
+            draft_construction_specification_id: [`${TERMS}ConstructionProduct`],
+            draft_electronics_specification_id: [`${TERMS}ElectronicDevice`],
+            draft_iron_and_steel_specification_id: [`${TERMS}IronSteelProduct`],
+            draft_textile_espr_specification_id: [`${TERMS}TextileProduct`]
+        });
+    });
+
+    it('should add the sector class to the DPP before expansion', async () => {
+        const battery = JSON.parse(await fs.readFile(path.join(SPEC_DIR, 'examples', 'battery-dpp-v1.json'), 'utf-8'));
+
+        const [types] = await transform(battery, {
+            profile: 'test-root-types',
+            documentLoader: localFileDocumentLoader,
+            version: KEYSTONE_VERSION,
+            sectorTypes
+        }, {});
+
+        expect(types).toEqual(expect.arrayContaining([`${TERMS}DigitalProductPassport`, `${TERMS}BatteryProduct`]));
+        expect(types).not.toContain(`${TERMS}ConstructionProduct`);
+    });
+
+    it('should type construction products when no sector types are given', async () => {
+        const dpp = {
+            '@context': `https://dpp-keystone.org/spec/contexts/${KEYSTONE_VERSION}/dpp-construction.context.jsonld`,
+            digitalProductPassportId: 'urn:uuid:1',
+            contentSpecificationIds: ['draft_construction_specification_id']
+        };
+
+        const [types] = await transform(dpp, {
+            profile: 'test-root-types',
+            documentLoader: localFileDocumentLoader,
+            version: KEYSTONE_VERSION
+        }, {});
+
+        expect(types).toEqual(expect.arrayContaining([`${TERMS}ConstructionProduct`]));
+    });
+
+    it('should cache the sector types per version and set of schemas, but not failed builds', async () => {
+        const cache = new Map();
+        const schemaPath = (sector) => path.join(SECTOR_SCHEMA_DIR, `${sector}.schema.json`);
+        let loads = 0;
+        const countingLoader = async (filePath) => { loads++; return fileLoader(filePath); };
+
+        const battery = await getCachedSectorTypes(cache, [schemaPath('battery')], countingLoader, localFileDocumentLoader, KEYSTONE_VERSION);
+        const both = await getCachedSectorTypes(cache, [schemaPath('textile'), schemaPath('battery')], countingLoader, localFileDocumentLoader, KEYSTONE_VERSION);
+        expect(Object.keys(battery)).toEqual(['draft_battery_specification_id']);
+        expect(Object.keys(both).sort()).toEqual(['draft_battery_specification_id', 'draft_textile_espr_specification_id']);
+
+        const loadsBefore = loads;
+        await getCachedSectorTypes(cache, [schemaPath('battery'), schemaPath('textile')], countingLoader, localFileDocumentLoader, KEYSTONE_VERSION);
+        expect(loads).toBe(loadsBefore);
+
+        const failingLoader = async () => { throw new Error('offline'); };
+        await expect(getCachedSectorTypes(cache, [schemaPath('construction')], failingLoader, localFileDocumentLoader, KEYSTONE_VERSION))
+            .rejects.toThrow('offline');
+        const construction = await getCachedSectorTypes(cache, [schemaPath('construction')], fileLoader, localFileDocumentLoader, KEYSTONE_VERSION);
+        expect(construction).toEqual({ draft_construction_specification_id: [`${TERMS}ConstructionProduct`] });
+    });
+});
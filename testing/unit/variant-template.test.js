@@ -0,0 +1,69 @@
+import {
+    childPassportId, createVariantSession, isVariantField, MODEL_LINK_KEY
+} from '../../src/wizard/variant-template.js';
+
+describe('DPP Wizard - Variant templates', () => {
+    const uuid = '0b9a6d1c-3f0e-4c1a-9d55-6a2f1e7c8b10';
+
+    it('should give derived passports their own ID', () => {
+        expect(childPassportId('https://dpp.example.com/dpp/77b583e8-8575-4862-986c-4863a2995f68', uuid))
+            .toBe(`https://dpp.example.com/dpp/${uuid}`);
+        expect(childPassportId('https://dpp.example.com/model/drill-x', uuid)).toBe(`https://dpp.example.com/model/drill-x/${uuid}`);
+        expect(childPassportId('urn:example:drill-x', uuid)).toBe(`urn:example:drill-x:${uuid}`);
+        expect(childPassportId('', uuid)).toBe(`urn:uuid:${uuid}`);
+    });
+
+    it('should tell variant fields from inherited ones', () => {
+        expect(isVariantField('uniqueProductIdentifier')).toBe(true);
+        expect(isVariantField('manufacturingDate')).toBe(true);
+        expect(isVariantField('manufacturerInfo.organizationName')).toBe(false);
+        expect(isVariantField('')).toBe(false);
+    });
+
+    it('should derive a batch or item session that links back to the model', () => {
+        const template = {
+            name: 'Drill X model',
+            session: {
+                core: { digitalProductPassportId: 'https://dpp.example.com/model/drill-x', granularity: 'Model', facilityId: 'urn:facility:1' },
+                sectors: ['battery'],
+                sectorData: { battery: { batteryCategory: 'LMT', manufacturingDate: '2024-01-01' } },
+                voluntary: [
+                    { key: 'warrantyYears', type: 'Number', value: '2' },
+                    { key: MODEL_LINK_KEY, type: 'Related Resource', fields: { [`${MODEL_LINK_KEY}.url`]: 'urn:older-model' } }
+                ],
+                externalContexts: [],
+                timestamp: 1
+            }
+        };
+
+        const session = createVariantSession(template, 'Item', uuid);
+
+        expect(session.core).toEqual({
+            digitalProductPassportId: `https://dpp.example.com/model/drill-x/${uuid}`,
+            granularity: 'Item',
+            facilityId: 'urn:facility:1'
+        });
+        expect(session.sectors).toEqual(['battery']);
+        expect(session.sectorData).toEqual({ battery: { batteryCategory: 'LMT' } });
+        expect(session.voluntary).toEqual([
+            { key: 'warrantyYears', type: 'Number', value: '2' },
+            {
+                key: MODEL_LINK_KEY,
+                type: 'Related Resource',
+                fields: {
+                    [`${MODEL_LINK_KEY}.url`]: 'https://dpp.example.com/model/drill-x',
+                    [`${MODEL_LINK_KEY}.resourceTitle`]: 'Drill X model',
+                    [`${MODEL_LINK_KEY}.contentType`]: 'application/ld+json'
+                }
+            }
+        ]);
+        expect(session.variant).toEqual({
+            model: 'Drill X model',
+            modelId: 'https://dpp.example.com/model/drill-x',
+            granularity: 'Item',
+            inheritedFields: ['warrantyYears', MODEL_LINK_KEY]
+        });
+        // The template itself is left as it was
+        expect(template.session.core.granularity).toBe('Model');
+    });
+});